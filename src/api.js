@@ -0,0 +1,225 @@
+import http from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { WATCHERS, loadRuns, getWatcherStatus, listModels } from './watchers.js';
+import { queryEvents, parseTime, EVENT_TYPES } from './events.js';
+import { readMetrics } from './metrics.js';
+
+/**
+ * Read-only HTTP API over the state files and the change history (`modelwatcher serve`).
+ *
+ * Routes (GET or HEAD):
+ *   /healthz                          Liveness, never needs a token
+ *   /api/watchers                     Last run, last success, item count and state errors per watcher
+ *   /api/models?source=&provider=&q=  Models tracked by scanner, lmarena, bedrock, sku, designarena
+ *                                     and github-file; source/provider take comma-separated lists,
+ *                                     q matches id or name (case-insensitive)
+ *   /api/events?source=&entity=&type=&since=&until=&limit=&offset=
+ *                                     Change history, newest first (see src/events.js for the filters)
+ *   /metrics                          Every watcher's last-run metrics in the Prometheus text format
+ *                                     (src/metrics.js)
+ *
+ * List responses are `{ total, offset, limit, items }` and take `limit` (default 100, max 1000)
+ * and `offset`. Every JSON response has an ETag; send it back in If-None-Match to get a 304.
+ * When MODELWATCHER_API_TOKEN is set, /api/* and /metrics require `Authorization: Bearer <token>`
+ * (Prometheus sends it with `authorization: { credentials: <token> }` in the scrape config).
+ */
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Split a comma-separated query parameter (repeatable) into values
+ * @param {URLSearchParams} params - Query
+ * @param {string} name - Parameter name
+ * @returns {Array<string>|null} - null when absent
+ */
+function listParam(params, name) {
+  const values = params.getAll(name).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+  return values.length ? values : null;
+}
+
+/**
+ * Read limit/offset from the query
+ * @param {URLSearchParams} params - Query
+ * @returns {Object} - { limit, offset }
+ */
+function pageParams(params) {
+  const limit = params.has('limit') ? Number(params.get('limit')) : DEFAULT_LIMIT;
+  const offset = params.has('offset') ? Number(params.get('offset')) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new HttpError(400, `limit must be an integer from 1 to ${MAX_LIMIT}`);
+  if (!Number.isInteger(offset) || offset < 0) throw new HttpError(400, 'offset must be a non-negative integer');
+  return { limit, offset };
+}
+
+function page(items, params) {
+  const { limit, offset } = pageParams(params);
+  return { total: items.length, offset, limit, items: items.slice(offset, offset + limit) };
+}
+
+function watchers() {
+  const runs = loadRuns();
+  return { watchers: WATCHERS.map(watcher => getWatcherStatus(watcher, runs)) };
+}
+
+function models(params) {
+  const sources = listParam(params, 'source');
+  const providers = listParam(params, 'provider')?.map(provider => provider.toLowerCase());
+  const q = params.get('q')?.toLowerCase();
+
+  const known = WATCHERS.filter(watcher => watcher.models).map(watcher => watcher.name);
+  const unknown = (sources || []).filter(source => !known.includes(source));
+  if (unknown.length) throw new HttpError(400, `Unknown model source(s): ${unknown.join(', ')} (known: ${known.join(', ')})`);
+
+  const items = listModels().filter(model =>
+    (!sources || sources.includes(model.source)) &&
+    (!providers || providers.includes(String(model.provider).toLowerCase())) &&
+    (!q || [model.id, model.name].some(value => String(value).toLowerCase().includes(q))));
+  return page(items, params);
+}
+
+function events(params) {
+  const types = listParam(params, 'type');
+  const unknownTypes = (types || []).filter(type => !EVENT_TYPES.includes(type));
+  if (unknownTypes.length) throw new HttpError(400, `Unknown event type(s): ${unknownTypes.join(', ')} (known: ${EVENT_TYPES.join(', ')})`);
+  for (const name of ['since', 'until']) {
+    if (!params.has(name)) continue;
+    try {
+      parseTime(params.get(name));
+    } catch (err) {
+      throw new HttpError(400, err.message);
+    }
+  }
+
+  let items;
+  try {
+    items = queryEvents({
+      sources: listParam(params, 'source'),
+      entity: params.get('entity') || undefined,
+      types,
+      since: params.get('since') || undefined,
+      until: params.get('until') || undefined
+    });
+  } catch (err) {
+    // An invalid /regex/ entity pattern
+    if (err instanceof SyntaxError) throw new HttpError(400, err.message);
+    throw err;
+  }
+  return page(items.reverse(), params);
+}
+
+const routes = {
+  '/healthz': () => ({ status: 'ok', time: new Date().toISOString() }),
+  '/api/watchers': watchers,
+  '/api/models': models,
+  '/api/events': events
+};
+
+// Routes answered in the Prometheus text format instead of JSON
+const textRoutes = {
+  '/metrics': () => readMetrics()
+};
+
+/**
+ * Check the bearer token in a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} token - Expected token
+ * @returns {boolean}
+ */
+function isAuthorized(req, token) {
+  const match = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Write a JSON response with an ETag, or a 304 when the client already has it
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {*} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(req, res, status, body, headers = {}) {
+  const text = JSON.stringify(body);
+  const etag = `"${createHash('sha1').update(text).digest('base64url')}"`;
+  const cached = status === 200 && String(req.headers['if-none-match'] || '').split(/\s*,\s*/).some(tag => tag === etag || tag === `W/${etag}` || tag === '*');
+
+  res.writeHead(cached ? 304 : status, {
+    ...headers,
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    ETag: etag,
+    ...(cached ? {} : { 'Content-Length': Buffer.byteLength(text) })
+  });
+  res.end(cached || req.method === 'HEAD' ? undefined : text);
+}
+
+/**
+ * Write a Prometheus text exposition response
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} text - Response body
+ */
+function sendText(req, res, text) {
+  res.writeHead(200, {
+    'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Content-Length': Buffer.byteLength(text)
+  });
+  res.end(req.method === 'HEAD' ? undefined : text);
+}
+
+/**
+ * Create the API server (not listening yet)
+ * @param {Object} options - { token } bearer token for /api/* and /metrics (default MODELWATCHER_API_TOKEN)
+ * @returns {http.Server}
+ */
+export function createApiServer(options = {}) {
+  const token = options.token ?? process.env.MODELWATCHER_API_TOKEN;
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+    const route = routes[pathname] || textRoutes[pathname];
+    try {
+      if (!route) throw new HttpError(404, `No route for ${url.pathname}`);
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendJson(req, res, 405, { error: 'Method not allowed' }, { Allow: 'GET, HEAD' });
+        return;
+      }
+      if (token && (url.pathname.startsWith('/api/') || textRoutes[pathname]) && !isAuthorized(req, token)) {
+        sendJson(req, res, 401, { error: 'Missing or invalid bearer token' }, { 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+      if (textRoutes[pathname]) sendText(req, res, route(url.searchParams));
+      else sendJson(req, res, 200, route(url.searchParams));
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(`API error for ${req.method} ${req.url}:`, err.message);
+      sendJson(req, res, err.status || 500, { error: err instanceof HttpError ? err.message : 'Internal error' });
+    }
+  });
+}
+
+/**
+ * Start the API server
+ * @param {Object} options - { port, host, token }
+ * @returns {Promise<http.Server>} - Listening server
+ */
+export function startApiServer({ port = 8080, host = '127.0.0.1', token } = {}) {
+  const server = createApiServer({ token });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
@@ -5,37 +5,21 @@ import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
 import { createPatch } from 'diff';
-import { sendDiscordWebhook, sendRawDiffWebhook, createAppVersionEmbed, createStringsDiffEmbed } from './webhook.js';
+import { createAppVersionNotification, createStringsDiffNotification } from './webhook.js';
+import { notify } from './transports.js';
+import { loadConfig } from './config.js';
+import { loadState, saveState } from './state-store.js';
+import { recordEvents, fieldDiffs } from './events.js';
+import { isDryRun, getWebhookUrl } from './dry-run.js';
+import { installCassette, cassetteCall } from './cassette.js';
+import { installRedaction } from './redact.js';
+import { startRun, countRunItems, reportRunError } from './watchdog.js';
+import { setMetric } from './metrics.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 const STRINGS_DIR = join(__dirname, '..', 'strings');
 
-function loadConfig() {
-  const configPath = join(__dirname, '..', 'app-version-config.json');
-  if (!existsSync(configPath)) {
-    throw new Error(`Config file not found: ${configPath}`);
-  }
-  return JSON.parse(readFileSync(configPath, 'utf-8'));
-}
-
-function loadState(statePath) {
-  if (existsSync(statePath)) {
-    try {
-      return JSON.parse(readFileSync(statePath, 'utf-8'));
-    } catch (e) {
-      console.error('Failed to parse state file, starting fresh:', e.message);
-    }
-  }
-  return {};
-}
-
-function saveState(statePath, state) {
-  const dir = dirname(statePath);
-  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-  writeFileSync(statePath, JSON.stringify(state, null, 2));
-}
-
 function getStringsPath(appId) {
   return join(STRINGS_DIR, `${appId}.b64`);
 }
@@ -54,6 +38,7 @@ function loadStrings(appId) {
 }
 
 function saveStrings(appId, content) {
+  if (isDryRun()) return;
   if (!existsSync(STRINGS_DIR)) {
     mkdirSync(STRINGS_DIR, { recursive: true });
   }
@@ -124,7 +109,7 @@ function cleanupApk(appId) {
   }
 }
 
-async function compareAndroidStrings(appId) {
+async function fetchAndroidStrings(appId) {
   const apkDir = join(process.cwd(), 'apk-files');
   if (!existsSync(apkDir)) mkdirSync(apkDir, { recursive: true });
 
@@ -139,9 +124,13 @@ async function compareAndroidStrings(appId) {
   const stringsPath = await extractStrings(apkPath, extractDir);
 
   const newStrings = readFileSync(stringsPath, 'utf-8');
-  const oldStrings = loadStrings(appId);
-
   cleanupApk(appId);
+  return newStrings;
+}
+
+async function compareAndroidStrings(appId) {
+  const newStrings = await cassetteCall(`apk-strings ${appId}`, () => fetchAndroidStrings(appId));
+  const oldStrings = loadStrings(appId);
 
   if (oldStrings === newStrings) {
     return { changed: false, newStrings };
@@ -182,7 +171,7 @@ async function compareAndroidStrings(appId) {
 
 async function checkAndroidApp(appId, state) {
   const previous = state[appId] || null;
-  const appDetails = await gplay.app({ appId });
+  const appDetails = await cassetteCall(`gplay.app ${appId}`, () => gplay.app({ appId }));
   const lastUpdated = appDetails?.updated;
 
   if (!lastUpdated) {
@@ -234,7 +223,7 @@ async function checkIosApp(appId, state) {
     throw new Error(`Invalid iOS app ID: ${appId}`);
   }
 
-  const appDetails = await store.app({ id: numericId });
+  const appDetails = await cassetteCall(`store.app ${numericId}`, () => store.app({ id: numericId }));
   const lastUpdatedStr = appDetails?.updated;
 
   if (!lastUpdatedStr) {
@@ -272,11 +261,11 @@ async function checkIosApp(appId, state) {
 async function main() {
   console.log('=== App Version Watcher ===');
 
-  const config = loadConfig();
+  const config = loadConfig('app-version');
   const statePath = join(__dirname, '..', config.state?.file || 'logs/app-version-state.json');
   const state = loadState(statePath);
 
-  const appWebhookUrl = process.env[config.webhooks?.app?.webhookEnv];
+  const appWebhookUrl = getWebhookUrl(config.webhooks?.app?.webhookEnv);
 
   if (!appWebhookUrl) {
     console.error(`App webhook URL not configured (${config.webhooks?.app?.webhookEnv} env not set)`);
@@ -285,6 +274,7 @@ async function main() {
 
   const apps = config.apps || [];
   console.log(`Checking ${apps.length} app(s)`);
+  const events = [];
 
   for (const app of apps) {
     console.log(`Checking ${app.id} (${app.platform})...`);
@@ -298,35 +288,52 @@ async function main() {
         console.warn(`Unknown platform: ${app.platform}`);
         continue;
       }
+      countRunItems(1);
 
       if (result.isNew) {
+        const previous = state[app.id];
         state[app.id] = {
           lastUpdated: result.lastUpdated,
           version: result.version
         };
 
-        // Send app version embed
-        const appPayload = createAppVersionEmbed(result);
-        await sendDiscordWebhook(appWebhookUrl, appPayload);
+        const event = {
+          entity: `${app.platform}:${app.id}`,
+          type: previous ? 'updated' : 'added',
+          changes: previous ? fieldDiffs(previous, state[app.id]) : {},
+          data: { title: result.title, version: result.version, url: result.url }
+        };
+        events.push(event);
+
+        // Send app version notification
+        const appNotification = createAppVersionNotification(result);
+        await notify('app-version', appNotification, { webhookUrl: appWebhookUrl, events: [event] });
 
-        // If Android and strings changed, send diff embed
+        // If Android and strings changed, send the strings diff
         if (result.platform === 'android' && result.stringsChanged && !result.isFirstRun) {
-          const stringsPayload = createStringsDiffEmbed(app.id, result.stringsDiff);
-          await sendRawDiffWebhook(appWebhookUrl, stringsPayload);
+          const stringsNotification = createStringsDiffNotification(app.id, result.stringsDiff);
+          await notify('app-version', stringsNotification, { webhookUrl: appWebhookUrl, events: [event] });
         }
       } else {
         console.log(`  No update for ${app.id}`);
       }
     } catch (error) {
       console.error(`Error checking ${app.id}:`, error.message);
+      reportRunError(error);
     }
   }
 
+  recordEvents('app-version', events);
   saveState(statePath, state);
+  setMetric('models', { source: 'app-version' }, Object.keys(state).length);
   console.log('=== App Version Watcher complete ===');
 }
 
+installRedaction();
+installCassette();
+startRun('app-version');
 main().catch(err => {
+  reportRunError(err);
   console.error('Fatal error:', err);
   process.exit(1);
 });
@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import { fetchJson } from './http.js';
+import { registerSecret } from './redact.js';
+
+/**
+ * Auth adapters for model endpoints.
+ *
+ * Each endpoint in config.json may declare an `auth` block, e.g.
+ *   { "type": "header", "name": "X-Api-Key", "keyEnv": "ANTHROPIC_API_KEY" }
+ * Endpoints without one fall back to a bearer token read from `apiKeyEnv`.
+ *
+ * An adapter exposes:
+ *   - envVars(auth): names of env variables it needs (used to detect unconfigured endpoints)
+ *   - apply(request, auth, options): mutates request.headers / request.url before it is sent
+ */
+const adapters = new Map();
+
+// OAuth2 access tokens, keyed by token URL + client + scope
+const tokenCache = new Map();
+
+// Refresh OAuth2 tokens this long before they actually expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Register an auth adapter under a type name
+ * @param {string} type - Value used in an endpoint's `auth.type`
+ * @param {Object} adapter - Adapter with `envVars` and `apply`
+ */
+export function registerAuthAdapter(type, adapter) {
+  if (typeof adapter?.apply !== 'function') {
+    throw new Error(`Auth adapter "${type}" must implement apply()`);
+  }
+  adapters.set(type, { envVars: () => [], ...adapter });
+}
+
+/**
+ * Get the effective auth block for an endpoint
+ * @param {Object} endpoint - Endpoint configuration
+ * @returns {Object} - Auth configuration (defaults to bearer via apiKeyEnv)
+ */
+export function getAuthConfig(endpoint) {
+  const auth = endpoint.auth || { type: 'bearer' };
+  // Single-key schemes may omit keyEnv and reuse the endpoint's apiKeyEnv
+  if (!auth.keyEnv && endpoint.apiKeyEnv && ['bearer', 'header', 'query'].includes(auth.type)) {
+    return { ...auth, keyEnv: endpoint.apiKeyEnv };
+  }
+  return auth;
+}
+
+/**
+ * List env variables an endpoint needs that are not set
+ * @param {Object} endpoint - Endpoint configuration
+ * @returns {Array<string>} - Missing env variable names
+ */
+export function getMissingCredentials(endpoint) {
+  const auth = getAuthConfig(endpoint);
+  return getAdapter(auth.type).envVars(auth).filter(name => !process.env[name]);
+}
+
+/**
+ * Apply an endpoint's auth scheme to an outgoing request
+ * @param {Object} endpoint - Endpoint configuration
+ * @param {Object} request - { method, url: URL, headers }
+ * @param {Object} options - { timeout }
+ * @returns {Promise<Object>} - The same request, with auth applied
+ */
+export async function applyAuth(endpoint, request, options = {}) {
+  const auth = getAuthConfig(endpoint);
+  await getAdapter(auth.type).apply(request, auth, options);
+  return request;
+}
+
+function getAdapter(type) {
+  const adapter = adapters.get(type);
+  if (!adapter) {
+    throw new Error(`Unknown auth type "${type}" (known: ${[...adapters.keys()].join(', ')})`);
+  }
+  return adapter;
+}
+
+function env(name) {
+  return name ? process.env[name] : undefined;
+}
+
+registerAuthAdapter('none', {
+  apply: () => {}
+});
+
+registerAuthAdapter('bearer', {
+  envVars: (auth) => [auth.keyEnv],
+  apply: (request, auth) => {
+    request.headers['Authorization'] = `Bearer ${env(auth.keyEnv)}`;
+  }
+});
+
+registerAuthAdapter('header', {
+  envVars: (auth) => [auth.keyEnv],
+  apply: (request, auth) => {
+    if (!auth.name) throw new Error('Header auth requires "name"');
+    request.headers[auth.name] = `${auth.prefix || ''}${env(auth.keyEnv)}`;
+  }
+});
+
+registerAuthAdapter('query', {
+  envVars: (auth) => [auth.keyEnv],
+  apply: (request, auth) => {
+    request.url.searchParams.set(auth.name || 'key', env(auth.keyEnv));
+  }
+});
+
+registerAuthAdapter('basic', {
+  envVars: (auth) => [auth.usernameEnv, auth.passwordEnv].filter(Boolean),
+  apply: (request, auth) => {
+    const credentials = `${env(auth.usernameEnv) || ''}:${env(auth.passwordEnv) || ''}`;
+    request.headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+});
+
+registerAuthAdapter('oauth2', {
+  envVars: (auth) => [auth.clientIdEnv, auth.clientSecretEnv],
+  apply: async (request, auth, options) => {
+    const token = await getClientCredentialsToken(auth, options.timeout);
+    request.headers['Authorization'] = `Bearer ${token}`;
+  }
+});
+
+registerAuthAdapter('aws-sigv4', {
+  envVars: (auth) => [auth.accessKeyIdEnv || 'AWS_ACCESS_KEY_ID', auth.secretAccessKeyEnv || 'AWS_SECRET_ACCESS_KEY'],
+  apply: (request, auth) => {
+    signAwsRequest(request, {
+      accessKeyId: env(auth.accessKeyIdEnv || 'AWS_ACCESS_KEY_ID'),
+      secretAccessKey: env(auth.secretAccessKeyEnv || 'AWS_SECRET_ACCESS_KEY'),
+      sessionToken: env(auth.sessionTokenEnv || 'AWS_SESSION_TOKEN'),
+      region: auth.region || process.env.AWS_REGION || 'us-east-1',
+      service: auth.service
+    });
+  }
+});
+
+/**
+ * Fetch (or reuse a cached) OAuth2 client-credentials access token
+ * @param {Object} auth - oauth2 auth configuration
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Promise<string>} - Access token
+ */
+async function getClientCredentialsToken(auth, timeout = 30000) {
+  if (!auth.tokenUrl) throw new Error('OAuth2 auth requires "tokenUrl"');
+
+  const clientId = env(auth.clientIdEnv);
+  const clientSecret = env(auth.clientSecretEnv);
+  const cacheKey = `${auth.tokenUrl}|${clientId}|${auth.scope || ''}`;
+
+  const cached = tokenCache.get(cacheKey);
+  if (cached && cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+    return cached.token;
+  }
+
+  const body = new URLSearchParams({ grant_type: 'client_credentials' });
+  if (auth.scope) body.set('scope', auth.scope);
+  if (auth.audience) body.set('audience', auth.audience);
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  // RFC 6749 prefers HTTP Basic for client authentication; some providers only accept body params
+  if (auth.clientAuth === 'body') {
+    body.set('client_id', clientId);
+    body.set('client_secret', clientSecret);
+  } else {
+    headers['Authorization'] = `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`;
+  }
+
+  const data = await fetchJson(auth.tokenUrl, { method: 'POST', body: body.toString(), headers, timeout });
+  const token = data?.access_token;
+  if (!token) {
+    throw new Error('OAuth2 token response did not include an access_token');
+  }
+
+  const expiresIn = Number(data.expires_in) || 3600;
+  registerSecret(token);
+  tokenCache.set(cacheKey, { token, expiresAt: Date.now() + expiresIn * 1000 });
+  return token;
+}
+
+/**
+ * RFC 3986 encoding as required by SigV4 canonical requests
+ */
+function awsEncode(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Sign a request with AWS Signature Version 4 (empty payload, header-based)
+ * @param {Object} request - { method, url: URL, headers }
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken, region, service }
+ */
+function signAwsRequest(request, { accessKeyId, secretAccessKey, sessionToken, region, service }) {
+  if (!service) throw new Error('AWS SigV4 auth requires "service"');
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex('');
+
+  request.headers['host'] = request.url.host;
+  request.headers['x-amz-date'] = amzDate;
+  request.headers['x-amz-content-sha256'] = payloadHash;
+  if (sessionToken) request.headers['x-amz-security-token'] = sessionToken;
+
+  const canonicalUri = request.url.pathname
+    .split('/')
+    .map(segment => awsEncode(decodeURIComponent(segment)))
+    .join('/') || '/';
+
+  const canonicalQuery = [...request.url.searchParams.entries()]
+    .map(([k, v]) => [awsEncode(k), awsEncode(v)])
+    .sort(([ak, av], [bk, bv]) => (ak === bk ? (av < bv ? -1 : 1) : (ak < bk ? -1 : 1)))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+
+  const signedHeaderEntries = Object.entries(request.headers)
+    .map(([k, v]) => [k.toLowerCase(), String(v).trim().replace(/\s+/g, ' ')])
+    .filter(([k]) => k === 'host' || k.startsWith('x-amz-'))
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+
+  const canonicalHeaders = signedHeaderEntries.map(([k, v]) => `${k}:${v}\n`).join('');
+  const signedHeaders = signedHeaderEntries.map(([k]) => k).join(';');
+
+  const canonicalRequest = [
+    request.method.toUpperCase(),
+    canonicalUri,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  request.headers['Authorization'] = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  // Node sets Host itself; keeping it here would only duplicate the header
+  delete request.headers['host'];
+}
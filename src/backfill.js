@@ -0,0 +1,314 @@
+import { execFileSync } from 'child_process';
+import { writeFileSync, mkdirSync, appendFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { createEvent, readEvents, getEventsFile, getEventsDir } from './events.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(__dirname, '..');
+
+/**
+ * Rebuild change history from the git history of the watcher state files.
+ *
+ * The workflows commit every state change to master, so each state file's git log is a
+ * series of snapshots. Consecutive snapshots are replayed through the watchers' own diff
+ * functions, and the resulting events are appended to logs/events/<source>.jsonl with the
+ * commit's date and SHA. Events already in the log (same content key within
+ * DEDUPE_WINDOW_MS) are skipped, so the importer can be re-run at any time.
+ *
+ * A first-seen / last-seen timeline per entity is written alongside (logs/timeline.json).
+ *
+ * Usage: npm run backfill -- [--source NAME]... [--dry-run] [--out FILE]
+ */
+export const DEDUPE_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Events between two snapshots of a plugin's items (src/runtime.js), from the plugin's own
+ * diff and events hooks, so they match what a live run records
+ * @param {string} script - Plugin module, e.g. './sku-watch.js'
+ * @param {Array} prev - Previous items
+ * @param {Array} next - Current items
+ * @returns {Promise<Array>} - Event changes
+ */
+async function pluginEvents(script, prev, next) {
+  const [{ watcher }, { diffEvents }] = await Promise.all([import(script), import('./runtime.js')]);
+  return diffEvents(watcher, prev, next);
+}
+
+const byKey = (items, key) => Object.fromEntries((items || []).map(item => [key(item), item]));
+
+/**
+ * Importer for one of the Gemini watcher's per-target RPC mapping state files
+ * @param {string} scanName - Scan name from gemini-config.json (entity prefix)
+ * @param {string} file - State file
+ * @returns {Object} - Importer
+ */
+function rpcMappingImporter(scanName, file) {
+  return {
+    source: 'gemini',
+    file,
+    snapshot: doc => (doc?.mappings && Object.keys(doc.mappings).length ? doc : null),
+    entities: doc => Object.keys(doc.mappings).map(id => `${scanName}:${id}`),
+    events: async (prev, next) => {
+      const { buildMappingEvents } = await import('./gemini-watch.js');
+      return buildMappingEvents(scanName, prev, new Map(Object.entries(next.mappings)), new Map(Object.entries(next.types || {})));
+    }
+  };
+}
+
+/**
+ * Importers per state file. Each one normalizes a state document into a snapshot
+ * (returning null for documents without usable data), lists the entities present in a
+ * snapshot, and turns two consecutive snapshots into events. Watcher modules are imported
+ * lazily so a missing dependency only affects its own source.
+ */
+export const IMPORTERS = {
+  scanner: {
+    source: 'scanner',
+    file: 'logs/state.json',
+    // Endpoints that failed in a run keep their last successful models
+    snapshot: (doc, prev) => {
+      if (!doc?.endpoints) return null;
+      const snapshot = { ...prev };
+      for (const [name, entry] of Object.entries(doc.endpoints)) {
+        if (entry?.success && Array.isArray(entry.models)) snapshot[name] = entry.models;
+      }
+      return snapshot;
+    },
+    entities: snapshot => Object.entries(snapshot).flatMap(([name, models]) => models.map(m => `${name}:${m.id}`)),
+    events: async (prev, next) => {
+      const { compareModels, buildModelEvents } = await import('./scanner.js');
+      return Object.entries(next)
+        .filter(([name]) => prev[name])
+        .flatMap(([name, models]) => buildModelEvents(name, compareModels(prev[name], models)));
+    }
+  },
+  bedrock: {
+    source: 'bedrock',
+    file: 'logs/bedrock-state.json',
+    snapshot: doc => (doc?.models?.length ? doc.models : null),
+    entities: models => models.map(m => `${m.provider}::${m.name}`),
+    events: async (prev, next) => {
+      const { diffModels, buildEvents } = await import('./bedrock-watch.js');
+      return buildEvents(diffModels(prev, next));
+    }
+  },
+  lmarena: {
+    source: 'lmarena',
+    file: 'logs/lmarena-state.json',
+    snapshot: doc => (doc?.models?.length ? doc.models : null),
+    entities: models => models.map(m => m.id || m.publicName || m.name),
+    events: async (prev, next) => {
+      const { diffModels, buildEvents } = await import('./lmarena-watch.js');
+      return buildEvents(prev, next, diffModels(prev, next));
+    }
+  },
+  designarena: {
+    source: 'designarena',
+    file: 'logs/designarena-state.json',
+    snapshot: doc => (doc?.models?.length ? { models: doc.models, providers: doc.providers || [], pricing: doc.pricing || [] } : null),
+    entities: s => [
+      ...s.models.map(m => `model:${m.id}`),
+      ...s.providers.map(p => `provider:${p.id}`),
+      ...s.pricing.map(p => `pricing:${p.id}`)
+    ],
+    events: async (prev, next) => {
+      const { detectChanges, buildEvents } = await import('./designarena-watch.js');
+      return buildEvents(detectChanges(next.models, prev.models, next.providers, prev.providers, next.pricing, prev.pricing));
+    }
+  },
+  'github-file': {
+    source: 'github-file',
+    file: 'logs/github-file-state.json',
+    snapshot: doc => doc?.raw?.models || null,
+    entities: models => Object.keys(models),
+    events: async (prev, next) => {
+      const { detectModelChanges, buildEvents } = await import('./github-file-watch.js');
+      return buildEvents(detectModelChanges(next, prev));
+    }
+  },
+  gemini: rpcMappingImporter('gemini', 'logs/gemini-state.json'),
+  aistudio: rpcMappingImporter('aistudio', 'logs/aistudio-state.json'),
+  sku: {
+    source: 'sku',
+    file: 'logs/sku-state.json',
+    snapshot: doc => (doc?.models && Object.keys(doc.models).length ? doc.models : null),
+    entities: models => Object.keys(models),
+    events: async (prev, next) => pluginEvents('./sku-watch.js', Object.values(prev), Object.values(next))
+  },
+  deepmind: {
+    source: 'deepmind',
+    file: 'logs/deepmind-state.json',
+    snapshot: doc => (doc?.cards?.length ? byKey(doc.cards, c => c.filename) : null),
+    entities: cards => Object.keys(cards),
+    events: async (prev, next) => pluginEvents('./deepmind-watch.js', Object.values(prev), Object.values(next))
+  }
+};
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', maxBuffer: 512 * 1024 * 1024 });
+}
+
+/**
+ * List the commits that touched a file, oldest first
+ * @param {string} file - Path relative to the repo root
+ * @param {string} cwd - Repo root
+ * @returns {Array<{sha: string, timestamp: string}>}
+ */
+export function listFileCommits(file, cwd = ROOT_DIR) {
+  return git(['log', '--reverse', '--format=%H %cI', '--', file], cwd)
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [sha, date] = line.split(' ');
+      return { sha, timestamp: new Date(date).toISOString() };
+    });
+}
+
+/**
+ * Read a file as of a commit, or null if it is missing or not valid JSON
+ * @param {string} sha - Commit SHA
+ * @param {string} file - Path relative to the repo root
+ * @param {string} cwd - Repo root
+ * @returns {Object|null}
+ */
+function readJsonAt(sha, file, cwd) {
+  try {
+    return JSON.parse(git(['show', `${sha}:${file}`], cwd));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replay the git history of one state file
+ * @param {Object} importer - Entry of IMPORTERS
+ * @param {Object} options - { cwd }
+ * @returns {Promise<Object>} - { events, timeline, snapshots }
+ */
+export async function replayHistory(importer, options = {}) {
+  const cwd = options.cwd || ROOT_DIR;
+  const commits = listFileCommits(importer.file, cwd);
+  const events = [];
+  const timeline = {};
+  let previous = null;
+  let snapshots = 0;
+  let lastEntities = new Set();
+
+  for (const commit of commits) {
+    const snapshot = importer.snapshot(readJsonAt(commit.sha, importer.file, cwd), previous);
+    if (!snapshot) continue;
+    snapshots++;
+
+    const changes = previous ? await importer.events(previous, snapshot) : [];
+    for (const change of changes) {
+      events.push(createEvent({ source: importer.source, timestamp: commit.timestamp, commitSha: commit.sha, ...change }));
+    }
+
+    lastEntities = new Set(importer.entities(snapshot));
+    for (const entity of lastEntities) {
+      if (!timeline[entity]) timeline[entity] = { firstSeen: commit.timestamp, lastSeen: commit.timestamp, changes: 0 };
+      timeline[entity].lastSeen = commit.timestamp;
+    }
+    for (const change of changes) {
+      if (timeline[change.entity]) timeline[change.entity].changes++;
+    }
+    previous = snapshot;
+  }
+
+  for (const [entity, entry] of Object.entries(timeline)) {
+    entry.present = lastEntities.has(entity);
+  }
+
+  return { events, timeline, snapshots, commits: commits.length };
+}
+
+/**
+ * Drop events already in the log: same content key within DEDUPE_WINDOW_MS
+ * @param {Array} events - Backfilled events
+ * @param {Array} existing - Events already recorded
+ * @param {number} windowMs - Dedupe window
+ * @returns {Array} - Events not yet recorded
+ */
+export function dedupeEvents(events, existing, windowMs = DEDUPE_WINDOW_MS) {
+  const seen = new Map();
+  for (const event of existing) {
+    if (!seen.has(event.key)) seen.set(event.key, []);
+    seen.get(event.key).push(Date.parse(event.timestamp));
+  }
+  return events.filter(event => {
+    const time = Date.parse(event.timestamp);
+    const times = seen.get(event.key) || [];
+    if (times.some(t => Math.abs(t - time) <= windowMs)) return false;
+    times.push(time);
+    seen.set(event.key, times);
+    return true;
+  });
+}
+
+/**
+ * Backfill the event log and build the timeline
+ * @param {Object} options - { sources, dryRun, cwd, dir }
+ * @returns {Promise<Object>} - { recorded: { source: count }, timeline }
+ */
+export async function backfill(options = {}) {
+  const names = options.sources?.length ? options.sources : Object.keys(IMPORTERS);
+  const dir = options.dir || getEventsDir();
+  const recorded = {};
+  const timeline = {};
+
+  for (const name of names) {
+    const importer = IMPORTERS[name];
+    if (!importer) throw new Error(`Unknown source "${name}" (known: ${Object.keys(IMPORTERS).join(', ')})`);
+
+    let result;
+    try {
+      result = await replayHistory(importer, options);
+    } catch (err) {
+      console.error(`[${name}] Failed to replay history:`, err.message);
+      continue;
+    }
+
+    const existing = readEvents({ sources: [importer.source], dir });
+    const fresh = dedupeEvents(result.events, existing);
+    console.log(`[${name}] ${result.commits} commit(s), ${result.snapshots} snapshot(s): ${result.events.length} event(s), ${fresh.length} new`);
+
+    if (fresh.length > 0 && !options.dryRun) {
+      const file = getEventsFile(importer.source, dir);
+      mkdirSync(dirname(file), { recursive: true });
+      appendFileSync(file, fresh.map(e => JSON.stringify(e)).join('\n') + '\n');
+    }
+    recorded[name] = fresh.length;
+    timeline[name] = result.timeline;
+  }
+
+  return { recorded, timeline };
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      source: { type: 'string', short: 's', multiple: true },
+      out: { type: 'string', default: 'logs/timeline.json' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const { recorded, timeline } = await backfill({ sources: args.source, dryRun: args['dry-run'] });
+
+  const out = resolve(ROOT_DIR, args.out);
+  mkdirSync(dirname(out), { recursive: true });
+  writeFileSync(out, JSON.stringify({ generatedAt: new Date().toISOString(), sources: timeline }, null, 2) + '\n');
+
+  const total = Object.values(recorded).reduce((sum, n) => sum + n, 0);
+  console.log(`${args['dry-run'] ? 'Would record' : 'Recorded'} ${total} event(s); timeline written to ${args.out}`);
+}
+
+const isCli = process.argv[1] && /backfill\.js$/.test(process.argv[1]);
+if (isCli) {
+  main().catch(err => {
+    console.error('Fatal error:', err.message);
+    process.exit(1);
+  });
+}
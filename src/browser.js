@@ -0,0 +1,344 @@
+import { existsSync, mkdirSync } from 'fs';
+import { execSync } from 'child_process';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { getCassetteMode, routeBrowser } from './cassette.js';
+import { isDryRun } from './dry-run.js';
+import { incMetric } from './metrics.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Shared browser service for watchers that need a real browser (regex, uspto, runtime plugins).
+ *
+ * A pool launches one browser per proxy on first use and hands out pages from a small set of
+ * reused contexts, so a watcher checking many targets launches once instead of per target:
+ *   const pool = createBrowserPool('uspto', config.browser);
+ *   const rows = await pool.withPage(async page => { ... }, { proxy });
+ *   await pool.close();
+ *
+ * Options (the `browser` block of a watcher's config):
+ *   engine          'camoufox' (default) or 'chromium' (Playwright)
+ *   headless        run without a window (default true)
+ *   virtualDisplay  run Camoufox on a virtual display when Xvfb is installed
+ *   contexts        contexts per browser, i.e. pages open at once (default 1)
+ *   launchRetries   launch attempts before giving up (default 2)
+ *   crashRetries    times a page is retried in a relaunched browser after a crash (default 1)
+ *   block           resource types aborted in every page, e.g. ['image', 'media', 'font']
+ *   profile         keep cookies and local storage in logs/browser-profiles/<name>.json
+ *
+ * `proxy` is { server, username, password }, e.g. from browserProxy() in src/http.js; proxied
+ * pages get their own browser (and profile, as clearance cookies are bound to the address).
+ * passChallenge(page) waits out Cloudflare's interstitial and clicks a CAPTCHA checkbox if
+ * one is shown. Every context is routed through the HTTP cassette when one is active.
+ */
+export const PROFILES_DIR = join(__dirname, '..', 'logs', 'browser-profiles');
+
+const DEFAULT_OPTIONS = {
+  engine: 'camoufox',
+  headless: true,
+  virtualDisplay: false,
+  contexts: 1,
+  launchRetries: 2,
+  crashRetries: 1,
+  block: [],
+  profile: false
+};
+
+const BROWSER_ARGS = ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu'];
+
+const ENGINES = {
+  async camoufox({ headless, proxy }) {
+    const { Camoufox } = await import('camoufox-js');
+    // geoip matches the browser's locale and timezone to the proxy's exit address
+    return Camoufox({ headless, args: BROWSER_ARGS, ...(proxy ? { proxy, geoip: true } : {}) });
+  },
+  async chromium({ headless, proxy }) {
+    const { chromium } = await import('playwright');
+    return chromium.launch({ headless: headless !== false, args: BROWSER_ARGS, ...(proxy ? { proxy } : {}) });
+  }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let xvfb = null;
+
+/**
+ * Check if Xvfb is available (for virtual display)
+ * @returns {boolean}
+ */
+function isXvfbAvailable() {
+  if (xvfb === null) {
+    try {
+      execSync('which Xvfb', { stdio: 'ignore' });
+      xvfb = true;
+    } catch {
+      xvfb = false;
+    }
+  }
+  return xvfb;
+}
+
+/**
+ * Launch a browser, retrying failed launches with backoff
+ * @param {Object} settings - Pool options
+ * @param {Object|null} proxy - { server, username, password }
+ * @returns {Promise<Object>} - Playwright Browser
+ */
+async function launch(settings, proxy) {
+  const launcher = ENGINES[settings.engine];
+  if (!launcher) throw new Error(`Unknown browser engine "${settings.engine}"`);
+  let headless = settings.headless;
+  if (settings.virtualDisplay && settings.engine === 'camoufox' && isXvfbAvailable()) {
+    console.log('Using virtual display (Xvfb) for headless browser');
+    headless = 'virtual';
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await launcher({ headless, proxy });
+    } catch (error) {
+      console.error(`Browser launch attempt ${attempt} failed:`, error.message);
+      if (attempt >= settings.launchRetries) throw error;
+      incMetric('browser_launch_retries', { engine: settings.engine });
+      const delay = 2 ** attempt * 1000;
+      console.log(`Retrying browser launch in ${delay / 1000} seconds...`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Abort requests for blocked resource types; everything else falls through to the cassette
+ * @param {Object} context - BrowserContext
+ * @param {Array<string>} types - Playwright resource types
+ */
+async function blockResources(context, types) {
+  if (types.length === 0) return;
+  const blocked = new Set(types);
+  // Registered after routeBrowser(), so it sees each request first
+  await context.route('**/*', route => blocked.has(route.request().resourceType())
+    ? route.abort('blockedbyclient')
+    : route.fallback());
+}
+
+/**
+ * Create a browser pool
+ * @param {string} name - Watcher name, used for log lines and the profile file
+ * @param {Object} options - See module doc
+ * @returns {Object} - { launch, withPage, close }
+ */
+export function createBrowserPool(name, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  // Proxy server (or '' for direct) -> { proxy, browser, launching, idle, active, waiting }
+  const entries = new Map();
+
+  const profileFile = entry => join(PROFILES_DIR, `${name}${entry.proxy ? '-proxy' : ''}.json`);
+
+  function entryFor(proxy) {
+    const key = proxy?.server || '';
+    if (!entries.has(key)) entries.set(key, { proxy, browser: null, launching: null, idle: [], active: 0, waiting: [] });
+    return entries.get(key);
+  }
+
+  async function browserFor(entry) {
+    if (entry.browser?.isConnected()) return entry.browser;
+    if (!entry.launching) {
+      // Contexts die with their browser
+      entry.idle = [];
+      entry.launching = launch(settings, entry.proxy)
+        .then(browser => { entry.browser = browser; return browser; })
+        .finally(() => { entry.launching = null; });
+    }
+    return entry.launching;
+  }
+
+  async function acquire(entry) {
+    while (entry.active >= settings.contexts) await new Promise(resolve => entry.waiting.push(resolve));
+    entry.active++;
+    try {
+      const browser = await browserFor(entry);
+      const idle = entry.idle.pop();
+      if (idle) return idle;
+      const file = profileFile(entry);
+      const context = await browser.newContext(settings.profile && existsSync(file) ? { storageState: file } : {});
+      await routeBrowser(context);
+      await blockResources(context, settings.block);
+      return context;
+    } catch (error) {
+      release(entry, null);
+      throw error;
+    }
+  }
+
+  function release(entry, context, discard = false) {
+    if (context && discard) context.close().catch(() => {});
+    else if (context) entry.idle.push(context);
+    entry.active--;
+    const next = entry.waiting.shift();
+    if (next) next();
+  }
+
+  async function saveProfile(entry, context) {
+    // Dry runs change nothing, and replayed cookies are not worth keeping
+    if (!settings.profile || isDryRun() || getCassetteMode()) return;
+    try {
+      mkdirSync(PROFILES_DIR, { recursive: true });
+      await context.storageState({ path: profileFile(entry) });
+    } catch (error) {
+      console.error(`${name}: failed to save browser profile:`, error.message);
+    }
+  }
+
+  return {
+    /**
+     * Launch the browser up front, so a failed launch surfaces before any target is checked
+     * @param {Object} options - { proxy }
+     * @returns {Promise<void>}
+     */
+    async launch({ proxy = null } = {}) {
+      await browserFor(entryFor(proxy));
+    },
+
+    /**
+     * Run fn with a fresh page in a pooled context; a crash relaunches the browser and retries
+     * @param {Function} fn - async page => result
+     * @param {Object} options - { proxy }
+     * @returns {Promise<*>} - fn's result
+     */
+    async withPage(fn, { proxy = null } = {}) {
+      const entry = entryFor(proxy);
+      for (let attempt = 0; ; attempt++) {
+        const context = await acquire(entry);
+        let page = null;
+        let crashed = false;
+        try {
+          page = await context.newPage();
+          page.on('crash', () => { crashed = true; });
+          const result = await fn(page);
+          await saveProfile(entry, context);
+          return result;
+        } catch (error) {
+          crashed = crashed || !entry.browser?.isConnected();
+          if (!crashed || attempt >= settings.crashRetries) throw error;
+          console.error(`${name}: browser crashed (${error.message}), relaunching`);
+          incMetric('browser_crashes', { engine: settings.engine });
+        } finally {
+          await page?.close().catch(() => {});
+          release(entry, context, crashed);
+        }
+      }
+    },
+
+    /**
+     * Close every browser of the pool
+     * @returns {Promise<void>}
+     */
+    async close() {
+      for (const entry of entries.values()) {
+        if (entry.browser) await entry.browser.close().catch(() => {});
+        entry.browser = null;
+        entry.idle = [];
+      }
+    }
+  };
+}
+
+// --- Cloudflare ---
+
+/**
+ * Wait until Cloudflare's "Just a moment" interstitial is gone
+ * @param {Object} page - Playwright page
+ * @param {number} timeout - ms
+ * @returns {Promise<Object>} - { success, reason }
+ */
+async function waitForCloudflareChallenge(page, timeout) {
+  try {
+    await page.waitForFunction(
+      () => {
+        const body = document.body;
+        if (!body) return false;
+        const text = body.textContent || '';
+        if (text.includes('Just a moment') || text.includes('Cloudflare')) {
+          return false;
+        }
+        if (document.querySelector('#cf-ccsp') || document.querySelector('.cf-browser')) {
+          return false;
+        }
+        return true;
+      },
+      { timeout }
+    );
+    return { success: true };
+  } catch (e) {
+    try {
+      const bodyText = await page.evaluate(() => document.body?.textContent || '');
+      if (bodyText.includes('Just a moment')) {
+        return { success: false, reason: 'cloudflare_stuck' };
+      }
+    } catch (evalError) { console.log(`Could not evaluate page content after challenge timeout: ${evalError.message}`); }
+    return { success: false, reason: 'timeout' };
+  }
+}
+
+/**
+ * Handle and click Turnstile CAPTCHA if present
+ * @param {Object} page - Playwright page
+ * @returns {Promise<boolean>}
+ */
+async function handleCaptcha(page) {
+  try {
+    // Check for Turnstile (Cloudflare CAPTCHA)
+    try {
+      const turnstileFrame = page.frameLocator('iframe[src*="turnstile"]');
+      // The clickable element inside the Turnstile iframe. This may need adjustment.
+      const turnstileElement = turnstileFrame.locator('input[type="checkbox"], #challenge-stage');
+      if (await turnstileElement.count() > 0) {
+        console.log('Detected Turnstile CAPTCHA, attempting to click...');
+        await turnstileElement.first().click({ timeout: 5000 });
+        console.log('Clicked Turnstile element');
+        await page.waitForTimeout(2000);
+      }
+    } catch (e) {
+      // No Turnstile found or an error occurred, which is acceptable.
+    }
+
+    // Check for hCaptcha
+    const hCaptchaFrame = page.frameLocator('iframe[src*="hcaptcha"], iframe[name*="hcaptcha"]');
+    try {
+      await hCaptchaFrame.locator('.hcaptcha-checkbox').click({ timeout: 3000 });
+      console.log('Clicked hCaptcha');
+      await page.waitForTimeout(2000);
+    } catch (e) {
+      // No hCaptcha found
+    }
+
+    // Check for reCAPTCHA
+    const recaptchaFrame = page.frameLocator('iframe[src*="recaptcha"]');
+    try {
+      await recaptchaFrame.locator('.recaptcha-checkbox').click({ timeout: 3000 });
+      console.log('Clicked reCAPTCHA');
+      await page.waitForTimeout(2000);
+    } catch (e) {
+      // No reCAPTCHA found
+    }
+
+    return true;
+  } catch (error) {
+    console.log('CAPTCHA handling error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get a page past Cloudflare: wait out the challenge, then click any CAPTCHA checkbox
+ * @param {Object} page - Playwright page, after goto()
+ * @param {number} timeout - How long to wait for the challenge (ms)
+ * @returns {Promise<Object>} - { success, reason } where reason is 'cloudflare_stuck' or 'timeout'
+ */
+export async function passChallenge(page, timeout = 30000) {
+  const result = await waitForCloudflareChallenge(page, timeout);
+  incMetric('cloudflare_challenges', { outcome: result.success ? 'passed' : result.reason });
+  if (result.success) await handleCaptcha(page);
+  return result;
+}
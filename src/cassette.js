@@ -0,0 +1,390 @@
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname, basename, extname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * HTTP record/replay for running watchers offline against fixtures.
+ *
+ *   MODELWATCHER_HTTP=record   run against the live services and save every response
+ *   MODELWATCHER_HTTP=replay   serve responses from the cassette; nothing goes to the network
+ *   MODELWATCHER_CASSETTE      cassette file (default fixtures/cassettes/<watcher>.json)
+ *
+ * installCassette() covers `fetch` and axios. Browser pages are covered by routeBrowser(page),
+ * which intercepts every request the page makes. Clients that cannot be intercepted (the
+ * GoogleInternal client, the Play/App Store scrapers, the LM Arena Python scraper) are
+ * wrapped in cassetteCall(name, fn), which records their result instead.
+ *
+ * A cassette is JSON: { version, recordedAt, interactions: [...] }. Requests are matched on
+ * method, URL and a hash of the body; repeated requests are answered in recorded order.
+ * Request headers, cookies, secret-looking query parameters and token fields in JSON
+ * responses are never stored. Notification traffic (axios requests with `cassette: false`)
+ * is neither recorded nor replayed. A replay is always a dry run (src/dry-run.js). The
+ * cassettes in fixtures/cassettes/ are replayed by the tests in test/.
+ */
+const CASSETTE_VERSION = 1;
+
+// Query parameters replaced with REDACTED in stored and matched URLs
+const SECRET_PARAM = /^(key|api[-_]?key|access[-_]?token|token|secret|signature|sig|password|auth)$/i;
+
+// Top-level JSON response fields replaced with REDACTED, e.g. from OAuth token endpoints
+const SECRET_FIELD = /^(access_token|refresh_token|id_token|token|client_secret|secret)$/i;
+
+// Response headers that are not stored: cookies, and framing the stored body no longer has
+const DROPPED_HEADERS = new Set(['set-cookie', 'content-encoding', 'content-length', 'transfer-encoding', 'connection']);
+
+// Browser resources that are not recorded (and aborted on replay)
+const SKIPPED_RESOURCES = new Set(['image', 'media', 'font']);
+
+let installed = false;
+let originalFetch = null;
+let httpAdapter = null;
+
+let recorded = null;
+// Request key -> { interactions, next }
+let replayQueues = null;
+
+/**
+ * Current cassette mode
+ * @returns {string|null} - 'record', 'replay' or null
+ */
+export function getCassetteMode() {
+  const mode = (process.env.MODELWATCHER_HTTP || '').toLowerCase();
+  return mode === 'record' || mode === 'replay' ? mode : null;
+}
+
+/**
+ * Cassette file for this run
+ * @returns {string}
+ */
+export function getCassetteFile() {
+  if (process.env.MODELWATCHER_CASSETTE) return resolve(process.env.MODELWATCHER_CASSETTE);
+  const script = process.argv[1] ? basename(process.argv[1], extname(process.argv[1])) : 'modelwatcher';
+  return join(__dirname, '..', 'fixtures', 'cassettes', `${script}.json`);
+}
+
+/**
+ * Normalize a URL for storage and matching, redacting secret query parameters
+ * @param {string} url - Request URL
+ * @returns {string}
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (SECRET_PARAM.test(name)) parsed.searchParams.set(name, 'REDACTED');
+    }
+    return parsed.toString();
+  } catch {
+    return String(url);
+  }
+}
+
+function bodyHash(body) {
+  if (body === null || body === undefined || body.length === 0) return null;
+  const data = typeof body === 'string' || Buffer.isBuffer(body) || body instanceof Uint8Array ? body : JSON.stringify(body);
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+}
+
+function requestKey(method, url, hash) {
+  return `${String(method || 'GET').toUpperCase()} ${normalizeUrl(url)}${hash ? ` #${hash}` : ''}`;
+}
+
+function redactJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return text;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return text;
+  const secrets = Object.keys(data).filter(key => SECRET_FIELD.test(key));
+  if (secrets.length === 0) return text;
+  for (const key of secrets) data[key] = 'REDACTED';
+  return JSON.stringify(data);
+}
+
+function encodeBody(buffer) {
+  const text = buffer.toString('utf-8');
+  if (!Buffer.from(text, 'utf-8').equals(buffer)) return { body: buffer.toString('base64'), encoding: 'base64' };
+  return { body: redactJson(text), encoding: 'utf8' };
+}
+
+function decodeBody(response) {
+  return Buffer.from(response.body || '', response.encoding === 'base64' ? 'base64' : 'utf-8');
+}
+
+function storedHeaders(headers) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (!DROPPED_HEADERS.has(name.toLowerCase()) && value !== undefined) result[name.toLowerCase()] = String(value);
+  }
+  return result;
+}
+
+/**
+ * Add an interaction to the cassette being recorded
+ * @param {Object} interaction - { kind: 'http', request, response | error } or { kind: 'call', name, result | error }
+ */
+function recordInteraction(interaction) {
+  if (!recorded) {
+    recorded = [];
+    process.on('exit', saveCassette);
+  }
+  recorded.push(interaction);
+}
+
+/**
+ * Write the recorded cassette (runs on process exit in record mode)
+ */
+export function saveCassette() {
+  if (!recorded) return;
+  const file = getCassetteFile();
+  try {
+    mkdirSync(dirname(file), { recursive: true });
+    const cassette = { version: CASSETTE_VERSION, recordedAt: new Date().toISOString(), interactions: recorded };
+    writeFileSync(file, JSON.stringify(cassette, null, 2) + '\n');
+    console.log(`Recorded ${recorded.length} interaction(s) to ${file}`);
+  } catch (err) {
+    console.error('Failed to write cassette:', err.message);
+  }
+}
+
+/**
+ * Load the cassette for replay, grouping interactions by request
+ * @returns {Map<string, Object>}
+ */
+function loadReplay() {
+  if (replayQueues) return replayQueues;
+  const file = getCassetteFile();
+  if (!existsSync(file)) {
+    throw new Error(`No cassette at ${file}; record one first with MODELWATCHER_HTTP=record`);
+  }
+  const cassette = JSON.parse(readFileSync(file, 'utf-8'));
+  if (cassette.version !== CASSETTE_VERSION) {
+    throw new Error(`Unsupported cassette version ${cassette.version} in ${file}`);
+  }
+
+  replayQueues = new Map();
+  for (const interaction of cassette.interactions || []) {
+    const key = interaction.kind === 'call' ? `call ${interaction.name}` : interaction.request.key;
+    if (!replayQueues.has(key)) replayQueues.set(key, { interactions: [], next: 0 });
+    replayQueues.get(key).interactions.push(interaction);
+  }
+  return replayQueues;
+}
+
+/**
+ * Take the next recorded interaction for a request; the last one is repeated once used up
+ * @param {string} key - Request key
+ * @returns {Object|null}
+ */
+function takeInteraction(key) {
+  const queue = loadReplay().get(key);
+  if (!queue) {
+    console.error(`Cassette has no recorded response for ${key}`);
+    return null;
+  }
+  return queue.interactions[Math.min(queue.next++, queue.interactions.length - 1)];
+}
+
+// --- axios ---
+
+/**
+ * Resolve or reject an axios response the way axios' own adapters do
+ * @param {Object} config - Request config
+ * @param {Object} response - Axios response
+ * @returns {Object}
+ */
+function settle(config, response) {
+  if (!config.validateStatus || config.validateStatus(response.status)) return response;
+  const code = response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+  throw new AxiosError(`Request failed with status code ${response.status}`, code, config, null, response);
+}
+
+/**
+ * axios adapter that records or replays requests
+ * @param {Object} config - Request config
+ * @returns {Promise<Object>} - Axios response
+ */
+async function cassetteAdapter(config) {
+  const mode = getCassetteMode();
+  if (!mode || config.cassette === false || config.responseType === 'stream') return httpAdapter(config);
+
+  const url = axios.getUri(config);
+  const key = requestKey(config.method, url, bodyHash(config.data));
+
+  if (mode === 'replay') {
+    const interaction = takeInteraction(key);
+    if (!interaction) throw new AxiosError(`No recorded response for ${key}`, AxiosError.ERR_NETWORK, config);
+    if (interaction.error) throw new AxiosError(interaction.error.message, interaction.error.code || AxiosError.ERR_NETWORK, config);
+    const body = decodeBody(interaction.response);
+    return settle(config, {
+      data: config.responseType === 'arraybuffer' ? body : body.toString('utf-8'),
+      status: interaction.response.status,
+      statusText: interaction.response.statusText || '',
+      headers: new AxiosHeaders(interaction.response.headers),
+      config,
+      request: {}
+    });
+  }
+
+  const request = { key, method: String(config.method || 'get').toUpperCase(), url: normalizeUrl(url) };
+  let response;
+  try {
+    response = await httpAdapter({ ...config, validateStatus: null });
+  } catch (err) {
+    recordInteraction({ kind: 'http', request, error: { message: err.message, code: err.code } });
+    throw err;
+  }
+  const body = Buffer.isBuffer(response.data) ? response.data : Buffer.from(String(response.data ?? ''), 'utf-8');
+  recordInteraction({
+    kind: 'http',
+    request,
+    response: { status: response.status, statusText: response.statusText, headers: storedHeaders(response.headers?.toJSON?.() || response.headers), ...encodeBody(body) }
+  });
+  return settle(config, response);
+}
+
+// --- fetch ---
+
+/**
+ * fetch() replacement that records or replays requests
+ * @param {string|Request|URL} input - Resource
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>}
+ */
+async function cassetteFetch(input, init) {
+  const mode = getCassetteMode();
+  if (!mode) return originalFetch(input, init);
+
+  const request = new Request(input, init);
+  const body = request.body ? Buffer.from(await request.clone().arrayBuffer()) : null;
+  const key = requestKey(request.method, request.url, bodyHash(body));
+
+  if (mode === 'replay') {
+    const interaction = takeInteraction(key);
+    if (!interaction) throw new TypeError(`fetch failed: no recorded response for ${key}`);
+    if (interaction.error) throw new TypeError(`fetch failed: ${interaction.error.message}`);
+    const { status, statusText, headers } = interaction.response;
+    const hasBody = ![101, 204, 205, 304].includes(status);
+    return new Response(hasBody ? decodeBody(interaction.response) : null, { status, statusText, headers });
+  }
+
+  const stored = { key, method: request.method, url: normalizeUrl(request.url) };
+  let response;
+  try {
+    response = await originalFetch(input, init);
+  } catch (err) {
+    recordInteraction({ kind: 'http', request: stored, error: { message: err.cause?.message || err.message } });
+    throw err;
+  }
+  const data = Buffer.from(await response.clone().arrayBuffer());
+  recordInteraction({
+    kind: 'http',
+    request: stored,
+    response: { status: response.status, statusText: response.statusText, headers: storedHeaders(Object.fromEntries(response.headers)), ...encodeBody(data) }
+  });
+  return response;
+}
+
+/**
+ * Route fetch and axios through the cassette when MODELWATCHER_HTTP is set (safe to call twice)
+ */
+export function installCassette() {
+  const mode = getCassetteMode();
+  if (installed || !mode) return;
+  installed = true;
+
+  originalFetch = globalThis.fetch;
+  globalThis.fetch = cassetteFetch;
+  httpAdapter = axios.getAdapter(axios.defaults.adapter);
+  axios.defaults.adapter = cassetteAdapter;
+
+  console.log(`HTTP cassette: ${mode === 'record' ? 'recording to' : 'replaying from'} ${getCassetteFile()}`);
+}
+
+// --- Browser pages ---
+
+/**
+ * Record or replay every request made by a Playwright/Camoufox page or browser context
+ * @param {Object} target - Page or BrowserContext
+ * @returns {Promise<void>}
+ */
+export async function routeBrowser(target) {
+  const mode = getCassetteMode();
+  if (!mode) return;
+
+  await target.route('**/*', async route => {
+    const request = route.request();
+    const key = requestKey(request.method(), request.url(), bodyHash(request.postDataBuffer()));
+
+    if (mode === 'replay') {
+      const interaction = SKIPPED_RESOURCES.has(request.resourceType()) ? null : takeInteraction(key);
+      if (!interaction?.response) return route.abort('internetdisconnected');
+      const { status, headers } = interaction.response;
+      return route.fulfill({ status, headers, body: decodeBody(interaction.response) });
+    }
+
+    if (SKIPPED_RESOURCES.has(request.resourceType())) return route.continue();
+    const stored = { key, method: request.method(), url: normalizeUrl(request.url()) };
+    let response;
+    let body;
+    try {
+      response = await route.fetch();
+      body = await response.body();
+    } catch (err) {
+      recordInteraction({ kind: 'http', request: stored, error: { message: err.message } });
+      return route.abort('failed');
+    }
+    recordInteraction({
+      kind: 'http',
+      request: stored,
+      response: { status: response.status(), statusText: response.statusText(), headers: storedHeaders(response.headers()), ...encodeBody(body) }
+    });
+    return route.fulfill({ response, body });
+  });
+}
+
+// --- Opaque clients ---
+
+// JSON cannot hold Maps and Sets, which some clients return
+const replacer = (key, value) => {
+  if (value instanceof Map) return { $map: [...value] };
+  if (value instanceof Set) return { $set: [...value] };
+  return value;
+};
+const reviver = (key, value) => {
+  if (value && typeof value === 'object' && Array.isArray(value.$map)) return new Map(value.$map);
+  if (value && typeof value === 'object' && Array.isArray(value.$set)) return new Set(value.$set);
+  return value;
+};
+
+/**
+ * Record or replay the result of a call that cannot be intercepted at the HTTP level
+ * @param {string} name - Unique name for the call, including its arguments
+ * @param {Function} fn - Performs the call (may be async); its result must be JSON-serializable
+ * @returns {Promise<*>} - The call's result
+ */
+export async function cassetteCall(name, fn) {
+  const mode = getCassetteMode();
+  if (mode === 'replay') {
+    const interaction = takeInteraction(`call ${name}`);
+    if (!interaction) throw new Error(`No recorded result for ${name}`);
+    if (interaction.error) throw new Error(interaction.error);
+    return JSON.parse(JSON.stringify(interaction.result), reviver);
+  }
+  if (mode !== 'record') return fn();
+
+  try {
+    const result = await fn();
+    recordInteraction({ kind: 'call', name, result: JSON.parse(JSON.stringify(result ?? null, replacer)) });
+    return result;
+  } catch (err) {
+    recordInteraction({ kind: 'call', name, error: err.message });
+    throw err;
+  }
+}
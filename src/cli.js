@@ -0,0 +1,569 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { WATCHERS, getWatcher, loadWatcherConfig, getStateFiles, stateStoreFor, loadRuns, getWatcherStatus, getWatcherSchedule } from './watchers.js';
+import { loadConfig, getConfigFiles } from './config.js';
+import { queryEvents, formatChangeValue } from './events.js';
+import { ACCEPT_ENV } from './guard.js';
+import { isDryRun, getWebhookUrl } from './dry-run.js';
+import { createNotification } from './notification.js';
+import { sendToTarget, getRoutedTargets } from './transports.js';
+import { Scheduler } from './scheduler.js';
+import { startApiServer } from './api.js';
+import { buildSite, SITE_DIR } from './site.js';
+import { installRedaction } from './redact.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(__dirname, '..');
+
+/**
+ * `modelwatcher`: one entry point for every watcher (src/watchers.js).
+ *
+ * Usage: modelwatcher <command> [options]   (or npm run modelwatcher -- <command> ...)
+ *   run <watcher...|all>              Run watchers one after another
+ *   status                            Last run, last success, item count and last change per watcher
+ *   diff <watcher> [--from T] [--to T] Net changes between two times, from the event history
+ *   state show <watcher>              Print the watcher's state documents
+ *   state reset <watcher> --yes       Forget the state, so the next run starts over
+ *   state baseline <watcher...|all>   Run and save state without notifying or recording events
+ *   notify test [watcher...|all]      Send a test notification to each watcher's destinations
+ *   config validate [name...]         Validate configs (watcher or config names, default all)
+ *   daemon [watcher...|all]           Keep running and run watchers on their schedules (src/scheduler.js),
+ *                                     serving /metrics (daemon-config.json `metrics`)
+ *   serve [--port N] [--host H]       Read-only HTTP API over state and history (src/api.js)
+ *   site [outDir]                     Generate the static dashboard (src/site.js, default site/)
+ *
+ * Options for every command:
+ *   --dry-run           Same as MODELWATCHER_DRY_RUN=1: nothing is saved or sent (src/dry-run.js)
+ *   --dry-run-out FILE  Same as MODELWATCHER_DRY_RUN_OUT; `run` writes FILE-<watcher>.json per watcher
+ *   --state-dir DIR     Same as MODELWATCHER_STATE_DIR: keep logs/ state, events, outbox, digests and feeds in DIR
+ *   --json              Machine-readable output on stdout (watcher output goes to stderr)
+ *   --verbose, -v       Show commands and state files
+ *   --quiet, -q         Only show watcher output when a watcher fails
+ * Times for --from/--to are ISO dates or relative (30m, 24h, 7d, 2w).
+ *
+ * Exit codes: 0 success, 1 a watcher, check or delivery failed, 2 usage error.
+ */
+const USAGE = `Usage: modelwatcher <command> [options]
+
+Commands:
+  run <watcher...|all>               Run watchers
+  status                             Show last run, last success and item counts
+  diff <watcher> [--from T] [--to T] Show net changes from the event history
+  state show <watcher>               Print state documents
+  state reset <watcher> --yes        Forget state so the next run starts over
+  state baseline <watcher...|all>    Save current data as state without notifying
+  notify test [watcher...|all]       Send a test notification
+  config validate [name...]          Validate config files
+  daemon [watcher...|all]            Run watchers on their schedules until stopped
+  serve [--port N] [--host H]        Serve the read-only HTTP API (default 127.0.0.1:8080)
+  site [outDir]                      Generate the static dashboard (default site/)
+
+Options:
+  --dry-run          Don't save state or send anything
+  --dry-run-out FILE Write would-be payloads to FILE instead of stdout
+  --state-dir DIR    Keep state documents in DIR
+  --json             JSON output
+  -v, --verbose      More output
+  -q, --quiet        Less output
+  -h, --help         Show this help
+
+Watchers: ${WATCHERS.map(watcher => watcher.name).join(', ')}`;
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+/**
+ * Resolve watcher names, expanding `all`
+ * @param {Array<string>} names - Names from the command line
+ * @param {Object} options - { defaultAll } to use every watcher when none are given
+ * @returns {Array<Object>} - Watchers
+ */
+function resolveWatchers(names, { defaultAll = false } = {}) {
+  if (names.length === 0 && !defaultAll) throw new UsageError('Name at least one watcher, or `all`');
+  if (names.length === 0 || names.includes('all')) return WATCHERS;
+  return names.map(name => {
+    const watcher = getWatcher(name);
+    if (!watcher) throw new UsageError(`Unknown watcher "${name}" (known: ${WATCHERS.map(w => w.name).join(', ')}, all)`);
+    return watcher;
+  });
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16) : '-';
+}
+
+// Watcher processes still running, stopped on daemon shutdown if they don't finish in time
+const children = new Set();
+
+/**
+ * Run one watcher script as a child process
+ * @param {Object} watcher - Watcher (or another job with a `script`)
+ * @param {Object} args - Parsed options
+ * @param {Object} env - Extra env variables
+ * @param {Object} options - { prefix } to prefix each output line with the watcher name
+ * @returns {Promise<Object>} - { watcher, ok, exitCode, durationMs }
+ */
+function runWatcher(watcher, args, env = {}, options = {}) {
+  const script = join(__dirname, watcher.script);
+  if (args.verbose) {
+    const overrides = Object.entries(env).map(([name, value]) => `${name}=${value} `).join('');
+    console.error(`$ ${overrides}node ${join('src', watcher.script)}`);
+  }
+
+  // --json keeps stdout for the summary; --quiet holds output back until we know it failed
+  const piped = args.quiet || options.prefix;
+  const stdio = piped ? ['ignore', 'pipe', 'pipe'] : ['inherit', args.json ? 2 : 'inherit', 'inherit'];
+  const started = Date.now();
+
+  return new Promise(done => {
+    const output = [];
+    const child = spawn(process.execPath, [script], { cwd: ROOT_DIR, env: { ...process.env, ...env }, stdio });
+    children.add(child);
+
+    const emit = (stream, text) => args.quiet ? output.push(text) : stream.write(text);
+    for (const [source, stream] of [[child.stdout, args.json ? process.stderr : process.stdout], [child.stderr, process.stderr]]) {
+      if (!source) continue;
+      if (options.prefix) createInterface({ input: source }).on('line', line => emit(stream, `[${watcher.name}] ${line}\n`));
+      else source.on('data', chunk => emit(stream, chunk.toString()));
+    }
+
+    const finish = exitCode => {
+      children.delete(child);
+      const result = { watcher: watcher.name, ok: exitCode === 0, exitCode, durationMs: Date.now() - started };
+      if (args.quiet && !result.ok) process.stderr.write(output.join(''));
+      done(result);
+    };
+    child.on('error', err => {
+      console.error(`Failed to start ${watcher.name}:`, err.message);
+      finish(EXIT_FAILURE);
+    });
+    // Killed by a signal counts as a failure
+    child.on('close', code => finish(code ?? EXIT_FAILURE));
+  });
+}
+
+/**
+ * Run watchers in order; each records its own run in logs/runs/ (src/watchdog.js)
+ * @param {Array<Object>} watchers - Watchers
+ * @param {Object} args - Parsed options
+ * @param {Object} env - Extra env variables
+ * @returns {Promise<number>} - Exit code
+ */
+async function runWatchers(watchers, args, env = {}) {
+  const results = [];
+
+  for (const watcher of watchers) {
+    if (!args.quiet && !args.json && watchers.length > 1) console.log(`\n=== ${watcher.name} ===`);
+    // One payload file per watcher, so later watchers don't overwrite earlier ones
+    const out = process.env.MODELWATCHER_DRY_RUN_OUT;
+    const watcherEnv = out && watchers.length > 1
+      ? { ...env, MODELWATCHER_DRY_RUN_OUT: out.replace(/(\.json)?$/, `-${watcher.name}.json`) }
+      : env;
+    const result = await runWatcher(watcher, args, watcherEnv);
+    results.push(result);
+    if (args.verbose || (!result.ok && !args.json)) {
+      console.error(`${watcher.name} ${result.ok ? 'finished' : `failed with exit code ${result.exitCode}`} in ${(result.durationMs / 1000).toFixed(1)}s`);
+    }
+  }
+
+  const failed = results.filter(result => !result.ok);
+  if (args.json) {
+    console.log(JSON.stringify({ ok: failed.length === 0, results }, null, 2));
+  } else if (watchers.length > 1) {
+    console.log(`\n${results.length - failed.length}/${results.length} watcher(s) succeeded${failed.length ? `; failed: ${failed.map(r => r.watcher).join(', ')}` : ''}`);
+  }
+  return failed.length === 0 ? EXIT_OK : EXIT_FAILURE;
+}
+
+function status(args) {
+  const runs = loadRuns();
+  const rows = WATCHERS.map(watcher => getWatcherStatus(watcher, runs));
+
+  if (args.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return EXIT_OK;
+  }
+
+  const table = [['WATCHER', 'LAST RUN', 'LAST SUCCESS', 'ITEMS', 'LAST CHANGE']];
+  for (const row of rows) {
+    const failed = row.lastExitCode !== null && row.lastExitCode !== 0;
+    table.push([
+      row.watcher,
+      `${formatTime(row.lastRun)}${failed ? ` (exit ${row.lastExitCode})` : ''}`,
+      formatTime(row.lastSuccess),
+      row.items === null ? '-' : String(row.items),
+      formatTime(row.lastChange)
+    ]);
+  }
+  const widths = table[0].map((_, i) => Math.max(...table.map(line => line[i].length)));
+  for (const line of table) console.log(line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+
+  for (const row of rows) {
+    if (args.verbose) console.log(`${row.watcher}: ${row.stateFiles.join(', ') || 'no state files'}`);
+    for (const error of row.errors) console.error(`${row.watcher}: ${error}`);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * Reduce events to the net change per entity: an entity added and removed again in the
+ * window cancels out, and field changes are merged from the first old to the last new value
+ * @param {Array<Object>} events - Events for one source, oldest first
+ * @returns {Object} - { added, removed, updated }
+ */
+function netChanges(events) {
+  const byEntity = new Map();
+  for (const event of events) {
+    if (!byEntity.has(event.entity)) byEntity.set(event.entity, []);
+    byEntity.get(event.entity).push(event);
+  }
+
+  const added = [];
+  const removed = [];
+  const updated = [];
+  for (const [entity, list] of [...byEntity].sort(([a], [b]) => a.localeCompare(b))) {
+    const existedBefore = list[0].type !== 'added';
+    const existsAfter = list[list.length - 1].type !== 'removed';
+    const data = [...list].reverse().find(event => event.data !== undefined)?.data;
+
+    if (!existedBefore && existsAfter) added.push({ entity, data });
+    else if (existedBefore && !existsAfter) removed.push({ entity, data });
+    else if (existedBefore && existsAfter) {
+      const changes = {};
+      for (const event of list) {
+        for (const [field, diff] of Object.entries(event.changes || {})) {
+          if (!(field in changes)) changes[field] = { old: diff.old };
+          changes[field].new = diff.new;
+        }
+      }
+      for (const [field, diff] of Object.entries(changes)) {
+        if (JSON.stringify(diff.old) === JSON.stringify(diff.new)) delete changes[field];
+      }
+      if (Object.keys(changes).length > 0) updated.push({ entity, changes });
+    }
+  }
+  return { added, removed, updated };
+}
+
+function diff(names, args) {
+  if (names.length !== 1 || names[0] === 'all') throw new UsageError('diff takes exactly one watcher');
+  const [watcher] = resolveWatchers(names);
+
+  const events = queryEvents({ sources: [watcher.name], since: args.from, until: args.to });
+  const changes = netChanges(events);
+
+  if (args.json) {
+    console.log(JSON.stringify({ watcher: watcher.name, from: args.from || null, to: args.to || null, events: events.length, ...changes }, null, 2));
+    return EXIT_OK;
+  }
+
+  console.log(`${watcher.name}: ${changes.added.length} added, ${changes.removed.length} removed, ${changes.updated.length} updated (${events.length} event(s) from ${args.from || 'the start'} to ${args.to || 'now'})`);
+  for (const { entity } of changes.added) console.log(`+ ${entity}`);
+  for (const { entity } of changes.removed) console.log(`- ${entity}`);
+  for (const { entity, changes: fields } of changes.updated) {
+    console.log(`~ ${entity}`);
+    for (const [field, change] of Object.entries(fields)) {
+      console.log(`    ${field}: ${formatChangeValue(change.old)} → ${formatChangeValue(change.new)}`);
+    }
+  }
+  return EXIT_OK;
+}
+
+async function state(action, names, args) {
+  if (action === 'baseline') {
+    const watchers = resolveWatchers(names);
+    return runWatchers(watchers, args, { MODELWATCHER_BASELINE: '1', [ACCEPT_ENV]: 'all' });
+  }
+
+  if (names.length !== 1 || names[0] === 'all') throw new UsageError(`state ${action || '<action>'} takes exactly one watcher`);
+  const [watcher] = resolveWatchers(names);
+  const files = getStateFiles(watcher);
+
+  if (action === 'show') {
+    const documents = Object.fromEntries(files.map(file => [file, stateStoreFor(file).load(null)]));
+    if (args.json) {
+      console.log(JSON.stringify(documents, null, 2));
+    } else {
+      for (const [file, document] of Object.entries(documents)) {
+        console.log(`== ${file}`);
+        console.log(document === null ? '(no state saved)' : JSON.stringify(document, null, 2));
+      }
+    }
+    return EXIT_OK;
+  }
+
+  if (action === 'reset') {
+    if (!args.yes) {
+      console.error(`This forgets ${files.join(', ')}; the next run of ${watcher.name} starts over. Re-run with --yes to confirm.`);
+      return EXIT_USAGE;
+    }
+    for (const file of files) {
+      stateStoreFor(file).remove();
+      if (!args.quiet && !isDryRun()) console.log(`Reset ${file}`);
+    }
+    if (!args.quiet && !isDryRun()) console.log(`Run \`modelwatcher state baseline ${watcher.name}\` to start from the current data without notifications`);
+    return EXIT_OK;
+  }
+
+  throw new UsageError(`Unknown state action "${action || ''}" (show, reset, baseline)`);
+}
+
+async function notifyTest(action, names, args) {
+  if (action !== 'test') throw new UsageError(`Unknown notify action "${action || ''}" (test)`);
+
+  const results = [];
+  for (const watcher of resolveWatchers(names, { defaultAll: true })) {
+    const config = loadWatcherConfig(watcher);
+    if (!config) {
+      console.error(`${watcher.name}: config is invalid, run \`modelwatcher config validate ${watcher.name}\``);
+      results.push({ watcher: watcher.name, target: null, ok: false });
+      continue;
+    }
+
+    const notification = createNotification({
+      source: watcher.name,
+      title: '🔔 Test notification',
+      description: `Sent by \`modelwatcher notify test\` for the **${watcher.name}** watcher.`,
+      severity: 'info',
+      footer: 'Model Watcher'
+    });
+
+    const targets = [];
+    for (const envName of watcher.webhooks(config)) {
+      const url = getWebhookUrl(envName);
+      if (url) targets.push({ name: envName, type: 'discord', url });
+      else if (!args.quiet) console.log(`${watcher.name}: ${envName} is not set, skipping`);
+    }
+    targets.push(...getRoutedTargets(watcher.name));
+
+    for (const target of targets) {
+      const ok = await sendToTarget(notification, target);
+      results.push({ watcher: watcher.name, target: target.name, ok });
+      if (!args.quiet && !args.json) console.log(`${ok ? '✓' : '✗'} ${watcher.name} → ${target.name}`);
+    }
+  }
+
+  const sent = results.filter(result => result.target);
+  if (args.json) console.log(JSON.stringify(results, null, 2));
+  else if (sent.length === 0) console.error('No notification destinations configured');
+  return sent.length > 0 && results.every(result => result.ok) ? EXIT_OK : EXIT_FAILURE;
+}
+
+function configValidate(action, names, args) {
+  if (action !== 'validate') throw new UsageError(`Unknown config action "${action || ''}" (validate)`);
+
+  const configNames = names.length && !names.includes('all')
+    ? names.map(name => getWatcher(name)?.config || name)
+    : [...WATCHERS.map(watcher => watcher.config), 'notifications', 'daemon', 'feeds', 'http', 'watchdog'];
+
+  const results = configNames.map(name => {
+    const file = getConfigFiles(name).configFile;
+    try {
+      loadConfig(name);
+      return { config: name, file, valid: true, error: null };
+    } catch (err) {
+      return { config: name, file, valid: false, error: err.message };
+    }
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const result of results) {
+      if (result.valid && !args.quiet) console.log(`✓ ${result.file}`);
+      if (!result.valid) console.log(`✗ ${result.file}: ${result.error}`);
+    }
+  }
+  return results.every(result => result.valid) ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * Schedule for a watcher: daemon-config.json first, then the watcher's scan.intervalMinutes
+ * @param {Object} watcher - Watcher
+ * @param {Object} config - daemon-config.json
+ * @returns {Object|null} - { cron } or { intervalMinutes }, null when disabled or unscheduled
+ */
+function watcherSchedule(watcher, config) {
+  if (config.watchers?.[watcher.name]?.enabled === false) return null;
+  return getWatcherSchedule(watcher, config);
+}
+
+/**
+ * URL of a listening server's address
+ * @param {Object} address - server.address()
+ * @returns {string}
+ */
+function formatAddress(address) {
+  return `http://${address.address.includes(':') ? `[${address.address}]` : address.address}:${address.port}`;
+}
+
+async function daemon(names, args) {
+  const config = loadConfig('daemon');
+  const watchers = resolveWatchers(names, { defaultAll: true });
+  const log = message => console.log(`[daemon] ${new Date().toISOString()} ${message}`);
+  const scheduler = new Scheduler({
+    jitterSeconds: config.jitterSeconds,
+    backoff: config.backoff,
+    maxConcurrent: config.maxConcurrent,
+    log
+  });
+
+  const runJob = async job => {
+    log(`${job.name}: starting`);
+    const result = await runWatcher(job, args, {}, { prefix: true });
+    log(`${job.name}: ${result.ok ? 'finished' : `failed with exit code ${result.exitCode}`} in ${(result.durationMs / 1000).toFixed(1)}s`);
+    return result.ok;
+  };
+
+  const runs = loadRuns();
+  for (const watcher of watchers) {
+    const schedule = watcherSchedule(watcher, config);
+    if (!schedule) {
+      log(`${watcher.name}: no schedule (set scan.intervalMinutes or watchers.${watcher.name} in daemon-config.json), skipping`);
+      continue;
+    }
+    scheduler.add(watcher.name, schedule, () => runJob(watcher), { lastRun: runs.watchers[watcher.name]?.lastRun });
+  }
+
+  // Buffered digests are sent by digest-cli.js, which digest.yml runs under GitHub Actions
+  const digest = config.digest || {};
+  if ((names.length === 0 || names.includes('all')) && digest.enabled !== false && (digest.cron || digest.intervalMinutes)) {
+    scheduler.add('digest', digest.cron ? { cron: digest.cron } : { intervalMinutes: digest.intervalMinutes }, () => runJob({ name: 'digest', script: 'digest-cli.js' }));
+  }
+
+  // Likewise the watchdog (src/watchdog.js), which watchdog.yml runs under GitHub Actions
+  const watchdog = config.watchdog || {};
+  if ((names.length === 0 || names.includes('all')) && watchdog.enabled !== false && (watchdog.cron || watchdog.intervalMinutes)) {
+    scheduler.add('watchdog', watchdog.cron ? { cron: watchdog.cron } : { intervalMinutes: watchdog.intervalMinutes }, () => runJob({ name: 'watchdog', script: 'watchdog.js' }));
+  }
+
+  if (scheduler.jobs.size === 0) throw new Error('Nothing to schedule');
+
+  // Every run writes its metrics to logs/metrics/ (src/metrics.js); the API serves them merged
+  const metrics = { enabled: true, port: 9464, host: '127.0.0.1', ...config.metrics };
+  const server = metrics.enabled ? await startApiServer({ port: metrics.port, host: metrics.host }) : null;
+  if (server) log(`Serving metrics on ${formatAddress(server.address())}/metrics`);
+
+  scheduler.start();
+  for (const job of scheduler.describe()) log(`${job.name}: next run at ${job.nextRun}`);
+
+  // The first signal lets running watchers finish; a second one ends the daemon at once
+  await new Promise(resolveShutdown => {
+    const shutdown = async signal => {
+      const timeout = config.shutdownTimeoutSeconds;
+      log(`${signal} received, waiting up to ${timeout}s for ${scheduler.running.size} running job(s)`);
+      if (!await scheduler.stop(timeout * 1000)) {
+        log(`Stopping ${children.size} job(s) still running`);
+        for (const child of children) child.kill('SIGTERM');
+        await scheduler.stop();
+      }
+      if (server) await new Promise(resolveClose => server.close(resolveClose));
+      log('Stopped');
+      resolveShutdown();
+    };
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
+  });
+  return EXIT_OK;
+}
+
+async function serve(args) {
+  const port = args.port ? Number(args.port) : 8080;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new UsageError(`Invalid port "${args.port}"`);
+  const host = args.host || '127.0.0.1';
+
+  const server = await startApiServer({ port, host });
+  console.log(`API listening on ${formatAddress(server.address())}`);
+  if (!process.env.MODELWATCHER_API_TOKEN && !['127.0.0.1', '::1', 'localhost'].includes(host)) {
+    console.warn('MODELWATCHER_API_TOKEN is not set, so /api/* and /metrics are open to anyone who can reach this address');
+  }
+
+  await new Promise(resolveShutdown => {
+    const shutdown = () => server.close(() => resolveShutdown());
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
+  });
+  return EXIT_OK;
+}
+
+function site(rest, args) {
+  if (rest.length > 1) throw new UsageError('site takes at most one output directory');
+  const outDir = rest[0] ? resolve(rest[0]) : SITE_DIR;
+  const result = buildSite({ outDir });
+  if (args.json) console.log(JSON.stringify(result, null, 2));
+  else console.log(`Wrote ${result.pages} pages to ${outDir}`);
+  return EXIT_OK;
+}
+
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      'dry-run-out': { type: 'string' },
+      'state-dir': { type: 'string' },
+      json: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      yes: { type: 'boolean', short: 'y', default: false },
+      port: { type: 'string' },
+      host: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [command, ...rest] = positionals;
+  if (args.help || !command) {
+    console.log(USAGE);
+    return command || args.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  // Flags become the env variables every watcher already reads, so child processes see them too
+  if (args['dry-run']) process.env.MODELWATCHER_DRY_RUN = '1';
+  if (args['dry-run-out']) process.env.MODELWATCHER_DRY_RUN_OUT = resolve(args['dry-run-out']);
+  if (args['state-dir']) process.env.MODELWATCHER_STATE_DIR = resolve(args['state-dir']);
+
+  switch (command) {
+    case 'run':
+      return runWatchers(resolveWatchers(rest), args);
+    case 'daemon':
+      return daemon(rest, args);
+    case 'serve':
+      return serve(args);
+    case 'site':
+      return site(rest, args);
+    case 'status':
+      return status(args);
+    case 'diff':
+      return diff(rest, args);
+    case 'state':
+      return state(rest[0], rest.slice(1), args);
+    case 'notify':
+      return notifyTest(rest[0], rest.slice(1), args);
+    case 'config':
+      return configValidate(rest[0], rest.slice(1), args);
+    default:
+      throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+const isCli = process.argv[1] && /cli\.js$|modelwatcher$/.test(process.argv[1]);
+if (isCli) {
+  installRedaction();
+  main()
+    .then(code => process.exit(code))
+    .catch(err => {
+      const usage = err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS');
+      console.error(usage ? `${err.message}\n\n${USAGE}` : `Error: ${err.message}`);
+      process.exit(usage ? EXIT_USAGE : EXIT_FAILURE);
+    });
+}
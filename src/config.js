@@ -0,0 +1,146 @@
+import { readFileSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(__dirname, '..');
+
+/**
+ * Shared config loader for index.js and the watchers.
+ *
+ * loadConfig('bedrock') reads bedrock-config.json from the repo root and validates it
+ * against bedrock-config.schema.json (loadConfig('config') uses config.json /
+ * config.schema.json). Before validation, string values may reference env variables:
+ *   "${NAME}"            - value of NAME; an error if NAME is not set
+ *   "${NAME:-fallback}"  - value of NAME, or "fallback" when unset or empty
+ *   "$${NAME}"           - a literal "${NAME}"
+ * Schema `default`s are filled in for missing properties, so watchers see documented defaults.
+ */
+const ENV_PATTERN = /\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, discriminator: true, strict: false });
+addFormats(ajv);
+
+/**
+ * Get the config and schema file names for a config name
+ * @param {string} name - Config name, e.g. 'config' or 'bedrock'
+ * @returns {Object} - { configFile, schemaFile }
+ */
+export function getConfigFiles(name) {
+  const base = name === 'config' ? 'config' : `${name}-config`;
+  return {
+    configFile: `${base}.json`,
+    schemaFile: `${base}.schema.json`
+  };
+}
+
+/**
+ * Replace ${ENV} references in every string value of a config
+ * @param {*} value - Config value
+ * @param {string} path - JSON pointer of the value (for error messages)
+ * @param {Array<string>} errors - Collected error messages
+ * @returns {*} - Interpolated value
+ */
+export function interpolateEnv(value, path = '', errors = []) {
+  if (typeof value === 'string') {
+    return value.replace(ENV_PATTERN, (match, escaped, name, fallback) => {
+      if (escaped) return match.slice(1);
+      const envValue = process.env[name];
+      if (envValue !== undefined && envValue !== '') return envValue;
+      if (fallback !== undefined) return fallback;
+      errors.push(`${path || '/'}: env variable ${name} is not set (use \${${name}:-default} for a fallback)`);
+      return match;
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => interpolateEnv(item, `${path}/${i}`, errors));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      // Keys are never interpolated; `$schema` points at a file, not a template
+      result[key] = key === '$schema' ? item : interpolateEnv(item, `${path}/${key}`, errors);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Turn an Ajv error into a one-line, path-level message
+ * @param {Object} err - Ajv error object
+ * @returns {string} - Formatted message
+ */
+function formatSchemaError(err) {
+  const path = err.instancePath || '/';
+  switch (err.keyword) {
+    case 'required':
+      return `${path}: missing required property "${err.params.missingProperty}"`;
+    case 'additionalProperties':
+      return `${path}: unknown property "${err.params.additionalProperty}"`;
+    case 'enum':
+      return `${path}: must be one of ${err.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+    case 'const':
+      return `${path}: must be ${JSON.stringify(err.params.allowedValue)}`;
+    default:
+      return `${path}: ${err.message}`;
+  }
+}
+
+/**
+ * Validate a config object against a schema, filling in schema defaults
+ * @param {Object} config - Config object (mutated with defaults)
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<string>} - Path-level error messages (empty when valid)
+ */
+export function validateConfig(config, schema) {
+  const validate = ajv.compile(schema);
+  if (validate(config)) return [];
+
+  // oneOf/anyOf failures repeat the same branch errors; keep each message once
+  return [...new Set(validate.errors.map(formatSchemaError))];
+}
+
+/**
+ * Load, interpolate and validate a config file from the repo root
+ * @param {string} name - Config name, e.g. 'config' or 'bedrock'
+ * @param {Object} options - { rootDir } to load from another directory
+ * @returns {Object} - Validated configuration with defaults applied
+ */
+export function loadConfig(name, options = {}) {
+  const rootDir = options.rootDir || ROOT_DIR;
+  const { configFile, schemaFile } = getConfigFiles(name);
+  const configPath = join(rootDir, configFile);
+  const schemaPath = join(rootDir, schemaFile);
+
+  if (!existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(configPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`${configFile}: invalid JSON: ${err.message}`);
+  }
+
+  const errors = [];
+  const config = interpolateEnv(raw, '', errors);
+
+  if (existsSync(schemaPath)) {
+    const schema = JSON.parse(readFileSync(schemaPath, 'utf-8'));
+    errors.push(...validateConfig(config, schema));
+  } else {
+    console.warn(`No schema found for ${configFile} (expected ${schemaFile}), skipping validation`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${configFile}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  return config;
+}
+
+export default loadConfig;
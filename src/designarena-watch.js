@@ -1,51 +1,5 @@
-import axios from 'axios';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { dirname, join } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-
-// Use GitHub raw URL for logo
-const LOGO_URL = 'https://raw.githubusercontent.com/CloudWaddie/ModelWatcher/master/logo.jpg';
-
-/**
- * Load configuration from designarena-config.json
- * @returns {Object} Configuration object
- */
-function loadConfig() {
-  const configPath = join(__dirname, '..', 'designarena-config.json');
-  const configContent = readFileSync(configPath, 'utf-8');
-  return JSON.parse(configContent);
-}
-
-/**
- * Load state from state file
- * @param {string} statePath - Path to state file
- * @returns {Object} State object
- */
-function loadState(statePath) {
-  if (existsSync(statePath)) {
-    try {
-      return JSON.parse(readFileSync(statePath, 'utf-8'));
-    } catch (e) {
-      console.error('Failed to parse state file, starting fresh:', e.message);
-    }
-  }
-  return {};
-}
-
-/**
- * Save state to state file
- * @param {string} statePath - Path to state file
- * @param {Object} state - State object to save
- */
-function saveState(statePath, state) {
-  const dir = dirname(statePath);
-  if (!existsSync(dir)) {
-    mkdirSync(dir, { recursive: true });
-  }
-  writeFileSync(statePath, JSON.stringify(state, null, 2));
-}
+import { defineWatcher, runCli } from './runtime.js';
+import { fetchJson } from './http.js';
 
 /**
  * Fetch models from designarena.ai API
@@ -56,15 +10,11 @@ async function fetchModels(scanConfig) {
   console.log('Fetching models from designarena.ai...');
   
   try {
-    const response = await axios.get(url, {
-      timeout: scanConfig?.timeout || 30000,
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'ModelWatcher/1.0'
-      }
+    const data = await fetchJson(url, {
+      timeout: scanConfig?.timeout,
+      headers: { 'Accept': 'application/json' }
     });
     
-    const data = response.data;
     const modelsData = data.models || {};
     const providersData = data.providers || {};
     const pricingData = data.pricing || {};
@@ -92,254 +42,151 @@ async function fetchModels(scanConfig) {
   }
 }
 
+const SENDER = 'Design Arena Watcher';
+const STATE_LINK = { label: 'logs/designarena-state.json', url: 'https://github.com/CloudWaddie/ModelWatcher/blob/master/logs/designarena-state.json' };
+
 /**
- * Send a Discord webhook notification
- * @param {string} webhookUrl - Discord webhook URL
- * @param {Object} payload - Embed payload
- * @returns {Promise<boolean>} - Success status
+ * Split a list into numbered code-block sections, e.g. "New Models (16-30)"
+ * @param {string} label - Section title
+ * @param {Array<string>} lines - One line per item
+ * @param {number} perSection - Lines per section
+ * @returns {Array<Object>} - Sections
  */
-async function sendDiscordWebhook(webhookUrl, payload) {
-  if (!webhookUrl) {
-    console.log('Discord webhook URL not configured, skipping notification');
-    return false;
-  }
-
-  try {
-    await axios.post(webhookUrl, payload, {
-      headers: { 'Content-Type': 'application/json' }
+function listSections(label, lines, perSection) {
+  const sections = [];
+  for (let i = 0; i < lines.length; i += perSection) {
+    sections.push({
+      title: lines.length > perSection ? `${label} (${i + 1}-${Math.min(i + perSection, lines.length)})` : label,
+      text: '```\n' + lines.slice(i, i + perSection).join('\n') + '\n```'
     });
-    return true;
-  } catch (err) {
-    const details = err.response?.data ? JSON.stringify(err.response.data) : err.message;
-    console.error('Failed to send Discord webhook:', err.response?.status, details);
-    return false;
   }
+  return sections;
 }
 
 /**
- * Get Discord relative timestamp string
- * @returns {string} - Discord timestamp format
- */
-function getRelativeTimestamp() {
-  const unixSeconds = Math.floor(Date.now() / 1000);
-  return `<t:${unixSeconds}:R>`;
-}
-
-/**
- * Create Discord embed for new models
+ * Create the notification for new models
  * @param {Array} addedModels - Array of new models
- * @returns {Object} Discord embed object
+ * @returns {Object} Notification (src/notification.js)
  */
-function createNewModelsEmbed(addedModels) {
-  const maxPerField = 15;
+function createNewModelsNotification(addedModels) {
   const maxTotal = 30;
-  const fields = [];
-  
+  const notification = { sender: SENDER, title: '🆕 New Models Detected', severity: 'success', footer: SENDER };
+
   // If too many models, just show count
   if (addedModels.length > maxTotal) {
-    return {
-      username: 'Design Arena Watcher',
-      avatar_url: LOGO_URL,
-      embeds: [{
-        title: '🆕 New Models Detected',
-        description: `**Design Arena** added **${addedModels.length}** new models ${getRelativeTimestamp()}!\n\nFull list: [logs/designarena-state.json](https://github.com/CloudWaddie/ModelWatcher/blob/master/logs/designarena-state.json)`,
-        color: 0x10B981,
-        timestamp: new Date().toISOString(),
-        footer: {
-          text: 'Design Arena Watcher',
-          icon_url: LOGO_URL
-        }
-      }]
-    };
-  }
-  
-  for (let i = 0; i < addedModels.length; i += maxPerField) {
-    const chunk = addedModels.slice(i, i + maxPerField);
-    const modelList = chunk.map(m => `${m.id} (${m.provider})`).join('\n');
-    const label = addedModels.length > maxPerField 
-      ? `New Models (${i + 1}-${Math.min(i + maxPerField, addedModels.length)})`
-      : 'New Models';
-    
-    fields.push({
-      name: label,
-      value: '```\n' + modelList + '\n```'
-    });
+    return { ...notification, description: `**Design Arena** added **${addedModels.length}** new models!`, links: [STATE_LINK] };
   }
 
   return {
-    username: 'Design Arena Watcher',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '🆕 New Models Detected',
-      description: `**Design Arena** just added ${addedModels.length} new model${addedModels.length > 1 ? 's' : ''} ${getRelativeTimestamp()}!`,
-      color: 0x10B981,
-      fields,
-      timestamp: new Date().toISOString(),
-      footer: {
-        text: 'Design Arena Watcher',
-        icon_url: LOGO_URL
-      }
-    }]
+    ...notification,
+    description: `**Design Arena** just added ${addedModels.length} new model${addedModels.length > 1 ? 's' : ''}!`,
+    sections: listSections('New Models', addedModels.map(m => `${m.id} (${m.provider})`), 15)
   };
 }
 
 /**
- * Create Discord embed for removed models
+ * Create the notification for removed models
  * @param {Array} removedModels - Array of removed models
- * @returns {Object} Discord embed object
+ * @returns {Object} Notification (src/notification.js)
  */
-function createRemovedModelsEmbed(removedModels) {
-  const maxPerField = 15;
+function createRemovedModelsNotification(removedModels) {
   const maxTotal = 30;
-  const fields = [];
-  
+  const notification = { sender: SENDER, title: '🗑️ Models Removed', severity: 'error', footer: SENDER };
+
   if (removedModels.length > maxTotal) {
-    return {
-      username: 'Design Arena Watcher',
-      avatar_url: LOGO_URL,
-      embeds: [{
-        title: '🗑️ Models Removed',
-        description: `**Design Arena** removed **${removedModels.length}** models ${getRelativeTimestamp()}.\n\nFull list: [logs/designarena-state.json](https://github.com/CloudWaddie/ModelWatcher/blob/master/logs/designarena-state.json)`,
-        color: 0xEF4444,
-        timestamp: new Date().toISOString(),
-        footer: {
-          text: 'Design Arena Watcher',
-          icon_url: LOGO_URL
-        }
-      }]
-    };
-  }
-  
-  for (let i = 0; i < removedModels.length; i += maxPerField) {
-    const chunk = removedModels.slice(i, i + maxPerField);
-    const modelList = chunk.map(m => m.id).join('\n');
-    const label = removedModels.length > maxPerField 
-      ? `Removed Models (${i + 1}-${Math.min(i + maxPerField, removedModels.length)})`
-      : 'Removed Models';
-    
-    fields.push({
-      name: label,
-      value: '```\n' + modelList + '\n```'
-    });
+    return { ...notification, description: `**Design Arena** removed **${removedModels.length}** models.`, links: [STATE_LINK] };
   }
 
   return {
-    username: 'Design Arena Watcher',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '🗑️ Models Removed',
-      description: `**Design Arena** removed ${removedModels.length} model${removedModels.length > 1 ? 's' : ''} ${getRelativeTimestamp()}.`,
-      color: 0xEF4444,
-      fields,
-      timestamp: new Date().toISOString(),
-      footer: {
-        text: 'Design Arena Watcher',
-        icon_url: LOGO_URL
-      }
-    }]
+    ...notification,
+    description: `**Design Arena** removed ${removedModels.length} model${removedModels.length > 1 ? 's' : ''}.`,
+    sections: listSections('Removed Models', removedModels.map(m => m.id), 15)
   };
 }
 
-function createProviderChangesEmbed(providers) {
-  const maxPerField = 15;
+function createProviderChangesNotification(providers) {
   const maxTotal = 30;
-  const fields = [];
-  
   const added = providers.added || [];
   const removed = providers.removed || [];
-  
+
   if (added.length === 0 && removed.length === 0) {
     return null;
   }
-  
+
+  const notification = { sender: SENDER, title: '🏢 Providers Changed', color: 0x8B5CF6, footer: SENDER };
+
   if (added.length + removed.length > maxTotal) {
-    return {
-      username: 'Design Arena Watcher',
-      avatar_url: LOGO_URL,
-      embeds: [{
-        title: '🏢 Providers Changed',
-        description: `**Design Arena** had **${added.length}** providers added and **${removed.length}** removed ${getRelativeTimestamp()}`,
-        color: 0x8B5CF6,
-        timestamp: new Date().toISOString(),
-        footer: { text: 'Design Arena Watcher', icon_url: LOGO_URL }
-      }]
-    };
+    return { ...notification, description: `**Design Arena** had **${added.length}** providers added and **${removed.length}** removed` };
   }
-  
+
+  const sections = [];
   if (added.length > 0) {
     const addedList = added.map(p => `${p.id} (${p.displayName || 'N/A'})`).join('\n');
-    fields.push({ name: `Added Providers (${added.length})`, value: '```\n' + addedList + '\n```' });
+    sections.push({ title: `Added Providers (${added.length})`, text: '```\n' + addedList + '\n```' });
   }
-  
+
   if (removed.length > 0) {
     const removedList = removed.map(p => p.id).join('\n');
-    fields.push({ name: `Removed Providers (${removed.length})`, value: '```\n' + removedList + '\n```' });
+    sections.push({ title: `Removed Providers (${removed.length})`, text: '```\n' + removedList + '\n```' });
   }
-  
+
   return {
-    username: 'Design Arena Watcher',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '🏢 Providers Changed',
-      description: `**Design Arena** had ${added.length} providers added and ${removed.length} removed ${getRelativeTimestamp()}`,
-      color: 0x8B5CF6,
-      fields,
-      timestamp: new Date().toISOString(),
-      footer: { text: 'Design Arena Watcher', icon_url: LOGO_URL }
-    }]
+    ...notification,
+    description: `**Design Arena** had ${added.length} providers added and ${removed.length} removed`,
+    sections
   };
 }
 
-function createPricingChangesEmbed(pricing) {
-  const maxPerField = 15;
+function createPricingChangesNotification(pricing) {
   const maxTotal = 30;
-  const fields = [];
-  
   const added = pricing.added || [];
   const removed = pricing.removed || [];
-  
+
   if (added.length === 0 && removed.length === 0) {
     return null;
   }
-  
+
+  const notification = { sender: SENDER, title: '💰 Pricing Changed', severity: 'warning', footer: SENDER };
+
   if (added.length + removed.length > maxTotal) {
-    return {
-      username: 'Design Arena Watcher',
-      avatar_url: LOGO_URL,
-      embeds: [{
-        title: '💰 Pricing Changed',
-        description: `**Design Arena** had **${added.length}** pricing entries added and **${removed.length}** removed ${getRelativeTimestamp()}`,
-        color: 0xF59E0B,
-        timestamp: new Date().toISOString(),
-        footer: { text: 'Design Arena Watcher', icon_url: LOGO_URL }
-      }]
-    };
+    return { ...notification, description: `**Design Arena** had **${added.length}** pricing entries added and **${removed.length}** removed` };
   }
-  
+
+  const sections = [];
   if (added.length > 0) {
     const addedList = added.map(p => p.id).join('\n');
-    fields.push({ name: `Added Pricing (${added.length})`, value: '```\n' + addedList + '\n```' });
+    sections.push({ title: `Added Pricing (${added.length})`, text: '```\n' + addedList + '\n```' });
   }
-  
+
   if (removed.length > 0) {
     const removedList = removed.map(p => p.id).join('\n');
-    fields.push({ name: `Removed Pricing (${removed.length})`, value: '```\n' + removedList + '\n```' });
+    sections.push({ title: `Removed Pricing (${removed.length})`, text: '```\n' + removedList + '\n```' });
   }
-  
+
   return {
-    username: 'Design Arena Watcher',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '💰 Pricing Changed',
-      description: `**Design Arena** had ${added.length} pricing entries added and ${removed.length} removed ${getRelativeTimestamp()}`,
-      color: 0xF59E0B,
-      fields,
-      timestamp: new Date().toISOString(),
-      footer: { text: 'Design Arena Watcher', icon_url: LOGO_URL }
-    }]
+    ...notification,
+    description: `**Design Arena** had ${added.length} pricing entries added and ${removed.length} removed`,
+    sections
   };
 }
 
+/**
+ * Turn detectChanges output into change events for the event log
+ * @param {Object} changes - Result of detectChanges
+ * @returns {Array} - Event changes for recordEvents
+ */
+export function buildEvents(changes) {
+  const toEvents = (kind, { added, removed }) => [
+    ...added.map(item => ({ entity: `${kind}:${item.id}`, type: 'added', data: item })),
+    ...removed.map(item => ({ entity: `${kind}:${item.id}`, type: 'removed', data: item }))
+  ];
+  return [
+    ...toEvents('model', changes.models),
+    ...toEvents('provider', changes.providers),
+    ...toEvents('pricing', changes.pricing)
+  ];
+}
+
 /**
  * Detect changes between current and previous state
  * @param {Array} currentModels - Current models from API
@@ -350,7 +197,7 @@ function createPricingChangesEmbed(pricing) {
  * @param {Array} previousPricing - Previous pricing from state
  * @returns {Object} Changes detected
  */
-function detectChanges(currentModels, previousModels, currentProviders, previousProviders, currentPricing, previousPricing) {
+export function detectChanges(currentModels, previousModels, currentProviders, previousProviders, currentPricing, previousPricing) {
   const currentModelIds = new Set(currentModels.map(m => m.id));
   const previousModelIds = new Set(previousModels.map(m => m.id));
   
@@ -386,79 +233,54 @@ function detectChanges(currentModels, previousModels, currentProviders, previous
 }
 
 /**
- * Main function to check designarena.ai and post notifications
+ * One message per kind of change, each with the events it reports
+ * @param {Object} changes - Result of detectChanges
+ * @param {Array} events - Result of buildEvents
+ * @returns {Array<Object>} - [{ message, events }]
  */
-async function main() {
-  console.log('=== Design Arena Watcher ===');
-  console.log('Starting model check...');
-  
-  const config = loadConfig();
-  const statePath = join(__dirname, '..', config.state?.file || 'logs/designarena-state.json');
-  const previousState = loadState(statePath);
-  
-  const webhookUrl = process.env[config.webhook?.webhookEnv];
-  
-  if (!webhookUrl) {
-    console.error(`Webhook URL not configured (${config.webhook?.webhookEnv} env not set), exiting`);
-    process.exit(1);
+function renderChanges(changes, events) {
+  const eventsFor = (...kinds) => events.filter(event => kinds.some(kind => event.entity.startsWith(`${kind}:`)));
+  const messages = [];
+  if (changes.models.added.length > 0) {
+    messages.push({ message: createNewModelsNotification(changes.models.added), events: eventsFor('model').filter(event => event.type === 'added') });
   }
-  
-  // Fetch current models
-  const result = await fetchModels(config.scan);
-  
-  if (!result.success) {
-    console.error('Failed to fetch models:', result.error);
-    process.exit(1);
+  if (changes.models.removed.length > 0) {
+    messages.push({ message: createRemovedModelsNotification(changes.models.removed), events: eventsFor('model').filter(event => event.type === 'removed') });
   }
-  
-  const currentModels = result.models;
-  const currentProviders = result.providers;
-  const currentPricing = result.pricing;
-  const previousModels = previousState.models || [];
-  const previousProviders = previousState.providers || [];
-  const previousPricing = previousState.pricing || [];
-  
-  const changes = detectChanges(currentModels, previousModels, currentProviders, previousProviders, currentPricing, previousPricing);
-  
-  if (changes.hasChanges) {
-    console.log(`Changes detected: ${changes.summary.modelsAdded} models added, ${changes.summary.modelsRemoved} models removed, ${changes.summary.providersAdded} providers added, ${changes.summary.providersRemoved} providers removed, ${changes.summary.pricingAdded} pricing added, ${changes.summary.pricingRemoved} pricing removed`);
-    
-    if (changes.models.added.length > 0) {
-      const embed = createNewModelsEmbed(changes.models.added);
-      await sendDiscordWebhook(webhookUrl, embed);
-    }
-    
-    if (changes.models.removed.length > 0) {
-      const embed = createRemovedModelsEmbed(changes.models.removed);
-      await sendDiscordWebhook(webhookUrl, embed);
-    }
-    
-    if (changes.providers.added.length > 0 || changes.providers.removed.length > 0) {
-      const embed = createProviderChangesEmbed(changes.providers);
-      await sendDiscordWebhook(webhookUrl, embed);
-    }
-    
-    if (changes.pricing.added.length > 0 || changes.pricing.removed.length > 0) {
-      const embed = createPricingChangesEmbed(changes.pricing);
-      await sendDiscordWebhook(webhookUrl, embed);
-    }
-  } else {
-    console.log('No changes detected');
+  if (changes.providers.added.length > 0 || changes.providers.removed.length > 0) {
+    messages.push({ message: createProviderChangesNotification(changes.providers), events: eventsFor('provider') });
   }
-  
-  const newState = {
-    timestamp: Date.now(),
-    models: currentModels,
-    providers: currentProviders,
-    pricing: currentPricing
-  };
-  saveState(statePath, newState);
-  
-  console.log(`=== Design Arena scan complete: ${currentModels.length} models ===`);
+  if (changes.pricing.added.length > 0 || changes.pricing.removed.length > 0) {
+    messages.push({ message: createPricingChangesNotification(changes.pricing), events: eventsFor('pricing') });
+  }
+  return messages;
 }
 
-// Run main function
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
\ No newline at end of file
+// Models are the tracked items; providers and pricing ride along in the same state document
+export const watcher = defineWatcher({
+  name: 'designarena',
+  key: m => m.id,
+  fetch: async ctx => {
+    const result = await fetchModels(ctx.config.scan);
+    if (!result.success) throw new Error(`Failed to fetch models: ${result.error}`);
+    return result;
+  },
+  normalize: result => result.models,
+  diff: (previous, models, ctx) => detectChanges(
+    models, previous,
+    ctx.raw.providers, ctx.state.providers || [],
+    ctx.raw.pricing, ctx.state.pricing || []
+  ),
+  hasChanges: changes => changes.hasChanges,
+  events: changes => buildEvents(changes),
+  render: (changes, ctx) => renderChanges(changes, ctx.events),
+  load: state => state.models || [],
+  save: (models, ctx) => ({
+    timestamp: Date.now(),
+    models,
+    providers: ctx.raw.providers,
+    pricing: ctx.raw.pricing
+  })
+});
+
+runCli(watcher, import.meta.url);
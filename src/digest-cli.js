@@ -0,0 +1,38 @@
+import { parseArgs } from 'util';
+import { flushDigests } from './transports.js';
+import { bufferedDigests } from './digest.js';
+
+/**
+ * Send buffered notification digests that are due (run on a schedule by digest.yml).
+ *
+ * Usage: npm run digest -- [options]
+ *   --force      Send every buffered digest now, whatever its schedule
+ *   --dry-run    Print the digests that would be sent without sending them
+ *   --list       Show what is buffered per destination and exit
+ */
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      force: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      list: { type: 'boolean', default: false }
+    }
+  });
+
+  if (args.list) {
+    const digests = bufferedDigests();
+    if (digests.length === 0) console.log('No buffered notifications');
+    for (const digest of digests) {
+      console.log(`${digest.destination} (${digest.digestKey}): ${digest.entries.length} notification(s) since ${digest.entries[0].queuedAt}`);
+    }
+    return;
+  }
+
+  const results = await flushDigests({ force: args.force, dryRun: args['dry-run'] });
+  if (results.length === 0) console.log('No digests due');
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,219 @@
+import { enqueue, pendingEntries, markDone, compactOutbox } from './outbox.js';
+import { createNotification, stripDiscordMarkup } from './notification.js';
+import { resolveStatePath } from './state-store.js';
+
+/**
+ * Digest mode: hold notifications back and send one grouped summary on a schedule.
+ *
+ * Configured in the `digest` block of notifications-config.json, per watcher or per
+ * destination (a Discord webhook by its env variable name, or a routed target by name):
+ *   "digest": {
+ *     "watchers": { "lmarena": { "schedule": "daily", "at": "09:00" } },
+ *     "webhooks": {
+ *       "WEBHOOK_SMALL": { "schedule": "weekly", "day": "monday" },
+ *       "ops-slack": { "schedule": "count", "count": 20 }
+ *     }
+ *   }
+ * A destination setting wins over the watcher's. Schedules are in UTC; `count` can be
+ * added to daily/weekly digests to send early once that many notifications are waiting.
+ *
+ * Held notifications are buffered per destination in logs/digest.jsonl (outbox format,
+ * see src/outbox.js). Destinations are stored as `env:NAME`, `target:NAME` or, for a
+ * webhook URL not found in the environment, `url:<hash>` - never the URL itself.
+ */
+export const SCHEDULES = ['daily', 'weekly', 'count'];
+
+/**
+ * Path of the digest buffer (logs/digest.jsonl, under --state-dir when set)
+ * @returns {string}
+ */
+export function getDigestFile() {
+  return resolveStatePath('logs/digest.jsonl');
+}
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Keeps each source's part of the summary within Discord's field limit
+const MAX_ITEMS_PER_SOURCE = 10;
+const MAX_SUMMARY_LENGTH = 80;
+
+/**
+ * Find the digest settings for a delivery
+ * @param {string} source - Watcher name
+ * @param {string} destination - Destination key (env:NAME, target:NAME or url:HASH)
+ * @param {Object} config - notifications-config.json
+ * @returns {Object|null} - { key, settings } or null to send immediately
+ */
+export function getDigestSettings(source, destination, config) {
+  const digest = config?.digest || {};
+  const name = destination.slice(destination.indexOf(':') + 1);
+  if (digest.webhooks?.[name]) return { key: `webhooks.${name}`, settings: digest.webhooks[name] };
+  if (digest.watchers?.[source]) return { key: `watchers.${source}`, settings: digest.watchers[source] };
+  return null;
+}
+
+/**
+ * Look up settings by the key returned from getDigestSettings
+ * @param {string} key - e.g. 'watchers.lmarena'
+ * @param {Object} config - notifications-config.json
+ * @returns {Object|null}
+ */
+function settingsForKey(key, config) {
+  const [section, ...rest] = key.split('.');
+  return config?.digest?.[section]?.[rest.join('.')] || null;
+}
+
+/**
+ * Most recent scheduled send time at or before now
+ * @param {Object} settings - { schedule, at, day }
+ * @param {Date} now - Current time
+ * @returns {Date|null} - null for count-only digests
+ */
+export function lastBoundary(settings, now = new Date()) {
+  if (settings.schedule === 'count') return null;
+  const [hours, minutes] = String(settings.at || '09:00').split(':').map(Number);
+  const boundary = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hours, minutes || 0));
+  if (boundary > now) boundary.setUTCDate(boundary.getUTCDate() - 1);
+
+  if (settings.schedule === 'weekly') {
+    const day = WEEKDAYS.indexOf(String(settings.day || 'monday').toLowerCase());
+    while (boundary.getUTCDay() !== day) boundary.setUTCDate(boundary.getUTCDate() - 1);
+  }
+  return boundary;
+}
+
+/**
+ * Check whether buffered entries are due to be sent
+ * @param {Array} entries - Buffered entries for one destination and digest, oldest first
+ * @param {Object} settings - Digest settings
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isDue(entries, settings, now = new Date()) {
+  if (entries.length === 0) return false;
+  if (settings.count && entries.length >= settings.count) return true;
+  const boundary = lastBoundary(settings, now);
+  return Boolean(boundary) && Date.parse(entries[0].queuedAt) <= boundary.getTime();
+}
+
+/**
+ * Reduce a notification to a digest line
+ * @param {Object} notification - Notification
+ * @param {string} group - Provider/endpoint the notification is about, if known
+ * @returns {Object} - { source, group, title, summary, url, severity, timestamp }
+ */
+export function digestItem(notification, group = null) {
+  const text = notification.description || notification.sections.find(section => section.text)?.text || '';
+  const firstLine = stripDiscordMarkup(text).split('\n').map(line => line.trim()).find(Boolean) || '';
+  return {
+    source: notification.source,
+    group,
+    title: stripDiscordMarkup(notification.title) || notification.source,
+    summary: firstLine.length > MAX_SUMMARY_LENGTH ? firstLine.slice(0, MAX_SUMMARY_LENGTH - 1) + '…' : firstLine,
+    url: notification.url || notification.links[0]?.url || null,
+    severity: notification.severity,
+    timestamp: notification.timestamp
+  };
+}
+
+/**
+ * Buffer a notification for a destination
+ * @param {string} destination - Destination key
+ * @param {string} digestKey - Key from getDigestSettings
+ * @param {Object} item - From digestItem()
+ * @param {string} file - Buffer file
+ */
+export function bufferItem(destination, digestKey, item, file = getDigestFile()) {
+  enqueue({ target: destination, payload: { digest: digestKey, item } }, file);
+}
+
+/**
+ * Group buffered entries by destination and digest
+ * @param {string} file - Buffer file
+ * @returns {Array<Object>} - [{ destination, digestKey, entries }]
+ */
+export function bufferedDigests(file = getDigestFile()) {
+  const groups = new Map();
+  for (const entry of pendingEntries(file)) {
+    const id = `${entry.target}|${entry.payload.digest}`;
+    if (!groups.has(id)) groups.set(id, { destination: entry.target, digestKey: entry.payload.digest, entries: [] });
+    groups.get(id).entries.push(entry);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * List buffered digests that are due
+ * @param {Object} config - notifications-config.json
+ * @param {Object} options - { file, now, force }
+ * @returns {Array<Object>} - [{ destination, digestKey, entries }]
+ */
+export function dueDigests(config, { file = getDigestFile(), now = new Date(), force = false } = {}) {
+  return bufferedDigests(file).filter(digest => {
+    if (force) return true;
+    // Digests removed from the config are sent on the next run rather than kept forever
+    const settings = settingsForKey(digest.digestKey, config);
+    return !settings || isDue(digest.entries, settings, now);
+  });
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+/**
+ * Build the summary notification for buffered entries, grouped by source and provider
+ * @param {Array} entries - Buffered entries
+ * @returns {Object} - Notification
+ */
+export function buildDigest(entries) {
+  const items = entries.map(entry => entry.payload.item);
+  const bySource = new Map();
+  for (const item of items) {
+    if (!bySource.has(item.source)) bySource.set(item.source, []);
+    bySource.get(item.source).push(item);
+  }
+
+  const sections = [];
+  for (const [source, sourceItems] of bySource) {
+    const byGroup = new Map();
+    for (const item of sourceItems.slice(0, MAX_ITEMS_PER_SOURCE)) {
+      const group = item.group || '';
+      if (!byGroup.has(group)) byGroup.set(group, []);
+      byGroup.get(group).push(item);
+    }
+
+    const lines = [];
+    for (const [group, groupItems] of byGroup) {
+      if (group) lines.push(`**${group}**`);
+      for (const item of groupItems) {
+        const title = item.url ? `[${item.title}](${item.url})` : item.title;
+        lines.push(`• ${title}${item.summary ? ` — ${item.summary}` : ''}`);
+      }
+    }
+    if (sourceItems.length > MAX_ITEMS_PER_SOURCE) {
+      lines.push(`…and ${sourceItems.length - MAX_ITEMS_PER_SOURCE} more`);
+    }
+    sections.push({ title: `${source} (${sourceItems.length})`, text: lines.join('\n') });
+  }
+
+  const severity = items.some(item => ['error', 'critical'].includes(item.severity)) ? 'warning' : 'info';
+  return createNotification({
+    source: 'digest',
+    title: `📬 Digest — ${items.length} notification${items.length === 1 ? '' : 's'}`,
+    description: `From ${formatTime(entries[0].queuedAt)} to ${formatTime(entries[entries.length - 1].queuedAt)}`,
+    severity,
+    sections,
+    footer: 'Model Watcher digest'
+  });
+}
+
+/**
+ * Remove sent entries from the buffer
+ * @param {Array} entries - Entries that were sent
+ * @param {string} file - Buffer file
+ */
+export function markDigestSent(entries, file = getDigestFile()) {
+  for (const entry of entries) markDone(entry.id, 'delivered', file);
+  compactOutbox(file);
+}
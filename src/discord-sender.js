@@ -0,0 +1,234 @@
+import axios from 'axios';
+import { isDryRun, isBaselineRun, recordPayload } from './dry-run.js';
+import { enqueue, pendingEntries, markDone, compactOutbox, targetKey, MAX_AGE_MS, getOutboxFile } from './outbox.js';
+
+/**
+ * The single path every Discord webhook request goes through.
+ *
+ * Requests wait out the webhook's bucket when X-RateLimit-Remaining hits 0, honour
+ * `retry_after` on 429s, and retry network errors and 5xx responses with exponential
+ * backoff. A message that still cannot be delivered is queued in the outbox
+ * (src/outbox.js) instead of being lost. Every run flushes the outbox when it starts
+ * (startRun() in src/watchdog.js), and new messages wait for that flush to finish.
+ */
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 1000;
+// A longer retry_after (e.g. a global or Cloudflare ban) goes to the outbox instead
+const MAX_RETRY_WAIT_MS = 60 * 1000;
+const REQUEST_TIMEOUT = 15000;
+
+const DISCORD_WEBHOOK_PATTERN = /^https:\/\/(?:ptb\.|canary\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+/;
+
+// Webhook URL -> time (ms) its rate-limit bucket resets, once exhausted
+const buckets = new Map();
+
+// Target key -> URL, for every webhook this process knows about
+const knownWebhooks = new Map();
+
+// Webhooks that already failed this run; later messages queue straight away, in order
+const unavailable = new Set();
+
+let flushPromise = null;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Remember a webhook URL so outbox entries for it can be delivered
+ * @param {string} url - Discord webhook URL
+ */
+export function rememberWebhook(url) {
+  knownWebhooks.set(targetKey(url), url.split('?')[0]);
+}
+
+/**
+ * Discord webhook URLs available to this run: the ones sent to so far and any in the environment
+ * @returns {Map<string, string>} - Target key -> URL
+ */
+function webhookUrls() {
+  for (const value of Object.values(process.env)) {
+    if (value && DISCORD_WEBHOOK_PATTERN.test(value)) rememberWebhook(value);
+  }
+  return knownWebhooks;
+}
+
+/**
+ * Milliseconds to wait after a 429
+ * @param {Object} res - Axios response
+ * @returns {number}
+ */
+function retryAfterMs(res) {
+  const seconds = Number(res.data?.retry_after ?? res.headers['retry-after'] ?? res.headers['x-ratelimit-reset-after'] ?? 1);
+  return Math.ceil((Number.isFinite(seconds) ? seconds : 1) * 1000) + 50;
+}
+
+function updateBucket(url, headers) {
+  if (headers['x-ratelimit-remaining'] === '0') {
+    const resetAfter = Number(headers['x-ratelimit-reset-after'] || 1);
+    buckets.set(url, Date.now() + resetAfter * 1000);
+  }
+}
+
+async function waitForBucket(url) {
+  const resetAt = buckets.get(url);
+  if (!resetAt) return;
+  buckets.delete(url);
+  const wait = resetAt - Date.now();
+  if (wait > 0) await sleep(wait);
+}
+
+/**
+ * Make one Discord webhook request, retrying rate limits, 5xx and network errors
+ * @param {string} url - Webhook URL (or a /messages/<id> URL under it)
+ * @param {Object} options - { method, payload, query } (query without the leading ?)
+ * @returns {Promise<Object>} - { ok, status, data, retryable, error }
+ */
+export async function discordRequest(url, { method = 'POST', payload, query = null } = {}) {
+  const baseUrl = url.split('?')[0];
+  if (isDryRun()) {
+    recordPayload({ target: 'Discord webhook', type: 'discord', method, payload });
+    return { ok: true, status: 200, data: { id: 'dry-run' } };
+  }
+  if (isBaselineRun()) {
+    console.log('[baseline] Not sending Discord message');
+    return { ok: true, status: 200, data: { id: 'baseline' } };
+  }
+  let last = { ok: false, status: null, retryable: true, error: 'not sent' };
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    await waitForBucket(baseUrl);
+
+    let res;
+    try {
+      res = await axios({
+        method,
+        url: query ? `${baseUrl}?${query}` : baseUrl,
+        data: payload,
+        headers: { 'Content-Type': 'application/json' },
+        timeout: REQUEST_TIMEOUT,
+        validateStatus: () => true,
+        // Webhook URLs are secrets; keep them out of HTTP cassettes
+        cassette: false
+      });
+    } catch (err) {
+      last = { ok: false, status: null, retryable: true, error: err.message };
+      if (attempt < MAX_ATTEMPTS) await sleep(BASE_BACKOFF_MS * 2 ** (attempt - 1) + Math.random() * 250);
+      continue;
+    }
+
+    updateBucket(baseUrl, res.headers);
+    if (res.status >= 200 && res.status < 300) {
+      return { ok: true, status: res.status, data: res.data };
+    }
+
+    const error = typeof res.data === 'string' ? res.data : JSON.stringify(res.data);
+    if (res.status === 429) {
+      const wait = retryAfterMs(res);
+      last = { ok: false, status: 429, retryable: true, error };
+      if (wait > MAX_RETRY_WAIT_MS) break;
+      console.log(`Discord rate limited, retrying in ${(wait / 1000).toFixed(1)}s`);
+      await sleep(wait);
+      continue;
+    }
+    if (res.status >= 500) {
+      last = { ok: false, status: res.status, retryable: true, error };
+      if (attempt < MAX_ATTEMPTS) await sleep(BASE_BACKOFF_MS * 2 ** (attempt - 1) + Math.random() * 250);
+      continue;
+    }
+
+    // Other 4xx (bad payload, deleted webhook) will not succeed later either
+    return { ok: false, status: res.status, retryable: false, error };
+  }
+
+  return last;
+}
+
+/**
+ * Deliver queued messages for every webhook this run knows, oldest first
+ * @param {Object} options - { file }
+ * @returns {Promise<Object>} - { delivered, failed, expired, pending }
+ */
+export async function flushOutbox({ file = getOutboxFile() } = {}) {
+  const stats = { delivered: 0, failed: 0, expired: 0, pending: 0 };
+  const entries = pendingEntries(file);
+  if (entries.length === 0) return stats;
+
+  const urls = webhookUrls();
+  // A target that is still failing keeps its remaining entries in order
+  const blocked = new Set();
+
+  for (const entry of entries) {
+    if (Date.now() - Date.parse(entry.queuedAt) > MAX_AGE_MS) {
+      markDone(entry.id, 'expired', file);
+      stats.expired++;
+      continue;
+    }
+    const url = urls.get(entry.target);
+    if (!url || blocked.has(entry.target)) {
+      stats.pending++;
+      continue;
+    }
+
+    const result = await discordRequest(url, { payload: entry.payload, query: entry.query });
+    if (result.ok) {
+      markDone(entry.id, 'delivered', file);
+      stats.delivered++;
+    } else if (!result.retryable) {
+      console.error(`Discord rejected queued message ${entry.id}:`, result.status, result.error);
+      markDone(entry.id, 'rejected', file);
+      stats.failed++;
+    } else {
+      blocked.add(entry.target);
+      stats.pending++;
+    }
+  }
+
+  compactOutbox(file);
+  console.log(`Outbox: ${stats.delivered} delivered, ${stats.failed} rejected, ${stats.expired} expired, ${stats.pending} still queued`);
+  return stats;
+}
+
+/**
+ * Flush the outbox once per run; later calls wait for the same flush
+ * @returns {Promise<Object>}
+ */
+export function flushOutboxOnce() {
+  // A dry run must not deliver (or drop) anything queued by earlier runs
+  if (isDryRun()) return Promise.resolve(null);
+  if (!flushPromise) {
+    flushPromise = flushOutbox().catch(err => {
+      console.error('Failed to flush Discord outbox:', err.message);
+      return null;
+    });
+  }
+  return flushPromise;
+}
+
+/**
+ * Post a message to a Discord webhook, queueing it in the outbox if it cannot be delivered now
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {Object} payload - Message payload
+ * @param {Object} options - { query } e.g. 'with_components=true'
+ * @returns {Promise<boolean>} - True if delivered now
+ */
+export async function deliverDiscordPayload(webhookUrl, payload, { query = null } = {}) {
+  rememberWebhook(webhookUrl);
+  await flushOutboxOnce();
+
+  const key = targetKey(webhookUrl);
+  if (unavailable.has(key)) {
+    const entry = enqueue({ url: webhookUrl, query, payload, reason: 'webhook unavailable earlier in this run' });
+    console.log(`Queued message ${entry.id} in the outbox for the next run`);
+    return false;
+  }
+
+  const result = await discordRequest(webhookUrl, { payload, query });
+  if (result.ok) return true;
+
+  console.error('Failed to send Discord webhook:', result.status, result.error);
+  if (result.retryable) {
+    unavailable.add(key);
+    const entry = enqueue({ url: webhookUrl, query, payload, reason: `${result.status || 'network'}: ${String(result.error).slice(0, 200)}` });
+    console.log(`Queued message ${entry.id} in the outbox for the next run`);
+  }
+  return false;
+}
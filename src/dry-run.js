@@ -0,0 +1,179 @@
+import { writeFileSync, mkdirSync } from 'fs';
+import { join, dirname, basename, extname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { renderPreview } from './preview.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Dry-run mode for index.js and every watcher.
+ *
+ * Started with `--dry-run` (e.g. `npm run lmarena -- --dry-run`) or MODELWATCHER_DRY_RUN=1,
+ * a watcher fetches and diffs as usual, but:
+ *   - state files, event logs, the outbox and digest buffers are not written
+ *   - nothing is sent; every payload that would go out is recorded instead
+ *   - unset webhook env variables get a placeholder, so their payloads are still built
+ *
+ * The recorded payloads are printed to stdout, or written as JSON to the file given by
+ * `--dry-run-out FILE` / MODELWATCHER_DRY_RUN_OUT. Either way an HTML preview that
+ * approximates how Discord renders them (src/preview.js) is written next to that file,
+ * or to logs/dry-run/<watcher>.html. With FILE, the state documents and change events the
+ * run would have written go to FILE's .writes.json sibling as { state: { [key]: document },
+ * events }, so a replayed run (test/) can be checked end to end.
+ *
+ * Replaying an HTTP cassette (src/cassette.js) is always a dry run.
+ *
+ * A baseline run (MODELWATCHER_BASELINE=1, set by `modelwatcher state baseline`) is the
+ * opposite: state is saved as usual, but nothing is sent and no events are recorded, so the
+ * current data becomes the new starting point without announcing it.
+ */
+const PLACEHOLDER_PREFIX = 'dry-run://';
+
+const recorded = [];
+// State key -> document, and events, that were not written
+const writes = { state: {}, events: [] };
+let exitHook = false;
+
+function onExit() {
+  if (exitHook) return;
+  exitHook = true;
+  process.on('exit', writeOutput);
+}
+
+/**
+ * Check whether this process is a dry run
+ * @returns {boolean}
+ */
+export function isDryRun() {
+  return process.argv.includes('--dry-run') ||
+    /^(1|true|yes)$/i.test(process.env.MODELWATCHER_DRY_RUN || '') ||
+    /^replay$/i.test(process.env.MODELWATCHER_HTTP || '');
+}
+
+/**
+ * Check whether this process is a baseline run
+ * @returns {boolean}
+ */
+export function isBaselineRun() {
+  return /^(1|true|yes)$/i.test(process.env.MODELWATCHER_BASELINE || '');
+}
+
+/**
+ * Output file from --dry-run-out FILE, --dry-run-out=FILE or MODELWATCHER_DRY_RUN_OUT
+ * @returns {string|null}
+ */
+function outputFile() {
+  const args = process.argv;
+  const index = args.findIndex(arg => arg === '--dry-run-out' || arg.startsWith('--dry-run-out='));
+  if (index !== -1) {
+    const value = args[index].includes('=') ? args[index].slice(args[index].indexOf('=') + 1) : args[index + 1];
+    if (value) return resolve(value);
+  }
+  return process.env.MODELWATCHER_DRY_RUN_OUT ? resolve(process.env.MODELWATCHER_DRY_RUN_OUT) : null;
+}
+
+/**
+ * Name of the running script, e.g. 'lmarena-watch'
+ * @returns {string}
+ */
+function scriptName() {
+  return process.argv[1] ? basename(process.argv[1], extname(process.argv[1])) : 'modelwatcher';
+}
+
+/**
+ * Read a webhook URL from the environment. In a dry run an unset variable gets a
+ * placeholder, so the watcher still builds the payloads it would send there.
+ * @param {string} envName - Env variable name
+ * @returns {string|undefined}
+ */
+export function getWebhookUrl(envName) {
+  const url = envName ? process.env[envName] : undefined;
+  if (url || !envName || !isDryRun()) return url;
+  return `${PLACEHOLDER_PREFIX}${envName}`;
+}
+
+/**
+ * Env variable name behind a placeholder webhook URL
+ * @param {string} url - Webhook URL
+ * @returns {string|null}
+ */
+export function placeholderEnvName(url) {
+  return typeof url === 'string' && url.startsWith(PLACEHOLDER_PREFIX) ? url.slice(PLACEHOLDER_PREFIX.length) : null;
+}
+
+/**
+ * Record a payload that would have been sent
+ * @param {Object} entry - { source, target, type, method, digest, payload } (never a webhook URL)
+ */
+export function recordPayload(entry) {
+  onExit();
+  const record = { source: entry.source || scriptName(), ...entry, at: new Date().toISOString() };
+  recorded.push(record);
+
+  const target = `${record.target}${record.type ? ` (${record.type})` : ''}`;
+  if (record.digest) console.log(`[dry run] Would hold for ${target} until digest ${record.digest}`);
+  else if (record.method && record.method !== 'POST') console.log(`[dry run] Would ${record.method} a message on ${target}`);
+  else console.log(`[dry run] Would send to ${target}`);
+  if (!outputFile()) console.log(JSON.stringify(record.payload, null, 2));
+}
+
+/**
+ * Payloads recorded so far
+ * @returns {Array<Object>}
+ */
+export function recordedPayloads() {
+  return recorded;
+}
+
+/**
+ * Record a state document or change events that were not written
+ * @param {string} kind - 'state' or 'events'
+ * @param {string} key - State key, or the events' source
+ * @param {*} data - State document, or the events
+ */
+export function recordWrite(kind, key, data) {
+  onExit();
+  if (kind === 'state') writes.state[key] = data;
+  else writes.events.push(...data);
+}
+
+/**
+ * Name of the .writes.json file next to the output file
+ * @param {string} file - Output file
+ * @returns {string}
+ */
+function writesFile(file) {
+  return join(dirname(file), `${basename(file, extname(file))}.writes.json`);
+}
+
+/**
+ * Write the recorded payloads, their HTML preview and the skipped writes (runs on process exit)
+ */
+function writeOutput() {
+  const file = outputFile();
+  if (file && (Object.keys(writes.state).length || writes.events.length)) {
+    try {
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(writesFile(file), JSON.stringify(writes, null, 2) + '\n');
+    } catch (err) {
+      console.error('Failed to write dry-run state and events:', err.message);
+    }
+  }
+  if (recorded.length === 0) return;
+
+  const previewFile = file
+    ? join(dirname(file), `${basename(file, extname(file))}.html`)
+    : join(__dirname, '..', 'logs', 'dry-run', `${scriptName()}.html`);
+
+  try {
+    if (file) {
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(file, JSON.stringify(recorded, null, 2) + '\n');
+    }
+    mkdirSync(dirname(previewFile), { recursive: true });
+    writeFileSync(previewFile, renderPreview(recorded, { title: `${scriptName()} dry run` }));
+    console.log(`[dry run] ${recorded.length} payload(s)${file ? ` written to ${file},` : ''} preview in ${previewFile}`);
+  } catch (err) {
+    console.error('Failed to write dry-run output:', err.message);
+  }
+}
@@ -0,0 +1,109 @@
+import { parseArgs } from 'util';
+import { queryEvents, formatChangeValue, EVENT_TYPES } from './events.js';
+
+/**
+ * Query the change event history in logs/events/.
+ *
+ * Usage: npm run events -- [options]
+ *   --source, -s <name>     Only events from this source (repeatable), e.g. scanner, bedrock
+ *   --entity, -e <pattern>  Entity glob (* and ?) or /regex/, e.g. "OpenRouter:*gpt*"
+ *   --type, -t <type>       added, removed or updated (repeatable)
+ *   --since <time>          ISO date/time or relative (30m, 24h, 7d, 2w)
+ *   --until <time>          ISO date/time or relative
+ *   --limit, -n <count>     Only the most recent N matches
+ *   --first                 Only the first matching event per entity ("when did X first appear")
+ *   --json                  Print events as JSON lines
+ *
+ * Example: npm run events -- -s scanner -e "OpenRouter:*" -t added --since 7d
+ */
+const USAGE = 'Usage: npm run events -- [--source NAME] [--entity PATTERN] [--type TYPE] [--since TIME] [--until TIME] [--limit N] [--first] [--json]';
+
+/**
+ * Format an event as a human-readable line (plus indented field diffs)
+ * @param {Object} event - Event
+ * @returns {string}
+ */
+function formatEvent(event) {
+  const marker = { added: '+', removed: '-', updated: '~' }[event.type] || '?';
+  const lines = [`${event.timestamp}  ${marker} [${event.source}] ${event.entity}`];
+  for (const [field, diff] of Object.entries(event.changes || {})) {
+    lines.push(`    ${field}: ${formatChangeValue(diff.old)} → ${formatChangeValue(diff.new)}`);
+  }
+  return lines.join('\n');
+}
+
+function main() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: {
+        source: { type: 'string', short: 's', multiple: true },
+        entity: { type: 'string', short: 'e' },
+        type: { type: 'string', short: 't', multiple: true },
+        since: { type: 'string' },
+        until: { type: 'string' },
+        limit: { type: 'string', short: 'n' },
+        first: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const unknownTypes = (args.type || []).filter(t => !EVENT_TYPES.includes(t));
+  if (unknownTypes.length > 0) {
+    console.error(`Unknown event type(s): ${unknownTypes.join(', ')} (known: ${EVENT_TYPES.join(', ')})`);
+    process.exit(2);
+  }
+
+  let events = queryEvents({
+    sources: args.source,
+    entity: args.entity,
+    types: args.type,
+    since: args.since,
+    until: args.until
+  });
+
+  if (args.first) {
+    const seen = new Set();
+    events = events.filter(e => {
+      const id = `${e.source}|${e.entity}`;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }
+
+  if (args.limit) {
+    events = events.slice(-Number(args.limit));
+  }
+
+  if (args.json) {
+    for (const event of events) console.log(JSON.stringify(event));
+    return;
+  }
+
+  if (events.length === 0) {
+    console.log('No matching events');
+    return;
+  }
+
+  for (const event of events) console.log(formatEvent(event));
+  console.log(`\n${events.length} event(s)`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
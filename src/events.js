@@ -0,0 +1,235 @@
+import { readFileSync, existsSync, mkdirSync, appendFileSync, readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import crypto from 'crypto';
+import { isDryRun, isBaselineRun, recordWrite } from './dry-run.js';
+import { redactObject } from './redact.js';
+import { incMetric } from './metrics.js';
+import { resolveStatePath } from './state-store.js';
+
+/**
+ * Append-only history of every change the watchers detect.
+ *
+ * Each watcher records normalized events into logs/events/<source>.jsonl (one file per
+ * source, so the workflows never fight over the same file). An event looks like
+ *   {
+ *     "id": "9f2c...",            unique per recorded event
+ *     "key": "41d0...",           same for the same change, wherever it was recorded (used for dedupe)
+ *     "source": "scanner",
+ *     "entity": "OpenRouter:openai/gpt-5",
+ *     "type": "added" | "removed" | "updated",
+ *     "changes": { "field": { "old": ..., "new": ... } },
+ *     "data": { ... },            optional snapshot of the entity
+ *     "timestamp": "2025-01-01T00:00:00.000Z",
+ *     "commitSha": "abc123" | null
+ *   }
+ * Events are never rewritten; query them with src/events-cli.js (`npm run events`).
+ */
+export const EVENT_TYPES = ['added', 'removed', 'updated'];
+
+/**
+ * Directory of the per-source event files (logs/events, under --state-dir when set)
+ * @returns {string}
+ */
+export function getEventsDir() {
+  return resolveStatePath('logs/events');
+}
+
+/**
+ * JSON.stringify with sorted object keys, so equal values always hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Format a field diff value for one-line output (events CLI, `modelwatcher diff`)
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+export function formatChangeValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Compute field-level diffs between two versions of an entity
+ * @param {Object} oldObj - Previous version
+ * @param {Object} newObj - Current version
+ * @param {Array<string>} fields - Fields to compare (default: all keys of both)
+ * @returns {Object} - { field: { old, new } } for every differing field
+ */
+export function fieldDiffs(oldObj = {}, newObj = {}, fields = null) {
+  const keys = fields || [...new Set([...Object.keys(oldObj || {}), ...Object.keys(newObj || {})])];
+  const changes = {};
+  for (const key of keys) {
+    const oldVal = oldObj?.[key];
+    const newVal = newObj?.[key];
+    if (canonicalJson(oldVal) !== canonicalJson(newVal)) {
+      changes[key] = { old: oldVal ?? null, new: newVal ?? null };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Build a normalized event
+ * @param {Object} params - { source, entity, type, changes, data, timestamp, commitSha }
+ * @returns {Object} - Event
+ */
+export function createEvent({ source, entity, type, changes = {}, data, timestamp, commitSha }) {
+  const time = timestamp || new Date().toISOString();
+  const key = hash(canonicalJson([source, String(entity), type, changes]));
+  const event = {
+    id: hash(`${key}|${time}`),
+    key,
+    source,
+    entity: String(entity),
+    type,
+    changes
+  };
+  if (data !== undefined) event.data = data;
+  event.timestamp = time;
+  event.commitSha = commitSha ?? process.env.GITHUB_SHA ?? null;
+  return event;
+}
+
+/**
+ * Get the event log file for a source
+ * @param {string} source - Event source
+ * @param {string} dir - Events directory
+ * @returns {string} - File path
+ */
+export function getEventsFile(source, dir = getEventsDir()) {
+  return join(dir, `${source.replace(/[^a-zA-Z0-9_-]/g, '_')}.jsonl`);
+}
+
+/**
+ * Append events for one source to its log
+ * @param {string} source - Event source (watcher name)
+ * @param {Array<Object>} changes - [{ entity, type, changes, data }]
+ * @param {Object} options - { timestamp, commitSha, dir }
+ * @returns {Array<Object>} - Recorded events
+ */
+export function recordEvents(source, changes, options = {}) {
+  if (!changes || changes.length === 0) return [];
+
+  const timestamp = options.timestamp || new Date().toISOString();
+  const events = changes.map(change => createEvent({
+    source,
+    timestamp,
+    commitSha: options.commitSha,
+    ...redactObject(change)
+  }));
+  for (const event of events) incMetric('changes', { type: event.type });
+
+  if (isDryRun()) {
+    console.log(`[dry run] Not recording ${events.length} event(s) for ${source}`);
+    recordWrite('events', source, events);
+    return events;
+  }
+  if (isBaselineRun()) {
+    console.log(`[baseline] Not recording ${events.length} event(s) for ${source}`);
+    return events;
+  }
+
+  try {
+    const file = getEventsFile(source, options.dir);
+    mkdirSync(dirname(file), { recursive: true });
+    // One appendFileSync call per batch: O_APPEND keeps concurrent writers from interleaving lines
+    appendFileSync(file, events.map(e => JSON.stringify(e)).join('\n') + '\n');
+    console.log(`Recorded ${events.length} event(s) for ${source}`);
+  } catch (err) {
+    console.error(`Failed to record events for ${source}:`, err.message);
+  }
+
+  return events;
+}
+
+/**
+ * Read events from the log, skipping lines that fail to parse
+ * @param {Object} options - { sources, dir }
+ * @returns {Array<Object>} - Events in file order per source
+ */
+export function readEvents({ sources = null, dir = getEventsDir() } = {}) {
+  if (!existsSync(dir)) return [];
+
+  const files = sources
+    ? sources.map(source => getEventsFile(source, dir)).filter(existsSync)
+    : readdirSync(dir).filter(f => f.endsWith('.jsonl')).map(f => join(dir, f));
+
+  const events = [];
+  for (const file of files) {
+    const lines = readFileSync(file, 'utf-8').split('\n');
+    for (const [i, line] of lines.entries()) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        console.error(`Skipping unreadable event at ${file}:${i + 1}`);
+      }
+    }
+  }
+  return events;
+}
+
+/**
+ * Convert a glob (`*`, `?`) or /regex/ entity pattern into a RegExp
+ * @param {string} pattern - Entity pattern
+ * @returns {RegExp}
+ */
+export function entityMatcher(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) return new RegExp(regex[1], regex[2]);
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Parse a time bound: ISO date/time, or a relative duration like 30m, 24h, 7d, 2w
+ * @param {string} value - Time value
+ * @param {number} now - Reference time in ms
+ * @returns {number} - Epoch ms
+ */
+export function parseTime(value, now = Date.now()) {
+  const relative = String(value).match(/^(\d+)\s*([mhdw])$/);
+  if (relative) {
+    const unit = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[relative[2]];
+    return now - Number(relative[1]) * unit;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid time "${value}" (use an ISO date or e.g. 24h, 7d)`);
+  return time;
+}
+
+/**
+ * Query the event log
+ * @param {Object} filter - { sources, entity, types, since, until, limit, dir }
+ * @returns {Array<Object>} - Matching events, oldest first
+ */
+export function queryEvents(filter = {}) {
+  const matcher = filter.entity ? entityMatcher(filter.entity) : null;
+  const since = filter.since ? parseTime(filter.since) : null;
+  const until = filter.until ? parseTime(filter.until) : null;
+  const types = filter.types?.length ? new Set(filter.types) : null;
+
+  const events = readEvents({ sources: filter.sources, dir: filter.dir })
+    .filter(e => !types || types.has(e.type))
+    .filter(e => !matcher || matcher.test(e.entity))
+    .filter(e => {
+      const time = Date.parse(e.timestamp);
+      return (since === null || time >= since) && (until === null || time <= until);
+    })
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  return filter.limit ? events.slice(-filter.limit) : events;
+}
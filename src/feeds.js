@@ -0,0 +1,337 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, appendFileSync, readdirSync, renameSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import crypto from 'crypto';
+import { loadConfig } from './config.js';
+import { isDryRun, isBaselineRun } from './dry-run.js';
+import { escapeHtml, toHtml, toPlainText } from './notification.js';
+import { resolveStatePath } from './state-store.js';
+
+/**
+ * Atom 1.0 and JSON Feed 1.1 output of the changes the watchers notify on.
+ *
+ * notify() (src/transports.js) adds every change notification to logs/feeds/<source>.jsonl,
+ * then rewrites that watcher's feeds and the combined one:
+ *   logs/feeds/<source>.atom   logs/feeds/<source>.json
+ *   logs/feeds/all.atom        logs/feeds/all.json
+ * Summaries and alerts about a watcher itself (notify's `kind`) are left out.
+ *
+ * An entry's id is a hash of its source, timestamp and content, so it never changes when the
+ * feeds are rebuilt and feed readers don't see old entries as new. The feed's `updated` time
+ * is its newest entry's, so rebuilding unchanged feeds leaves the files as they were. The
+ * workflows merge each run's entries with `node src/feeds.js merge <file> <source>`, which
+ * also rebuilds the combined feed from every watcher's entries.
+ *
+ * Settings come from feeds-config.json: title, homepage, baseUrl (where the feed files are
+ * served, for their self links), maxEntries per feed and retainEntries per watcher.
+ */
+export const COMBINED_FEED = 'all';
+
+/**
+ * Directory of the feed entries and files (logs/feeds, under --state-dir when set)
+ * @returns {string}
+ */
+export function getFeedsDir() {
+  return resolveStatePath('logs/feeds');
+}
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  title: 'Model Watcher',
+  homepage: 'https://github.com/CloudWaddie/ModelWatcher',
+  baseUrl: null,
+  maxEntries: 50,
+  retainEntries: 500
+};
+
+// Date part of the tag: URIs used as feed and entry ids; changing it changes every id
+const TAG_DATE = '2025';
+
+const SUMMARY_LENGTH = 280;
+
+let settings = null;
+
+/**
+ * Load feeds-config.json once
+ * @returns {Object} - Settings with defaults filled in
+ */
+export function getFeedSettings() {
+  if (!settings) {
+    try {
+      settings = { ...DEFAULT_SETTINGS, ...loadConfig('feeds') };
+    } catch (err) {
+      console.error('Failed to load feed settings, using defaults:', err.message);
+      settings = { ...DEFAULT_SETTINGS };
+    }
+  }
+  return settings;
+}
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Get a watcher's feed entry file
+ * @param {string} source - Watcher name
+ * @param {string} dir - Feeds directory
+ * @returns {string} - File path
+ */
+export function getFeedEntriesFile(source, dir = getFeedsDir()) {
+  return join(dir, `${source.replace(/[^a-zA-Z0-9_-]/g, '_')}.jsonl`);
+}
+
+/**
+ * Build a feed entry from a notification
+ * @param {Object} notification - Notification (src/notification.js)
+ * @param {Object} options - { events } the change events it reports
+ * @returns {Object} - { id, source, title, text, html, url, severity, timestamp, entities }
+ */
+export function feedEntry(notification, options = {}) {
+  // The title is the entry's own title, so it is left out of the content
+  const body = { ...notification, title: '' };
+  const text = toPlainText(body);
+  return {
+    id: hash(`${notification.source}|${notification.timestamp}|${notification.title}|${text}`),
+    source: notification.source,
+    title: notification.title || text.split('\n')[0] || notification.source,
+    text,
+    html: toHtml(body),
+    url: notification.url || notification.links?.[0]?.url || null,
+    severity: notification.severity,
+    timestamp: notification.timestamp,
+    entities: [...new Set((options.events || []).map(event => String(event.entity)))]
+  };
+}
+
+/**
+ * Read a watcher's feed entries
+ * @param {string} file - Entry file
+ * @returns {Array<Object>} - Entries, newest first, one per id
+ */
+function readEntryFile(file) {
+  if (!existsSync(file)) return [];
+  const entries = new Map();
+  for (const line of readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      entries.set(entry.id, entry);
+    } catch {
+      // Skip a line cut short by an interrupted write
+    }
+  }
+  return sortEntries([...entries.values()]);
+}
+
+function sortEntries(entries) {
+  return entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Read feed entries
+ * @param {Object} options - { sources, dir }
+ * @returns {Array<Object>} - Entries from every watcher (or the given ones), newest first
+ */
+export function readFeedEntries({ sources = null, dir = getFeedsDir() } = {}) {
+  if (!existsSync(dir)) return [];
+  const files = sources
+    ? sources.map(source => getFeedEntriesFile(source, dir))
+    : readdirSync(dir).filter(f => f.endsWith('.jsonl')).map(f => join(dir, f));
+  return sortEntries(files.flatMap(readEntryFile));
+}
+
+function writeAtomic(file, content) {
+  mkdirSync(dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  writeFileSync(tmp, content);
+  renameSync(tmp, file);
+}
+
+/**
+ * Keep a watcher's newest entries, dropping the rest
+ * @param {string} file - Entry file
+ * @param {Array<Object>} entries - Entries, newest first
+ * @param {number} retain - Entries to keep
+ */
+function writeEntryFile(file, entries, retain) {
+  const kept = entries.slice(0, retain).reverse();
+  writeAtomic(file, kept.map(entry => JSON.stringify(entry)).join('\n') + (kept.length ? '\n' : ''));
+}
+
+/**
+ * tag: URI for a feed or entry, rooted at the homepage (RFC 4151)
+ * @param {string} homepage - Homepage URL
+ * @param {string} path - Feed or entry path
+ * @returns {string}
+ */
+function tagUri(homepage, path) {
+  const url = new URL(homepage);
+  return `tag:${url.hostname},${TAG_DATE}:${url.pathname.replace(/^\/+|\/+$/g, '')}/feeds/${path}`;
+}
+
+function feedTitle(name, config) {
+  return name === COMBINED_FEED ? config.title : `${config.title}: ${name}`;
+}
+
+function feedUrl(name, extension, config) {
+  return config.baseUrl ? new URL(`${name}.${extension}`, config.baseUrl.replace(/\/?$/, '/')).href : null;
+}
+
+// Escape text for XML, dropping the control characters XML 1.0 does not allow even escaped
+function xml(text) {
+  return escapeHtml(String(text ?? '').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, ''));
+}
+
+function summarize(text) {
+  const oneLine = text.replace(/\s+/g, ' ').trim();
+  return oneLine.length > SUMMARY_LENGTH ? `${oneLine.slice(0, SUMMARY_LENGTH - 3)}...` : oneLine;
+}
+
+/**
+ * Render entries as an Atom 1.0 feed
+ * @param {string} name - Watcher name, or COMBINED_FEED
+ * @param {Array<Object>} entries - Entries, newest first
+ * @param {Object} config - Feed settings
+ * @returns {string} - XML
+ */
+export function renderAtom(name, entries, config = getFeedSettings()) {
+  const self = feedUrl(name, 'atom', config);
+  const updated = entries[0]?.timestamp || new Date(0).toISOString();
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${xml(tagUri(config.homepage, name))}</id>`,
+    `  <title>${xml(feedTitle(name, config))}</title>`,
+    `  <updated>${xml(updated)}</updated>`,
+    ...(self ? [`  <link rel="self" type="application/atom+xml" href="${xml(self)}"/>`] : []),
+    `  <link rel="alternate" type="text/html" href="${xml(config.homepage)}"/>`,
+    `  <author><name>${xml(config.title)}</name></author>`,
+    '  <generator>ModelWatcher</generator>'
+  ];
+
+  for (const entry of entries) {
+    lines.push(
+      '  <entry>',
+      `    <id>${xml(tagUri(config.homepage, `${entry.source}/${entry.id}`))}</id>`,
+      `    <title>${xml(entry.title)}</title>`,
+      `    <published>${xml(entry.timestamp)}</published>`,
+      `    <updated>${xml(entry.timestamp)}</updated>`,
+      ...(entry.url ? [`    <link rel="alternate" href="${xml(entry.url)}"/>`] : []),
+      `    <category term="${xml(entry.source)}"/>`,
+      `    <category term="${xml(entry.severity)}" label="severity"/>`,
+      `    <summary>${xml(summarize(entry.text))}</summary>`,
+      `    <content type="html">${xml(entry.html)}</content>`,
+      '  </entry>'
+    );
+  }
+  lines.push('</feed>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render entries as a JSON Feed 1.1
+ * @param {string} name - Watcher name, or COMBINED_FEED
+ * @param {Array<Object>} entries - Entries, newest first
+ * @param {Object} config - Feed settings
+ * @returns {string} - JSON
+ */
+export function renderJsonFeed(name, entries, config = getFeedSettings()) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feedTitle(name, config),
+    home_page_url: config.homepage,
+    ...(feedUrl(name, 'json', config) ? { feed_url: feedUrl(name, 'json', config) } : {}),
+    description: name === COMBINED_FEED ? 'Changes detected by every watcher' : `Changes detected by the ${name} watcher`,
+    authors: [{ name: config.title }],
+    items: entries.map(entry => ({
+      id: tagUri(config.homepage, `${entry.source}/${entry.id}`),
+      ...(entry.url ? { url: entry.url } : {}),
+      title: entry.title,
+      content_html: entry.html,
+      content_text: entry.text,
+      summary: summarize(entry.text),
+      date_published: entry.timestamp,
+      tags: [entry.source, entry.severity],
+      _modelwatcher: { source: entry.source, severity: entry.severity, entities: entry.entities }
+    }))
+  };
+  return JSON.stringify(feed, null, 2) + '\n';
+}
+
+/**
+ * Write the Atom and JSON feeds for some watchers and the combined feed
+ * @param {Object} options - { sources } (default every watcher with entries), { dir } entry
+ *   directory, { outDir } where to write the feeds (default dir)
+ * @returns {Array<string>} - Feed names written
+ */
+export function writeFeeds({ sources = null, dir = getFeedsDir(), outDir = dir } = {}) {
+  const config = getFeedSettings();
+  const all = readFeedEntries({ dir });
+  const names = sources || [...new Set(all.map(entry => entry.source))].sort();
+
+  for (const name of [...names, COMBINED_FEED]) {
+    const entries = (name === COMBINED_FEED ? all : all.filter(entry => entry.source === name)).slice(0, config.maxEntries);
+    writeAtomic(join(outDir, `${name}.atom`), renderAtom(name, entries, config));
+    writeAtomic(join(outDir, `${name}.json`), renderJsonFeed(name, entries, config));
+  }
+  return [...names, COMBINED_FEED];
+}
+
+/**
+ * Add a notification to its watcher's feed and rebuild the feeds
+ * @param {Object} notification - Notification
+ * @param {Object} options - { events, dir }
+ * @returns {Object|null} - The entry, or null when feeds are disabled
+ */
+export function recordFeedEntry(notification, options = {}) {
+  const config = getFeedSettings();
+  if (!config.enabled) return null;
+
+  const entry = feedEntry(notification, options);
+  if (isDryRun()) {
+    console.log(`[dry run] Not adding "${entry.title}" to the ${entry.source} feed`);
+    return entry;
+  }
+  if (isBaselineRun()) return entry;
+
+  try {
+    const dir = options.dir || getFeedsDir();
+    const file = getFeedEntriesFile(entry.source, dir);
+    mkdirSync(dir, { recursive: true });
+    appendFileSync(file, JSON.stringify(entry) + '\n');
+    writeEntryFile(file, readEntryFile(file), config.retainEntries);
+    writeFeeds({ sources: [entry.source], dir });
+  } catch (err) {
+    console.error(`Failed to update the ${entry.source} feed:`, err.message);
+  }
+  return entry;
+}
+
+/**
+ * Merge another copy of a watcher's entries (e.g. this run's, after resetting to the latest
+ * commit) and rebuild its feeds and the combined one
+ * @param {string} otherFile - Entries to merge in
+ * @param {string} source - Watcher name
+ * @param {string} dir - Feeds directory
+ */
+export function mergeFeedEntries(otherFile, source, dir = getFeedsDir()) {
+  const file = getFeedEntriesFile(source, dir);
+  const entries = new Map(readEntryFile(file).map(entry => [entry.id, entry]));
+  for (const entry of readEntryFile(otherFile)) entries.set(entry.id, entry);
+  writeEntryFile(file, sortEntries([...entries.values()]), getFeedSettings().retainEntries);
+  writeFeeds({ sources: [source], dir });
+}
+
+const isCli = process.argv[1] && /feeds\.js$/.test(process.argv[1]);
+if (isCli) {
+  const [command, other, source] = process.argv.slice(2);
+  if (command === 'merge' && other && source) {
+    if (existsSync(other)) mergeFeedEntries(resolve(other), source);
+  } else if (command === 'build') {
+    const names = writeFeeds({ outDir: other ? resolve(other) : getFeedsDir() });
+    console.log(`Wrote ${names.length} feed(s) to ${other ? resolve(other) : getFeedsDir()}`);
+  } else {
+    console.error('Usage: node src/feeds.js merge <file> <source> | build [outDir]');
+    process.exit(1);
+  }
+}
@@ -1,4 +1,5 @@
 import { progressBar, buildProgressPayload, buildReport, patchMessage } from './gemini-watch.js';
+import { renderDiscord } from './transports.js';
 
 /**
  * Demo: simulates a full Gemini RPC scan against the live Discord webhook
@@ -116,7 +117,7 @@ async function main() {
 
   // Final: replace progress with the sample diff report
   const report = buildReport(SAMPLE_PREV, SAMPLE_CURRENT, SAMPLE_TYPES);
-  await patchMessage(WEBHOOK_URL, msg.id, report);
+  await patchMessage(WEBHOOK_URL, msg.id, renderDiscord(report));
   console.log('Demo complete — the message now shows the sample diff report.');
 }
 
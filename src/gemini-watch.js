@@ -1,21 +1,26 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { scrapeRpcMappings } from '@cloudwaddie/googleinternal';
+import { loadConfig } from './config.js';
+import { getWebhookUrl } from './dry-run.js';
+import { loadState, saveState } from './state-store.js';
+import { recordEvents, fieldDiffs } from './events.js';
+import { notify, renderDiscord } from './transports.js';
+import { createNotification, sectionToMarkdown } from './notification.js';
+import { discordRequest, flushOutboxOnce } from './discord-sender.js';
+import { installCassette, cassetteCall } from './cassette.js';
+import { installRedaction } from './redact.js';
+import { startRun, countRunItems, reportRunError } from './watchdog.js';
+import { incMetric } from './metrics.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const LOGO_URL = 'https://raw.githubusercontent.com/CloudWaddie/ModelWatcher/master/logo.jpg';
+const SENDER = 'Gemini RPC Watcher';
 const BAR_WIDTH = 20;
 
 // Discord display components cap total text at 4000 chars per message.
 const TEXT_CHAR_LIMIT = 3800;
 const MAX_SEGMENTS_PER_CONTAINER = 5;
 
-function saveState(path, state) {
-  mkdirSync(dirname(path), { recursive: true });
-  writeFileSync(path, JSON.stringify(state, null, 2));
-}
-
 /** Shades-grey style progress bar: ▓ filled, ░ empty. */
 export function progressBar(pct) {
   const filled = Math.round((pct / 100) * BAR_WIDTH);
@@ -27,21 +32,15 @@ export function progressBar(pct) {
  * messages they posted; with_components=true is required to update components.
  */
 export async function patchMessage(webhookUrl, messageId, payload) {
-  const res = await fetch(`${webhookUrl}/messages/${messageId}?with_components=true`, {
-    method: 'PATCH',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload),
-  });
-  if (!res.ok) console.error('Discord PATCH failed:', res.status, await res.text());
+  const res = await discordRequest(`${webhookUrl}/messages/${messageId}`, { method: 'PATCH', payload, query: 'with_components=true' });
+  if (!res.ok) console.error('Discord PATCH failed:', res.status, res.error);
   return res.ok;
 }
 
 /** Delete a previously posted webhook message (no-changes runs leave nothing behind). */
 export async function deleteMessage(webhookUrl, messageId) {
-  const res = await fetch(`${webhookUrl}/messages/${messageId}?with_components=true`, {
-    method: 'DELETE',
-  });
-  if (!res.ok) console.error('Discord DELETE failed:', res.status, await res.text());
+  const res = await discordRequest(`${webhookUrl}/messages/${messageId}`, { method: 'DELETE', query: 'with_components=true' });
+  if (!res.ok) console.error('Discord DELETE failed:', res.status, res.error);
   return res.ok;
 }
 
@@ -53,19 +52,15 @@ export function buildProgressPayload(p, target = 'gemini.google.com') {
   const phase = p.chunksTotal > 0 ? 'Extracting RPC mappings' : 'Fetching modules';
   const done = p.chunksTotal > 0 ? p.chunksExtracted : p.modulesCompleted;
   const total = p.chunksTotal > 0 ? p.chunksTotal : p.modulesTotal;
-  return {
-    username: 'Gemini RPC Watcher',
-    avatar_url: LOGO_URL,
-    flags: 32768,
-    components: [{
-      type: 17,
-      components: [
-        { type: 10, content: `# 🔍 Gemini RPC scan — ${phase}\n${bar}\n\`${done}/${total}\` · **${p.mappingsFound}** RPCs found` },
-        { type: 14 },
-        { type: 10, content: `Target: \`${target}\`` },
-      ],
-    }],
-  };
+  // The live progress message only exists on Discord; routed transports get the report
+  return renderDiscord(createNotification({
+    source: 'gemini',
+    sender: SENDER,
+    title: `🔍 Gemini RPC scan — ${phase}`,
+    description: `${bar}\n\`${done}/${total}\` · **${p.mappingsFound}** RPCs found`,
+    layout: 'document',
+    sections: [{ text: `Target: \`${target}\`` }],
+  }));
 }
 
 /** Split a formatted entry list into chunks that each fit the text limit. */
@@ -87,38 +82,25 @@ function chunkEntries(entries, limit) {
   return chunks;
 }
 
-/** Greedily pack text segments into messages that respect per-message limits. */
-function packMessages(segments, limit) {
+/** Greedily pack sections into messages that respect per-message limits. */
+function packMessages(sections, limit) {
   const messages = [];
   let cur = [];
   let total = 0;
-  for (const seg of segments) {
-    if (cur.length >= MAX_SEGMENTS_PER_CONTAINER || (cur.length && total + seg.length > limit)) {
+  for (const section of sections) {
+    const length = sectionToMarkdown(createNotification({ sections: [section] }).sections[0], t => `## ${t}`).length;
+    if (cur.length >= MAX_SEGMENTS_PER_CONTAINER || (cur.length && total + length > limit)) {
       messages.push(cur);
       cur = [];
       total = 0;
     }
-    cur.push(seg);
-    total += seg.length;
+    cur.push(section);
+    total += length;
   }
   if (cur.length) messages.push(cur);
   return messages;
 }
 
-function payloadForSegments(segments, part, total) {
-  const comps = segments.map((s, i) => ({ type: 10, content: s }));
-  if (total > 1) comps[comps.length - 1].content += `\n*— part ${part}/${total} —*`;
-  return {
-    username: 'Gemini RPC Watcher',
-    avatar_url: LOGO_URL,
-    flags: 32768,
-    components: [{
-      type: 17,
-      components: comps.flatMap((c, i) => (i ? [{ type: 14 }, c] : [c])),
-    }],
-  };
-}
-
 /** Service name = path prefix before the first dot (e.g. BardFrontendService). */
 function serviceOf(path) {
   const dot = path.indexOf('.');
@@ -131,8 +113,8 @@ function formatEntry(rpcid, path, type) {
 }
 
 /**
- * Build the diff report as an array of components-v2 payloads (one per Discord
- * message, chunked under the 4000-char display-component text limit).
+ * Build the diff report as an array of notifications in the document layout (one per
+ * Discord message, chunked under the 4000-char display-component text limit).
  * new = rpcid absent from previous state; removed = gone from current;
  * changed = same rpcid, different path (or different call type).
  * With `firstRun: true`, the report renders as a full baseline where every
@@ -150,15 +132,15 @@ export function buildReportMessages(prev, curr, types, options = {}) {
     if (!curr.has(id)) removedIds.push(id);
   }
 
-  const header = firstRun
-    ? `# 🌱 Gemini RPC Mappings — initial baseline`
-    : `# 🔭 Gemini RPC Mappings`;
+  const title = firstRun
+    ? `🌱 Gemini RPC Mappings — initial baseline`
+    : `🔭 Gemini RPC Mappings`;
   const summary = [
     `**${newIds.length} new** · **${removedIds.length} removed** · **${changedIds.length} changed**`,
     ...(firstRun ? ['First run — full mapping dump'] : []),
     `Scanned **${curr.size}** RPCs total`,
   ].join('\n');
-  const segments = [`${header}\n${summary}`];
+  const sections = [];
 
   const grouped = { new: newIds, removed: removedIds, changed: changedIds };
   const label = { new: '🟢 New', removed: '🔴 Removed', changed: '🟡 Changed' };
@@ -171,48 +153,49 @@ export function buildReportMessages(prev, curr, types, options = {}) {
       if (!byService[svc]) byService[svc] = [];
       byService[svc].push(formatEntry(id, path, types.get(id)));
     }
-    segments.push(`### ${label[kind]} (${ids.length})`);
+    sections.push({ title: `${label[kind]} (${ids.length})` });
     for (const [svc, entries] of Object.entries(byService)) {
-      for (const chunk of chunkEntries(entries, TEXT_CHAR_LIMIT)) {
-        segments.push(`**${svc}**\n${chunk.join('\n')}`);
+      for (const chunk of chunkEntries(entries, TEXT_CHAR_LIMIT - title.length - summary.length)) {
+        sections.push({ text: `**${svc}**\n${chunk.join('\n')}` });
       }
     }
   }
 
   if (newIds.length + removedIds.length + changedIds.length === 0) {
-    segments.push('No changes detected — all RPC mappings identical to previous scan.');
+    sections.push({ text: 'No changes detected — all RPC mappings identical to previous scan.' });
   }
 
-  const packed = packMessages(segments, TEXT_CHAR_LIMIT);
-  return packed.map((m, i) => payloadForSegments(m, i + 1, packed.length));
+  const packed = packMessages(sections, TEXT_CHAR_LIMIT - title.length - summary.length);
+  return packed.map((part, i) => createNotification({
+    source: 'gemini',
+    sender: SENDER,
+    title,
+    description: summary,
+    severity: removedIds.length > 0 ? 'warning' : 'info',
+    layout: 'document',
+    sections: part,
+    footer: packed.length > 1 ? `Part ${i + 1}/${packed.length}` : null,
+  }));
 }
 
-/** First report message only; kept for callers that expect a single payload. */
+/** First report message only; kept for callers that expect a single notification. */
 export function buildReport(prev, curr, types, options = {}) {
   return buildReportMessages(prev, curr, types, options)[0];
 }
 
-async function postPayload(webhookUrl, payload, label) {
-  const res = await fetch(`${webhookUrl}?with_components=true`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload),
-  });
-  if (res.ok) console.log(`[${label}] Discord notification sent`);
-  else console.error(`[${label}] Discord send failed:`, res.status, await res.text());
-  return res.ok;
+/**
+ * Post a report part to the Discord webhook (if given) and every routed transport.
+ * Pass webhookUrl = null for parts Discord already received as a patched message.
+ */
+async function postReport(webhookUrl, report, label) {
+  const ok = await notify('gemini', report, { webhookUrl });
+  if (ok) console.log(`[${label}] Notifications sent`);
+  return ok;
 }
 
 async function runScan(scan, webhookUrl, webhookEnabled) {
   const statePath = join(__dirname, '..', scan.stateFile);
-  let prev = { mappings: {}, types: {}, timestamp: 0 };
-  if (existsSync(statePath)) {
-    try {
-      prev = JSON.parse(readFileSync(statePath, 'utf8'));
-    } catch (e) {
-      console.error(`[${scan.name}] Failed to parse state file, starting fresh:`, e.message);
-    }
-  }
+  const prev = loadState(statePath, { mappings: {}, types: {}, timestamp: 0 });
   const firstRun = !prev.mappings || Object.keys(prev.mappings).length === 0;
 
   let messageId = null;
@@ -225,17 +208,14 @@ async function runScan(scan, webhookUrl, webhookEnabled) {
     if (now - lastPatch < 5000) return;
     lastPatch = now;
     if (!messageId) {
-      const res = await fetch(`${webhookUrl}?wait=true&with_components=true`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(buildProgressPayload(p, scan.targetUrl)),
-      });
+      // Queued messages from earlier runs go out before the new report
+      await flushOutboxOnce();
+      const res = await discordRequest(webhookUrl, { payload: buildProgressPayload(p, scan.targetUrl), query: 'wait=true&with_components=true' });
       if (res.ok) {
-        const msg = await res.json();
-        messageId = msg.id;
+        messageId = res.data.id;
         console.log(`[${scan.name}] Discord progress message posted (id ${messageId})`);
       } else {
-        console.error(`[${scan.name}] Discord POST failed:`, res.status, await res.text());
+        console.error(`[${scan.name}] Discord POST failed:`, res.status, res.error);
       }
     } else {
       await patchMessage(webhookUrl, messageId, buildProgressPayload(p, scan.targetUrl));
@@ -243,7 +223,8 @@ async function runScan(scan, webhookUrl, webhookEnabled) {
   };
 
   console.log(`[${scan.name}] Scanning RPC mappings of ${scan.targetUrl}...`);
-  const { mappings, mappingTypes, stats } = await scrapeRpcMappings(scan.targetUrl, onProgress);
+  const { mappings, mappingTypes, stats } = await cassetteCall(`scrapeRpcMappings ${scan.targetUrl}`,
+    () => scrapeRpcMappings(scan.targetUrl, onProgress));
 
   // Final 100% progress patch
   if (messageId && webhookUrl && webhookEnabled) {
@@ -252,6 +233,9 @@ async function runScan(scan, webhookUrl, webhookEnabled) {
     }, scan.targetUrl));
   }
 
+  countRunItems(mappings.size);
+  // Every scan adds its RPCs to the watcher's total
+  incMetric('models', { source: 'gemini' }, mappings.size);
   console.log(`[${scan.name}] Scanned ${mappings.size} RPCs, ${mappingTypes.size} with known call types (${stats.elapsedMs}ms)`);
 
   if (firstRun) {
@@ -261,13 +245,14 @@ async function runScan(scan, webhookUrl, webhookEnabled) {
     const reports = buildReportMessages(prev, mappings, mappingTypes, { firstRun: true });
     if (messageId && webhookUrl && webhookEnabled) {
       // Turn the progress message into the baseline report header (no extra spam).
-      await patchMessage(webhookUrl, messageId, reports[0]);
+      await patchMessage(webhookUrl, messageId, renderDiscord(reports[0]));
+      await postReport(null, reports[0], scan.name);
       for (const part of reports.slice(1)) {
-        await postPayload(webhookUrl, part, scan.name);
+        await postReport(webhookUrl, part, scan.name);
       }
     } else if (webhookUrl && webhookEnabled) {
       for (const part of reports) {
-        await postPayload(webhookUrl, part, scan.name);
+        await postReport(webhookUrl, part, scan.name);
       }
     } else {
       console.log(`[${scan.name}] First run — no webhook configured, baseline saved silently`);
@@ -289,20 +274,27 @@ async function runScan(scan, webhookUrl, webhookEnabled) {
     if (hasChanges) {
       const reports = buildReportMessages(prev, mappings, mappingTypes);
       // Turn the progress message into the report header (no extra message spam).
-      await patchMessage(webhookUrl, messageId, reports[0]);
+      await patchMessage(webhookUrl, messageId, renderDiscord(reports[0]));
+      await postReport(null, reports[0], scan.name);
       for (const part of reports.slice(1)) {
-        await postPayload(webhookUrl, part, scan.name);
+        await postReport(webhookUrl, part, scan.name);
       }
     } else {
       // Nothing changed — clean up the progress message instead of leaving an empty report.
       await deleteMessage(webhookUrl, messageId);
     }
-  } else if (hasChanges && webhookUrl && webhookEnabled) {
+  } else if (hasChanges) {
+    // Without a Discord webhook, routed transports still get the report
+    const discordUrl = webhookEnabled ? webhookUrl : null;
     for (const part of buildReportMessages(prev, mappings, mappingTypes)) {
-      await postPayload(webhookUrl, part, scan.name);
+      await postReport(discordUrl, part, scan.name);
     }
   } else {
-    console.log(`[${scan.name}] ${hasChanges ? 'Changes detected, but no webhook configured.' : 'No changes detected.'}`);
+    console.log(`[${scan.name}] No changes detected.`);
+  }
+
+  if (hasChanges) {
+    recordEvents('gemini', buildMappingEvents(scan.name, prev, mappings, mappingTypes));
   }
 
   saveState(statePath, {
@@ -313,9 +305,33 @@ async function runScan(scan, webhookUrl, webhookEnabled) {
   console.log(`[${scan.name}] === Scan complete: ${mappings.size} RPCs ===`);
 }
 
+/**
+ * Build event log entries for RPC mapping changes (entity = `<scan>:<rpcid>`).
+ */
+export function buildMappingEvents(scanName, prev, curr, types) {
+  const events = [];
+  for (const [id, path] of curr) {
+    const entity = `${scanName}:${id}`;
+    const current = { path, type: types.get(id) ?? null };
+    if (!(id in prev.mappings)) {
+      events.push({ entity, type: 'added', data: current });
+      continue;
+    }
+    const previous = { path: prev.mappings[id], type: prev.types?.[id] ?? current.type };
+    const changes = fieldDiffs(previous, current);
+    if (Object.keys(changes).length > 0) events.push({ entity, type: 'updated', changes });
+  }
+  for (const id of Object.keys(prev.mappings)) {
+    if (!curr.has(id)) {
+      events.push({ entity: `${scanName}:${id}`, type: 'removed', data: { path: prev.mappings[id], type: prev.types?.[id] ?? null } });
+    }
+  }
+  return events;
+}
+
 async function main() {
-  const config = JSON.parse(readFileSync(join(__dirname, '../gemini-config.json'), 'utf8'));
-  const webhookUrl = process.env[config.webhook.webhookEnv];
+  const config = loadConfig('gemini');
+  const webhookUrl = getWebhookUrl(config.webhook?.webhookEnv);
   const webhookEnabled = config.webhook.enabled !== false;
 
   // New shape: scans[] with per-target state file. Falls back to the legacy
@@ -334,7 +350,11 @@ async function main() {
 
 const isCli = process.argv[1] && /gemini-watch\.js$/.test(process.argv[1]);
 if (isCli) {
+  installRedaction();
+  installCassette();
+  startRun('gemini');
   main().catch(err => {
+    reportRunError(err);
     console.error(err);
     process.exit(1);
   });
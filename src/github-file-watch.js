@@ -1,12 +1,19 @@
-import axios from 'axios';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
+import { checkMassChange, sendMassChangeAlert } from './guard.js';
+import { loadConfig } from './config.js';
+import { getWebhookUrl } from './dry-run.js';
+import { installCassette } from './cassette.js';
+import { installRedaction } from './redact.js';
+import { startRun, countRunItems, reportRunError } from './watchdog.js';
+import { loadState, saveState } from './state-store.js';
+import { recordEvents } from './events.js';
+import { notify } from './transports.js';
+import { request, fetchJson } from './http.js';
+import { setMetric } from './metrics.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-const LOGO_URL = 'https://raw.githubusercontent.com/CloudWaddie/ModelWatcher/master/logo.jpg';
-
 // Comprehensive key mapping for model properties
 const KEY_MAP = {
   apiProvider: 'API Provider',
@@ -75,41 +82,23 @@ function formatValue(val, depth = 0) {
   return String(val);
 }
 
-function loadConfig() {
-  const configPath = join(__dirname, '..', 'github-file-config.json');
-  return JSON.parse(readFileSync(configPath, 'utf-8'));
-}
-
-function loadState(statePath) {
-  if (existsSync(statePath)) {
-    try {
-      return JSON.parse(readFileSync(statePath, 'utf-8'));
-    } catch (e) {
-      console.error('Failed to parse state file, starting fresh:', e.message);
-    }
-  }
-  return {};
-}
-
-function saveState(statePath, state) {
-  const dir = dirname(statePath);
-  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-  writeFileSync(statePath, JSON.stringify(state, null, 2));
-}
-
 async function fetchLatestCommit(fileConfig, timeout) {
   const { owner, repo, path } = fileConfig;
   const apiUrl = `https://api.github.com/repos/${owner}/${repo}/commits?path=${encodeURIComponent(path)}&per_page=1`;
   console.log(`Fetching latest commit for ${owner}/${repo}/${path}...`);
   try {
-    const response = await axios.get(apiUrl, {
+    // Conditional, so an unchanged listing costs neither the download nor API rate limit
+    const response = await request(apiUrl, {
       timeout,
-      headers: { 'Accept': 'application/vnd.github.v3+json', 'User-Agent': 'ModelWatcher/1.0' }
+      cache: true,
+      headers: { 'Accept': 'application/vnd.github.v3+json' }
     });
-    if (!response.data || response.data.length === 0) {
+    if (response.fromCache) console.log('Commit listing not modified since the last run');
+    const commits = await response.json();
+    if (!commits || commits.length === 0) {
       return { success: false, error: 'No commits found for path' };
     }
-    const commit = response.data[0];
+    const commit = commits[0];
     return {
       success: true,
       sha: commit.sha,
@@ -130,11 +119,11 @@ async function fetchRawFile(fileConfig, commitSha, timeout) {
   const rawUrl = `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/${path}`;
   console.log(`Fetching raw file from ${rawUrl}...`);
   try {
-    const response = await axios.get(rawUrl, {
+    const data = await fetchJson(rawUrl, {
       timeout,
-      headers: { 'Accept': 'application/json', 'User-Agent': 'ModelWatcher/1.0' }
+      headers: { 'Accept': 'application/json' }
     });
-    return { success: true, data: response.data };
+    return { success: true, data };
   } catch (error) {
     console.error('Failed to fetch raw file:', error.message);
     return { success: false, error: error.message };
@@ -154,7 +143,7 @@ function buildModelDetails(modelData) {
   return lines.join('\n');
 }
 
-function detectModelChanges(currentData, previousData) {
+export function detectModelChanges(currentData, previousData) {
   const currentIds = new Set(Object.keys(currentData));
   const previousIds = new Set(Object.keys(previousData));
 
@@ -197,30 +186,27 @@ function detectModelChanges(currentData, previousData) {
   return { added, removed, edited };
 }
 
-async function sendDiscordWebhook(webhookUrl, payload) {
-  if (!webhookUrl) {
-    console.log('Discord webhook URL not configured, skipping notification');
-    return false;
-  }
-  try {
-    const safePayload = {
-      ...payload,
-      embeds: (payload.embeds || []).map(safeEmbed)
-    };
-    await axios.post(webhookUrl, safePayload, {
-      headers: { 'Content-Type': 'application/json' }
-    });
-    return true;
-  } catch (err) {
-    const details = err.response?.data ? JSON.stringify(err.response.data) : err.message;
-    console.error('Failed to send Discord webhook:', err.response?.status, details);
-    return false;
-  }
+export function buildEvents(modelChanges) {
+  return [
+    ...modelChanges.added.map(({ id, data }) => ({ entity: id, type: 'added', data })),
+    ...modelChanges.removed.map(({ id, data }) => ({ entity: id, type: 'removed', data })),
+    ...modelChanges.edited.map(({ id, diffs }) => ({
+      entity: id,
+      type: 'updated',
+      changes: Object.fromEntries(diffs.map(d => [d.key, { old: d.old ?? null, new: d.new ?? null }]))
+    }))
+  ];
 }
 
-function getRelativeTimestamp() {
-  const unixSeconds = Math.floor(Date.now() / 1000);
-  return `<t:${unixSeconds}:R>`;
+/**
+ * Send a notification from the tracker
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {Object} notification - Notification (src/notification.js)
+ * @param {Object} options - Passed to notify(), e.g. { events }
+ * @returns {Promise<boolean>}
+ */
+async function sendNotification(webhookUrl, notification, options = {}) {
+  return notify('github-file', { sender: 'Tombstone Tracker', footer: 'Tombstone Tracker', ...notification }, { webhookUrl, ...options });
 }
 
 function truncate(text, maxLength) {
@@ -229,115 +215,51 @@ function truncate(text, maxLength) {
   return text.substring(0, maxLength - 3) + '...';
 }
 
-const MAX_EMBED_DESC = 2048;
-const MAX_FIELD_VALUE = 1024;
-const MAX_EMBED_TOTAL = 6000;
-
-function safeEmbed(embed) {
-  if (embed.title && embed.title.length > 256) embed.title = truncate(embed.title, 256);
-  if (embed.description && embed.description.length > MAX_EMBED_DESC) embed.description = truncate(embed.description, MAX_EMBED_DESC);
-  if (embed.fields) {
-    for (const field of embed.fields) {
-      if (field.name && field.name.length > 256) field.name = truncate(field.name, 256);
-      if (field.value && field.value.length > MAX_FIELD_VALUE) field.value = truncate(field.value, MAX_FIELD_VALUE);
-    }
-  }
-  return embed;
-}
-
-function embedCharCount(embed) {
-  let count = (embed.title || '').length + (embed.description || '').length;
-  if (embed.fields) {
-    for (const f of embed.fields) count += (f.name || '').length + (f.value || '').length;
-  }
-  if (embed.footer && embed.footer.text) count += embed.footer.text.length;
-  return count;
-}
-
-function createNewModelEmbed(modelId, modelData) {
+function createNewModelNotification(modelId, modelData) {
   const details = buildModelDetails(modelData);
   return {
-    username: 'Tombstone Tracker',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '🆕 New Model',
-      description: `**${getModelSummary(modelId, modelData)}** added ${getRelativeTimestamp()}`,
-      color: 0x10B981,
-      fields: [{
-        name: 'Details',
-        value: truncate(details, 1024)
-      }],
-      timestamp: new Date().toISOString(),
-      footer: { text: 'Tombstone Tracker', icon_url: LOGO_URL }
-    }]
+    title: '🆕 New Model',
+    description: `**${getModelSummary(modelId, modelData)}** added`,
+    severity: 'success',
+    sections: [{ title: 'Details', text: truncate(details, 1024) }]
   };
 }
 
-function createRemovedModelEmbed(modelId, modelData) {
+function createRemovedModelNotification(modelId, modelData) {
   const details = buildModelDetails(modelData);
   return {
-    username: 'Tombstone Tracker',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '🗑️ Removed Model',
-      description: `**${getModelSummary(modelId, modelData)}** removed ${getRelativeTimestamp()}`,
-      color: 0xEF4444,
-      fields: [{
-        name: 'Last Known Details',
-        value: truncate(details, 1024)
-      }],
-      timestamp: new Date().toISOString(),
-      footer: { text: 'Tombstone Tracker', icon_url: LOGO_URL }
-    }]
+    title: '🗑️ Removed Model',
+    description: `**${getModelSummary(modelId, modelData)}** removed`,
+    severity: 'error',
+    sections: [{ title: 'Last Known Details', text: truncate(details, 1024) }]
   };
 }
 
-function createEditedModelEmbed(modelId, modelData, diffs) {
-  const changeLines = diffs.map(d => {
-    const oldVal = formatValue(d.old);
-    const newVal = formatValue(d.new);
-    return `**${d.readable}**\n- ${oldVal}\n+ ${newVal}`;
-  }).join('\n\n');
-
+function createEditedModelNotification(modelId, modelData, diffs) {
   return {
-    username: 'Tombstone Tracker',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '📝 Model Updated',
-      description: `**${getModelSummary(modelId, modelData)}** edited ${getRelativeTimestamp()}`,
-      color: 0xF59E0B,
-      fields: [{
-        name: 'Changes',
-        value: truncate(changeLines, 1024)
-      }],
-      timestamp: new Date().toISOString(),
-      footer: { text: 'Tombstone Tracker', icon_url: LOGO_URL }
+    title: '📝 Model Updated',
+    description: `**${getModelSummary(modelId, modelData)}** edited`,
+    severity: 'warning',
+    sections: [{
+      title: 'Changes',
+      diff: diffs.map(d => ({ field: d.readable, old: formatValue(d.old), new: formatValue(d.new) }))
     }]
   };
 }
 
-function createSummaryEmbed(commitInfo, modelChanges, totalModels, fileConfig) {
+function createSummaryNotification(commitInfo, modelChanges, totalModels, fileConfig) {
   return {
-    username: 'Tombstone Tracker',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '📄 Update Detected',
-      description: `**Tombstone Tracker** detected an update ${getRelativeTimestamp()}`,
-      color: 0x8B5CF6,
-      fields: [
-        {
-          name: '📊 Changes',
-          value: `🆕 ${modelChanges.added.length} added | 🗑️ ${modelChanges.removed.length} removed | 📝 ${modelChanges.edited.length} edited | 🤖 ${totalModels} total`,
-          inline: false
-        }
-      ],
-      timestamp: new Date().toISOString(),
-      footer: { text: 'Tombstone Tracker', icon_url: LOGO_URL }
+    title: '📄 Update Detected',
+    description: '**Tombstone Tracker** detected an update',
+    color: 0x8B5CF6,
+    sections: [{
+      title: '📊 Changes',
+      text: `🆕 ${modelChanges.added.length} added | 🗑️ ${modelChanges.removed.length} removed | 📝 ${modelChanges.edited.length} edited | 🤖 ${totalModels} total`
     }]
   };
 }
 
-function createInitialEmbed(commitInfo, currentData, fileConfig) {
+function createInitialNotification(commitInfo, currentData, fileConfig) {
   const models = currentData.models || {};
   const modelCount = Object.keys(models).length;
 
@@ -353,18 +275,14 @@ function createInitialEmbed(commitInfo, currentData, fileConfig) {
     .join('\n');
 
   return {
-    username: 'Tombstone Tracker',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '📄 Tombstone Tracker Started',
-      description: `**Tombstone Tracker** is now watching ${getRelativeTimestamp()}`,
-      color: 0x3B82F6,
+    title: '📄 Tombstone Tracker Started',
+    description: '**Tombstone Tracker** is now watching',
+    severity: 'info',
+    sections: [{
       fields: [
         { name: '🤖 Models', value: `**Total:** ${modelCount}`, inline: true },
         { name: '🏢 Providers', value: truncate(providerList, 1000) || 'N/A', inline: true }
-      ],
-      timestamp: new Date().toISOString(),
-      footer: { text: 'Tombstone Tracker', icon_url: LOGO_URL }
+      ]
     }]
   };
 }
@@ -373,11 +291,11 @@ async function main() {
   console.log('=== Tombstone Tracker ===');
   console.log('Starting file check...');
 
-  const config = loadConfig();
+  const config = loadConfig('github-file');
   const statePath = join(__dirname, '..', config.state?.file || 'logs/github-file-state.json');
   const previousState = loadState(statePath);
 
-  const webhookUrl = process.env[config.webhook?.webhookEnv];
+  const webhookUrl = getWebhookUrl(config.webhook?.webhookEnv);
   if (!webhookUrl) {
     console.error(`Webhook URL not configured (${config.webhook?.webhookEnv} env not set), exiting`);
     process.exit(1);
@@ -388,6 +306,7 @@ async function main() {
   const commitInfo = await fetchLatestCommit(config.file, timeout);
   if (!commitInfo.success) {
     console.error('Failed to fetch latest commit:', commitInfo.error);
+    reportRunError(commitInfo.error);
     process.exit(1);
   }
 
@@ -405,45 +324,63 @@ async function main() {
   const rawResult = await fetchRawFile(config.file, commitInfo.sha, timeout);
   if (!rawResult.success) {
     console.error('Failed to fetch raw file:', rawResult.error);
+    reportRunError(rawResult.error);
     process.exit(1);
   }
 
   const currentData = rawResult.data || {};
   const currentModels = currentData.models || {};
+  countRunItems(Object.keys(currentModels).length);
+  setMetric('models', { source: 'github-file' }, Object.keys(currentModels).length);
   const previousModels = previousState.raw?.models || {};
 
+  if (previousSha) {
+    const guardCheck = checkMassChange({
+      source: 'github-file',
+      previousKeys: Object.keys(previousModels),
+      currentKeys: Object.keys(currentModels),
+      pending: previousState.guard,
+      options: config.guard
+    });
+    if (guardCheck.held) {
+      await sendMassChangeAlert(webhookUrl, 'github-file', guardCheck);
+      saveState(statePath, { ...previousState, guard: guardCheck.pending });
+      return;
+    }
+  }
+
   const modelChanges = detectModelChanges(currentModels, previousModels);
   const totalModels = Object.keys(currentModels).length;
 
   console.log(`Models: ${modelChanges.added.length} added, ${modelChanges.removed.length} removed, ${modelChanges.edited.length} edited`);
 
   if (previousSha) {
-    // Send summary first
-    const summaryEmbed = createSummaryEmbed(commitInfo, modelChanges, totalModels, config.file);
-    await sendDiscordWebhook(webhookUrl, summaryEmbed);
+    const events = buildEvents(modelChanges);
+    const eventFor = (id, type) => events.filter(event => event.entity === id && event.type === type);
+    recordEvents('github-file', events, { commitSha: commitInfo.sha });
+
+    // Send summary first (rules match the individual notifications below)
+    const summary = createSummaryNotification(commitInfo, modelChanges, totalModels, config.file);
+    await sendNotification(webhookUrl, summary, { kind: 'summary', events: [] });
 
-    // Send individual new model embeds
+    // Send individual new model notifications
     for (const { id, data } of modelChanges.added) {
-      const embed = createNewModelEmbed(id, data);
-      await sendDiscordWebhook(webhookUrl, embed);
+      await sendNotification(webhookUrl, createNewModelNotification(id, data), { events: eventFor(id, 'added') });
     }
 
-    // Send individual removed model embeds
+    // Send individual removed model notifications
     for (const { id, data } of modelChanges.removed) {
-      const embed = createRemovedModelEmbed(id, data);
-      await sendDiscordWebhook(webhookUrl, embed);
+      await sendNotification(webhookUrl, createRemovedModelNotification(id, data), { events: eventFor(id, 'removed') });
     }
 
-    // Send individual edited model embeds
+    // Send individual edited model notifications
     for (const { id, data, diffs } of modelChanges.edited) {
-      const embed = createEditedModelEmbed(id, data, diffs);
-      await sendDiscordWebhook(webhookUrl, embed);
+      await sendNotification(webhookUrl, createEditedModelNotification(id, data, diffs), { events: eventFor(id, 'updated') });
     }
   } else {
     // First run
-    console.log('First run, sending initial tracking embed');
-    const embed = createInitialEmbed(commitInfo, currentData, config.file);
-    await sendDiscordWebhook(webhookUrl, embed);
+    console.log('First run, sending initial tracking notification');
+    await sendNotification(webhookUrl, createInitialNotification(commitInfo, currentData, config.file));
   }
 
   // Save full raw state for accurate future diffs
@@ -457,7 +394,14 @@ async function main() {
   console.log(`=== File check complete: ${totalModels} models tracked ===`);
 }
 
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+const isCli = process.argv[1] && /github-file-watch\.js$/.test(process.argv[1]);
+if (isCli) {
+  installRedaction();
+  installCassette();
+  startRun('github-file');
+  main().catch(err => {
+    reportRunError(err);
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
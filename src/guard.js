@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import { createMassChangeAlert } from './webhook.js';
+import { notify } from './transports.js';
+
+/**
+ * Mass-change guard shared by the watchers.
+ *
+ * A broken parser or an API returning an empty list looks exactly like "every model
+ * was removed". Before notifying or saving, watchers pass the item keys of the previous
+ * and current scan to checkMassChange(). When too large a share of the known items would
+ * disappear, the change is held: the watcher keeps its old state, stores the returned
+ * `pending` record next to it and sends a single alert.
+ *
+ * A held change is accepted when `confirmRuns` consecutive runs produce the same item set,
+ * or when MODELWATCHER_ACCEPT_MASS_CHANGE is set to `all` or a comma-separated list of
+ * sources (e.g. `bedrock,scanner:OpenAI`).
+ *
+ * Watcher configs may override the defaults with a `guard` block.
+ */
+export const GUARD_DEFAULTS = {
+  enabled: true,
+  maxRemovedRatio: 0.5, // Hold when more than this share of known items would be removed
+  minPreviousItems: 5, // Small lists legitimately swing by large ratios
+  confirmRuns: 2 // Consecutive runs with the same result needed to accept a held change
+};
+
+export const ACCEPT_ENV = 'MODELWATCHER_ACCEPT_MASS_CHANGE';
+
+/**
+ * Stable fingerprint of an item set, used to recognise a confirming run
+ * @param {Array<string>} keys - Item keys
+ * @returns {string} - Short hex digest
+ */
+function fingerprint(keys) {
+  const sorted = [...new Set(keys)].sort();
+  return crypto.createHash('sha256').update(sorted.join('\n')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Whether the mass-change override env variable accepts changes for a source
+ * @param {string} source - Guard source name
+ * @returns {boolean}
+ */
+export function isMassChangeOverridden(source) {
+  const value = process.env[ACCEPT_ENV];
+  if (!value) return false;
+
+  const accepted = value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  return accepted.some(name => ['1', 'true', 'all', '*'].includes(name) || name === source.toLowerCase());
+}
+
+/**
+ * Check whether a change removes too many known items to trust
+ * @param {Object} params
+ * @param {string} params.source - Guard source name (watcher, or `scanner:<endpoint>`)
+ * @param {Array<string>} params.previousKeys - Item keys from the saved state
+ * @param {Array<string>} params.currentKeys - Item keys from this run
+ * @param {Object|null} params.pending - Pending record stored by a previous held run
+ * @param {Object} params.options - Guard options from the watcher config
+ * @returns {Object} - { held, accepted, alert, pending, stats, options }
+ */
+export function checkMassChange({ source, previousKeys, currentKeys, pending = null, options = {} }) {
+  const opts = { ...GUARD_DEFAULTS, ...options };
+  const previous = [...new Set(previousKeys)];
+  const current = new Set(currentKeys);
+  const removedCount = previous.filter(key => !current.has(key)).length;
+
+  const stats = {
+    previousCount: previous.length,
+    currentCount: current.size,
+    removedCount,
+    ratio: previous.length > 0 ? removedCount / previous.length : 0
+  };
+
+  const suspicious = opts.enabled
+    && stats.previousCount >= opts.minPreviousItems
+    && stats.ratio > opts.maxRemovedRatio;
+
+  if (!suspicious) {
+    return { held: false, accepted: null, alert: false, pending: null, stats, options: opts };
+  }
+
+  if (isMassChangeOverridden(source)) {
+    console.log(`[guard] ${source}: mass change accepted via ${ACCEPT_ENV}`);
+    return { held: false, accepted: 'override', alert: false, pending: null, stats, options: opts };
+  }
+
+  const print = fingerprint([...current]);
+  const sameAsPending = pending?.fingerprint === print;
+  const runs = sameAsPending ? (pending.runs || 1) + 1 : 1;
+
+  if (runs >= opts.confirmRuns) {
+    console.log(`[guard] ${source}: mass change confirmed by ${runs} consecutive runs, accepting`);
+    return { held: false, accepted: 'confirmed', alert: false, pending: null, stats, options: opts };
+  }
+
+  console.log(`[guard] ${source}: holding change removing ${removedCount}/${stats.previousCount} items (run ${runs}/${opts.confirmRuns})`);
+  return {
+    held: true,
+    accepted: null,
+    alert: !sameAsPending, // One alert per distinct suspicious result
+    pending: {
+      fingerprint: print,
+      runs,
+      firstHeldAt: sameAsPending ? pending.firstHeldAt : new Date().toISOString(),
+      ...stats
+    },
+    stats,
+    options: opts
+  };
+}
+
+/**
+ * Send the "parser suspected broken" alert for a held change, once per result
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {string} source - Guard source name
+ * @param {Object} check - Result of checkMassChange
+ * @returns {Promise<boolean>} - Whether an alert was sent
+ */
+export async function sendMassChangeAlert(webhookUrl, source, check) {
+  if (!check.held || !check.alert) return false;
+
+  const alert = createMassChangeAlert(source, check.stats, {
+    confirmRuns: check.options.confirmRuns,
+    overrideEnv: ACCEPT_ENV
+  });
+  // Route by watcher: 'scanner:OpenAI' goes where the scanner's notifications go
+  return notify(source.split(':')[0], alert, { webhookUrl, kind: 'alert' });
+}
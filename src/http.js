@@ -0,0 +1,354 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { ProxyAgent } from 'undici';
+import { loadConfig, getConfigFiles } from './config.js';
+import { getCassetteMode } from './cassette.js';
+import { isDryRun } from './dry-run.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(__dirname, '..');
+
+/**
+ * Shared HTTP client for the watchers (settings in http-config.json).
+ *
+ * Every request goes through the global fetch, so HTTP cassettes record and replay it, and gets:
+ *   - the User-Agent, timeout, retries and concurrency of http-config.json, overridable per
+ *     host by the first matching `hosts` rule ("example.com", "*.example.com" or "*")
+ *   - the rule's proxy, e.g. "${WEBSHARE_PROXY_URL:-}" (socks5:// URLs are used as http://)
+ *   - at most `concurrency` requests in flight per host; the others wait for a free slot
+ *   - retries of network errors, 429 and 5xx responses, waiting for Retry-After when the
+ *     server sends one (a longer wait than maxRetryDelay returns the response instead)
+ *   - gzip, deflate and brotli, which fetch advertises and decodes on its own
+ *   - timing per host, see getHttpMetrics()
+ *
+ * A request made with `cache: true` is conditional: the ETag/Last-Modified of the last 200
+ * response for that method and URL (stored in logs/http-cache/) are sent back, and a 304 is
+ * answered with the stored response, marked `response.fromCache`. Dry runs read the cache but
+ * never write it, and cassette runs skip it so a cassette always holds full responses.
+ */
+const DEFAULT_SETTINGS = {
+  userAgent: 'ModelWatcher/1.0',
+  timeout: 30000,
+  retries: 2,
+  maxRetryDelay: 60000,
+  concurrency: 4,
+  cache: { enabled: true, dir: 'logs/http-cache' },
+  hosts: []
+};
+
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Methods that are safe to send twice; others are only retried when the caller asks for it
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+const BASE_BACKOFF_MS = 1000;
+
+// Response headers not kept in the cache: cookies, and framing a stored body no longer has
+const UNCACHED_HEADERS = new Set(['set-cookie', 'content-encoding', 'transfer-encoding', 'connection']);
+
+let settings = null;
+const proxyAgents = new Map();
+// host -> { active, waiting: [resolve] }
+const hostSlots = new Map();
+// host -> { requests, errors, retries, notModified, totalMs, maxMs }
+const hostMetrics = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * HTTP settings from http-config.json, with defaults when it is missing
+ * @returns {Object}
+ * @throws {Error} - When http-config.json is invalid, as loadConfig() does
+ */
+export function getHttpSettings() {
+  if (!settings) {
+    const { configFile } = getConfigFiles('http');
+    settings = existsSync(join(ROOT_DIR, configFile))
+      ? { ...DEFAULT_SETTINGS, ...loadConfig('http') }
+      : { ...DEFAULT_SETTINGS };
+  }
+  return settings;
+}
+
+/**
+ * Check a host against a rule's `match`
+ * @param {string} pattern - "example.com", "*.example.com" or "*"
+ * @param {string} host - Request host
+ * @returns {boolean}
+ */
+function hostMatches(pattern, host) {
+  if (pattern === '*') return true;
+  if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1));
+  return host === pattern.toLowerCase();
+}
+
+/**
+ * Settings for one host: the defaults overridden by the first matching `hosts` rule
+ * @param {string} host - Request host
+ * @returns {Object} - { userAgent, timeout, retries, concurrency, proxy }
+ */
+export function hostSettings(host) {
+  const { hosts, cache, $schema, ...defaults } = getHttpSettings();
+  const rule = (hosts || []).find(r => hostMatches(r.match, host.toLowerCase()));
+  const { match, ...overrides } = rule || {};
+  return { ...defaults, proxy: null, ...overrides };
+}
+
+/**
+ * Proxy URL for a request, as socks5:// proxies are reached over http://
+ * @param {string} url - Request URL
+ * @returns {string|null}
+ */
+export function proxyFor(url) {
+  const proxy = hostSettings(new URL(url).hostname).proxy;
+  if (!proxy) return null;
+  try {
+    // URL won't switch a socks5: URL to the special http: scheme, so swap it in the string
+    return new URL(proxy.replace(/^socks5:/i, 'http:')).toString();
+  } catch {
+    console.error(`Invalid proxy URL for ${new URL(url).hostname}, ignoring it`);
+    return null;
+  }
+}
+
+/**
+ * The proxy for a URL in the { server, username, password } form browsers take
+ * @param {string} url - Page URL
+ * @param {string} proxyUrl - Proxy URL to use instead of the host rule's
+ * @returns {Object|null}
+ */
+export function browserProxy(url, proxyUrl = proxyFor(url)) {
+  if (!proxyUrl) return null;
+  try {
+    const parsed = new URL(proxyUrl.replace(/^socks5:/i, 'http:'));
+    return {
+      server: `${parsed.protocol}//${parsed.host}`,
+      username: decodeURIComponent(parsed.username),
+      password: decodeURIComponent(parsed.password)
+    };
+  } catch {
+    console.error('Invalid proxy URL, ignoring it');
+    return null;
+  }
+}
+
+function proxyAgent(proxyUrl) {
+  if (!proxyAgents.has(proxyUrl)) proxyAgents.set(proxyUrl, new ProxyAgent(proxyUrl));
+  return proxyAgents.get(proxyUrl);
+}
+
+async function acquireSlot(host, limit) {
+  if (!hostSlots.has(host)) hostSlots.set(host, { active: 0, waiting: [] });
+  const slots = hostSlots.get(host);
+  if (slots.active >= limit) await new Promise(resolve => slots.waiting.push(resolve));
+  slots.active++;
+}
+
+function releaseSlot(host) {
+  const slots = hostSlots.get(host);
+  slots.active--;
+  const next = slots.waiting.shift();
+  if (next) next();
+}
+
+function metricsFor(host) {
+  if (!hostMetrics.has(host)) {
+    hostMetrics.set(host, { requests: 0, errors: 0, retries: 0, notModified: 0, totalMs: 0, maxMs: 0 });
+  }
+  return hostMetrics.get(host);
+}
+
+/**
+ * Request timing per host since the process started
+ * @returns {Object} - { [host]: { requests, errors, retries, notModified, totalMs, maxMs, avgMs } }
+ */
+export function getHttpMetrics() {
+  return Object.fromEntries([...hostMetrics].map(([host, m]) => [host, {
+    ...m,
+    avgMs: m.requests > 0 ? Math.round(m.totalMs / m.requests) : 0
+  }]));
+}
+
+/**
+ * Milliseconds a response asks to wait before retrying
+ * @param {Response} response - 429 or 503 response
+ * @returns {number|null} - null when there is no usable Retry-After
+ */
+export function retryAfterMs(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// --- Conditional request cache ---
+
+function cacheFile(method, url) {
+  const key = crypto.createHash('sha256').update(`${method} ${url}`).digest('hex').slice(0, 32);
+  return join(ROOT_DIR, getHttpSettings().cache.dir, `${key}.json`);
+}
+
+function readCache(file) {
+  if (!existsSync(file)) return null;
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(file, entry) {
+  if (isDryRun()) return;
+  try {
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(entry));
+  } catch (err) {
+    console.error('Failed to write HTTP cache:', err.message);
+  }
+}
+
+function cachedResponse(entry) {
+  const body = entry.body === null ? null : Buffer.from(entry.body, 'base64');
+  const response = new Response(body, { status: entry.status, statusText: entry.statusText, headers: entry.headers });
+  response.fromCache = true;
+  return response;
+}
+
+/**
+ * Store a 200 response that can be revalidated, and hand back an unread copy
+ * @param {string} file - Cache file
+ * @param {Object} request - { method, url }
+ * @param {Response} response - Fresh response
+ * @returns {Promise<Response>}
+ */
+async function storeResponse(file, { method, url }, response) {
+  const headers = Object.fromEntries([...response.headers].filter(([name]) => !UNCACHED_HEADERS.has(name)));
+  // fetch hands over decoded bodies, so a compressed length no longer describes it
+  if (method !== 'HEAD' && response.headers.has('content-encoding')) delete headers['content-length'];
+  const body = method === 'HEAD' ? null : Buffer.from(await response.arrayBuffer());
+  writeCache(file, {
+    method,
+    url,
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+    body: body && body.toString('base64'),
+    storedAt: new Date().toISOString()
+  });
+  const copy = new Response(body, { status: response.status, statusText: response.statusText, headers });
+  copy.fromCache = false;
+  return copy;
+}
+
+// --- Requests ---
+
+/**
+ * Make an HTTP request
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options plus { timeout, retries, cache, allowErrors }:
+ *   cache makes GET/HEAD conditional (see module doc); allowErrors returns non-2xx responses
+ *   instead of throwing
+ * @returns {Promise<Response>} - With `fromCache` set on cacheable requests
+ */
+export async function request(url, options = {}) {
+  const { timeout, retries, cache = false, allowErrors = false, headers = {}, ...init } = options;
+  const method = (init.method || 'GET').toUpperCase();
+  const host = new URL(url).hostname;
+  const hostConfig = hostSettings(host);
+  const proxy = proxyFor(url);
+  const maxRetries = retries ?? (IDEMPOTENT_METHODS.has(method) ? hostConfig.retries : 0);
+  const metrics = metricsFor(host);
+
+  const useCache = cache && ['GET', 'HEAD'].includes(method) && getHttpSettings().cache.enabled && !getCassetteMode();
+  const file = useCache ? cacheFile(method, url) : null;
+  const cached = useCache ? readCache(file) : null;
+  const conditional = {};
+  if (cached?.headers.etag) conditional['If-None-Match'] = cached.headers.etag;
+  if (cached?.headers['last-modified']) conditional['If-Modified-Since'] = cached.headers['last-modified'];
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot(host, hostConfig.concurrency);
+    const started = Date.now();
+    let response;
+    let error = null;
+    try {
+      response = await fetch(url, {
+        ...init,
+        method,
+        headers: { 'User-Agent': hostConfig.userAgent, ...conditional, ...headers },
+        signal: AbortSignal.timeout(timeout ?? hostConfig.timeout),
+        ...(proxy ? { dispatcher: proxyAgent(proxy) } : {})
+      });
+    } catch (err) {
+      error = err;
+    } finally {
+      const elapsed = Date.now() - started;
+      metrics.requests++;
+      metrics.totalMs += elapsed;
+      metrics.maxMs = Math.max(metrics.maxMs, elapsed);
+      releaseSlot(host);
+    }
+
+    let wait = null;
+    if (error) {
+      metrics.errors++;
+      if (attempt >= maxRetries) throw new Error(`${method} ${url} failed: ${error.cause?.message || error.message}`);
+      wait = BASE_BACKOFF_MS * 2 ** attempt;
+    } else if (RETRY_STATUSES.has(response.status) && attempt < maxRetries) {
+      wait = retryAfterMs(response) ?? BASE_BACKOFF_MS * 2 ** attempt;
+      if (wait > hostConfig.maxRetryDelay) {
+        console.error(`${host} asked to wait ${Math.round(wait / 1000)}s, not retrying`);
+        wait = null;
+      }
+    }
+    if (wait !== null) {
+      metrics.retries++;
+      console.log(`Retrying ${method} ${url} in ${(wait / 1000).toFixed(1)}s (${error ? error.message : `HTTP ${response.status}`})`);
+      await response?.body?.cancel();
+      // Replays answer in recorded order, so there is nothing to wait for
+      if (getCassetteMode() !== 'replay') await sleep(wait);
+      continue;
+    }
+
+    if (response.status === 304 && cached) {
+      metrics.notModified++;
+      return cachedResponse(cached);
+    }
+    if (!response.ok) {
+      metrics.errors++;
+      if (!allowErrors) {
+        await response.body?.cancel();
+        throw new Error(`HTTP ${response.status} for ${url}`);
+      }
+    }
+    if (useCache && response.status === 200 && (response.headers.has('etag') || response.headers.has('last-modified'))) {
+      return storeResponse(file, { method, url }, response);
+    }
+    if (useCache) response.fromCache = false;
+    return response;
+  }
+}
+
+/**
+ * GET a URL as text
+ * @param {string} url - Request URL
+ * @param {Object} options - As for request()
+ * @returns {Promise<string>}
+ */
+export async function fetchText(url, options) {
+  return (await request(url, options)).text();
+}
+
+/**
+ * GET a URL as JSON
+ * @param {string} url - Request URL
+ * @param {Object} options - As for request()
+ * @returns {Promise<*>}
+ */
+export async function fetchJson(url, options) {
+  return (await request(url, options)).json();
+}
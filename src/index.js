@@ -1,87 +1,14 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { scanEndpoints, compareModels } from './scanner.js';
+import { scanEndpoints, compareModels, buildModelEvents } from './scanner.js';
 import Logger from './logger.js';
 import { processNotifications } from './webhook.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// API key sanitization patterns
-const API_KEY_PATTERNS = [
-  /([a-zA-Z_]+API[_]?KEY)[^"'\s]*/gi,
-  /Bearer\s+([a-zA-Z0-9\-_]+)/gi,
-  /sk-([a-zA-Z0-9\-_]{20,})/gi,
-  /api[-]?key["']?\s*[:=]\s*["']?([^"'\s]+)/gi
-];
-
-/**
- * Sanitize sensitive data from strings (API keys, tokens)
- * @param {string} text - Text to sanitize
- * @returns {string} - Sanitized text
- */
-export function sanitize(text) {
-  if (!text || typeof text !== 'string') return text;
-  
-  let sanitized = text;
-  
-  // Replace common API key patterns
-  sanitized = sanitized.replace(/(sk-|AKIA|eyJ)[a-zA-Z0-9\-_]{10,}/gi, '[REDACTED]');
-  sanitized = sanitized.replace(/"api[_-]?key"\s*:\s*"[^"]+"/gi, '"api_key": "[REDACTED]"');
-  sanitized = sanitized.replace(/"bearer"\s*:\s*"[^"]+"/gi, '"bearer": "[REDACTED]"');
-  sanitized = sanitized.replace(/Authorization:\s*Bearer\s+[^\s]+/gi, 'Authorization: Bearer [REDACTED]');
-  
-  return sanitized;
-}
-
-/**
- * Sanitize an object recursively
- * @param {Object} obj - Object to sanitize
- * @returns {Object} - Sanitized object
- */
-export function sanitizeObject(obj) {
-  if (obj === null || obj === undefined) return obj;
-  if (typeof obj === 'string') return sanitize(obj);
-  if (typeof obj !== 'object') return obj;
-  
-  const sanitized = Array.isArray(obj) ? [] : {};
-  
-  for (const [key, value] of Object.entries(obj)) {
-    const keyLower = key.toLowerCase();
-    
-    // Skip known sensitive keys
-    if (keyLower.includes('key') || keyLower.includes('token') || 
-        keyLower.includes('secret') || keyLower.includes('password') ||
-        keyLower.includes('bearer') || keyLower.includes('auth')) {
-      sanitized[key] = '[REDACTED]';
-    } else if (typeof value === 'string') {
-      sanitized[key] = sanitize(value);
-    } else if (typeof value === 'object') {
-      sanitized[key] = sanitizeObject(value);
-    } else {
-      sanitized[key] = value;
-    }
-  }
-  
-  return sanitized;
-}
-
-/**
- * Load configuration
- * @returns {Object} - Configuration object
- */
-function loadConfig() {
-  const configPath = path.join(__dirname, '..', 'config.json');
-  
-  if (!fs.existsSync(configPath)) {
-    console.error('Config file not found:', configPath);
-    process.exit(1);
-  }
-  
-  const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-  return config;
-}
+import { notify } from './transports.js';
+import { checkMassChange, sendMassChangeAlert } from './guard.js';
+import { loadConfig } from './config.js';
+import { getWebhookUrl } from './dry-run.js';
+import { installCassette } from './cassette.js';
+import { recordEvents } from './events.js';
+import { installRedaction, redact } from './redact.js';
+import { startRun, countRunItems, reportRunError } from './watchdog.js';
 
 /**
  * Main scan function
@@ -92,7 +19,7 @@ async function main() {
   console.log('='.repeat(50));
   
   // Load configuration
-  const config = loadConfig();
+  const config = loadConfig('config');
   
   // Initialize logger
   const logger = new Logger(config.logging);
@@ -109,21 +36,55 @@ async function main() {
   let totalAdded = 0;
   let totalRemoved = 0;
   let totalUpdated = 0;
+  const events = [];
   
   for (const result of results) {
     const endpointName = result.endpoint;
     
     if (result.success) {
-      let oldModels = [];
-      
-      // Get previous models from state
-      if (previousState && previousState.endpoints && previousState.endpoints[endpointName]) {
-        oldModels = previousState.endpoints[endpointName].models || [];
+      countRunItems(result.models.length);
+      const previous = previousState?.endpoints?.[endpointName];
+
+      // Only diff two successful scans; without a baseline this run becomes one
+      if (!logger.hasBaseline(previous)) {
+        allChanges[endpointName] = compareModels(result.models, result.models);
+        console.log(`  ✓ ${endpointName}: ${result.models.length} models (baseline recorded)`);
+        continue;
       }
-      
-      // Compare with current
-      const changes = compareModels(oldModels, result.models);
+
+      if (!previous.success) {
+        console.log(`  ↺ ${endpointName}: recovered after ${previous.failure?.consecutiveFailures || 0} failed scan(s)`);
+      }
+
+      // Hold back scans that would drop most known models (broken API response or parser)
+      const endpoint = config.endpoints.find(ep => ep.name === endpointName) || {};
+      const source = `scanner:${endpointName}`;
+      const guardCheck = checkMassChange({
+        source,
+        previousKeys: (previous.models || []).map(m => m.id),
+        currentKeys: result.models.map(m => m.id),
+        pending: previous.guard,
+        options: { ...config.guard, ...endpoint.guard }
+      });
+
+      if (guardCheck.held) {
+        result.held = true;
+        result.guard = guardCheck.pending;
+        allChanges[endpointName] = compareModels(result.models, result.models);
+        console.log(`  ⏸ ${endpointName}: ${result.models.length} models (held: -${guardCheck.stats.removedCount} of ${guardCheck.stats.previousCount})`);
+
+        const groupConfig = config.discord?.webhooks?.[endpoint.group || 'default'];
+        if (config.discord?.enabled && groupConfig) {
+          await sendMassChangeAlert(getWebhookUrl(groupConfig.webhookEnv), source, guardCheck);
+        }
+        continue;
+      }
+
+      // Compare with last known good models
+      const changes = compareModels(previous.models || [], result.models);
       allChanges[endpointName] = changes;
+
+      events.push(...buildModelEvents(endpointName, changes));
       
       totalAdded += changes.summary.addedCount;
       totalRemoved += changes.summary.removedCount;
@@ -142,22 +103,25 @@ async function main() {
       }
     } else {
       console.log(`  ✗ ${endpointName}: ${result.error}`);
+      // Endpoints without credentials are skipped by choice, not broken
+      if (result.configured !== false) reportRunError(result);
       allChanges[endpointName] = { error: result.error, added: [], removed: [], updated: [] };
     }
   }
   
-  // Save current state
-  logger.saveState(results);
+  recordEvents('scanner', events);
+
+  // Save current state (failed endpoints keep their last known good models)
+  logger.saveState(results, previousState);
   
-  // Log scan results (sanitized)
-  const sanitizedResults = sanitizeObject(results);
-  const sanitizedChanges = sanitizeObject(allChanges);
-  logger.logScan(sanitizedResults, sanitizedChanges);
+  // Log scan results (redacted by the logger)
+  logger.logScan(results, allChanges);
   
   // Process Discord notifications
   console.log('\nProcessing notifications...');
   const commitSha = process.env.GITHUB_SHA || null;
-  await processNotifications(config.discord, results, allChanges, config.endpoints, commitSha);
+  await processNotifications(config.discord, results, allChanges, config.endpoints, commitSha,
+    (webhookUrl, notification, meta) => notify('scanner', notification, { webhookUrl, ...meta }));
   
   // Summary
   console.log('\n' + '='.repeat(50));
@@ -182,8 +146,13 @@ async function main() {
   process.exit(0);
 }
 
+installRedaction();
+installCassette();
+startRun('scanner');
+
 // Run if called directly
 main().catch(err => {
-  console.error('Fatal error:', sanitize(err.message));
+  reportRunError(err);
+  console.error('Fatal error:', redact(err.message));
   process.exit(1);
 });
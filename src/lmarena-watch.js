@@ -1,10 +1,8 @@
 import { execSync } from 'child_process';
-import fs from 'fs';
-import path from 'path';
-import { sendDiscordWebhook, createLMArenaEmbed, capabilityEmoji } from './webhook.js';
-
-const STATE_FILE = 'logs/lmarena-state.json';
-const WEBHOOK_URL = process.env.LMARENA_WEBHOOK;
+import { createLMArenaNotification, capabilityEmoji } from './webhook.js';
+import { cassetteCall } from './cassette.js';
+import { fieldDiffs } from './events.js';
+import { defineWatcher, runCli } from './runtime.js';
 
 // Static field configuration for model diffing (rank fields handled separately as leaderboard)
 const DIFF_FIELDS = [
@@ -16,21 +14,7 @@ const DIFF_FIELDS = [
   { key: 'capabilities', label: 'capabilities' }
 ];
 
-function loadState() {
-  try {
-    const raw = fs.readFileSync(STATE_FILE, 'utf8');
-    return JSON.parse(raw);
-  } catch {
-    return { models: [], lastCheck: 0 };
-  }
-}
-
-function saveState(state) {
-  fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
-  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2) + '\n');
-}
-
-function modelKey(m) {
+export function modelKey(m) {
   return m.id || m.publicName || m.name;
 }
 
@@ -443,7 +427,7 @@ function generateFieldDiff(field, oldVal, newVal) {
   return message;
 }
 
-function diffModels(oldModels, newModels) {
+export function diffModels(oldModels, newModels) {
   const oldMap = new Map(oldModels.map(m => [modelKey(m), m]));
   const newMap = new Map(newModels.map(m => [modelKey(m), normalizeModel(m)]));
 
@@ -529,72 +513,63 @@ function diffModels(oldModels, newModels) {
   return { added, removed, changed: filteredChanged, groupDiff, revealed, possibleReveals, rankChanges };
 }
 
-async function main() {
-  console.log('=== LM Arena Model Watcher ===');
+/**
+ * Build change events for the event log: added/removed models plus field and rank updates
+ * @param {Array} oldModels - Previous models
+ * @param {Array} newModels - Current models
+ * @param {Object} diff - Result of diffModels
+ * @returns {Array} - Event changes for recordEvents
+ */
+export function buildEvents(oldModels, newModels, diff) {
+  const oldMap = new Map(oldModels.map(m => [modelKey(m), m]));
+  const fields = [...DIFF_FIELDS.map(f => f.key), 'rank', 'rankByModality'];
+  const events = [
+    ...diff.added.map(m => ({ entity: modelKey(m), type: 'added', data: m })),
+    ...diff.removed.map(m => ({ entity: modelKey(m), type: 'removed', data: m }))
+  ];
 
-  if (!WEBHOOK_URL) {
-    console.log('LMARENA_WEBHOOK not set, skipping notifications');
+  for (const m of newModels) {
+    const old = oldMap.get(modelKey(m));
+    if (!old) continue;
+    const changes = fieldDiffs(old, normalizeModel(m), fields);
+    if (Object.keys(changes).length > 0) {
+      events.push({ entity: modelKey(m), type: 'updated', changes });
+    }
   }
+  return events;
+}
 
-  // Run Python scraper
-  console.log('Scraping LM Arena models...');
-  let result;
-  try {
-    const output = execSync('python src/lmarena-watch.py', {
+export const watcher = defineWatcher({
+  name: 'lmarena',
+  key: modelKey,
+  fetch: ctx => {
+    console.log('Scraping LM Arena models...');
+    return cassetteCall('lmarena-watch.py', () => execSync('python src/lmarena-watch.py', {
       encoding: 'utf8',
-      timeout: 180000,
+      timeout: ctx.config.scan?.timeout || 180000,
       stdio: ['pipe', 'pipe', 'pipe'],
-    });
-    result = JSON.parse(output);
-  } catch (err) {
-    console.error('Failed to scrape models:', err.stderr || err.message);
-    process.exit(1);
-  }
-
-  if (result.error) {
-    console.error('Scraper returned error:', result.error);
-    process.exit(0); // graceful fail
-  }
-
-  const models = result.models;
-  if (!models || !Array.isArray(models)) {
-    console.error('Invalid model data from scraper');
-    process.exit(0); // graceful fail
-  }
-
-  console.log(`Scraped ${models.length} models`);
-
-  const state = loadState();
-  const diff = diffModels(state.models, models);
-
-  const hasRankChanges = Object.keys(diff.rankChanges).length > 0;
-  const hasChanges = diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0 || hasRankChanges;
-
-  if (!hasChanges && state.models.length > 0) {
-    console.log('No model changes detected');
-    saveState({ models, lastCheck: Date.now() });
-    return;
-  }
-
-  if (state.models.length === 0) {
-    console.log('First run - saving baseline without sending notifications');
-    saveState({ models, lastCheck: Date.now() });
-    return;
-  }
-
-  console.log(`Changes: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} updated`);
-
-  // Send Discord notification
-  if (WEBHOOK_URL && hasChanges) {
-    const payload = createLMArenaEmbed(diff, models.length, models);
-    await sendDiscordWebhook(WEBHOOK_URL, payload);
-    console.log('Discord notification sent');
-  }
-
-  saveState({ models, lastCheck: Date.now() });
-}
-
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
+    }));
+  },
+  normalize: output => {
+    const result = JSON.parse(output);
+    // The scraper reports blocked or changed pages itself; skip the run rather than fail it
+    if (result.error) {
+      console.error('Scraper returned error:', result.error);
+      return null;
+    }
+    if (!Array.isArray(result.models)) {
+      console.error('Invalid model data from scraper');
+      return null;
+    }
+    console.log(`Scraped ${result.models.length} models`);
+    return result.models;
+  },
+  diff: (previous, models) => diffModels(previous, models),
+  hasChanges: diff => diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0 || Object.keys(diff.rankChanges).length > 0,
+  events: (diff, ctx) => buildEvents(ctx.previous, ctx.current, diff),
+  render: (diff, ctx) => createLMArenaNotification(diff, ctx.current.length, ctx.current),
+  load: state => state.models || [],
+  save: models => ({ models, lastCheck: Date.now() })
 });
+
+runCli(watcher, import.meta.url);
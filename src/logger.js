@@ -1,6 +1,9 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { StateStore } from './state-store.js';
+import { isDryRun } from './dry-run.js';
+import { redactObject } from './redact.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,6 +16,7 @@ export class Logger {
     this.outputDir = config.outputDir || './logs';
     this.historyDays = config.historyDays || 30;
     this.stateFile = path.join(this.outputDir, 'state.json');
+    this.stateStore = new StateStore(this.stateFile);
     this.ensureOutputDir();
   }
 
@@ -30,15 +34,8 @@ export class Logger {
    * @returns {Object|null} - Previous state or null
    */
   getPreviousState() {
-    try {
-      if (fs.existsSync(this.stateFile)) {
-        const data = fs.readFileSync(this.stateFile, 'utf-8');
-        return JSON.parse(data);
-      }
-    } catch (err) {
-      console.error('Failed to read previous state:', err.message);
-    }
-    return null;
+    // Throws when state.json and all its backups are corrupt, rather than re-announcing every model
+    return this.stateStore.load(null);
   }
 
   /**
@@ -62,25 +59,80 @@ export class Logger {
     });
   }
 
+  /**
+   * Whether a state entry holds models from a successful scan that can be diffed against.
+   * Endpoints that have never succeeded (or legacy entries saved as `models: []` on failure)
+   * have no baseline, so their first successful scan is recorded without reporting changes.
+   * @param {Object|undefined} entry - Endpoint entry from state.json
+   * @returns {boolean}
+   */
+  hasBaseline(entry) {
+    if (!entry) return false;
+    if (entry.success) return true;
+    return Boolean(entry.failure?.hasBaseline);
+  }
+
+  /**
+   * Build the state entry for a failed or unconfigured endpoint, keeping the last known
+   * good model list and any held mass change so the next successful scan diffs against them
+   * @param {Object} result - Failed scan result
+   * @param {Object|undefined} previous - Previous state entry for the endpoint
+   * @returns {Object} - State entry
+   */
+  buildFailedEntry(result, previous) {
+    const hasBaseline = this.hasBaseline(previous);
+    const prevFailure = previous && !previous.success ? previous.failure : undefined;
+    const failure = {
+      firstFailureAt: prevFailure?.firstFailureAt || new Date().toISOString(),
+      consecutiveFailures: prevFailure?.consecutiveFailures || 0,
+      lastError: result.error,
+      hasBaseline
+    };
+
+    // Missing credentials aren't a failure of the endpoint; counting them would
+    // rewrite state.json (and commit it) on every run for each unconfigured endpoint
+    if (result.configured !== false) {
+      failure.consecutiveFailures += 1;
+    }
+
+    return {
+      success: false,
+      models: hasBaseline ? previous.models || [] : [],
+      error: result.error,
+      failure,
+      // A mass change held before the failure still needs confirming by the next good scan
+      ...(previous?.guard && { guard: previous.guard })
+    };
+  }
+
   /**
    * Save current scan state
    * @param {Array} results - Current scan results
+   * @param {Object|null} previousState - State loaded at the start of the run (read from disk if omitted)
    */
-  saveState(results) {
+  saveState(results, previousState = this.getPreviousState()) {
     const state = {
       endpoints: {}
     };
 
     for (const result of results) {
-      state.endpoints[result.endpoint] = {
-        success: result.success,
-        models: this.stripTimestamps(result.models || []),
-        error: result.error
-      };
+      const previous = previousState?.endpoints?.[result.endpoint];
+
+      if (result.held && previous) {
+        // Mass-change guard held this scan: keep the old models until the change is confirmed
+        state.endpoints[result.endpoint] = { ...previous, guard: result.guard };
+      } else if (result.success) {
+        state.endpoints[result.endpoint] = {
+          success: true,
+          models: this.stripTimestamps(result.models || [])
+        };
+      } else {
+        state.endpoints[result.endpoint] = this.buildFailedEntry(result, previous);
+      }
     }
 
     try {
-      fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+      this.stateStore.save(state);
     } catch (err) {
       console.error('Failed to save state:', err.message);
     }
@@ -90,9 +142,10 @@ export class Logger {
    * Log scan results to a timestamped JSON file
    * @param {Array} results - Current scan results
    * @param {Object} changes - Changes detected
-   * @returns {string} - Path to log file
+   * @returns {string|null} - Path to log file (null in a dry run)
    */
   logScan(results, changes) {
+    if (isDryRun()) return null;
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const logFile = path.join(this.outputDir, `scan-${timestamp}.json`);
 
@@ -114,7 +167,7 @@ export class Logger {
     };
 
     try {
-      fs.writeFileSync(logFile, JSON.stringify(logEntry, null, 2));
+      fs.writeFileSync(logFile, JSON.stringify(redactObject(logEntry, { keys: true }), null, 2));
       console.log(`Log written to: ${logFile}`);
     } catch (err) {
       console.error('Failed to write log:', err.message);
@@ -138,7 +191,7 @@ export class Logger {
     };
 
     try {
-      fs.writeFileSync(logFile, JSON.stringify(logEntry, null, 2));
+      fs.writeFileSync(logFile, JSON.stringify(redactObject(logEntry, { keys: true }), null, 2));
       console.log(`Repo change log written to: ${logFile}`);
     } catch (err) {
       console.error('Failed to write repo change log:', err.message);
@@ -151,6 +204,7 @@ export class Logger {
    * Clean up old log files
    */
   cleanupOldLogs() {
+    if (isDryRun()) return;
     try {
       const files = fs.readdirSync(this.outputDir);
       const now = Date.now();
@@ -160,7 +214,9 @@ export class Logger {
       for (const file of files) {
         const filePath = path.join(this.outputDir, file);
         const stats = fs.statSync(filePath);
-        
+        // Subdirectories (e.g. logs/events) hold long-lived history
+        if (!stats.isFile()) continue;
+
         if (stats.mtimeMs < cutoff) {
           fs.unlinkSync(filePath);
           console.log(`Deleted old log: ${file}`);
@@ -0,0 +1,170 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, renameSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { isDryRun } from './dry-run.js';
+import { getHttpMetrics } from './http.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Prometheus metrics of watcher runs, in the text exposition format.
+ *
+ * Code anywhere in a run sets or adds to a metric with setMetric()/incMetric(); when the run
+ * ends (startRun() in src/watchdog.js), writeRunMetrics() adds the run's duration, outcome and
+ * item count plus the HTTP client's per-host numbers, labels every sample with the watcher and
+ * writes them to <dir>/<watcher>.prom. The directory is MODELWATCHER_METRICS_DIR (default
+ * logs/metrics/); point it at node_exporter's textfile collector directory in batch mode. The
+ * daemon serves every watcher's file merged at /metrics (src/api.js).
+ *
+ * Every metric describes the watcher's last run, so they are all gauges: a counter would start
+ * over with each process. Dry runs write nothing.
+ */
+export const METRICS = {
+  run_duration_seconds: 'Duration of the last run',
+  run_success: '1 if the last run exited with code 0',
+  run_timestamp_seconds: 'Unix time the last run finished',
+  run_items: 'Items the last run fetched',
+  run_errors: 'Errors the last run recovered from or ended with',
+  endpoint_up: '1 if the endpoint returned its model list',
+  endpoint_latency_seconds: 'Time to fetch the endpoint\'s model list, every page and retry included',
+  endpoint_status: 'HTTP status of the endpoint\'s last response (0 when none was received)',
+  models: 'Items tracked per watcher: models, or the posts, apps, filings, pages or RPCs it follows',
+  changes: 'Changes detected by type',
+  notifications: 'Notification deliveries by transport and result',
+  browser_launch_retries: 'Browser launches retried after a failure',
+  browser_crashes: 'Pages retried after their browser crashed',
+  cloudflare_challenges: 'Cloudflare challenge outcomes',
+  http_requests: 'HTTP requests per host',
+  http_errors: 'HTTP requests per host that failed after their retries',
+  http_retries: 'HTTP request retries per host',
+  http_not_modified: 'HTTP responses per host answered from the conditional cache',
+  http_request_seconds_max: 'Slowest HTTP request per host'
+};
+
+const PREFIX = 'modelwatcher_';
+
+// Metric name -> Map(label key -> { labels, value })
+const samples = new Map();
+
+/**
+ * Directory the .prom files are written to
+ * @returns {string}
+ */
+export function getMetricsDir() {
+  return process.env.MODELWATCHER_METRICS_DIR
+    ? resolve(process.env.MODELWATCHER_METRICS_DIR)
+    : join(__dirname, '..', 'logs', 'metrics');
+}
+
+function sampleFor(name, labels) {
+  if (!METRICS[name]) throw new Error(`Unknown metric "${name}"`);
+  if (!samples.has(name)) samples.set(name, new Map());
+  const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  const family = samples.get(name);
+  if (!family.has(key)) family.set(key, { labels, value: 0 });
+  return family.get(key);
+}
+
+/**
+ * Set a metric
+ * @param {string} name - Name from METRICS, without the modelwatcher_ prefix
+ * @param {Object} labels - Label values
+ * @param {number} value - Value
+ */
+export function setMetric(name, labels, value) {
+  sampleFor(name, labels).value = value;
+}
+
+/**
+ * Add to a metric
+ * @param {string} name - Name from METRICS, without the modelwatcher_ prefix
+ * @param {Object} labels - Label values
+ * @param {number} value - Amount (default 1)
+ */
+export function incMetric(name, labels = {}, value = 1) {
+  sampleFor(name, labels).value += value;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`);
+  return `${PREFIX}${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${Number.isFinite(value) ? value : 0}`;
+}
+
+/**
+ * Render this process's metrics
+ * @param {Object} labels - Labels added to every sample, e.g. { watcher }
+ * @returns {string} - Text exposition format
+ */
+export function renderMetrics(labels = {}) {
+  const lines = [];
+  for (const [name, family] of [...samples].sort(([a], [b]) => a.localeCompare(b))) {
+    lines.push(`# HELP ${PREFIX}${name} ${METRICS[name]}`, `# TYPE ${PREFIX}${name} gauge`);
+    for (const sample of family.values()) lines.push(formatSample(name, { ...labels, ...sample.labels }, sample.value));
+  }
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Add a finished run's numbers and write the watcher's .prom file (skipped in a dry run)
+ * @param {Object} run - Run record from src/watchdog.js
+ * @param {string} dir - Metrics directory
+ * @returns {string|null} - File written
+ */
+export function writeRunMetrics(run, dir = getMetricsDir()) {
+  if (isDryRun()) return null;
+  setMetric('run_duration_seconds', {}, run.durationMs / 1000);
+  setMetric('run_success', {}, run.ok ? 1 : 0);
+  setMetric('run_timestamp_seconds', {}, Math.floor(Date.parse(run.finishedAt) / 1000));
+  setMetric('run_errors', {}, run.errors);
+  if (run.items !== null) setMetric('run_items', {}, run.items);
+  for (const [host, m] of Object.entries(getHttpMetrics())) {
+    setMetric('http_requests', { host }, m.requests);
+    setMetric('http_errors', { host }, m.errors);
+    setMetric('http_retries', { host }, m.retries);
+    setMetric('http_not_modified', { host }, m.notModified);
+    setMetric('http_request_seconds_max', { host }, m.maxMs / 1000);
+  }
+
+  try {
+    const file = join(dir, `${run.watcher.replace(/[^a-zA-Z0-9_-]/g, '_')}.prom`);
+    mkdirSync(dir, { recursive: true });
+    // The textfile collector may read at any moment, so the file is replaced whole
+    const tmp = `${file}.${process.pid}.tmp`;
+    writeFileSync(tmp, renderMetrics({ watcher: run.watcher }));
+    renameSync(tmp, file);
+    return file;
+  } catch (err) {
+    console.error(`Failed to write ${run.watcher} metrics:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Merge every watcher's .prom file into one exposition, one HELP/TYPE block per metric
+ * @param {string} dir - Metrics directory
+ * @returns {string} - Text exposition format
+ */
+export function readMetrics(dir = getMetricsDir()) {
+  if (!existsSync(dir)) return '';
+  // Metric name -> { header, samples }
+  const families = new Map();
+  for (const file of readdirSync(dir).filter(f => f.endsWith('.prom')).sort()) {
+    let family = null;
+    for (const line of readFileSync(join(dir, file), 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      const header = line.match(/^# (HELP|TYPE) (\S+)/);
+      if (header) {
+        if (!families.has(header[2])) families.set(header[2], { header: [], samples: [] });
+        family = families.get(header[2]);
+        if (family.header.length < 2 && !family.header.some(h => h.startsWith(`# ${header[1]} `))) family.header.push(line);
+      } else if (family && !line.startsWith('#')) {
+        family.samples.push(line);
+      }
+    }
+  }
+  return [...families.values()].map(family => [...family.header, ...family.samples].join('\n') + '\n').join('');
+}
@@ -0,0 +1,220 @@
+/**
+ * Transport-neutral notification model.
+ *
+ * Watchers describe what happened once; src/transports.js renders it for Discord, Slack,
+ * Telegram, Matrix, ntfy, email or a signed JSON webhook. A notification looks like
+ *   {
+ *     source: 'bedrock',                 watcher that emitted it (used for routing)
+ *     sender: 'Bedrock Watcher',         author name, where the transport shows one
+ *     title: '🏔️ AWS Bedrock — Model Changes',
+ *     description: 'Markdown text',      **bold**, `code`, [label](url) and ``` blocks
+ *     severity: 'info' | 'success' | 'warning' | 'error' | 'critical',
+ *     color: 0x8B5CF6,                   accent instead of the severity's colour (optional)
+ *     layout: 'fields' | 'document' | 'text',
+ *                                        'document' for long lists, read as running text rather
+ *                                        than name/value fields; 'text' for short messages sent
+ *                                        as plain text where possible (Discord unfurls the links)
+ *     sections: [{
+ *       title: 'Added',
+ *       text: 'Markdown text',
+ *       fields: [{ name, value, inline }],
+ *       diff: [{ label, field, old, new }],  rendered as a -/+ diff block
+ *       url, thumbnail, color            one item of many (e.g. a filing) with its own link,
+ *                                        image or accent; Discord shows it as a separate card
+ *     }],
+ *     links: [{ label, url }],
+ *     url, thumbnail, footer, timestamp
+ *   }
+ *
+ * Text is plain Markdown: Discord-only markup such as <t:…> timestamps belongs in the
+ * Discord transport, not in what a watcher builds.
+ */
+
+export const SEVERITIES = ['info', 'success', 'warning', 'error', 'critical'];
+
+export const LAYOUTS = ['fields', 'document', 'text'];
+
+export const SEVERITY_COLORS = {
+  info: 0x3B82F6,
+  success: 0x10B981,
+  warning: 0xF59E0B,
+  error: 0xEF4444,
+  critical: 0xDC2626
+};
+
+export const SEVERITY_EMOJI = {
+  info: 'ℹ️',
+  success: '✅',
+  warning: '⚠️',
+  error: '❌',
+  critical: '🛑'
+};
+
+/**
+ * Normalize a notification, filling in defaults
+ * @param {Object} params - Notification fields (see module doc)
+ * @returns {Object} - Notification
+ */
+export function createNotification({ source, sender = null, title = '', description = '', severity = 'info', color = null, layout = 'fields', sections = [], links = [], url = null, thumbnail = null, footer = null, timestamp } = {}) {
+  return {
+    source,
+    sender,
+    title,
+    description,
+    severity: SEVERITIES.includes(severity) ? severity : 'info',
+    color,
+    layout: LAYOUTS.includes(layout) ? layout : 'fields',
+    sections: sections.filter(Boolean).map(section => ({
+      title: section.title || '',
+      text: section.text || '',
+      fields: section.fields || [],
+      diff: section.diff || [],
+      url: section.url || null,
+      thumbnail: section.thumbnail || null,
+      color: section.color ?? null
+    })),
+    links,
+    url,
+    thumbnail,
+    footer,
+    timestamp: timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Replace Discord-only markup (timestamps, custom emoji) with plain text
+ * @param {string} text - Discord markdown
+ * @returns {string}
+ */
+export function stripDiscordMarkup(text) {
+  return String(text || '')
+    .replace(/<t:(\d+)(?::[a-zA-Z])?>/g, (_, seconds) => new Date(Number(seconds) * 1000).toISOString().replace('T', ' ').slice(0, 16) + ' UTC')
+    .replace(/<a?(:[A-Za-z0-9_]+:)\d+>/g, '$1')
+    .replace(/\u200b/g, '');
+}
+
+/**
+ * Format a value for a diff line
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function formatDiffValue(value) {
+  if (value === null || value === undefined) return '(none)';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Render diff entries as the lines of a -/+ diff block
+ * @param {Array} diff - [{ label, field, old, new }]
+ * @returns {string}
+ */
+export function formatDiff(diff) {
+  const lines = [];
+  let label = null;
+  for (const entry of diff) {
+    if (entry.label && entry.label !== label) {
+      label = entry.label;
+      lines.push(`# ${label}`);
+    }
+    lines.push(`- ${entry.field}: ${formatDiffValue(entry.old)}`, `+ ${entry.field}: ${formatDiffValue(entry.new)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a section as Markdown: title, text, fields as name/value lines and the diff block
+ * @param {Object} section - Section
+ * @param {Function} heading - (title) => line for the section title
+ * @returns {string} - Empty for an empty section
+ */
+export function sectionToMarkdown(section, heading = title => `**${title}**`) {
+  const lines = [];
+  if (section.title) lines.push(heading(section.url ? `[${section.title}](${section.url})` : section.title));
+  if (section.text) lines.push(section.text);
+  for (const field of section.fields) {
+    lines.push(String(field.value).includes('\n') ? `**${field.name}**\n${field.value}` : `**${field.name}:** ${field.value}`);
+  }
+  if (section.diff.length > 0) lines.push('```diff\n' + formatDiff(section.diff) + '\n```');
+  return lines.join('\n');
+}
+
+/**
+ * Render a notification as Markdown (Discord/CommonMark flavour)
+ * @param {Object} notification - Notification
+ * @returns {string}
+ */
+export function toMarkdown(notification) {
+  const parts = [];
+  if (notification.title) parts.push(`**${notification.title}**`);
+  if (notification.description) parts.push(notification.description);
+
+  for (const section of notification.sections) {
+    const text = sectionToMarkdown(section);
+    if (text) parts.push(text);
+  }
+
+  if (notification.links.length > 0) {
+    parts.push(notification.links.map(link => `[${link.label}](${link.url})`).join(' · '));
+  }
+  if (notification.footer) parts.push(`_${notification.footer}_`);
+  return stripDiscordMarkup(parts.join('\n\n'));
+}
+
+/**
+ * Render a notification as plain text
+ * @param {Object} notification - Notification
+ * @returns {string}
+ */
+export function toPlainText(notification) {
+  return toMarkdown(notification)
+    .replace(/```[a-z]*\n?/g, '')
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/(^|\s)_([^_]+)_(?=\s|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert the Markdown subset used in notifications into HTML
+ * @param {string} markdown - Markdown text
+ * @param {Object} options - { lineBreak } ('<br>' for email/Matrix, '\n' for Telegram)
+ * @returns {string}
+ */
+export function markdownToHtml(markdown, { lineBreak = '<br>' } = {}) {
+  const blocks = [];
+  const withoutCode = markdown.replace(/```[a-z]*\n?([\s\S]*?)```/g, (_, code) => {
+    blocks.push(`<pre>${escapeHtml(code.replace(/\n$/, ''))}</pre>`);
+    return `\u0000${blocks.length - 1}\u0000`;
+  });
+
+  const html = escapeHtml(withoutCode)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<b>$1</b>')
+    .replace(/(^|\s)_([^_]+)_(?=\s|$)/g, '$1<i>$2</i>')
+    .replace(/\[([^\]]+)\]\((https?:[^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/^#{1,3} (.+)$/gm, '<b>$1</b>')
+    .replace(/\n/g, lineBreak);
+
+  return html.replace(/\u0000(\d+)\u0000/g, (_, i) => blocks[Number(i)]);
+}
+
+/**
+ * Render a notification as HTML
+ * @param {Object} notification - Notification
+ * @param {Object} options - Passed to markdownToHtml
+ * @returns {string}
+ */
+export function toHtml(notification, options = {}) {
+  return markdownToHtml(toMarkdown(notification), options);
+}
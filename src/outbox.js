@@ -0,0 +1,183 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, appendFileSync, renameSync } from 'fs';
+import { dirname, resolve } from 'path';
+import crypto from 'crypto';
+import { resolveStatePath } from './state-store.js';
+
+/**
+ * Persistent outbox for Discord messages that could not be delivered.
+ *
+ * When a send still fails after its retries (rate limited for too long, 5xx, network
+ * error), src/discord-sender.js queues the payload here, and the next run of any watcher
+ * flushes the outbox as it starts, before sending anything new. logs/outbox.jsonl holds
+ * two kinds of line:
+ *   { "op": "queued", "id", "target", "query", "payload", "reason", "queuedAt" }
+ *   { "op": "done", "id", "result": "delivered" | "rejected" | "expired", "at" }
+ *
+ * `target` is a hash of the webhook URL, never the URL itself: the file is committed and
+ * webhook URLs are secrets. An entry is delivered by the first run that knows its URL.
+ *
+ * Done markers are kept for DONE_RETENTION_MS, so merging the outboxes of concurrent runs
+ * (`node src/outbox.js merge <file> [into]`, used by the workflows) never brings a delivered
+ * entry back. The digest buffer (src/digest.js) uses the same file format.
+ */
+
+/**
+ * Path of the outbox (logs/outbox.jsonl, under --state-dir when set)
+ * @returns {string}
+ */
+export function getOutboxFile() {
+  return resolveStatePath('logs/outbox.jsonl');
+}
+
+// Entries older than this are dropped instead of delivered late
+export const MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+export const DONE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Identify a webhook without storing its URL
+ * @param {string} url - Webhook URL (query string ignored)
+ * @returns {string} - Short hash
+ */
+export function targetKey(url) {
+  return crypto.createHash('sha256').update(String(url).split('?')[0]).digest('hex').slice(0, 16);
+}
+
+/**
+ * Read the outbox
+ * @param {string} file - Outbox file
+ * @returns {Object} - { entries: Map<id, queued line>, done: Map<id, done line> }
+ */
+export function readOutbox(file = getOutboxFile()) {
+  const entries = new Map();
+  const done = new Map();
+  if (!existsSync(file)) return { entries, done };
+
+  for (const line of readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      console.error(`Skipping malformed outbox line in ${file}`);
+      continue;
+    }
+    if (record.op === 'queued') entries.set(record.id, record);
+    else if (record.op === 'done') done.set(record.id, record);
+  }
+  return { entries, done };
+}
+
+/**
+ * List undelivered entries, oldest first
+ * @param {string} file - Outbox file
+ * @returns {Array<Object>}
+ */
+export function pendingEntries(file = getOutboxFile()) {
+  const { entries, done } = readOutbox(file);
+  return [...entries.values()]
+    .filter(entry => !done.has(entry.id))
+    .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+function appendLine(file, record) {
+  mkdirSync(dirname(file), { recursive: true });
+  appendFileSync(file, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Queue a payload for a later run
+ * @param {Object} params - { url, target, query, payload, reason } (target defaults to targetKey(url))
+ * @param {string} file - Outbox file
+ * @returns {Object} - Queued entry
+ */
+export function enqueue({ url, target = null, query = null, payload, reason = null }, file = getOutboxFile()) {
+  const queuedAt = new Date().toISOString();
+  const entry = {
+    op: 'queued',
+    id: crypto.randomUUID(),
+    target: target || targetKey(url),
+    query,
+    payload,
+    reason,
+    queuedAt
+  };
+  appendLine(file, entry);
+  return entry;
+}
+
+/**
+ * Mark an entry as finished
+ * @param {string} id - Entry id
+ * @param {string} result - 'delivered', 'rejected' or 'expired'
+ * @param {string} file - Outbox file
+ */
+export function markDone(id, result, file = getOutboxFile()) {
+  appendLine(file, { op: 'done', id, result, at: new Date().toISOString() });
+}
+
+/**
+ * Serialize an outbox, dropping finished entries and old done markers
+ * @param {Map} entries - Queued lines by id
+ * @param {Map} done - Done lines by id
+ * @param {number} now - Current time (ms)
+ * @returns {string} - File contents
+ */
+function serialize(entries, done, now) {
+  const lines = [];
+  for (const entry of entries.values()) {
+    if (!done.has(entry.id)) lines.push(entry);
+  }
+  for (const marker of done.values()) {
+    if (now - Date.parse(marker.at) <= DONE_RETENTION_MS) lines.push(marker);
+  }
+  return lines.map(line => JSON.stringify(line)).join('\n') + (lines.length > 0 ? '\n' : '');
+}
+
+function writeAtomic(file, text) {
+  mkdirSync(dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, text);
+  renameSync(tmp, file);
+}
+
+/**
+ * Rewrite the outbox without finished entries
+ * @param {string} file - Outbox file
+ * @param {number} now - Current time (ms)
+ */
+export function compactOutbox(file = getOutboxFile(), now = Date.now()) {
+  if (!existsSync(file)) return;
+  const { entries, done } = readOutbox(file);
+  writeAtomic(file, serialize(entries, done, now));
+}
+
+/**
+ * Merge another copy of the outbox (e.g. this run's, after resetting to the latest commit)
+ * @param {string} otherFile - Outbox to merge in
+ * @param {string} file - Outbox to update
+ */
+export function mergeOutbox(otherFile, file = getOutboxFile()) {
+  const ours = readOutbox(file);
+  const theirs = readOutbox(otherFile);
+  for (const [id, entry] of theirs.entries) ours.entries.set(id, entry);
+  for (const [id, marker] of theirs.done) {
+    if (!ours.done.has(id)) ours.done.set(id, marker);
+  }
+  writeAtomic(file, serialize(ours.entries, ours.done, Date.now()));
+}
+
+const isCli = process.argv[1] && /outbox\.js$/.test(process.argv[1]);
+if (isCli) {
+  const [command, other, into] = process.argv.slice(2);
+  if (command === 'merge' && other) {
+    if (existsSync(other)) mergeOutbox(resolve(other), into ? resolve(into) : getOutboxFile());
+  } else if (command === 'pending') {
+    for (const entry of pendingEntries()) {
+      console.log(`${entry.queuedAt}  ${entry.id}  target ${entry.target}  ${entry.reason || ''}`);
+    }
+  } else {
+    console.error('Usage: node src/outbox.js merge <file> [into] | pending');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Pagination strategies for paged /models responses.
+ *
+ * Endpoints opt in with a `pagination` block in config.json, e.g.
+ *   { "type": "cursor", "cursorParam": "after_id", "cursorPath": "last_id", "hasMorePath": "has_more" }
+ *
+ * A strategy exposes:
+ *   - apply(url, cursor, options): set query params for the page identified by `cursor`
+ *     (null for the first page); may return a replacement URL
+ *   - next(response, cursor, items, options): the cursor for the following page, or null when done
+ */
+const strategies = new Map();
+
+/**
+ * Register a pagination strategy under a type name
+ * @param {string} type - Value used in an endpoint's `pagination.type`
+ * @param {Object} strategy - Strategy with `apply` and `next`
+ */
+export function registerPaginationStrategy(type, strategy) {
+  if (typeof strategy?.apply !== 'function' || typeof strategy?.next !== 'function') {
+    throw new Error(`Pagination strategy "${type}" must implement apply() and next()`);
+  }
+  strategies.set(type, strategy);
+}
+
+/**
+ * Get the strategy for a pagination config (null config = single page)
+ * @param {Object|null} pagination - Endpoint pagination config
+ * @returns {Object} - Strategy
+ */
+export function getPaginationStrategy(pagination) {
+  const type = pagination?.type || 'none';
+  const strategy = strategies.get(type);
+  if (!strategy) {
+    throw new Error(`Unknown pagination type "${type}" (known: ${[...strategies.keys()].join(', ')})`);
+  }
+  return strategy;
+}
+
+/**
+ * Read a dot-separated path (e.g. "meta.next_cursor") from an object
+ * @param {Object} obj - Source object
+ * @param {string} path - Dot path
+ * @returns {*} - Value or undefined
+ */
+function getPath(obj, path) {
+  if (!path) return undefined;
+  return path.split('.').reduce((val, key) => (val == null ? undefined : val[key]), obj);
+}
+
+/**
+ * Extract the list of items from one page of a response
+ * @param {*} data - Page body
+ * @param {Object|null} pagination - Endpoint pagination config
+ * @returns {Array} - Items on this page
+ */
+export function getPageItems(data, pagination) {
+  if (pagination?.itemsPath) {
+    const items = getPath(data, pagination.itemsPath);
+    return Array.isArray(items) ? items : [];
+  }
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.data)) return data.data;
+  if (Array.isArray(data?.models)) return data.models;
+  return [];
+}
+
+/**
+ * Merge paged responses into one body shaped like the first page,
+ * so normalizeModels sees the same format as an unpaged response
+ * @param {Array} pages - Page bodies in fetch order
+ * @param {Object|null} pagination - Endpoint pagination config
+ * @returns {*} - Merged response body
+ */
+export function mergePages(pages, pagination) {
+  if (pages.length === 1) return pages[0];
+
+  const first = pages[0];
+  const items = pages.flatMap(page => getPageItems(page, pagination));
+
+  if (Array.isArray(first)) return items;
+
+  const itemsKey = pagination?.itemsPath
+    || (Array.isArray(first?.data) ? 'data' : Array.isArray(first?.models) ? 'models' : 'data');
+
+  const merged = JSON.parse(JSON.stringify(first));
+  const keys = itemsKey.split('.');
+  let target = merged;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = items;
+  return merged;
+}
+
+/**
+ * Parse an RFC 8288 Link header and return the rel="next" URL
+ * @param {string} header - Link header value
+ * @returns {string|null} - Next page URL
+ */
+function parseNextLink(header) {
+  if (!header) return null;
+  for (const part of header.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;(.*)/);
+    if (match && /rel="?([^";]*\s)?next(\s[^";]*)?"?/i.test(match[2])) {
+      return match[1].trim();
+    }
+  }
+  return null;
+}
+
+function setLimit(url, pagination, defaultParam) {
+  if (pagination.limit) {
+    url.searchParams.set(pagination.limitParam || defaultParam, String(pagination.limit));
+  }
+}
+
+registerPaginationStrategy('none', {
+  apply: () => {},
+  next: () => null
+});
+
+// Opaque cursor taken from the body, e.g. Anthropic's has_more / last_id + after_id
+registerPaginationStrategy('cursor', {
+  apply: (url, cursor, pagination) => {
+    setLimit(url, pagination, 'limit');
+    if (cursor != null) url.searchParams.set(pagination.cursorParam || 'after', cursor);
+  },
+  next: (response, cursor, items, pagination) => {
+    const data = response.data;
+    if (pagination.hasMorePath && !getPath(data, pagination.hasMorePath)) return null;
+    const nextCursor = pagination.cursorPath
+      ? getPath(data, pagination.cursorPath)
+      : items[items.length - 1]?.[pagination.cursorField || 'id'];
+    return nextCursor ?? null;
+  }
+});
+
+// Google-style nextPageToken / pageToken
+registerPaginationStrategy('pageToken', {
+  apply: (url, cursor, pagination) => {
+    setLimit(url, pagination, 'pageSize');
+    if (cursor != null) url.searchParams.set(pagination.tokenParam || 'pageToken', cursor);
+  },
+  next: (response, cursor, items, pagination) => {
+    return getPath(response.data, pagination.tokenPath || 'nextPageToken') || null;
+  }
+});
+
+// Numeric offset + limit; stops on a short page or once `totalPath` is reached
+registerPaginationStrategy('offset', {
+  apply: (url, cursor, pagination) => {
+    setLimit(url, pagination, 'limit');
+    url.searchParams.set(pagination.offsetParam || 'offset', String(cursor ?? 0));
+  },
+  next: (response, cursor, items, pagination) => {
+    const offset = (cursor ?? 0) + items.length;
+    if (items.length === 0) return null;
+    if (pagination.limit && items.length < pagination.limit) return null;
+    const total = getPath(response.data, pagination.totalPath);
+    if (typeof total === 'number' && offset >= total) return null;
+    return offset;
+  }
+});
+
+// RFC 8288 Link: <...>; rel="next" (GitHub-style)
+registerPaginationStrategy('link', {
+  apply: (url, cursor, pagination) => {
+    // Relative targets resolve against the endpoint URL
+    if (cursor != null) return new URL(cursor, url);
+    setLimit(url, pagination, 'per_page');
+  },
+  next: (response) => parseNextLink(response.headers?.link)
+});
@@ -1,52 +1,18 @@
-import axios from 'axios';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { loadConfig } from './config.js';
+import { getWebhookUrl } from './dry-run.js';
+import { installCassette } from './cassette.js';
+import { installRedaction } from './redact.js';
+import { startRun, countRunItems, reportRunError } from './watchdog.js';
+import { loadState, saveState } from './state-store.js';
+import { recordEvents } from './events.js';
+import { notify } from './transports.js';
+import { fetchText } from './http.js';
+import { setMetric } from './metrics.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-// Use GitHub raw URL for logo
-const LOGO_URL = 'https://raw.githubusercontent.com/CloudWaddie/ModelWatcher/master/logo.jpg';
-
-/**
- * Load configuration from posts-config.json
- * @returns {Object} Configuration object
- */
-function loadConfig() {
-  const configPath = './posts-config.json';
-  const configContent = readFileSync(configPath, 'utf-8');
-  return JSON.parse(configContent);
-}
-
-/**
- * Load state from state file
- * @param {string} statePath - Path to state file
- * @returns {Object} State object
- */
-function loadState(statePath) {
-  if (existsSync(statePath)) {
-    try {
-      return JSON.parse(readFileSync(statePath, 'utf-8'));
-    } catch (e) {
-      console.error('Failed to parse state file, starting fresh:', e.message);
-    }
-  }
-  return { users: {} };
-}
-
-/**
- * Save state to state file
- * @param {string} statePath - Path to state file
- * @param {Object} state - State object to save
- */
-function saveState(statePath, state) {
-  const dir = dirname(statePath);
-  if (!existsSync(dir)) {
-    mkdirSync(dir, { recursive: true });
-  }
-  writeFileSync(statePath, JSON.stringify(state, null, 2));
-}
-
 /**
  * Convert x.com and twitter.com links to fixupx.com
  * @param {string} text - Text containing x.com or twitter.com links
@@ -72,20 +38,17 @@ async function fetchUserFeed(username) {
   console.log(`Fetching RSS feed for @${username}...`);
   
   try {
-    const response = await axios.get(url, {
-      timeout: 30000,
-      headers: {
-        'Accept': 'application/rss+xml, application/xml, text/xml, */*',
-        'User-Agent': 'ModelWatcher/1.0'
-      }
+    const xml = await fetchText(url, {
+      headers: { 'Accept': 'application/rss+xml, application/xml, text/xml, */*' }
     });
     
     // Parse RSS XML
-    const items = parseRSS(response.data);
+    const items = parseRSS(xml);
     console.log(`Found ${items.length} items for @${username}`);
     return items;
   } catch (error) {
     console.error(`Failed to fetch feed for @${username}:`, error.message);
+    reportRunError(error);
     return [];
   }
 }
@@ -147,43 +110,17 @@ function extractPostId(linkOrGuid) {
 }
 
 /**
- * Send a Discord webhook notification for new posts
- * @param {string} webhookUrl - Discord webhook URL
- * @param {Object} payload - Embed payload
- * @returns {Promise<boolean>} - Success status
- */
-async function sendDiscordWebhook(webhookUrl, payload) {
-  if (!webhookUrl) {
-    console.log('Discord webhook URL not configured, skipping notification');
-    return false;
-  }
-
-  try {
-    await axios.post(webhookUrl, payload, {
-      headers: { 'Content-Type': 'application/json' }
-    });
-    return true;
-  } catch (err) {
-    const details = err.response?.data ? JSON.stringify(err.response.data) : err.message;
-    console.error('Failed to send Discord webhook:', err.response?.status, details);
-    return false;
-  }
-}
-
-/**
- * Create Discord message for new posts (plain text, no embeds)
+ * Create the notification for new posts (plain text, so Discord unfurls the links)
  * @param {string} username - Twitter username
  * @param {Array} posts - Array of new posts
- * @returns {Object} Discord message object with plain text content
+ * @returns {Object} Notification (src/notification.js)
  */
 function createNewPostsMessage(username, posts) {
+  const notification = { sender: 'Twitter Watcher', title: `🐦 New Posts from @${username}`, layout: 'text' };
+
   // If too many posts, just show count
   if (posts.length > 10) {
-    return {
-      username: 'Twitter Watcher',
-      avatar_url: LOGO_URL,
-      content: `🐦 **New Posts from @${username}**\n\n@${username} posted **${posts.length}** new tweets!\n\nCheck the timeline for details.`
-    };
+    return { ...notification, description: `@${username} posted **${posts.length}** new tweets!\n\nCheck the timeline for details.` };
   }
 
   const postList = posts.map(p => {
@@ -192,9 +129,9 @@ function createNewPostsMessage(username, posts) {
   }).join('\n');
 
   return {
-    username: 'Twitter Watcher',
-    avatar_url: LOGO_URL,
-    content: `🐦 **New Posts from @${username}**\n\n@${username} just posted ${posts.length} new tweet${posts.length > 1 ? 's' : ''}!\n\n${postList}`
+    ...notification,
+    description: `@${username} just posted ${posts.length} new tweet${posts.length > 1 ? 's' : ''}!`,
+    sections: [{ text: postList }]
   };
 }
 
@@ -205,11 +142,11 @@ async function main() {
   console.log('=== Twitter/X RSS Watcher ===');
   console.log('Starting feed check...');
   
-  const config = loadConfig();
+  const config = loadConfig('posts');
   const statePath = config.state?.file || './logs/posts-state.json';
-  const state = loadState(statePath);
+  const state = loadState(statePath, { users: {} });
   
-  const webhookUrl = process.env[config.webhook?.webhookEnv];
+  const webhookUrl = getWebhookUrl(config.webhook?.webhookEnv);
   
   if (!webhookUrl) {
     console.error(`Webhook URL not configured (${config.webhook?.webhookEnv} env not set), exiting`);
@@ -223,6 +160,7 @@ async function main() {
   
   for (const username of users) {
     const items = await fetchUserFeed(username);
+    countRunItems(items.length);
     
     if (items.length === 0) {
       continue;
@@ -245,10 +183,16 @@ async function main() {
     
     if (newPosts.length > 0) {
       console.log(`Found ${newPosts.length} new posts from @${username}`);
+      const events = newPosts.map(post => ({
+        entity: `${username}:${extractPostId(post.guid || post.link)}`,
+        type: 'added',
+        data: { title: post.title, link: post.link, pubDate: post.pubDate }
+      }));
+      recordEvents('posts', events);
       
       // Send webhook notification
       const message = createNewPostsMessage(username, newPosts);
-      await sendDiscordWebhook(webhookUrl, message);
+      await notify('posts', message, { webhookUrl, events });
       
       totalNewPosts += newPosts.length;
       
@@ -262,12 +206,18 @@ async function main() {
   
   // Save state
   saveState(statePath, state);
+  setMetric('models', { source: 'posts' }, Object.values(state.users).reduce((total, user) => total + user.seenIds.length, 0));
   
   console.log(`=== Feed check complete: ${totalNewPosts} new posts ===`);
 }
 
+installRedaction();
+installCassette();
+startRun('posts');
+
 // Run main function
 main().catch(err => {
+  reportRunError(err);
   console.error('Fatal error:', err);
   process.exit(1);
 });
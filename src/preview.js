@@ -0,0 +1,237 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { markdownToHtml, escapeHtml } from './notification.js';
+
+/**
+ * Local HTML preview of Discord messages, used by dry runs (src/dry-run.js).
+ *
+ * Approximates how Discord shows webhook messages: content, embeds (colour bar, author,
+ * title, description, inline fields, images, footer) and components v2 layouts
+ * (containers, text displays, sections, thumbnails, galleries, separators, buttons).
+ * Payloads for other transports are shown as JSON.
+ *
+ * Re-render a saved dry run: node src/preview.js payloads.json [preview.html]
+ */
+
+const COMPONENTS_V2_FLAG = 32768;
+
+const STYLE = `
+body { background: #313338; color: #dbdee1; font: 15px/1.4 "gg sans", "Noto Sans", Helvetica, Arial, sans-serif; margin: 0; padding: 24px; }
+h1 { font-size: 18px; color: #f2f3f5; }
+a { color: #00a8fc; text-decoration: none; }
+pre { background: #2b2d31; border: 1px solid #1e1f22; border-radius: 4px; padding: 8px; white-space: pre-wrap; font-size: 13px; }
+code { background: #2b2d31; border-radius: 3px; padding: 0 3px; font-size: 13px; }
+.record { border-top: 1px solid #3f4147; padding: 16px 0; max-width: 720px; }
+.meta { color: #949ba4; font-size: 12px; margin-bottom: 8px; }
+.note { color: #949ba4; font-style: italic; }
+.message { display: flex; gap: 16px; }
+.avatar { width: 40px; height: 40px; border-radius: 50%; background: #5865f2; flex: none; }
+.username { color: #f2f3f5; font-weight: 600; }
+.app { background: #5865f2; color: #fff; border-radius: 3px; font-size: 10px; padding: 1px 4px; margin-left: 4px; vertical-align: middle; }
+.content { margin: 2px 0 4px; }
+.mention { background: rgba(88, 101, 242, .3); color: #c9cdfb; border-radius: 3px; padding: 0 2px; }
+.embed { display: flex; background: #2b2d31; border-left: 4px solid #1e1f22; border-radius: 4px; padding: 8px 16px 16px 12px; margin-top: 4px; max-width: 520px; }
+.embed-main { flex: 1; min-width: 0; }
+.embed-author { font-size: 14px; font-weight: 600; margin-top: 8px; display: flex; align-items: center; gap: 8px; }
+.embed-author img { width: 24px; height: 24px; border-radius: 50%; }
+.embed-title { font-weight: 600; color: #f2f3f5; margin-top: 8px; }
+.embed-description { font-size: 14px; margin-top: 8px; }
+.fields { display: grid; grid-template-columns: repeat(12, 1fr); gap: 8px; margin-top: 8px; }
+.field { grid-column: span 12; font-size: 14px; }
+.field.inline { grid-column: span 4; }
+.field-name { font-weight: 600; color: #f2f3f5; }
+.embed-image { max-width: 100%; border-radius: 4px; margin-top: 16px; }
+.thumbnail { width: 80px; height: 80px; object-fit: cover; border-radius: 4px; margin-left: 16px; flex: none; }
+.embed-footer { font-size: 12px; color: #b5bac1; margin-top: 8px; display: flex; align-items: center; gap: 8px; }
+.embed-footer img { width: 20px; height: 20px; border-radius: 50%; }
+.container { background: #2b2d31; border: 1px solid #1e1f22; border-left: 4px solid #1e1f22; border-radius: 8px; padding: 16px; margin-top: 4px; max-width: 560px; }
+.text-display { margin: 4px 0; }
+.section { display: flex; gap: 12px; }
+.section > div { flex: 1; min-width: 0; }
+.separator { border: 0; border-top: 1px solid #3f4147; margin: 8px 0; }
+.separator.large { margin: 16px 0; }
+.spacer { height: 8px; }
+.spacer.large { height: 16px; }
+.gallery { display: flex; flex-wrap: wrap; gap: 4px; margin: 4px 0; }
+.gallery img { max-width: 100%; max-height: 300px; border-radius: 4px; }
+.row { display: flex; flex-wrap: wrap; gap: 8px; margin: 8px 0; }
+.button { background: #4e5058; color: #fff; border-radius: 3px; padding: 2px 16px; min-height: 32px; display: inline-flex; align-items: center; font-size: 14px; }
+.button.primary { background: #5865f2; }
+.button.success { background: #248046; }
+.button.danger { background: #da373c; }
+.select, .file { background: #1e1f22; border-radius: 4px; padding: 8px; font-size: 14px; }
+`;
+
+const BUTTON_STYLES = { 1: 'primary', 2: 'secondary', 3: 'success', 4: 'danger', 5: 'link' };
+
+/**
+ * Render Discord-flavoured Markdown, including mentions and timestamps
+ * @param {string} text - Message text
+ * @returns {string} - HTML
+ */
+function discordMarkdown(text) {
+  return markdownToHtml(String(text || '').replace(/^-# /gm, ''))
+    .replace(/&lt;@&amp;(\d+)&gt;/g, '<span class="mention">@role:$1</span>')
+    .replace(/&lt;@!?(\d+)&gt;/g, '<span class="mention">@user:$1</span>')
+    .replace(/&lt;#(\d+)&gt;/g, '<span class="mention">#channel:$1</span>')
+    .replace(/&lt;t:(\d+)(?::[tTdDfFR])?&gt;/g, (_, seconds) => `<code>${new Date(seconds * 1000).toISOString().replace('T', ' ').slice(0, 16)} UTC</code>`);
+}
+
+function image(url, className) {
+  return /^https?:\/\//.test(url || '') ? `<img class="${className}" src="${escapeHtml(url)}" alt="">` : '';
+}
+
+function color(value) {
+  return typeof value === 'number' ? `#${value.toString(16).padStart(6, '0')}` : '#1e1f22';
+}
+
+function link(text, url) {
+  return url ? `<a href="${escapeHtml(url)}">${text}</a>` : text;
+}
+
+/**
+ * Render an embed
+ * @param {Object} embed - Discord embed
+ * @returns {string} - HTML
+ */
+function renderEmbed(embed) {
+  const parts = [];
+  if (embed.author?.name) {
+    parts.push(`<div class="embed-author">${image(embed.author.icon_url, 'icon')}${link(escapeHtml(embed.author.name), embed.author.url)}</div>`);
+  }
+  if (embed.title) parts.push(`<div class="embed-title">${link(discordMarkdown(embed.title), embed.url)}</div>`);
+  if (embed.description) parts.push(`<div class="embed-description">${discordMarkdown(embed.description)}</div>`);
+  if (embed.fields?.length) {
+    const fields = embed.fields.map(field =>
+      `<div class="field${field.inline ? ' inline' : ''}"><div class="field-name">${discordMarkdown(field.name)}</div><div>${discordMarkdown(field.value)}</div></div>`);
+    parts.push(`<div class="fields">${fields.join('')}</div>`);
+  }
+  if (embed.image?.url) parts.push(image(embed.image.url, 'embed-image'));
+
+  const footer = [embed.footer?.text, embed.timestamp && new Date(embed.timestamp).toLocaleString('en-GB', { timeZone: 'UTC' }) + ' UTC']
+    .filter(Boolean).map(escapeHtml).join(' • ');
+  if (footer) parts.push(`<div class="embed-footer">${image(embed.footer?.icon_url, 'icon')}${footer}</div>`);
+
+  return `<div class="embed" style="border-left-color: ${color(embed.color)}">` +
+    `<div class="embed-main">${parts.join('')}</div>${image(embed.thumbnail?.url, 'thumbnail')}</div>`;
+}
+
+/**
+ * Render a components v2 (or legacy action row) component
+ * @param {Object} component - Discord component
+ * @returns {string} - HTML
+ */
+function renderComponent(component) {
+  const children = list => (list || []).map(renderComponent).join('');
+  switch (component.type) {
+    case 1:
+      return `<div class="row">${children(component.components)}</div>`;
+    case 2: {
+      const style = BUTTON_STYLES[component.style] || 'secondary';
+      const label = escapeHtml([component.emoji?.name, component.label].filter(Boolean).join(' '));
+      return style === 'link'
+        ? `<a class="button" href="${escapeHtml(component.url || '#')}">${label} ↗</a>`
+        : `<span class="button ${style}">${label}</span>`;
+    }
+    case 3: case 5: case 6: case 7: case 8:
+      return `<div class="select">${escapeHtml(component.placeholder || 'Make a selection')} ▾</div>`;
+    case 9:
+      return `<div class="section"><div>${children(component.components)}</div>${component.accessory ? renderComponent(component.accessory) : ''}</div>`;
+    case 10:
+      return `<div class="text-display">${discordMarkdown(component.content)}</div>`;
+    case 11:
+      return image(component.media?.url, 'thumbnail');
+    case 12:
+      return `<div class="gallery">${(component.items || []).map(item => image(item.media?.url, 'gallery-item')).join('')}</div>`;
+    case 13:
+      return `<div class="file">📄 ${escapeHtml(component.file?.url || 'file')}</div>`;
+    case 14: {
+      const size = component.spacing === 2 ? ' large' : '';
+      return component.divider === false ? `<div class="spacer${size}"></div>` : `<hr class="separator${size}">`;
+    }
+    case 17:
+      return `<div class="container" style="border-left-color: ${color(component.accent_color)}">${children(component.components)}</div>`;
+    default:
+      return `<pre>${escapeHtml(JSON.stringify(component, null, 2))}</pre>`;
+  }
+}
+
+/**
+ * Render a Discord webhook message
+ * @param {Object} payload - Discord webhook payload
+ * @returns {string} - HTML
+ */
+export function renderDiscordMessage(payload) {
+  const parts = [];
+  if (payload.content && !(payload.flags & COMPONENTS_V2_FLAG)) {
+    parts.push(`<div class="content">${discordMarkdown(payload.content)}</div>`);
+  }
+  for (const embed of payload.embeds || []) parts.push(renderEmbed(embed));
+  for (const component of payload.components || []) parts.push(renderComponent(component));
+
+  const avatar = image(payload.avatar_url, 'avatar') || '<div class="avatar"></div>';
+  return `<div class="message">${avatar}<div class="embed-main">` +
+    `<div class="username">${escapeHtml(payload.username || 'Webhook')}<span class="app">APP</span></div>${parts.join('')}</div></div>`;
+}
+
+/**
+ * Render one recorded payload
+ * @param {Object} record - { source, target, type, method, digest, payload, at }
+ * @param {number} index - Position in the run
+ * @returns {string} - HTML
+ */
+function renderRecord(record, index) {
+  const meta = [
+    `#${index + 1}`,
+    escapeHtml(record.source || ''),
+    `→ ${escapeHtml(record.target || '')}${record.type ? ` (${escapeHtml(record.type)})` : ''}`,
+    record.method && record.method !== 'POST' ? record.method : '',
+    record.digest ? `held for digest ${escapeHtml(record.digest)}` : '',
+    escapeHtml(record.at || '')
+  ].filter(Boolean).join(' · ');
+
+  let body;
+  if (record.method === 'DELETE') body = '<p class="note">Message deleted</p>';
+  else if (record.digest) body = `<p class="note">Would appear as a line in the digest:</p><pre>${escapeHtml(JSON.stringify(record.payload, null, 2))}</pre>`;
+  else if (!record.type || record.type === 'discord') body = renderDiscordMessage(record.payload || {});
+  else body = `<pre>${escapeHtml(JSON.stringify(record.payload, null, 2))}</pre>`;
+
+  return `<section class="record"><div class="meta">${meta}</div>${body}</section>`;
+}
+
+/**
+ * Render recorded payloads as a standalone HTML page
+ * @param {Array<Object>} records - From src/dry-run.js
+ * @param {Object} options - { title }
+ * @returns {string} - HTML document
+ */
+export function renderPreview(records, { title = 'Model Watcher preview' } = {}) {
+  const body = records.length > 0
+    ? records.map(renderRecord).join('\n')
+    : '<p class="note">Nothing would be sent.</p>';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>
+`;
+}
+
+const isCli = process.argv[1] && /preview\.js$/.test(process.argv[1]);
+if (isCli) {
+  const [input, output] = process.argv.slice(2);
+  if (!input) {
+    console.error('Usage: node src/preview.js <payloads.json> [preview.html]');
+    process.exit(1);
+  }
+  const file = resolve(output || input.replace(/\.json$/, '') + '.html');
+  writeFileSync(file, renderPreview(JSON.parse(readFileSync(input, 'utf-8')), { title: input }));
+  console.log(`Preview written to ${file}`);
+}
@@ -0,0 +1,157 @@
+import { readdirSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { format } from 'util';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(__dirname, '..');
+
+/**
+ * Secret redaction for everything the watchers print, write or send.
+ *
+ * redact(text) replaces with [REDACTED]:
+ *   - known secret values: the env variables named by any `*Env` property or ${NAME} reference
+ *     in the repo's config files, the ones the code reads directly (EXTRA_SECRET_ENV), and
+ *     values handed to registerSecret() at runtime (e.g. OAuth access tokens)
+ *   - text matching SECRET_PATTERNS: API key and token formats, bearer headers, JWTs, the
+ *     token part of webhook URLs and the password of credential URLs
+ * redactObject(value) does the same for every string in a JSON value. With { keys: true } it
+ * also blanks properties named like credentials; that is for logs only, since in state a
+ * name like `maxTokens` is data.
+ *
+ * It is applied to state writes (src/state-store.js), the change history (src/events.js),
+ * the scan log (src/logger.js) and notification payloads (src/transports.js).
+ * installRedaction() routes every console line of the process through redact().
+ */
+export const REDACTED = '[REDACTED]';
+
+// Read by the code itself rather than through a config
+const EXTRA_SECRET_ENV = ['AAS_TOKEN', 'APK_EMAIL', 'GH_TOKEN', 'GITHUB_TOKEN', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN'];
+
+// Shorter values ("1", "us-east-1") would redact ordinary text
+const MIN_SECRET_LENGTH = 8;
+
+const SECRET_PATTERNS = [
+  [/\bsk-(?:proj-|ant-|or-)?[A-Za-z0-9_-]{20,}/g, REDACTED],
+  [/\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, REDACTED],
+  [/\bAIza[0-9A-Za-z_-]{35}\b/g, REDACTED],
+  [/\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g, REDACTED],
+  [/\bxox[abprs]-[A-Za-z0-9-]{10,}/g, REDACTED],
+  [/\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g, REDACTED],
+  [/(\bBearer\s+)[A-Za-z0-9._~+/=-]{8,}/gi, `$1${REDACTED}`],
+  [/("api[_-]?key"\s*:\s*")[^"]+"/gi, `$1${REDACTED}"`],
+  [/(--aas-token[\s=]+)\S+/g, `$1${REDACTED}`],
+  [/(\/api\/webhooks\/\d+\/)[\w-]+/g, `$1${REDACTED}`],
+  [/(\/bot\d+:)[\w-]{20,}/g, `$1${REDACTED}`],
+  [/(\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/"']+:)[^\s@/"']+@/gi, `$1${REDACTED}@`]
+];
+
+const CREDENTIAL_KEY = /key|token|secret|password|bearer|auth/i;
+
+const ENV_REFERENCE = /\$\{([A-Za-z_][A-Za-z0-9_]*)/g;
+
+const registered = new Set();
+// Known secret values, built on first use and again after registerSecret()
+let secrets = null;
+let installed = false;
+
+/**
+ * Env variable names the config files refer to: values of `*Env` properties and ${NAME}s
+ * @param {string} rootDir - Directory holding the config files
+ * @returns {Set<string>}
+ */
+export function collectSecretEnvNames(rootDir = ROOT_DIR) {
+  const names = new Set(EXTRA_SECRET_ENV);
+  const visit = (value, key = '') => {
+    if (typeof value === 'string') {
+      if (key.endsWith('Env')) names.add(value);
+      for (const [, name] of value.matchAll(ENV_REFERENCE)) names.add(name);
+    } else if (Array.isArray(value)) {
+      for (const item of value) visit(item, key);
+    } else if (value && typeof value === 'object') {
+      for (const [k, item] of Object.entries(value)) visit(item, k);
+    }
+  };
+  for (const file of readdirSync(rootDir).filter(f => /^(.+-)?config\.json$/.test(f))) {
+    try {
+      visit(JSON.parse(readFileSync(join(rootDir, file), 'utf-8')));
+    } catch {
+      // An unreadable config is reported by loadConfig(); it names no secrets here
+    }
+  }
+  return names;
+}
+
+/**
+ * Add a value to redact from now on, e.g. a token fetched at runtime
+ * @param {string} value - Secret value
+ */
+export function registerSecret(value) {
+  if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH || registered.has(value)) return;
+  registered.add(value);
+  secrets = null;
+}
+
+/**
+ * Every known secret value, longest first so a secret containing another is replaced whole
+ * @returns {Array<string>}
+ */
+function knownSecrets() {
+  if (!secrets) {
+    const values = new Set(registered);
+    for (const name of collectSecretEnvNames()) {
+      const value = process.env[name];
+      if (!value || value.length < MIN_SECRET_LENGTH) continue;
+      values.add(value);
+      values.add(encodeURIComponent(value));
+    }
+    secrets = [...values].sort((a, b) => b.length - a.length);
+  }
+  return secrets;
+}
+
+/**
+ * Redact secrets from a string
+ * @param {string} text - Text to redact
+ * @returns {string}
+ */
+export function redact(text) {
+  if (!text || typeof text !== 'string') return text;
+  let result = text;
+  for (const secret of knownSecrets()) {
+    if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+/**
+ * Redact every string in a JSON value (arrays and plain objects are copied, anything else kept)
+ * @param {*} value - Value to redact
+ * @param {Object} options - { keys } to also blank properties named like credentials
+ * @returns {*}
+ */
+export function redactObject(value, options = {}) {
+  if (typeof value === 'string') return redact(value);
+  if (Array.isArray(value)) return value.map(item => redactObject(item, options));
+  if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) return value;
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = options.keys && CREDENTIAL_KEY.test(key) ? REDACTED : redactObject(item, options);
+  }
+  return result;
+}
+
+/**
+ * Route console.log/info/warn/error/debug through redact() for the rest of the process
+ */
+export function installRedaction() {
+  if (installed) return;
+  installed = true;
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(redact(format(...args)));
+  }
+}
@@ -1,25 +1,23 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { Camoufox } from 'camoufox-js';
+import { StateStore } from './state-store.js';
+import { recordEvents } from './events.js';
+import { loadConfig } from './config.js';
+import { getWebhookUrl } from './dry-run.js';
+import { installCassette } from './cassette.js';
+import { installRedaction } from './redact.js';
+import { startRun, countRunItems, reportRunError } from './watchdog.js';
+import { notify } from './transports.js';
+import { createBrowserPool } from './browser.js';
+import { setMetric } from './metrics.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-const LOGO_URL = 'https://raw.githubusercontent.com/CloudWaddie/ModelWatcher/master/logo.jpg';
 const MAX_RESPONSE_SIZE = 5 * 1024 * 1024;
 const DEFAULT_TIMEOUT = 60000;
 const DEFAULT_DELAY = 2500;
 const REGEX_TIMEOUT = 10000;
 
-/**
- * Load configuration from regex-config.json
- */
-function loadConfig() {
-  const configPath = join(__dirname, '..', 'regex-config.json');
-  const configContent = readFileSync(configPath, 'utf-8');
-  return JSON.parse(configContent);
-}
-
 /**
  * Validate URL format
  */
@@ -60,35 +58,24 @@ function validateUrls(config) {
  * Load state from state file
  */
 function loadState(statePath) {
-  if (existsSync(statePath)) {
-    try {
-      const data = JSON.parse(readFileSync(statePath, 'utf-8'));
-      // Convert arrays back to Sets for matchedStrings
-      for (const url in data) {
-        if (data[url] && data[url].patterns) {
-          for (const patternId in data[url].patterns) {
-            if (Array.isArray(data[url].patterns[patternId].matchedStrings)) {
-              data[url].patterns[patternId].matchedStrings = new Set(data[url].patterns[patternId].matchedStrings);
-            }
-          }
+  const data = new StateStore(statePath).load({});
+  // Convert arrays back to Sets for matchedStrings
+  for (const url in data) {
+    if (data[url] && data[url].patterns) {
+      for (const patternId in data[url].patterns) {
+        if (Array.isArray(data[url].patterns[patternId].matchedStrings)) {
+          data[url].patterns[patternId].matchedStrings = new Set(data[url].patterns[patternId].matchedStrings);
         }
       }
-      return data;
-    } catch (e) {
-      console.error('Error loading state:', e.message);
     }
   }
-  return {};
+  return data;
 }
 
 /**
  * Save state to state file
  */
 function saveState(statePath, state) {
-  const dir = dirname(statePath);
-  if (!existsSync(dir)) {
-    mkdirSync(dir, { recursive: true });
-  }
   // Convert Sets to arrays for JSON serialization
   const stateToSave = {};
   for (const url in state) {
@@ -104,7 +91,7 @@ function saveState(statePath, state) {
     }
   }
   
-  writeFileSync(statePath, JSON.stringify(stateToSave, null, 2));
+  new StateStore(statePath).save(stateToSave);
 }
 
 /**
@@ -204,55 +191,6 @@ function looksLikeBinary(text) {
   return nonPrintable / sample.length > 0.1;
 }
 
-/**
- * Launch Camoufox browser with retry logic
- */
-async function launchBrowser(maxRetries = 2) {
-  let lastError;
-  let attempt = 0;
-  
-  while (attempt < maxRetries) {
-    attempt++;
-    let browser;
-    
-    try {
-      const camoufoxOptions = {
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu'
-        ]
-      };
-      
-      browser = await Camoufox(camoufoxOptions);
-      return browser;
-      
-    } catch (error) {
-      lastError = error;
-      console.error(`Browser launch attempt ${attempt} failed:`, error.message);
-      
-      if (browser) {
-        try {
-          await browser.close();
-        } catch (closeError) {
-          // Ignore close errors
-        }
-      }
-      
-      if (attempt < maxRetries) {
-        const delay = Math.pow(2, attempt) * 1000;
-        console.log(`Retrying browser launch in ${delay / 1000} seconds...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-  }
-  
-  console.error('All browser launch attempts failed:', lastError?.message);
-  throw lastError;
-}
-
 /**
  * Process a single URL - navigate and extract regex matches
  */
@@ -363,41 +301,10 @@ async function processUrl(page, url, patterns, timeout) {
 }
 
 /**
- * Send a Discord webhook notification
+ * Create the notification for regex matches
  */
-async function sendDiscordWebhook(webhookUrl, payload) {
-  if (!webhookUrl) {
-    console.log('Discord webhook URL not configured, skipping notification');
-    return false;
-  }
-
-  const { default: axios } = await import('axios');
-  
-  try {
-    await axios.post(webhookUrl, payload, {
-      headers: { 'Content-Type': 'application/json' }
-    });
-    return true;
-  } catch (err) {
-    const details = err.response?.data ? JSON.stringify(err.response.data) : err.message;
-    console.error('Failed to send Discord webhook:', err.response?.status, details);
-    return false;
-  }
-}
-
-/**
- * Get Discord relative timestamp
- */
-function getRelativeTimestamp() {
-  const unixSeconds = Math.floor(Date.now() / 1000);
-  return `<t:${unixSeconds}:R>`;
-}
-
-/**
- * Create Discord embed for regex matches
- */
-function createMatchesEmbed(pageName, url, patternResults) {
-  const fields = [];
+function createMatchesNotification(pageName, url, patternResults) {
+  const sections = [];
   
   for (const [patternId, result] of Object.entries(patternResults)) {
     const count = result.count;
@@ -417,27 +324,20 @@ function createMatchesEmbed(pageName, url, patternResults) {
       stringsValue = '(no matches)';
     }
     
-    fields.push({
-      name: `Pattern: ${patternId}`,
-      value: `**Count:** ${count}\n**Unique:** ${result.uniqueCount}\n\n${stringsValue}`
+    sections.push({
+      title: `Pattern: ${patternId}`,
+      text: `**Count:** ${count}\n**Unique:** ${result.uniqueCount}\n\n${stringsValue}`
     });
   }
   
   return {
-    username: 'Regex Watcher',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '🔍 Regex Match Detected',
-      description: `**${pageName}** ${getRelativeTimestamp()}`,
-      url,
-      color: 0x8B5CF6,
-      fields,
-      timestamp: new Date().toISOString(),
-      footer: {
-        text: 'Regex Watcher',
-        icon_url: LOGO_URL
-      }
-    }]
+    sender: 'Regex Watcher',
+    title: '🔍 Regex Match Detected',
+    description: `**${pageName}**`,
+    url,
+    color: 0x8B5CF6,
+    sections,
+    footer: 'Regex Watcher'
   };
 }
 
@@ -482,7 +382,7 @@ async function main() {
   console.log('=== Regex Watcher ===');
   console.log('Starting regex scan...');
 
-  const config = loadConfig();
+  const config = loadConfig('regex');
   
   // Validate URLs on startup
   if (!validateUrls(config)) {
@@ -495,7 +395,7 @@ async function main() {
   const statePath = join(__dirname, '..', config.state?.file || 'logs/regex-state.json');
   const previousState = loadState(statePath);
 
-  const webhookUrl = process.env[config.webhook?.webhookEnv];
+  const webhookUrl = getWebhookUrl(config.webhook?.webhookEnv);
 
   if (!webhookUrl) {
     console.error(`Webhook URL not configured (${config.webhook?.webhookEnv} env not set), exiting`);
@@ -508,13 +408,12 @@ async function main() {
   
   console.log(`Watching ${pages.length} page(s)`);
 
-  let browser;
+  // One browser for every page; each check gets a fresh tab in a reused context
+  const pool = createBrowserPool('regex', config.browser);
   let hasChanges = false;
 
   try {
-    // Launch browser with retry
-    browser = await launchBrowser(2);
-    const page = await browser.newPage();
+    await pool.launch();
 
     for (let i = 0; i < pages.length; i++) {
       const pageConfig = pages[i];
@@ -522,13 +421,16 @@ async function main() {
       
       try {
         // Process URL and get results
-        const results = await processUrl(page, pageConfig.url, pageConfig.patterns, timeout);
+        const results = await pool.withPage(page => processUrl(page, pageConfig.url, pageConfig.patterns, timeout));
         
         if (!results.success) {
           console.log(`Failed to process ${pageConfig.name}: ${results.error}`);
+          reportRunError(results.error);
           continue;
         }
         
+        countRunItems(1);
+
         // Detect changes
         const changes = detectChanges(results, previousState, pageConfig.url);
         
@@ -538,10 +440,17 @@ async function main() {
             const emoji = change.changeType === 'increase' ? '📈' : '📉';
             console.log(`  ${emoji} Pattern "${change.patternId}": ${change.previousCount} -> ${change.currentCount}`);
           }
+          const events = changes.changes.map(change => ({
+            entity: `${pageConfig.name}:${change.patternId}`,
+            type: 'updated',
+            changes: { count: { old: change.previousCount, new: change.currentCount } },
+            data: { url: pageConfig.url, matchedStrings: change.matchedStrings }
+          }));
+          recordEvents('regex', events);
           
           // Send webhook notification
-          const embed = createMatchesEmbed(pageConfig.name, pageConfig.url, results.patterns);
-          await sendDiscordWebhook(webhookUrl, embed);
+          const notification = createMatchesNotification(pageConfig.name, pageConfig.url, results.patterns);
+          await notify('regex', notification, { webhookUrl, events });
           
           hasChanges = true;
         } else {
@@ -555,6 +464,7 @@ async function main() {
         
       } catch (error) {
         console.error(`Error processing ${pageConfig.name}:`, error.message);
+        reportRunError(error);
         // Continue with next URL
       }
       
@@ -569,19 +479,23 @@ async function main() {
     console.error('Browser error:', error.message);
     process.exit(1);
   } finally {
-    if (browser) {
-      await browser.close();
-    }
+    await pool.close();
   }
 
   // Save state
   saveState(statePath, previousState);
+  setMetric('models', { source: 'regex' }, Object.keys(previousState).length);
 
   console.log(`=== Regex scan complete ===`);
 }
 
+installRedaction();
+installCassette();
+startRun('regex');
+
 // Run main function
 main().catch(err => {
+  reportRunError(err);
   console.error('Fatal error:', err);
   process.exit(1);
 });
@@ -0,0 +1,128 @@
+/**
+ * Rule-based notification routing, mentions and suppression.
+ *
+ * Rules live in the `rules` array of notifications-config.json and are checked for every
+ * notification, in order:
+ *   {
+ *     "name": "frontier",
+ *     "match": {
+ *       "sources": ["scanner", "lmarena"],   watcher names
+ *       "providers": ["OpenAI"],             scanner endpoint / provider
+ *       "model": "gpt-5|claude-.*-5",        regex against model ids (and names/titles)
+ *       "types": ["added"],                  added, removed, updated
+ *       "fields": ["pricing"]                changed field names
+ *     },
+ *     "targets": ["frontier-discord"],       extra targets (names from `targets`)
+ *     "mentions": { "roles": ["123"], "users": ["456"] },
+ *     "suppress": false
+ *   }
+ * Every condition given must hold; an empty `match` matches everything. Conditions are
+ * checked per change event when the watcher passes its events to notify(). Without events,
+ * `model` is matched against the notification text and `types`/`fields` never match; an
+ * explicitly empty events list (e.g. a summary) matches only source/provider rules.
+ *
+ * A notification is dropped when a suppress rule matches all of its events (or the
+ * notification itself, without events). Matching rules add their targets, and their
+ * mentions go to those targets - or to the watcher's usual Discord destinations when the
+ * rule has no targets of its own.
+ */
+
+// Rule -> compiled model pattern
+const patterns = new WeakMap();
+
+/**
+ * Compile a rule's model pattern once
+ * @param {Object} rule - Rule from the config
+ * @returns {RegExp|null}
+ */
+function modelPattern(rule) {
+  if (!rule.match?.model) return null;
+  if (!patterns.has(rule)) {
+    try {
+      patterns.set(rule, new RegExp(rule.match.model, 'i'));
+    } catch (err) {
+      console.error(`Invalid model pattern in rule "${rule.name || '(unnamed)'}":`, err.message);
+      // Never matches
+      patterns.set(rule, /(?!)/);
+    }
+  }
+  return patterns.get(rule);
+}
+
+const includes = (list, value) => !list?.length || list.includes(value);
+
+/**
+ * Check a rule against one change event
+ * @param {Object} rule - Rule
+ * @param {Object} event - { entity, type, changes, data }
+ * @param {Object} context - { source, group }
+ * @returns {boolean}
+ */
+export function matchesEvent(rule, event, context) {
+  const match = rule.match || {};
+  const pattern = modelPattern(rule);
+  return includes(match.sources, context.source) &&
+    includes(match.providers, event.data?.provider || context.group) &&
+    includes(match.types, event.type) &&
+    (!match.fields?.length || match.fields.some(field => field in (event.changes || {}))) &&
+    (!pattern || [event.entity, event.data?.name, event.data?.title].some(value => value && pattern.test(value)));
+}
+
+/**
+ * Check a rule against a notification without events
+ * @param {Object} rule - Rule
+ * @param {Object} context - { source, group, text } (text null: model rules never match)
+ * @returns {boolean}
+ */
+export function matchesNotification(rule, context) {
+  const match = rule.match || {};
+  const pattern = modelPattern(rule);
+  if (match.types?.length || match.fields?.length) return false;
+  if (pattern && context.text === null) return false;
+  return includes(match.sources, context.source) &&
+    includes(match.providers, context.group) &&
+    (!pattern || pattern.test(context.text || ''));
+}
+
+/**
+ * Evaluate the rules for a notification
+ * @param {Array} rules - Rules from the config
+ * @param {Object} context - { source, group, events, text }
+ * @returns {Object} - { suppressedBy: rule name or null, matched: [rules] }
+ */
+export function evaluateRules(rules = [], context) {
+  const suppressRules = rules.filter(rule => rule.suppress);
+  const routeRules = rules.filter(rule => !rule.suppress);
+  const ruleName = rule => rule.name || '(unnamed)';
+
+  if (!context.events?.length) {
+    const notificationContext = context.events ? { ...context, text: null } : context;
+    const suppressor = suppressRules.find(rule => matchesNotification(rule, notificationContext));
+    if (suppressor) return { suppressedBy: ruleName(suppressor), matched: [] };
+    return { suppressedBy: null, matched: routeRules.filter(rule => matchesNotification(rule, notificationContext)) };
+  }
+
+  // Suppressed events no longer count towards routing
+  const remaining = context.events.filter(event => !suppressRules.some(rule => matchesEvent(rule, event, context)));
+  if (remaining.length === 0) {
+    const suppressor = suppressRules.find(rule => context.events.some(event => matchesEvent(rule, event, context)));
+    return { suppressedBy: ruleName(suppressor), matched: [] };
+  }
+  return {
+    suppressedBy: null,
+    matched: routeRules.filter(rule => remaining.some(event => matchesEvent(rule, event, context)))
+  };
+}
+
+/**
+ * Merge mention lists
+ * @param {Object} a - { roles, users }
+ * @param {Object} b - { roles, users }
+ * @returns {Object} - { roles, users } without duplicates
+ */
+export function mergeMentions(a = {}, b = {}) {
+  return {
+    roles: [...new Set([...(a.roles || []), ...(b.roles || [])])],
+    users: [...new Set([...(a.users || []), ...(b.users || [])])]
+  };
+}
@@ -0,0 +1,283 @@
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig } from './config.js';
+import { StateStore } from './state-store.js';
+import { getWebhookUrl } from './dry-run.js';
+import { installCassette } from './cassette.js';
+import { installRedaction } from './redact.js';
+import { startRun, countRunItems, reportRunError } from './watchdog.js';
+import { checkMassChange, sendMassChangeAlert } from './guard.js';
+import { recordEvents, fieldDiffs } from './events.js';
+import { notify } from './transports.js';
+import { request, fetchText, fetchJson, getHttpMetrics } from './http.js';
+import { createBrowserPool } from './browser.js';
+import { setMetric } from './metrics.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(__dirname, '..');
+
+/**
+ * Shared runtime for watcher plugins.
+ *
+ * A watcher plugin is a module that describes one source; the runtime does the rest of the
+ * lifecycle the watchers used to repeat: load config and state, fetch, normalize, diff, guard
+ * against mass changes, record events, notify, save state. A plugin is
+ *   defineWatcher({
+ *     name: 'bedrock',                       source for events, notifications and the guard
+ *     config: 'bedrock',                     config name for loadConfig() (default name)
+ *     key: item => `${item.provider}::${item.name}`,   identity of a tracked item
+ *     fetch: async ctx => raw,               download the source (ctx.http, ctx.browser)
+ *     normalize: (raw, ctx) => items,        tracked items; null skips this run without saving
+ *     diff: (previous, items, ctx) => diff,  optional, default compares `fields` by key
+ *     render: (diff, ctx) => message(s),     notification (src/notification.js), an array of them,
+ *                                            or [{ message, events, group }]; null sends nothing
+ *   })
+ * plus these optional hooks:
+ *   fields             fields compared by the default diff (default: every field)
+ *   hasChanges(diff)   default: anything added, removed or changed
+ *   events(diff, ctx)  change events (src/events.js), default added/removed/updated by key
+ *   load(state)        items from a saved state document (default state.items)
+ *   save(items, ctx)   state document to save (default { items, timestamp })
+ *   stateFile(config)  state path relative to the repo root (default config.state.file)
+ *
+ * The default diff is { added, removed, changed: [{ old, item }] }. The context passed to the
+ * hooks holds name, config, state (the previous document), previous and current items, raw
+ * (fetch's result), webhookUrl, http (request/text/json of src/http.js, with the config's
+ * scan.timeout), browser (a src/browser.js pool with the config's `browser` options, launched on
+ * first use) and metrics; render() also sees the run's events.
+ *
+ * Every plugin gets the same semantics:
+ *   - first run (no items saved yet): save a baseline without notifying
+ *   - no changes: save the new state (refreshing its timestamp), send nothing
+ *   - mass change held by src/guard.js: alert, keep the old state and the pending check
+ *   - fetch or normalize throws: exit 1 without touching state
+ *   - normalize returns null: exit 0 without touching state, recorded as a run with an error
+ *   - no webhook configured: routed targets (notifications-config.json) are still notified
+ *   - every run is recorded in logs/runs/ with its item count, for the watchdog (src/watchdog.js)
+ *
+ * Watchers that follow many independent targets, each with its own state slice and messages
+ * (scanner, gemini, github-file, app-version, uspto, regex, rss, posts), still run their own main().
+ */
+const HOOKS = ['fetch', 'normalize', 'render'];
+
+/**
+ * Check a plugin against the contract and fill in its defaults
+ * @param {Object} plugin - Plugin (see module doc)
+ * @returns {Object} - Plugin
+ */
+export function defineWatcher(plugin) {
+  if (!plugin?.name) throw new Error('Watcher plugin needs a name');
+  if (typeof plugin.key !== 'function') throw new Error(`Watcher plugin "${plugin.name}" needs a key(item) function`);
+  for (const hook of HOOKS) {
+    if (typeof plugin[hook] !== 'function') throw new Error(`Watcher plugin "${plugin.name}" needs a ${hook}() function`);
+  }
+  return {
+    config: plugin.name,
+    load: state => state.items || [],
+    save: items => ({ items, timestamp: Date.now() }),
+    stateFile: config => config.state?.file || `logs/${plugin.name}-state.json`,
+    ...plugin
+  };
+}
+
+/**
+ * Compare two item lists by key
+ * @param {Array} previous - Previous items
+ * @param {Array} current - Current items
+ * @param {Function} key - item => key
+ * @param {Array<string>} fields - Fields to compare (default every field)
+ * @returns {Object} - { added, removed, changed: [{ old, item }] }
+ */
+export function diffByKey(previous, current, key, fields = null) {
+  const previousByKey = new Map(previous.map(item => [key(item), item]));
+  const currentKeys = new Set(current.map(key));
+  const added = [];
+  const changed = [];
+
+  for (const item of current) {
+    const old = previousByKey.get(key(item));
+    if (!old) added.push(item);
+    else if (Object.keys(fieldDiffs(old, item, fields)).length > 0) changed.push({ old, item });
+  }
+  const removed = previous.filter(item => !currentKeys.has(key(item)));
+  return { added, removed, changed };
+}
+
+function defaultHasChanges(diff) {
+  return ['added', 'removed', 'changed'].some(kind => diff[kind]?.length > 0);
+}
+
+function defaultEvents(plugin, diff) {
+  return [
+    ...(diff.added || []).map(item => ({ entity: plugin.key(item), type: 'added', data: item })),
+    ...(diff.removed || []).map(item => ({ entity: plugin.key(item), type: 'removed', data: item })),
+    ...(diff.changed || []).map(({ old, item }) => ({ entity: plugin.key(item), type: 'updated', changes: fieldDiffs(old, item, plugin.fields) }))
+  ];
+}
+
+/**
+ * Diff two item lists with the plugin's diff hook, or by key
+ * @param {Object} plugin - From defineWatcher()
+ * @param {Array} previous - Previous items
+ * @param {Array} current - Current items
+ * @param {Object} ctx - Run context
+ * @returns {Object} - The plugin's diff
+ */
+function diffItems(plugin, previous, current, ctx) {
+  return plugin.diff ? plugin.diff(previous, current, ctx) : diffByKey(previous, current, plugin.key, plugin.fields);
+}
+
+/**
+ * Change events between two item lists, from the plugin's own diff and events hooks as in a
+ * run (used by the history backfill, src/backfill.js)
+ * @param {Object} plugin - From defineWatcher()
+ * @param {Array} previous - Previous items
+ * @param {Array} current - Current items
+ * @param {Object} ctx - Run context passed to the hooks
+ * @returns {Array} - Events (src/events.js)
+ */
+export function diffEvents(plugin, previous, current, ctx = {}) {
+  const diff = diffItems(plugin, previous, current, ctx);
+  return plugin.events ? plugin.events(diff, ctx) : defaultEvents(plugin, diff);
+}
+
+/**
+ * HTTP helpers for plugins, on the shared client (src/http.js) with the watcher's timeout
+ * @param {number} timeout - Default timeout (ms); undefined uses http-config.json's
+ * @returns {Object} - { request, text, json }
+ */
+function createHttp(timeout) {
+  return {
+    request: (url, options = {}) => request(url, { timeout, ...options }),
+    text: (url, options = {}) => fetchText(url, { timeout, ...options }),
+    json: (url, options = {}) => fetchJson(url, { timeout, ...options })
+  };
+}
+
+/**
+ * Normalize render()'s result into messages with their events
+ * @param {*} rendered - render() result
+ * @param {Array} events - Every event of the run
+ * @returns {Array<Object>} - [{ message, events, group }]
+ */
+function toMessages(rendered, events) {
+  if (!rendered) return [];
+  return (Array.isArray(rendered) ? rendered : [rendered])
+    .filter(Boolean)
+    .map(entry => entry.message ? { events, ...entry } : { message: entry, events });
+}
+
+/**
+ * Run a watcher plugin once
+ * @param {Object} plugin - From defineWatcher()
+ * @returns {Promise<Object>} - { status, metrics } where status is 'baseline', 'unchanged',
+ *   'held', 'changed' or 'skipped'
+ */
+export async function runWatcher(plugin) {
+  const started = Date.now();
+  const config = loadConfig(plugin.config);
+  const store = new StateStore(join(ROOT_DIR, plugin.stateFile(config)));
+  const state = store.load(null);
+  const webhookEnv = config.webhook?.webhookEnv;
+  const webhookUrl = getWebhookUrl(webhookEnv);
+  if (webhookEnv && !webhookUrl) console.log(`${webhookEnv} not set, only routed targets will be notified`);
+
+  const metrics = { items: 0, added: 0, removed: 0, changed: 0, notifications: 0, durationMs: 0, http: {} };
+  const browser = createBrowserPool(plugin.name, config.browser);
+  const ctx = {
+    name: plugin.name,
+    config,
+    state,
+    previous: state ? plugin.load(state) : [],
+    current: null,
+    raw: null,
+    webhookUrl,
+    http: createHttp(config.scan?.timeout),
+    browser,
+    metrics
+  };
+  const finish = status => {
+    metrics.durationMs = Date.now() - started;
+    metrics.http = getHttpMetrics();
+    console.log(`=== ${plugin.name}: ${status}, ${metrics.items} items (${metrics.durationMs}ms) ===`);
+    return { status, metrics };
+  };
+
+  try {
+    ctx.raw = await plugin.fetch(ctx);
+    ctx.current = await plugin.normalize(ctx.raw, ctx);
+  } finally {
+    await browser.close();
+  }
+  if (!ctx.current) {
+    console.log(`${plugin.name}: nothing to compare this run, state left as is`);
+    return finish('skipped');
+  }
+  metrics.items = ctx.current.length;
+  setMetric('models', { source: plugin.name }, metrics.items);
+
+  if (ctx.previous.length === 0) {
+    console.log('First run - saving baseline without sending notifications');
+    store.save(plugin.save(ctx.current, ctx));
+    return finish('baseline');
+  }
+
+  // Checked before the diff, so items vanishing from a source that only reports additions still hold
+  const guardCheck = checkMassChange({
+    source: plugin.name,
+    previousKeys: ctx.previous.map(plugin.key),
+    currentKeys: ctx.current.map(plugin.key),
+    pending: state.guard,
+    options: config.guard
+  });
+  if (guardCheck.held) {
+    await sendMassChangeAlert(webhookUrl, plugin.name, guardCheck);
+    store.save({ ...state, guard: guardCheck.pending });
+    return finish('held');
+  }
+
+  const diff = diffItems(plugin, ctx.previous, ctx.current, ctx);
+  if (!(plugin.hasChanges || defaultHasChanges)(diff)) {
+    console.log('No changes detected');
+    store.save(plugin.save(ctx.current, ctx));
+    return finish('unchanged');
+  }
+
+  // Counted from the events, since a plugin's own diff shape need not have added/removed/changed
+  const events = plugin.events ? plugin.events(diff, ctx) : defaultEvents(plugin, diff);
+  ctx.events = events;
+  metrics.added = events.filter(event => event.type === 'added').length;
+  metrics.removed = events.filter(event => event.type === 'removed').length;
+  metrics.changed = events.length - metrics.added - metrics.removed;
+  console.log(`Changes: +${metrics.added} added, -${metrics.removed} removed, ~${metrics.changed} changed`);
+  recordEvents(plugin.name, events);
+
+  for (const { message, events: messageEvents, group } of toMessages(plugin.render(diff, ctx), events)) {
+    if (await notify(plugin.name, message, { webhookUrl, events: messageEvents, group })) metrics.notifications++;
+  }
+  if (metrics.notifications > 0) console.log('Notifications sent');
+
+  store.save(plugin.save(ctx.current, ctx));
+  return finish('changed');
+}
+
+/**
+ * Run a plugin when its module is the entry point: `node src/<script>`
+ * @param {Object} plugin - From defineWatcher()
+ * @param {string} moduleUrl - The plugin module's import.meta.url
+ */
+export function runCli(plugin, moduleUrl) {
+  if (!process.argv[1] || resolve(process.argv[1]) !== fileURLToPath(moduleUrl)) return;
+  installRedaction();
+  installCassette();
+  startRun(plugin.name);
+  runWatcher(plugin).then(({ status, metrics }) => {
+    // A source that keeps coming back blocked or malformed must reach the watchdog's error check
+    if (status === 'skipped') reportRunError(new Error('normalize returned nothing'));
+    else countRunItems(metrics.items);
+  }).catch(err => {
+    reportRunError(err);
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
@@ -1,83 +1,130 @@
-import axios from 'axios';
+import { request as httpRequest } from './http.js';
+import { applyAuth, getMissingCredentials } from './auth.js';
+import { getPaginationStrategy, getPageItems, mergePages } from './pagination.js';
+import { setMetric } from './metrics.js';
+
+// Safety cap on pages followed per endpoint when config doesn't set one
+const DEFAULT_MAX_PAGES = 20;
+
+/**
+ * GET one page, in the { status, statusText, data, headers } shape the pagination strategies read
+ * @param {Object} request - { url, headers } after auth
+ * @param {number} timeout - Request timeout (ms)
+ * @returns {Promise<Object>} - data is parsed JSON, or the raw text when it is not JSON
+ */
+async function getPage(request, timeout) {
+  const res = await httpRequest(request.url.toString(), {
+    headers: request.headers,
+    timeout,
+    retries: 0, // scanEndpoints() retries the whole endpoint, every page included
+    allowErrors: true // Non-2xx responses are reported per endpoint
+  });
+  const text = await res.text();
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // Keep the text, e.g. an HTML error page in the details
+  }
+  return { status: res.status, statusText: res.statusText, data, headers: Object.fromEntries(res.headers) };
+}
 
 /**
  * Fetches models from an OpenAI-compatible API endpoint
  * @param {Object} endpoint - Endpoint configuration
  * @param {string} endpoint.baseUrl - Base URL for the API
  * @param {string} endpoint.apiKeyEnv - Environment variable name for API key
+ * @param {Object} endpoint.auth - Auth scheme (see auth.js), defaults to bearer via apiKeyEnv
  * @param {string} endpoint.modelsEndpoint - Path to models endpoint
  * @param {Object} endpoint.headers - Additional headers
+ * @param {Object} endpoint.pagination - Pagination strategy (see pagination.js), single page if omitted
  * @param {number} timeout - Request timeout in ms
+ * @param {Object} options - { maxPages } default page cap from scan config
  * @returns {Promise<Object>} - Models data or error
  */
-export async function fetchModels(endpoint, timeout = 30000) {
-  const apiKey = process.env[endpoint.apiKeyEnv];
-  
-  if (!apiKey) {
+export async function fetchModels(endpoint, timeout = 30000, options = {}) {
+  const missing = getMissingCredentials(endpoint);
+
+  if (missing.length > 0) {
     return {
       success: false,
       configured: false, // Not an error - user just didn't configure this endpoint
-      error: `API key not found in env variable: ${endpoint.apiKeyEnv}`,
+      error: `Credentials not found in env variable(s): ${missing.join(', ')}`,
       endpoint: endpoint.name
     };
   }
 
-  const url = `${endpoint.baseUrl.replace(/\/$/, '')}${endpoint.modelsEndpoint}`;
-  
-  const headers = {
-    'Authorization': `Bearer ${apiKey}`,
-    'Content-Type': 'application/json',
-    ...endpoint.headers
-  };
+  const pagination = endpoint.pagination || null;
+  const maxPages = pagination?.maxPages || options.maxPages || DEFAULT_MAX_PAGES;
+  const pages = [];
+  let cursor = null;
+  let status = null;
 
-  // Some APIs use different auth/headers
-  if (endpoint.name === 'Anthropic') {
-    headers['X-Api-Key'] = apiKey;
-    headers['anthropic-version'] = '2023-06-01';
-    delete headers['Authorization'];
-  }
+  try {
+    const strategy = getPaginationStrategy(pagination);
 
-  // GitHub Models uses different headers
-  if (endpoint.name === 'GitHub Models') {
-    headers['Accept'] = 'application/vnd.github+json';
-    headers['X-GitHub-Api-Version'] = '2022-11-28';
-  }
+    while (true) {
+      if (pages.length >= maxPages) {
+        // Returning a partial list would make compareModels report the rest as removed
+        return {
+          success: false,
+          error: `Pagination stopped after ${maxPages} pages (raise pagination.maxPages)`,
+          endpoint: endpoint.name,
+          status
+        };
+      }
 
-  // ElevenLabs uses xi-api-key header
-  if (endpoint.name === 'ElevenLabs') {
-    headers['xi-api-key'] = apiKey;
-    delete headers['Authorization'];
-  }
+      const request = {
+        method: 'GET',
+        url: new URL(`${endpoint.baseUrl.replace(/\/$/, '')}${endpoint.modelsEndpoint}`),
+        headers: {
+          'Content-Type': 'application/json',
+          ...endpoint.headers
+        }
+      };
+      request.url = strategy.apply(request.url, cursor, pagination) || request.url;
 
-  try {
-    const response = await axios.get(url, {
-      headers,
-      timeout,
-      validateStatus: () => true // Don't throw on non-2xx
-    });
+      await applyAuth(endpoint, request, { timeout });
 
-    if (response.status >= 200 && response.status < 300) {
-      // Normalize response to common format
-      const models = normalizeModels(response.data, endpoint);
-      return {
-        success: true,
-        endpoint: endpoint.name,
-        models,
-        raw: response.data
-      };
-    } else {
-      return {
-        success: false,
-        error: `HTTP ${response.status}: ${response.statusText}`,
-        endpoint: endpoint.name,
-        details: response.data
-      };
+      const response = await getPage(request, timeout);
+      status = response.status;
+
+      if (response.status < 200 || response.status >= 300) {
+        return {
+          success: false,
+          error: `HTTP ${response.status}: ${response.statusText}${pages.length > 0 ? ` (page ${pages.length + 1})` : ''}`,
+          endpoint: endpoint.name,
+          status,
+          details: response.data
+        };
+      }
+
+      pages.push(response.data);
+
+      const items = getPageItems(response.data, pagination);
+      const nextCursor = strategy.next(response, cursor, items, pagination);
+      // Guard against APIs that keep handing back the same cursor
+      if (nextCursor == null || nextCursor === cursor) break;
+      cursor = nextCursor;
     }
+
+    // Normalize response to common format
+    const data = mergePages(pages, pagination);
+    const models = normalizeModels(data, endpoint);
+    return {
+      success: true,
+      endpoint: endpoint.name,
+      status,
+      models,
+      pages: pages.length,
+      raw: data
+    };
   } catch (err) {
     return {
       success: false,
       error: err.message,
       endpoint: endpoint.name,
+      status,
       code: err.code
     };
   }
@@ -86,7 +133,7 @@ export async function fetchModels(endpoint, timeout = 30000) {
 /**
  * Normalize different API response formats to a common structure
  * @param {Object} data - Raw API response
- * @param {Object} endpoint - Endpoint configuration
+ * @param {Object} endpoint - Endpoint configuration (responseFormat)
  * @returns {Array} - Normalized models array
  */
 function normalizeModels(data, endpoint) {
@@ -108,8 +155,8 @@ function normalizeModels(data, endpoint) {
       ...m
     }));
   }
-  // GitHub Models format: [{ id: ..., name: ..., publisher: ..., ... }]
-  else if (endpoint.name === 'GitHub Models' && Array.isArray(data)) {
+  // GitHub Models catalog, declared with "responseFormat": "github-models": [{ id, name, publisher, ... }]
+  else if (endpoint.responseFormat === 'github-models' && Array.isArray(data)) {
     models = data.map(m => ({
       id: m.id,
       name: m.name || m.id,
@@ -178,21 +225,22 @@ function normalizeModels(data, endpoint) {
 /**
  * Scan all configured endpoints
  * @param {Array} endpoints - Array of endpoint configurations
- * @param {Object} scanConfig - Scan settings (timeout, retries)
+ * @param {Object} scanConfig - Scan settings (timeout, retries, maxPages)
  * @returns {Promise<Array>} - Results from all endpoints
  */
 export async function scanEndpoints(endpoints, scanConfig = {}) {
-  const { timeout = 30000, retryAttempts = 2, retryDelay = 1000 } = scanConfig;
+  const { timeout = 30000, retryAttempts = 2, retryDelay = 1000, maxPages } = scanConfig;
   
   const results = await Promise.all(
     endpoints.map(async (endpoint) => {
+      const started = Date.now();
+      let result;
       // Try with retries
       for (let attempt = 0; attempt <= retryAttempts; attempt++) {
-        const result = await fetchModels(endpoint, timeout);
+        result = await fetchModels(endpoint, timeout, { maxPages });
         
-        if (result.success) {
-          return result;
-        }
+        // Missing credentials won't turn up on a retry
+        if (result.success || result.configured === false) break;
         
         // Wait before retry (except on last attempt)
         if (attempt < retryAttempts && retryDelay > 0) {
@@ -200,14 +248,31 @@ export async function scanEndpoints(endpoints, scanConfig = {}) {
         }
       }
       
-      // Return last result after all retries
-      return await fetchModels(endpoint, timeout);
+      // Last result after all retries
+      return recordEndpointMetrics(result, started);
     })
   );
 
   return results;
 }
 
+/**
+ * Set an endpoint's latency, status and model count metrics (src/metrics.js)
+ * @param {Object} result - fetchModels() result
+ * @param {number} started - When the first attempt started (ms)
+ * @returns {Object} - The result
+ */
+function recordEndpointMetrics(result, started) {
+  // Endpoints without credentials were never asked
+  if (result.configured === false) return result;
+  const labels = { endpoint: result.endpoint };
+  setMetric('endpoint_up', labels, result.success ? 1 : 0);
+  setMetric('endpoint_latency_seconds', labels, (Date.now() - started) / 1000);
+  setMetric('endpoint_status', labels, result.status || 0);
+  if (result.success) setMetric('models', { source: 'scanner', endpoint: result.endpoint }, result.models.length);
+  return result;
+}
+
 /**
  * Compare two model lists and find differences
  * @param {Array} oldModels - Previous scan models
@@ -248,6 +313,21 @@ export function compareModels(oldModels, newModels) {
   };
 }
 
+/**
+ * Turn compareModels output into change events for the event log
+ * @param {string} endpointName - Endpoint name (entity prefix)
+ * @param {Object} changes - Result of compareModels
+ * @returns {Array} - Event changes for recordEvents
+ */
+export function buildModelEvents(endpointName, changes) {
+  const entity = m => `${endpointName}:${m.id}`;
+  return [
+    ...changes.added.map(m => ({ entity: entity(m), type: 'added', data: m })),
+    ...changes.removed.map(m => ({ entity: entity(m), type: 'removed', data: m })),
+    ...changes.updated.map(u => ({ entity: entity(u.model), type: 'updated', changes: u.changes }))
+  ];
+}
+
 /**
  * Get changes between two model objects
  * @param {Object} oldModel - Previous model state
@@ -0,0 +1,275 @@
+/**
+ * In-process scheduler for `modelwatcher daemon` (src/cli.js).
+ *
+ * Each job runs on a schedule of either
+ *   { intervalMinutes: N }    - N minutes after the previous run started
+ *   { cron: '0,30 * * * *' } - standard 5-field cron in UTC, like the GitHub Actions workflows
+ * A job never overlaps itself: the next run is only planned once the current one finishes, so
+ * cron times passed during a long run are skipped. Every planned time gets a random delay of
+ * up to `jitterSeconds`, so jobs sharing a schedule don't all start at once. After a failure
+ * the next run waits at least `backoff.baseMinutes`, doubling with each further failure up to
+ * `backoff.maxMinutes`; a success resets it. At most `maxConcurrent` jobs run at a time; due
+ * jobs wait their turn.
+ */
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// setTimeout fires immediately for delays above this
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Parse one cron field (`*`, `5`, `1-5`, `5/15`, `0-30/10`, `1,15,30`, or `*` with a step) into its values
+ * @param {string} text - Field text
+ * @param {Object} field - { name, min, max }
+ * @returns {Set<number>}
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${field.name} "${text}"`);
+    const start = match[1] === '*' ? field.min : Number(match[2]);
+    // "5/15" means from 5 to the end, as in most cron implementations
+    const end = match[1] === '*' || (match[4] && match[3] === undefined) ? field.max : Number(match[3] ?? match[2]);
+    const step = match[4] ? Number(match[4]) : 1;
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`Cron ${field.name} "${text}" is out of range ${field.min}-${field.max}`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - e.g. '0 * * * *'
+ * @returns {Object} - { minute, hour, dayOfMonth, month, dayOfWeek } value sets, plus anyDayOfMonth / anyDayOfWeek
+ */
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Invalid cron expression "${expression}" (expected 5 fields)`);
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  // 7 is Sunday too
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // When both day fields are restricted, cron matches either of them
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+/**
+ * Check whether a cron schedule matches a date's day (UTC)
+ * @param {Object} cron - From parseCron()
+ * @param {Date} date - Date
+ * @returns {boolean}
+ */
+function matchesDay(cron, date) {
+  if (!cron.month.has(date.getUTCMonth() + 1)) return false;
+  const dom = cron.dayOfMonth.has(date.getUTCDate());
+  const dow = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+/**
+ * Next time a cron schedule fires, strictly after a given time (UTC)
+ * @param {string|Object} cron - Expression or parseCron() result
+ * @param {Date} after - Start time
+ * @returns {Date}
+ */
+export function nextCronTime(cron, after = new Date()) {
+  const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+  const time = new Date(after.getTime());
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+
+  // Four years always contain every valid month/day combination, including 29 February
+  const limit = after.getTime() + 4 * 366 * 24 * 60 * MINUTE;
+  while (time.getTime() <= limit) {
+    if (!matchesDay(schedule, time)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0);
+    } else if (!schedule.hour.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0);
+    } else if (!schedule.minute.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+  throw new Error('Cron expression never fires');
+}
+
+/**
+ * Minimum wait after consecutive failures
+ * @param {number} failures - Consecutive failures so far
+ * @param {Object} backoff - { baseMinutes, maxMinutes }
+ * @returns {number} - Milliseconds (0 without failures)
+ */
+export function backoffDelay(failures, { baseMinutes = 5, maxMinutes = 360 } = {}) {
+  if (failures <= 0) return 0;
+  return Math.min(baseMinutes * 2 ** (failures - 1), maxMinutes) * MINUTE;
+}
+
+/**
+ * Runs jobs on their schedules until stopped
+ */
+export class Scheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.jitterSeconds - Random delay added to each planned run (default 0)
+   * @param {Object} options.backoff - { baseMinutes, maxMinutes } after failures
+   * @param {number} options.maxConcurrent - Jobs running at once (default 1)
+   * @param {Function} options.log - (message) => void
+   */
+  constructor(options = {}) {
+    this.jitterSeconds = options.jitterSeconds || 0;
+    this.backoff = options.backoff || {};
+    this.maxConcurrent = options.maxConcurrent || 1;
+    this.log = options.log || (message => console.log(message));
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = new Map();
+    this.stopped = false;
+  }
+
+  /**
+   * Add a job
+   * @param {string} name - Job name
+   * @param {Object} schedule - { cron } or { intervalMinutes }
+   * @param {Function} run - async () => boolean success
+   * @param {Object} options - { lastRun } ISO time of the previous run, so interval jobs resume on schedule
+   */
+  add(name, schedule, run, options = {}) {
+    if (schedule.cron) {
+      schedule = { ...schedule, parsed: parseCron(schedule.cron) };
+    } else if (!(schedule.intervalMinutes > 0)) {
+      throw new Error(`Job "${name}" needs a cron expression or a positive intervalMinutes`);
+    }
+    this.jobs.set(name, { name, schedule, run, failures: 0, lastStart: options.lastRun ? Date.parse(options.lastRun) : null, timer: null, nextRun: null });
+  }
+
+  /**
+   * Plan the first run of every job
+   */
+  start() {
+    for (const job of this.jobs.values()) this.plan(job);
+  }
+
+  /**
+   * Planned run times
+   * @returns {Array<Object>} - [{ name, nextRun, running, failures }]
+   */
+  describe() {
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      nextRun: job.nextRun ? new Date(job.nextRun).toISOString() : null,
+      running: this.running.has(job.name),
+      failures: job.failures
+    }));
+  }
+
+  /**
+   * Work out when a job runs next and set its timer
+   * @param {Object} job - Job
+   */
+  plan(job) {
+    if (this.stopped) return;
+    const now = Date.now();
+    let next;
+    if (job.schedule.parsed) {
+      next = nextCronTime(job.schedule.parsed, new Date(now)).getTime();
+    } else {
+      const interval = job.schedule.intervalMinutes * MINUTE;
+      next = job.lastStart ? Math.max(job.lastStart + interval, now) : now;
+    }
+    if (job.failures > 0) next = Math.max(next, now + backoffDelay(job.failures, this.backoff));
+    next += Math.floor(Math.random() * this.jitterSeconds * 1000);
+
+    job.nextRun = next;
+    this.setTimer(job);
+  }
+
+  setTimer(job) {
+    clearTimeout(job.timer);
+    const delay = job.nextRun - Date.now();
+    job.timer = setTimeout(() => {
+      // Long delays are split, since timers can't wait more than ~24 days
+      if (job.nextRun - Date.now() > 0) this.setTimer(job);
+      else this.enqueue(job);
+    }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY));
+  }
+
+  enqueue(job) {
+    job.nextRun = null;
+    this.queue.push(job);
+    this.drain();
+  }
+
+  drain() {
+    while (!this.stopped && this.queue.length > 0 && this.running.size < this.maxConcurrent) {
+      this.execute(this.queue.shift());
+    }
+  }
+
+  /**
+   * Run a job and plan its next run once it finishes
+   * @param {Object} job - Job
+   */
+  execute(job) {
+    job.lastStart = Date.now();
+    const promise = (async () => {
+      let ok = false;
+      try {
+        ok = await job.run();
+      } catch (err) {
+        this.log(`${job.name}: ${err.message}`);
+      }
+      job.failures = ok ? 0 : job.failures + 1;
+      if (!ok) this.log(`${job.name}: failed ${job.failures} time(s) in a row, backing off`);
+    })();
+
+    this.running.set(job.name, promise);
+    promise.finally(() => {
+      this.running.delete(job.name);
+      this.plan(job);
+      if (job.nextRun) this.log(`${job.name}: next run at ${new Date(job.nextRun).toISOString()}`);
+      this.drain();
+    });
+  }
+
+  /**
+   * Stop planning runs and wait for the running ones
+   * @param {number} timeoutMs - How long to wait
+   * @returns {Promise<boolean>} - True if every running job finished in time
+   */
+  async stop(timeoutMs = Infinity) {
+    this.stopped = true;
+    this.queue = [];
+    for (const job of this.jobs.values()) clearTimeout(job.timer);
+
+    const finished = Promise.allSettled([...this.running.values()]).then(() => true);
+    if (!Number.isFinite(timeoutMs)) return finished;
+    let timer;
+    const timeout = new Promise(done => { timer = setTimeout(() => done(false), timeoutMs); });
+    const result = await Promise.race([finished, timeout]);
+    clearTimeout(timer);
+    return result;
+  }
+}
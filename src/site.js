@@ -0,0 +1,474 @@
+import { writeFileSync, mkdirSync, rmSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { escapeHtml } from './notification.js';
+import { listModels } from './watchers.js';
+import { queryEvents } from './events.js';
+import { writeFeeds } from './feeds.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Static dashboard generated from the state files and the change history.
+ *
+ * Usage: npm run site -- [outDir]   (default site/, published by .github/workflows/pages.yml)
+ *
+ * Pages, all plain HTML/CSS with a little JS for the catalog search:
+ *   index.html              searchable catalog of every model across sources
+ *   models/<slug>.html      one page per model: current data and its change timeline
+ *   providers/index.html    every provider, and providers/<slug>.html with its models and changes
+ *   lmarena.html            LM Arena rank charts per modality, rebuilt from rank change events
+ *   changes.html            recent changes from every watcher
+ *   feeds/                  the Atom and JSON feeds (src/feeds.js), per watcher and combined
+ * Links are relative, so the site works from any base path and straight from disk.
+ */
+export const SITE_DIR = join(__dirname, '..', 'site');
+
+const RECENT_CHANGES = 300;
+const PROVIDER_CHANGES = 50;
+const CHART_MODELS = 10;
+// LM Arena's placeholder rank for models not on a leaderboard
+const UNRANKED = 9007199254740991;
+
+const STYLE = `
+:root { color-scheme: light dark; --bg: #fff; --fg: #1f2328; --muted: #656d76; --line: #d0d7de; --card: #f6f8fa; --accent: #0969da; --added: #1a7f37; --removed: #cf222e; --updated: #9a6700; }
+@media (prefers-color-scheme: dark) { :root { --bg: #0d1117; --fg: #e6edf3; --muted: #8d96a0; --line: #30363d; --card: #161b22; --accent: #4493f8; --added: #3fb950; --removed: #f85149; --updated: #d29922; } }
+body { background: var(--bg); color: var(--fg); font: 15px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; }
+header { border-bottom: 1px solid var(--line); padding: 12px 24px; display: flex; gap: 20px; align-items: baseline; flex-wrap: wrap; }
+header .brand { font-weight: 600; font-size: 17px; }
+main { padding: 16px 24px 48px; max-width: 1100px; }
+a { color: var(--accent); text-decoration: none; }
+a:hover { text-decoration: underline; }
+h1 { font-size: 22px; margin: 8px 0 16px; }
+h2 { font-size: 17px; margin: 28px 0 8px; }
+table { border-collapse: collapse; width: 100%; font-size: 14px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--line); vertical-align: top; }
+th { color: var(--muted); font-weight: 600; }
+pre { background: var(--card); border: 1px solid var(--line); border-radius: 6px; padding: 12px; overflow: auto; font-size: 13px; }
+input, select { font: inherit; padding: 4px 8px; border: 1px solid var(--line); border-radius: 6px; background: var(--bg); color: var(--fg); }
+.muted { color: var(--muted); }
+.filters { display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 12px; }
+.badge { display: inline-block; font-size: 12px; border: 1px solid var(--line); border-radius: 10px; padding: 0 8px; color: var(--muted); }
+.added { color: var(--added); }
+.removed { color: var(--removed); }
+.updated { color: var(--updated); }
+.timeline { list-style: none; padding: 0; }
+.timeline li { border-left: 2px solid var(--line); padding: 4px 0 12px 16px; }
+.changes { font-size: 13px; color: var(--muted); margin: 4px 0 0; padding-left: 18px; }
+.chart { margin: 8px 0 4px; max-width: 100%; height: auto; }
+.chart text { fill: var(--muted); font-size: 11px; }
+.chart .grid { stroke: var(--line); }
+.legend { list-style: none; padding: 0; display: flex; flex-wrap: wrap; gap: 4px 16px; font-size: 13px; }
+.swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+`;
+
+// Filters the catalog table; the data is embedded as JSON so the page works without a server
+const CATALOG_SCRIPT = `
+const models = JSON.parse(document.getElementById('catalog-data').textContent);
+const q = document.getElementById('q');
+const source = document.getElementById('source');
+const provider = document.getElementById('provider');
+const rows = document.getElementById('rows');
+const count = document.getElementById('count');
+const MAX_ROWS = 500;
+const esc = s => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+function render() {
+  const text = q.value.trim().toLowerCase();
+  const matches = models.filter(([name, id, src, prov]) =>
+    (!source.value || src === source.value) &&
+    (!provider.value || prov === provider.value) &&
+    (!text || name.toLowerCase().includes(text) || id.toLowerCase().includes(text)));
+  rows.innerHTML = matches.slice(0, MAX_ROWS).map(([name, id, src, prov, href]) =>
+    '<tr><td><a href="' + esc(href) + '">' + esc(name) + '</a></td><td class="muted">' + esc(id) + '</td><td>' + esc(src) + '</td><td>' + esc(prov) + '</td></tr>').join('');
+  count.textContent = matches.length > MAX_ROWS ? matches.length + ' models (first ' + MAX_ROWS + ' shown)' : matches.length + ' models';
+  history.replaceState(null, '', q.value ? '#' + encodeURIComponent(q.value) : location.pathname);
+}
+
+q.value = decodeURIComponent(location.hash.slice(1));
+for (const input of [q, source, provider]) input.addEventListener('input', render);
+render();
+`;
+
+const CHART_COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+/**
+ * Turn text into a file-name-safe slug
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'item';
+}
+
+/**
+ * Stable page name for a model; the hash keeps ids that slugify alike apart
+ * @param {Object} model - { source, id }
+ * @returns {string}
+ */
+function modelSlug(model) {
+  const hash = createHash('sha1').update(`${model.source}|${model.id}`).digest('hex').slice(0, 8);
+  return `${slugify(`${model.source}-${model.id}`)}-${hash}`;
+}
+
+function providerKey(provider) {
+  return slugify(provider || 'unknown');
+}
+
+/**
+ * Format a field value for one-line output
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function formatValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value) ?? 'none';
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+/**
+ * Wrap page content in the shared layout
+ * @param {Object} page - { title, body, root } where root is the relative path to the site root
+ * @returns {string} - HTML document
+ */
+function layout({ title, body, root = '' }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · Model Watcher</title>
+<link rel="stylesheet" href="${root}assets/style.css">
+<link rel="alternate" type="application/atom+xml" title="Model Watcher changes" href="${root}feeds/all.atom">
+<link rel="alternate" type="application/feed+json" title="Model Watcher changes" href="${root}feeds/all.json">
+</head>
+<body>
+<header>
+<a class="brand" href="${root}index.html">Model Watcher</a>
+<a href="${root}index.html">Catalog</a>
+<a href="${root}providers/index.html">Providers</a>
+<a href="${root}lmarena.html">LM Arena ranks</a>
+<a href="${root}changes.html">Recent changes</a>
+<a href="${root}feeds/all.atom">Feed</a>
+</header>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render one event as a list item
+ * @param {Object} event - Event
+ * @param {Object} options - { model } the current model it belongs to, linked by name;
+ *   { root } relative path to the site root; { showSource } add a source badge
+ * @returns {string}
+ */
+function renderEvent(event, { model = null, root = '', showSource = false } = {}) {
+  const entity = model
+    ? `<a href="${root}models/${model.slug}.html" title="${escapeHtml(event.entity)}">${escapeHtml(model.name || model.id)}</a>`
+    : escapeHtml(event.data?.name || event.entity);
+  const changes = Object.entries(event.changes || {})
+    .map(([field, diff]) => `<li>${escapeHtml(field)}: ${escapeHtml(formatValue(diff.old))} → ${escapeHtml(formatValue(diff.new))}</li>`)
+    .join('');
+  return `<li><span class="muted">${formatTime(event.timestamp)}</span> ` +
+    `${showSource ? `<span class="badge">${escapeHtml(event.source)}</span> ` : ''}` +
+    `<span class="${escapeHtml(event.type)}">${escapeHtml(event.type)}</span> ${entity}` +
+    `${changes ? `<ul class="changes">${changes}</ul>` : ''}</li>`;
+}
+
+function renderCatalog(models, generatedAt) {
+  const data = models.map(model => [model.name || model.id, model.id, model.source, model.provider || '', `models/${model.slug}.html`]);
+  const options = values => [...new Set(values)].sort((a, b) => a.localeCompare(b))
+    .map(value => `<option>${escapeHtml(value)}</option>`).join('');
+
+  const body = `<p class="muted">${models.length} models tracked across ${new Set(models.map(m => m.source)).size} sources · updated ${formatTime(generatedAt)}</p>
+<div class="filters">
+<input id="q" type="search" placeholder="Search models" autofocus>
+<select id="source"><option value="">All sources</option>${options(models.map(m => m.source))}</select>
+<select id="provider"><option value="">All providers</option>${options(models.map(m => m.provider).filter(Boolean))}</select>
+<span id="count" class="muted"></span>
+</div>
+<table>
+<thead><tr><th>Name</th><th>ID</th><th>Source</th><th>Provider</th></tr></thead>
+<tbody id="rows"></tbody>
+</table>
+<noscript><p>The catalog search needs JavaScript; see <a href="providers/index.html">providers</a> for a static list.</p></noscript>
+<script type="application/json" id="catalog-data">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>
+<script src="assets/catalog.js"></script>`;
+  return layout({ title: 'Model catalog', body });
+}
+
+function renderModel(model, events) {
+  const timeline = events.length
+    ? `<ul class="timeline">${[...events].reverse().map(event => renderEvent(event)).join('\n')}</ul>`
+    : '<p class="muted">No changes recorded since the change history started.</p>';
+  const body = `<p><span class="badge">${escapeHtml(model.source)}</span> ` +
+    `${model.provider ? `<a href="../providers/${providerKey(model.provider)}.html">${escapeHtml(model.provider)}</a> · ` : ''}` +
+    `<span class="muted">${escapeHtml(model.id)}</span></p>
+<h2>Timeline</h2>
+${timeline}
+<h2>Current data</h2>
+<pre>${escapeHtml(JSON.stringify(model.data, null, 2))}</pre>`;
+  return layout({ title: model.name || model.id, body, root: '../' });
+}
+
+function renderProviderIndex(providers) {
+  const rows = providers.map(provider =>
+    `<tr><td><a href="${provider.key}.html">${escapeHtml(provider.name)}</a></td><td>${provider.models.length}</td>` +
+    `<td class="muted">${escapeHtml([...new Set(provider.models.map(m => m.source))].join(', '))}</td></tr>`).join('\n');
+  const body = `<table>
+<thead><tr><th>Provider</th><th>Models</th><th>Sources</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+  return layout({ title: 'Providers', body, root: '../' });
+}
+
+function renderProvider(provider, events) {
+  const bySource = new Map();
+  for (const model of provider.models) {
+    if (!bySource.has(model.source)) bySource.set(model.source, []);
+    bySource.get(model.source).push(model);
+  }
+
+  const sections = [...bySource].map(([source, models]) => `<h2>${escapeHtml(source)} (${models.length})</h2>
+<table>
+<thead><tr><th>Name</th><th>ID</th></tr></thead>
+<tbody>
+${models.map(model => `<tr><td><a href="../models/${model.slug}.html">${escapeHtml(model.name || model.id)}</a></td><td class="muted">${escapeHtml(model.id)}</td></tr>`).join('\n')}
+</tbody>
+</table>`).join('\n');
+
+  const byKey = new Map(provider.models.map(model => [`${model.source}|${model.id}`, model]));
+  const recent = events.slice(-PROVIDER_CHANGES).reverse();
+  const changes = recent.length
+    ? `<ul class="timeline">${recent.map(event => renderEvent(event, { model: byKey.get(`${event.source}|${event.entity}`), root: '../', showSource: true })).join('\n')}</ul>`
+    : '<p class="muted">No changes recorded.</p>';
+
+  return layout({ title: provider.name, body: `${sections}\n<h2>Recent changes</h2>\n${changes}`, root: '../' });
+}
+
+function renderChanges(events, byKey, generatedAt) {
+  const recent = events.slice(-RECENT_CHANGES).reverse();
+  if (recent.length === 0) {
+    return layout({ title: 'Recent changes', body: '<p class="muted">No changes recorded yet.</p>' });
+  }
+
+  const byDay = new Map();
+  for (const event of recent) {
+    const day = event.timestamp.slice(0, 10);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(event);
+  }
+  const days = [...byDay].map(([day, dayEvents]) => `<h2>${day}</h2>
+<ul class="timeline">
+${dayEvents.map(event => renderEvent(event, { model: byKey.get(`${event.source}|${event.entity}`), showSource: true })).join('\n')}
+</ul>`).join('\n');
+  return layout({ title: 'Recent changes', body: `<p class="muted">The last ${recent.length} changes · updated ${formatTime(generatedAt)}</p>\n${days}` });
+}
+
+/**
+ * Rank of an LM Arena model in a modality ('overall' is the top-level rank)
+ * @param {Object} ranks - { rank, rankByModality } (a model, or one side of a change)
+ * @param {string} modality - Modality
+ * @returns {number|null} - null when unranked
+ */
+function rankIn(ranks, modality) {
+  const value = modality === 'overall' ? ranks?.rank : ranks?.rankByModality?.[modality];
+  return typeof value === 'number' && value < UNRANKED ? value : null;
+}
+
+/**
+ * Rebuild a model's rank over time from its rank change events
+ * @param {Object} model - Current model (data holds rank and rankByModality)
+ * @param {Array} events - The model's events, oldest first
+ * @param {string} modality - Modality
+ * @param {number} start - Chart start (epoch ms)
+ * @param {number} end - Chart end (epoch ms)
+ * @returns {Array<Array>} - [[time, rank or null], ...] where each rank holds until the next point
+ */
+function rankSeries(model, events, modality, start, end) {
+  const field = modality === 'overall' ? 'rank' : 'rankByModality';
+  const changes = events.filter(event => event.type === 'updated' && event.changes?.[field]);
+  const side = (event, key) => ({ [field]: event.changes[field][key] });
+
+  const added = events.find(event => event.type === 'added');
+  const first = added ? Math.max(Date.parse(added.timestamp), start) : start;
+  const points = [[first, changes.length ? rankIn(side(changes[0], 'old'), modality) : rankIn(model.data, modality)]];
+  for (const event of changes) {
+    points.push([Math.max(Date.parse(event.timestamp), start), rankIn(side(event, 'new'), modality)]);
+  }
+  points.push([end, rankIn(model.data, modality)]);
+  return points;
+}
+
+/**
+ * Draw rank step lines as an inline SVG (rank 1 at the top)
+ * @param {Array<Object>} series - [{ label, color, points }]
+ * @param {number} start - Start time (epoch ms)
+ * @param {number} end - End time (epoch ms)
+ * @returns {string} - SVG markup
+ */
+function renderRankChart(series, start, end) {
+  const width = 800;
+  const height = 260;
+  const pad = { left: 36, right: 12, top: 12, bottom: 24 };
+  const ranks = series.flatMap(s => s.points.map(([, rank]) => rank)).filter(rank => rank !== null);
+  const maxRank = Math.max(...ranks, 2);
+  const x = time => pad.left + ((time - start) / Math.max(end - start, 1)) * (width - pad.left - pad.right);
+  const y = rank => pad.top + ((rank - 1) / (maxRank - 1)) * (height - pad.top - pad.bottom);
+
+  const paths = series.map(({ label, color, points }) => {
+    let d = '';
+    for (let i = 0; i < points.length - 1; i++) {
+      const [time, rank] = points[i];
+      if (rank === null) continue;
+      const next = points[i + 1][0];
+      // Start a new segment unless continuing from the previous ranked step
+      const connected = i > 0 && points[i - 1][1] !== null;
+      d += `${connected ? 'L' : 'M'}${x(time).toFixed(1)},${y(rank).toFixed(1)}H${x(next).toFixed(1)}`;
+    }
+    return d ? `<path d="${d}" fill="none" stroke="${color}" stroke-width="2"><title>${escapeHtml(label)}</title></path>` : '';
+  }).join('');
+
+  const ticks = [...new Set([1, Math.ceil(maxRank / 2), maxRank])].map(rank =>
+    `<line class="grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(rank).toFixed(1)}" y2="${y(rank).toFixed(1)}"/>` +
+    `<text x="${pad.left - 6}" y="${(y(rank) + 4).toFixed(1)}" text-anchor="end">${rank}</text>`).join('');
+  const dates = `<text x="${pad.left}" y="${height - 6}">${new Date(start).toISOString().slice(0, 10)}</text>` +
+    `<text x="${width - pad.right}" y="${height - 6}" text-anchor="end">${new Date(end).toISOString().slice(0, 10)}</text>`;
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">${ticks}${dates}${paths}</svg>`;
+}
+
+function renderLmarena(models, eventsByModel, generatedAt) {
+  const arena = models.filter(model => model.source === 'lmarena');
+  const arenaEvents = [...eventsByModel].filter(([key]) => key.startsWith('lmarena|')).flatMap(([, events]) => events);
+  const end = Date.parse(generatedAt);
+  // Charts cover the whole change history, or the last 30 days before there is any
+  const start = Math.min(...arenaEvents.map(event => Date.parse(event.timestamp)), end - 30 * 24 * 60 * 60 * 1000);
+
+  const modalities = [
+    ...(arena.some(model => rankIn(model.data, 'overall') !== null) ? ['overall'] : []),
+    ...new Set(arena.flatMap(model => Object.keys(model.data.rankByModality || {})))
+  ];
+
+  const sections = modalities.map(modality => {
+    const top = arena
+      .filter(model => rankIn(model.data, modality) !== null)
+      .sort((a, b) => rankIn(a.data, modality) - rankIn(b.data, modality))
+      .slice(0, CHART_MODELS);
+    if (top.length === 0) return '';
+
+    const series = top.map((model, i) => ({
+      label: `${model.name} (#${rankIn(model.data, modality)})`,
+      color: CHART_COLORS[i % CHART_COLORS.length],
+      points: rankSeries(model, eventsByModel.get(`lmarena|${model.id}`) || [], modality, start, end)
+    }));
+    const legend = series.map((s, i) =>
+      `<li><span class="swatch" style="background:${s.color}"></span><a href="models/${top[i].slug}.html">${escapeHtml(s.label)}</a></li>`).join('');
+    return `<h2>${escapeHtml(modality)}</h2>\n${renderRankChart(series, start, end)}\n<ul class="legend">${legend}</ul>`;
+  }).join('\n');
+
+  const body = `<p class="muted">Current top ${CHART_MODELS} per leaderboard, with their rank history from the change log · updated ${formatTime(generatedAt)}</p>
+${sections || '<p class="muted">No ranked LM Arena models in the current state.</p>'}`;
+  return layout({ title: 'LM Arena ranks', body });
+}
+
+/**
+ * Group models by provider, merging names that only differ in case or punctuation
+ * @param {Array<Object>} models - Models with slugs
+ * @returns {Array<Object>} - [{ key, name, models }] sorted by name
+ */
+function groupProviders(models) {
+  const providers = new Map();
+  for (const model of models) {
+    if (!model.provider) continue;
+    const key = providerKey(model.provider);
+    if (!providers.has(key)) providers.set(key, { key, names: new Map(), models: [] });
+    const provider = providers.get(key);
+    provider.models.push(model);
+    provider.names.set(model.provider, (provider.names.get(model.provider) || 0) + 1);
+  }
+  return [...providers.values()]
+    .map(({ key, names, models: list }) => ({
+      key,
+      // The spelling most sources use
+      name: [...names].sort((a, b) => b[1] - a[1])[0][0],
+      models: list
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Generate the dashboard
+ * @param {Object} options - { outDir, eventsDir, now }
+ * @returns {Object} - { outDir, pages }
+ */
+export function buildSite({ outDir = SITE_DIR, eventsDir, now = new Date() } = {}) {
+  const generatedAt = now.toISOString();
+  const models = listModels().map(model => ({ ...model, slug: modelSlug(model) }));
+  const events = queryEvents({ dir: eventsDir });
+
+  const byKey = new Map(models.map(model => [`${model.source}|${model.id}`, model]));
+  const eventsByModel = new Map();
+  for (const event of events) {
+    const key = `${event.source}|${event.entity}`;
+    if (!byKey.has(key)) continue;
+    if (!eventsByModel.has(key)) eventsByModel.set(key, []);
+    eventsByModel.get(key).push(event);
+  }
+
+  // Only regenerated directories are cleared, never the whole output directory
+  for (const dir of ['models', 'providers', 'feeds']) rmSync(join(outDir, dir), { recursive: true, force: true });
+  for (const dir of ['assets', 'models', 'providers']) mkdirSync(join(outDir, dir), { recursive: true });
+
+  let pages = 0;
+  const write = (file, content) => {
+    writeFileSync(join(outDir, file), content);
+    if (file.endsWith('.html')) pages++;
+  };
+
+  write('assets/style.css', STYLE.trimStart());
+  write('assets/catalog.js', CATALOG_SCRIPT.trimStart());
+  // Serve the files as they are on GitHub Pages instead of through Jekyll
+  write('.nojekyll', '');
+  write('index.html', renderCatalog(models, generatedAt));
+  write('changes.html', renderChanges(events, byKey, generatedAt));
+  write('lmarena.html', renderLmarena(models, eventsByModel, generatedAt));
+
+  for (const model of models) {
+    write(`models/${model.slug}.html`, renderModel(model, eventsByModel.get(`${model.source}|${model.id}`) || []));
+  }
+
+  const providers = groupProviders(models);
+  write('providers/index.html', renderProviderIndex(providers));
+  for (const provider of providers) {
+    const keys = new Set(provider.models.map(model => `${model.source}|${model.id}`));
+    write(`providers/${provider.key}.html`, renderProvider(provider, events.filter(event => keys.has(`${event.source}|${event.entity}`))));
+  }
+
+  writeFeeds({ outDir: join(outDir, 'feeds') });
+
+  return { outDir, pages };
+}
+
+const isCli = process.argv[1] && /site\.js$/.test(process.argv[1]);
+if (isCli) {
+  try {
+    const outDir = process.argv[2] ? resolve(process.argv[2]) : SITE_DIR;
+    const { pages } = buildSite({ outDir });
+    console.log(`Wrote ${pages} pages to ${outDir}`);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
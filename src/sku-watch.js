@@ -1,10 +1,6 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
 import { GoogleInternal } from '@cloudwaddie/googleinternal';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const LOGO_URL = 'https://raw.githubusercontent.com/CloudWaddie/ModelWatcher/master/logo.jpg';
+import { cassetteCall } from './cassette.js';
+import { defineWatcher, runCli } from './runtime.js';
 
 // Variant words that, when found AFTER the family keyword in a SKU name,
 // mark the end of the model key (everything after is a price variant, not a new model).
@@ -23,11 +19,6 @@ const FAMILY_RE = /\b(gemini|imagen|veo|lyria|omni|robotics|embed|palm)\b/;
 // Workspace/enterprise subscription SKUs are not AI models.
 const SUBSCRIPTION_RE = /subscription|term|savings plan|per 1 month|per 1 year/i;
 
-function saveState(path, state) {
-  mkdirSync(dirname(path), { recursive: true });
-  writeFileSync(path, JSON.stringify(state, null, 2));
-}
-
 /**
  * Extract a normalized model key from a SKU name.
  * "Generate content input token count gemini 3.7 flash text" -> "gemini 3.7 flash"
@@ -78,13 +69,6 @@ function formatPrice(price) {
 }
 
 function buildNotification(newModels) {
-  const components = [];
-  const lines = [];
-  lines.push('# 🧮 Google Cloud SKU — New AI Models');
-  lines.push(`Detected **${newModels.length}** new model${newModels.length === 1 ? '' : 's'}`);
-  components.push({ type: 10, content: lines.join('\n') });
-  components.push({ type: 14 });
-
   const byFamily = {};
   for (const n of newModels) {
     const fam = n.family || 'other';
@@ -92,22 +76,23 @@ function buildNotification(newModels) {
     byFamily[fam].push(n);
   }
 
-  for (const [fam, models] of Object.entries(byFamily)) {
-    const entries = models.map(m => {
+  const sections = Object.entries(byFamily).map(([fam, models]) => ({
+    text: `${buildFamilyLabel(fam)}\n` + models.map(m => {
       const name = m.name.charAt(0).toUpperCase() + m.name.slice(1);
       const prices = [];
       if (m.input) prices.push(`in: ${m.input}`);
       if (m.output) prices.push(`out: ${m.output}`);
       return `**${name}** — ${prices.join(' · ')}`;
-    }).join('\n');
-    components.push({ type: 10, content: `${buildFamilyLabel(fam)}\n${entries}` });
-  }
+    }).join('\n')
+  }));
 
   return {
-    username: 'SKU Watcher',
-    avatar_url: LOGO_URL,
-    flags: 32768,
-    components: [{ type: 17, components }],
+    sender: 'SKU Watcher',
+    title: '🧮 Google Cloud SKU — New AI Models',
+    description: `Detected **${newModels.length}** new model${newModels.length === 1 ? '' : 's'}`,
+    severity: 'success',
+    layout: 'document',
+    sections
   };
 }
 
@@ -115,19 +100,12 @@ function buildFamilyLabel(fam) {
   return fam.charAt(0).toUpperCase() + fam.slice(1);
 }
 
-async function main() {
-  const config = JSON.parse(readFileSync(join(__dirname, '../sku-config.json'), 'utf8'));
-  const statePath = join(__dirname, '..', config.state.file);
-  let prevState = { models: {} };
-  if (existsSync(statePath)) {
-    try {
-      prevState = JSON.parse(readFileSync(statePath, 'utf8'));
-    } catch (e) {
-      console.error('Failed to parse state file, starting fresh:', e.message);
-    }
-  }
-  const webhookUrl = process.env[config.webhook.webhookEnv];
-
+/**
+ * Scan the SKU catalog for every configured filter
+ * @param {Object} config - sku-config.json
+ * @returns {Promise<Array>} - Models ({ name, family, input, output }), one per model key
+ */
+async function scanSkus(config) {
   const client = new GoogleInternal({});
   const skus = client.registerService('skus', {
     baseUrl: 'https://cloud.google.com/_/GoogleCloudUxWebAppCgcUi/data/batchexecute',
@@ -140,8 +118,6 @@ async function main() {
     mapResult: (arr) => arr,
   });
 
-  // New models discovered on this run, keyed by model key for dedupe across filters
-  const newModelsByKey = new Map();
   const currentModels = new Map(); // key -> { name, family, input, output }
 
   console.log('Scanning Google Cloud SKU catalog...');
@@ -150,12 +126,13 @@ async function main() {
     let total = 0;
     for (let page = 0; page < config.scan.maxPages; page++) {
       try {
-        const r = await skus.execute('search', {
+        const args = {
           filter,
           currency: config.scan.currency,
           slot3: cursor,
           limit: config.scan.pageSize,
-        });
+        };
+        const r = await cassetteCall(`skus.search ${JSON.stringify(args)}`, () => skus.execute('search', args));
         const groups = r?.[1];
         if (!Array.isArray(groups) || groups.length === 0) {
           console.log(`[${filter}] page ${page + 1}: empty response, stopping`);
@@ -173,9 +150,6 @@ async function main() {
           if (isInput && price) existing.input = formatPrice(price);
           if (isOutput && price) existing.output = formatPrice(price);
           currentModels.set(key, existing);
-          if (!prevState.models[key]) {
-            newModelsByKey.set(key, existing);
-          }
           total++;
         }
         cursor = typeof r?.[0] === 'string' ? r[0] : null;
@@ -187,32 +161,24 @@ async function main() {
     }
     console.log(`[${filter}] scanned ${total} SKUs`);
   }
-
-  const newModels = [...newModelsByKey.values()];
-  console.log(`Scanned ${currentModels.size} unique models, ${newModels.length} new`);
-
-  if (prevState.models && Object.keys(prevState.models).length === 0) {
-    console.log('First run — saving baseline');
-    saveState(statePath, { models: Object.fromEntries(currentModels), timestamp: Date.now() });
-    return;
-  }
-
-  if (newModels.length > 0 && webhookUrl) {
-    const payload = buildNotification(newModels);
-    const res = await fetch(webhookUrl + '?with_components=true', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-    });
-    if (res.ok) console.log('Discord notification sent');
-    else console.error('Discord send failed:', res.status, await res.text());
-  }
-
-  saveState(statePath, { models: Object.fromEntries(currentModels), timestamp: Date.now() });
-  console.log(`=== SKU scan complete: ${currentModels.size} models ===`);
+  return [...currentModels.values()];
 }
 
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
\ No newline at end of file
+// Only new models are announced; price changes and removals just update the state
+export const watcher = defineWatcher({
+  name: 'sku',
+  key: m => m.name,
+  fetch: ctx => scanSkus(ctx.config),
+  normalize: models => models,
+  diff: (previous, models) => {
+    const known = new Set(previous.map(m => m.name));
+    const added = models.filter(m => !known.has(m.name));
+    console.log(`Scanned ${models.length} unique models, ${added.length} new`);
+    return { added, removed: [], changed: [] };
+  },
+  render: diff => buildNotification(diff.added),
+  load: state => Object.values(state.models || {}),
+  save: models => ({ models: Object.fromEntries(models.map(m => [m.name, m])), timestamp: Date.now() })
+});
+
+runCli(watcher, import.meta.url);
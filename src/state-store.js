@@ -0,0 +1,409 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync, copyFileSync, openSync, fsyncSync, closeSync, unlinkSync } from 'fs';
+import { dirname, join, resolve, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { execFileSync } from 'child_process';
+import os from 'os';
+import { isDryRun, recordWrite } from './dry-run.js';
+import { redactObject } from './redact.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(__dirname, '..');
+const require = createRequire(import.meta.url);
+
+/**
+ * Shared state persistence for index.js (via Logger) and the watchers.
+ *
+ * A StateStore owns one state document, identified by its path relative to the repo
+ * root (e.g. "logs/bedrock-state.json"). Documents are saved as
+ *   { "schemaVersion": N, ...state }
+ * and load() strips `schemaVersion` again after running any migrations, so watchers
+ * only ever see their own shape. Files written before versioning count as version 1.
+ *
+ * Backends (`backend` option, or MODELWATCHER_STATE_BACKEND):
+ *   - json:       the file itself, written atomically (temp file + rename) with rolling .bak.N copies;
+ *                 documents under logs/ go to MODELWATCHER_STATE_DIR instead when it is set
+ *   - sqlite:     a versioned table in MODELWATCHER_STATE_DB (default logs/state.sqlite), needs better-sqlite3
+ *   - git-branch: commits to MODELWATCHER_STATE_BRANCH (default modelwatcher-state) without touching
+ *                 the working tree; pushed to origin when MODELWATCHER_STATE_PUSH is set
+ *
+ * A backend exposes:
+ *   - read(key): newest document text, or null when none exists
+ *   - readBackups(key): older document texts, newest first
+ *   - write(key, text): persist a new document, keeping up to `backups` older ones
+ *   - remove(key): forget the document, so the next load() returns the defaults
+ */
+const backends = new Map();
+
+const DEFAULT_BACKUPS = 3;
+
+/**
+ * Register a state backend under a name
+ * @param {string} name - Value used for the `backend` option / MODELWATCHER_STATE_BACKEND
+ * @param {Function} factory - (options) => backend with read, readBackups, write and remove
+ */
+export function registerStateBackend(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`State backend "${name}" must be a factory function`);
+  }
+  backends.set(name, factory);
+}
+
+/**
+ * Persistent, versioned state document
+ */
+export class StateStore {
+  /**
+   * @param {string} file - State file path (absolute, or relative to the current directory)
+   * @param {Object} options
+   * @param {number} options.version - Current schemaVersion of this document (default 1)
+   * @param {Object} options.migrations - { [version]: (state) => state } upgrading from version - 1
+   * @param {string} options.backend - Backend name (default MODELWATCHER_STATE_BACKEND or 'json')
+   * @param {number} options.backups - Older copies to keep (default 3)
+   */
+  constructor(file, options = {}) {
+    this.key = relative(ROOT_DIR, resolve(file)).split(sep).join('/');
+    this.version = options.version || 1;
+    this.migrations = options.migrations || {};
+
+    const backendName = options.backend || process.env.MODELWATCHER_STATE_BACKEND || 'json';
+    const factory = backends.get(backendName);
+    if (!factory) {
+      throw new Error(`Unknown state backend "${backendName}" (known: ${[...backends.keys()].join(', ')})`);
+    }
+    this.backend = factory({ backups: DEFAULT_BACKUPS, ...options });
+  }
+
+  /**
+   * Load the state, falling back to the newest readable backup if the current copy is corrupt
+   * @param {*} defaults - Returned when no state has been saved yet
+   * @returns {*} - State without `schemaVersion`
+   */
+  load(defaults = {}) {
+    const text = this.backend.read(this.key);
+    if (text === null) return defaults;
+
+    try {
+      return this.upgrade(JSON.parse(text));
+    } catch (err) {
+      console.error(`State ${this.key} is unreadable (${err.message}), trying backups...`);
+    }
+
+    const backups = this.backend.readBackups(this.key);
+    for (const [i, backup] of backups.entries()) {
+      try {
+        const state = this.upgrade(JSON.parse(backup));
+        console.error(`Restored ${this.key} from backup ${i + 1}`);
+        // Put the good copy back so the corrupt one can't be read again
+        this.backend.write(this.key, backup);
+        return state;
+      } catch {
+        // Try the next older backup
+      }
+    }
+
+    // Starting fresh here would re-announce every known item as new
+    throw new Error(`State ${this.key} is corrupt and no readable backup exists; fix or delete it to start over`);
+  }
+
+  /**
+   * Save the state (skipped in a dry run)
+   * @param {Object} state - State without `schemaVersion`
+   */
+  save(state) {
+    const document = redactObject({ schemaVersion: this.version, ...state });
+    if (isDryRun()) {
+      console.log(`[dry run] Not saving ${this.key}`);
+      recordWrite('state', this.key, document);
+      return;
+    }
+    this.backend.write(this.key, JSON.stringify(document, null, 2) + '\n');
+  }
+
+  /**
+   * Remove the state, so the watcher starts over (skipped in a dry run)
+   */
+  remove() {
+    if (isDryRun()) {
+      console.log(`[dry run] Not removing ${this.key}`);
+      return;
+    }
+    this.backend.remove(this.key);
+  }
+
+  /**
+   * Run migrations from the stored schemaVersion up to the current one
+   * @param {Object} document - Parsed state document
+   * @returns {Object} - Migrated state without `schemaVersion`
+   */
+  upgrade(document) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      throw new Error('state is not a JSON object');
+    }
+
+    const { schemaVersion = 1, ...state } = document;
+    if (schemaVersion > this.version) {
+      throw new Error(`schemaVersion ${schemaVersion} is newer than supported version ${this.version}`);
+    }
+
+    let migrated = state;
+    for (let v = schemaVersion + 1; v <= this.version; v++) {
+      const migrate = this.migrations[v];
+      if (migrate) migrated = migrate(migrated);
+    }
+    return migrated;
+  }
+}
+
+/**
+ * Load a state file through a StateStore
+ * @param {string} file - State file path
+ * @param {*} defaults - Returned when no state has been saved yet
+ * @param {Object} options - StateStore options
+ * @returns {*} - State
+ */
+export function loadState(file, defaults = {}, options = {}) {
+  return new StateStore(file, options).load(defaults);
+}
+
+/**
+ * Save a state file through a StateStore
+ * @param {string} file - State file path
+ * @param {Object} state - State to save
+ * @param {Object} options - StateStore options
+ */
+export function saveState(file, state, options = {}) {
+  new StateStore(file, options).save(state);
+}
+
+function isJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Absolute path of a repo-relative path, with logs/ mapped into MODELWATCHER_STATE_DIR
+ * when it is set (--state-dir), the way the json backend places state documents
+ * @param {string} key - Path relative to the repo root, e.g. "logs/events"
+ * @param {string} dir - State directory (default MODELWATCHER_STATE_DIR)
+ * @returns {string}
+ */
+export function resolveStatePath(key, dir = process.env.MODELWATCHER_STATE_DIR) {
+  return dir && key.startsWith('logs/')
+    ? join(resolve(dir), key.slice('logs/'.length))
+    : join(ROOT_DIR, key);
+}
+
+// JSON files next to the code, e.g. logs/state.json + logs/state.json.bak.1..N
+registerStateBackend('json', ({ backups, dir }) => {
+  const stateDir = dir || process.env.MODELWATCHER_STATE_DIR;
+  const pathFor = key => resolveStatePath(key, stateDir);
+  const backupPath = (key, n) => `${pathFor(key)}.bak.${n}`;
+
+  // Rotate backups, but never push a corrupt current copy into them
+  const rotate = key => {
+    const file = pathFor(key);
+    if (backups > 0 && existsSync(file) && isJson(readFileSync(file, 'utf-8'))) {
+      for (let n = backups - 1; n >= 1; n--) {
+        if (existsSync(backupPath(key, n))) renameSync(backupPath(key, n), backupPath(key, n + 1));
+      }
+      copyFileSync(file, backupPath(key, 1));
+    }
+  };
+
+  return {
+    read(key) {
+      const file = pathFor(key);
+      return existsSync(file) ? readFileSync(file, 'utf-8') : null;
+    },
+
+    readBackups(key) {
+      const texts = [];
+      for (let n = 1; n <= backups; n++) {
+        if (existsSync(backupPath(key, n))) texts.push(readFileSync(backupPath(key, n), 'utf-8'));
+      }
+      return texts;
+    },
+
+    write(key, text) {
+      const file = pathFor(key);
+      mkdirSync(dirname(file), { recursive: true });
+      rotate(key);
+
+      // Write to a temp file in the same directory and rename over the target,
+      // so a crash leaves either the old or the new state, never half of one
+      const tmp = `${file}.${process.pid}.tmp`;
+      try {
+        const fd = openSync(tmp, 'w');
+        try {
+          writeFileSync(fd, text);
+          fsyncSync(fd);
+        } finally {
+          closeSync(fd);
+        }
+        renameSync(tmp, file);
+      } catch (err) {
+        if (existsSync(tmp)) unlinkSync(tmp);
+        throw err;
+      }
+    },
+
+    // The removed copy becomes backup 1, so a reset can be undone by hand
+    remove(key) {
+      const file = pathFor(key);
+      if (!existsSync(file)) return;
+      rotate(key);
+      unlinkSync(file);
+    }
+  };
+});
+
+// One SQLite database holding every state document, with history rows as backups
+registerStateBackend('sqlite', ({ backups, dbFile }) => {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('The sqlite state backend needs better-sqlite3, an optional dependency that failed to install or was omitted (npm install better-sqlite3)');
+  }
+
+  const file = resolve(ROOT_DIR, dbFile || process.env.MODELWATCHER_STATE_DB || 'logs/state.sqlite');
+  mkdirSync(dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS state_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key TEXT NOT NULL,
+    data TEXT NOT NULL,
+    saved_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS state_versions_key ON state_versions (key, id)`);
+
+  const selectRows = db.prepare('SELECT data FROM state_versions WHERE key = ? ORDER BY id DESC LIMIT ?');
+  const insertRow = db.prepare('INSERT INTO state_versions (key, data, saved_at) VALUES (?, ?, ?)');
+  const pruneRows = db.prepare(`DELETE FROM state_versions WHERE key = ? AND id NOT IN (
+    SELECT id FROM state_versions WHERE key = ? ORDER BY id DESC LIMIT ?
+  )`);
+
+  const write = db.transaction((key, text) => {
+    insertRow.run(key, text, new Date().toISOString());
+    pruneRows.run(key, key, backups + 1);
+  });
+
+  const deleteRows = db.prepare('DELETE FROM state_versions WHERE key = ?');
+
+  return {
+    read: key => selectRows.get(key, 1)?.data ?? null,
+    readBackups: key => selectRows.all(key, backups + 1).slice(1).map(row => row.data),
+    write,
+    remove: key => deleteRows.run(key)
+  };
+});
+
+// Commits each document to a dedicated branch using git plumbing, leaving the checkout alone
+registerStateBackend('git-branch', ({ backups, branch, push }) => {
+  const ref = `refs/heads/${branch || process.env.MODELWATCHER_STATE_BRANCH || 'modelwatcher-state'}`;
+  const shouldPush = push ?? Boolean(process.env.MODELWATCHER_STATE_PUSH);
+  let fetched = false;
+
+  const git = (args, options = {}) => execFileSync('git', args, {
+    cwd: ROOT_DIR,
+    encoding: 'utf-8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    ...options
+  });
+
+  const tryGit = (args) => {
+    try {
+      return git(args);
+    } catch {
+      return null;
+    }
+  };
+
+  // Pick up the remote branch once per process so concurrent runs build on each other
+  const fetchOnce = () => {
+    if (fetched || !shouldPush) return;
+    fetched = true;
+    tryGit(['fetch', 'origin', `+${ref}:${ref}`]);
+  };
+
+  /**
+   * Commit one index change on top of the state branch
+   * @param {Array<string>} updateIndexArgs - Arguments for git update-index
+   * @param {string} message - Commit message
+   */
+  const commitChange = (updateIndexArgs, message) => {
+    const parent = tryGit(['rev-parse', '--verify', '--quiet', ref])?.trim() || null;
+
+    // Build the new tree in a throwaway index so the real index and working tree are untouched
+    const indexFile = join(os.tmpdir(), `modelwatcher-state-${process.pid}-${Date.now()}.index`);
+    const env = { ...process.env, GIT_INDEX_FILE: indexFile };
+    let tree;
+    try {
+      git(parent ? ['read-tree', parent] : ['read-tree', '--empty'], { env });
+      git(['update-index', ...updateIndexArgs], { env });
+      tree = git(['write-tree'], { env }).trim();
+    } finally {
+      if (existsSync(indexFile)) unlinkSync(indexFile);
+    }
+
+    if (parent && git(['rev-parse', `${parent}^{tree}`]).trim() === tree) return;
+
+    const commitEnv = {
+      ...process.env,
+      GIT_AUTHOR_NAME: process.env.GIT_AUTHOR_NAME || 'ModelWatcher',
+      GIT_AUTHOR_EMAIL: process.env.GIT_AUTHOR_EMAIL || 'modelwatcher@github.com',
+      GIT_COMMITTER_NAME: process.env.GIT_COMMITTER_NAME || 'ModelWatcher',
+      GIT_COMMITTER_EMAIL: process.env.GIT_COMMITTER_EMAIL || 'modelwatcher@github.com'
+    };
+    const commit = git(
+      ['commit-tree', tree, ...(parent ? ['-p', parent] : []), '-m', message],
+      { env: commitEnv }
+    ).trim();
+
+    // Compare-and-swap so a concurrent writer in this clone isn't silently overwritten
+    git(['update-ref', ref, commit, parent || '0'.repeat(40)]);
+
+    if (shouldPush) {
+      try {
+        git(['push', 'origin', `${ref}:${ref}`]);
+      } catch (err) {
+        console.error(`Failed to push state branch ${ref}:`, err.stderr?.trim() || err.message);
+      }
+    }
+  };
+
+  return {
+    read(key) {
+      fetchOnce();
+      return tryGit(['show', `${ref}:${key}`]);
+    },
+
+    readBackups(key) {
+      fetchOnce();
+      const revs = (tryGit(['rev-list', `--max-count=${backups + 1}`, ref, '--', key]) || '')
+        .split('\n')
+        .filter(Boolean)
+        .slice(1);
+      return revs.map(rev => tryGit(['show', `${rev}:${key}`])).filter(text => text !== null);
+    },
+
+    write(key, text) {
+      fetchOnce();
+      const blob = git(['hash-object', '-w', '--stdin'], { input: text }).trim();
+      commitChange(['--add', '--cacheinfo', `100644,${blob},${key}`], `Update ${key}`);
+    },
+
+    remove(key) {
+      fetchOnce();
+      commitChange(['--force-remove', key], `Remove ${key}`);
+    }
+  };
+});
+
+export default StateStore;
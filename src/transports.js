@@ -0,0 +1,667 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { createRequire } from 'module';
+import { sendDiscordWebhook } from './webhook.js';
+import { deliverDiscordPayload } from './discord-sender.js';
+import { targetKey } from './outbox.js';
+import { evaluateRules, mergeMentions } from './rules.js';
+import { getDigestSettings, digestItem, bufferItem, dueDigests, buildDigest, markDigestSent, getDigestFile } from './digest.js';
+import { loadConfig } from './config.js';
+import { isDryRun, isBaselineRun, recordPayload, placeholderEnvName } from './dry-run.js';
+import { recordFeedEntry } from './feeds.js';
+import { redactObject } from './redact.js';
+import { incMetric } from './metrics.js';
+import {
+  createNotification,
+  stripDiscordMarkup,
+  formatDiff,
+  sectionToMarkdown,
+  toMarkdown,
+  toPlainText,
+  toHtml,
+  markdownToHtml,
+  SEVERITY_COLORS
+} from './notification.js';
+
+const require = createRequire(import.meta.url);
+
+const LOGO_URL = 'https://raw.githubusercontent.com/CloudWaddie/ModelWatcher/master/logo.jpg';
+const HTTP_TIMEOUT = 15000;
+const COMPONENTS_V2_FLAG = 32768;
+
+/**
+ * Notification transports and per-watcher routing.
+ *
+ * A transport turns a notification (src/notification.js) into its own payload and
+ * delivers it to a target, e.g. { type: 'slack', url }. Targets are declared once in
+ * notifications-config.json and routed per watcher:
+ *   "targets": { "ops-slack": { "type": "slack", "url": "${SLACK_WEBHOOK_URL:-}" } },
+ *   "routes":  { "*": ["ops-slack"], "gemini": [] }
+ * A watcher's own Discord webhook (from its config) always receives its notifications;
+ * routed targets are sent to in addition. A watcher entry in `routes` replaces `*`.
+ * Destinations in digest mode (src/digest.js) buffer notifications instead.
+ * Further transports can be added with registerTransport().
+ */
+const transports = new Map();
+
+/**
+ * Register a transport
+ * @param {string} type - Target type, e.g. 'slack'
+ * @param {Object} transport - { required: [target keys], render(notification, target), send(rendered, target) }
+ */
+export function registerTransport(type, transport) {
+  transports.set(type, transport);
+}
+
+/**
+ * Get a registered transport
+ * @param {string} type - Target type
+ * @returns {Object|undefined}
+ */
+export function getTransport(type) {
+  return transports.get(type);
+}
+
+/**
+ * Truncate text to a transport's limit
+ * @param {string} text - Text
+ * @param {number} limit - Maximum length
+ * @returns {string}
+ */
+function truncate(text, limit) {
+  const s = String(text || '');
+  return s.length > limit ? s.substring(0, limit - 3) + '...' : s;
+}
+
+/**
+ * Split Markdown into chunks under a limit, cutting only between paragraphs outside code blocks
+ * @param {string} markdown - Markdown text
+ * @param {number} limit - Maximum chunk length
+ * @returns {Array<string>}
+ */
+function chunkMarkdown(markdown, limit) {
+  const chunks = [];
+  let current = '';
+  for (const paragraph of markdown.split('\n\n')) {
+    const next = current ? `${current}\n\n${paragraph}` : paragraph;
+    const insideCode = (current.match(/```/g) || []).length % 2 === 1;
+    if (next.length > limit && current && !insideCode) {
+      chunks.push(current);
+      current = truncate(paragraph, limit);
+    } else {
+      current = truncate(next, limit);
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+async function postJson(url, body, headers = {}) {
+  // Notifications are output, never recorded in HTTP cassettes
+  await axios.post(url, body, { headers: { 'Content-Type': 'application/json', ...headers }, timeout: HTTP_TIMEOUT, cassette: false });
+}
+
+// --- Discord ---
+
+const DISCORD_FIELD_LIMIT = 1024;
+// Text displays of one components v2 message share a 4000 character budget
+const DISCORD_DOCUMENT_LIMIT = 3800;
+
+/**
+ * Render a notification as Discord embeds. The first embed carries the title, description
+ * and the sections that fit into fields; sections with a link, image or colour of their own,
+ * or too long for a field, follow as embeds of their own. webhook.js splits oversized payloads.
+ * @param {Object} notification - Notification
+ * @returns {Object} - Discord webhook payload
+ */
+function renderDiscordEmbeds(notification) {
+  const color = notification.color ?? SEVERITY_COLORS[notification.severity];
+  const toField = field => ({ name: truncate(field.name, 256), value: truncate(field.value, DISCORD_FIELD_LIMIT), inline: field.inline });
+  const fields = [];
+  const cards = [];
+
+  for (const section of notification.sections) {
+    const text = sectionToMarkdown({ ...section, title: '', fields: [] });
+    if (section.url || section.thumbnail || section.color !== null || text.length > DISCORD_FIELD_LIMIT) {
+      cards.push({
+        title: section.title ? truncate(section.title, 256) : undefined,
+        description: text ? truncate(text, 4096) : undefined,
+        url: section.url || undefined,
+        color: section.color ?? color,
+        thumbnail: section.thumbnail ? { url: section.thumbnail } : undefined,
+        fields: section.fields.map(toField),
+        timestamp: notification.timestamp
+      });
+      continue;
+    }
+    if (section.title || text) fields.push({ name: truncate(section.title || '\u200b', 256), value: text || '\u200b' });
+    fields.push(...section.fields.map(toField));
+  }
+
+  const links = notification.links.map(link => `[${link.label}](${link.url})`).join(' · ');
+  const description = [notification.description, links].filter(Boolean).join('\n\n');
+  const embeds = [];
+  if (notification.title || description || fields.length > 0 || cards.length === 0) {
+    embeds.push({
+      title: truncate(notification.title, 256) || undefined,
+      description: description ? truncate(description, 4096) : undefined,
+      url: notification.url || undefined,
+      color,
+      thumbnail: notification.thumbnail ? { url: notification.thumbnail } : undefined,
+      fields,
+      timestamp: notification.timestamp
+    });
+  }
+  embeds.push(...cards);
+  embeds[embeds.length - 1].footer = {
+    text: notification.footer || notification.sender || 'Model Watcher',
+    icon_url: LOGO_URL
+  };
+
+  return {
+    username: notification.sender || 'Model Watcher',
+    avatar_url: LOGO_URL,
+    embeds
+  };
+}
+
+/**
+ * Render a 'document' notification as one components v2 message: a container of text
+ * displays, a separator between sections. Sections past Discord's text budget are
+ * summarized in a final line.
+ * @param {Object} notification - Notification
+ * @returns {Object} - Discord webhook payload
+ */
+function renderDiscordDocument(notification) {
+  const head = [notification.title && `# ${notification.title}`, notification.description].filter(Boolean).join('\n');
+  const texts = head ? [head] : [];
+  let length = head.length;
+  let omitted = 0;
+
+  for (const section of notification.sections) {
+    const text = sectionToMarkdown(section, title => `## ${title}`);
+    if (!text) continue;
+    if (omitted > 0 || length + text.length > DISCORD_DOCUMENT_LIMIT) {
+      omitted++;
+      continue;
+    }
+    texts.push(text);
+    length += text.length;
+  }
+  if (omitted > 0) texts.push(`…and ${omitted} more section${omitted === 1 ? '' : 's'}`);
+  if (notification.links.length > 0) texts.push(notification.links.map(link => `[${link.label}](${link.url})`).join(' · '));
+  if (notification.footer) texts.push(`-# ${notification.footer}`);
+
+  const components = texts.flatMap((content, i) => {
+    const display = { type: 10, content: truncate(content, 4000) };
+    return i > 0 ? [{ type: 14 }, display] : [display];
+  });
+  return {
+    username: notification.sender || 'Model Watcher',
+    avatar_url: LOGO_URL,
+    flags: COMPONENTS_V2_FLAG,
+    components: [{ type: 17, accent_color: notification.color ?? SEVERITY_COLORS[notification.severity], components }]
+  };
+}
+
+/**
+ * Render a notification as a Discord webhook payload: embeds, a components v2 message for
+ * the 'document' layout, or plain message content for 'text'
+ * @param {Object} notification - Notification
+ * @returns {Object} - Discord webhook payload
+ */
+export function renderDiscord(notification) {
+  if (notification.layout === 'document') return renderDiscordDocument(notification);
+  if (notification.layout === 'text') {
+    return { username: notification.sender || 'Model Watcher', avatar_url: LOGO_URL, content: truncate(toMarkdown(notification), 2000) };
+  }
+  return renderDiscordEmbeds(notification);
+}
+
+/**
+ * Add role/user mentions to a Discord payload. allowed_mentions is always set, so only
+ * the listed roles and users are pinged - never @everyone or names in scraped text.
+ * @param {Object} payload - Discord payload
+ * @param {Object} mentions - { roles: [ids], users: [ids] }
+ * @returns {Object} - Payload with mentions
+ */
+export function withMentions(payload, mentions = {}) {
+  const roles = mentions.roles || [];
+  const users = mentions.users || [];
+  const allowed = { parse: [], roles, users };
+  if (roles.length === 0 && users.length === 0) return { ...payload, allowed_mentions: allowed };
+
+  const pings = [...roles.map(id => `<@&${id}>`), ...users.map(id => `<@${id}>`)].join(' ');
+  // Components v2 messages cannot have content; the pings go in a text display instead
+  if (payload.flags & COMPONENTS_V2_FLAG) {
+    return { ...payload, allowed_mentions: allowed, components: [{ type: 10, content: pings }, ...(payload.components || [])] };
+  }
+  return { ...payload, content: [pings, payload.content].filter(Boolean).join('\n'), allowed_mentions: allowed };
+}
+
+registerTransport('discord', {
+  required: ['url'],
+  render: (notification, target) => withMentions(renderDiscord(notification), target.mentions),
+  send: async (payload, target) => {
+    // Components v2 messages must opt in and cannot be split into embed chunks
+    if (payload.flags & COMPONENTS_V2_FLAG) {
+      return deliverDiscordPayload(target.url, payload, { query: 'with_components=true' });
+    }
+    return sendDiscordWebhook(target.url, payload);
+  }
+});
+
+// --- Slack (incoming webhook, Block Kit) ---
+
+/**
+ * Convert notification Markdown into Slack mrkdwn
+ * @param {string} text - Markdown
+ * @returns {string}
+ */
+function slackMrkdwn(text) {
+  return stripDiscordMarkup(text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/```[a-z]+\n/g, '```\n')
+    .replace(/\*\*([^*]+)\*\*/g, '*$1*')
+    .replace(/\[([^\]]+)\]\((https?:[^)\s]+)\)/g, '<$2|$1>')
+    .replace(/^#{1,3} (.+)$/gm, '*$1*');
+}
+
+/**
+ * Render a notification as a Slack Block Kit message
+ * @param {Object} notification - Notification
+ * @returns {Object} - Slack webhook payload
+ */
+export function renderSlack(notification) {
+  const blocks = [];
+  const section = text => ({ type: 'section', text: { type: 'mrkdwn', text: truncate(slackMrkdwn(text), 3000) } });
+
+  if (notification.title) {
+    blocks.push({ type: 'header', text: { type: 'plain_text', text: truncate(stripDiscordMarkup(notification.title), 150), emoji: true } });
+  }
+  if (notification.description) blocks.push(section(notification.description));
+
+  for (const s of notification.sections) {
+    const title = s.url ? `[${s.title}](${s.url})` : s.title;
+    const text = [title && `**${title}**`, s.text].filter(Boolean).join('\n');
+    if (text) blocks.push(section(text));
+    for (let i = 0; i < s.fields.length; i += 10) {
+      blocks.push({
+        type: 'section',
+        fields: s.fields.slice(i, i + 10).map(field => ({ type: 'mrkdwn', text: truncate(slackMrkdwn(`**${field.name}**\n${field.value}`), 2000) }))
+      });
+    }
+    if (s.diff.length > 0) blocks.push(section('```\n' + formatDiff(s.diff) + '\n```'));
+  }
+
+  const context = [
+    ...notification.links.map(link => `<${link.url}|${link.label}>`),
+    notification.footer
+  ].filter(Boolean);
+  if (context.length > 0) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: truncate(context.join(' · '), 3000) }] });
+  }
+
+  return {
+    text: truncate(stripDiscordMarkup(notification.title || notification.description), 3000),
+    blocks: blocks.slice(0, 50)
+  };
+}
+
+registerTransport('slack', {
+  required: ['url'],
+  render: renderSlack,
+  send: async (payload, target) => {
+    await postJson(target.url, payload);
+    return true;
+  }
+});
+
+// --- Telegram (Bot API) ---
+
+registerTransport('telegram', {
+  required: ['token', 'chatId'],
+  render: notification => chunkMarkdown(toMarkdown(notification), 3500).map(chunk => markdownToHtml(chunk, { lineBreak: '\n' })),
+  send: async (messages, target) => {
+    const apiUrl = target.apiUrl || 'https://api.telegram.org';
+    for (const text of messages) {
+      await postJson(`${apiUrl}/bot${target.token}/sendMessage`, {
+        chat_id: target.chatId,
+        text,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      });
+    }
+    return true;
+  }
+});
+
+// --- Matrix (client-server API) ---
+
+registerTransport('matrix', {
+  required: ['homeserver', 'roomId', 'accessToken'],
+  render: notification => ({
+    msgtype: 'm.notice',
+    body: toPlainText(notification),
+    format: 'org.matrix.custom.html',
+    formatted_body: toHtml(notification)
+  }),
+  send: async (content, target) => {
+    const txnId = `modelwatcher-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const url = `${target.homeserver.replace(/\/$/, '')}/_matrix/client/v3/rooms/${encodeURIComponent(target.roomId)}/send/m.room.message/${txnId}`;
+    await axios.put(url, content, {
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${target.accessToken}` },
+      timeout: HTTP_TIMEOUT,
+      cassette: false
+    });
+    return true;
+  }
+});
+
+// --- ntfy (JSON publishing) ---
+
+const NTFY_PRIORITY = { info: 3, success: 3, warning: 4, error: 4, critical: 5 };
+const NTFY_TAGS = { info: 'information_source', success: 'white_check_mark', warning: 'warning', error: 'x', critical: 'rotating_light' };
+
+registerTransport('ntfy', {
+  required: ['topic'],
+  render: notification => {
+    const markdown = toMarkdown({ ...notification, title: '' });
+    return {
+      title: stripDiscordMarkup(notification.title),
+      message: truncate(markdown, 4000),
+      markdown: true,
+      priority: NTFY_PRIORITY[notification.severity],
+      tags: [NTFY_TAGS[notification.severity], notification.source].filter(Boolean),
+      click: notification.url || notification.links[0]?.url || undefined
+    };
+  },
+  send: async (message, target) => {
+    const headers = target.token ? { Authorization: `Bearer ${target.token}` } : {};
+    await postJson((target.server || 'https://ntfy.sh').replace(/\/$/, '') + '/', { topic: target.topic, ...message }, headers);
+    return true;
+  }
+});
+
+// --- Email (SMTP via nodemailer) ---
+
+const mailTransports = new Map();
+
+registerTransport('email', {
+  required: ['host', 'from', 'to'],
+  render: notification => ({
+    subject: `[ModelWatcher] ${stripDiscordMarkup(notification.title || notification.source)}`,
+    text: toPlainText(notification),
+    html: `<div style="font-family:sans-serif">${toHtml(notification)}</div>`
+  }),
+  send: async (mail, target) => {
+    let nodemailer;
+    try {
+      nodemailer = require('nodemailer');
+    } catch {
+      throw new Error('The email transport needs nodemailer, an optional dependency that was omitted (npm install nodemailer)');
+    }
+    const key = `${target.host}:${target.port}:${target.user}`;
+    if (!mailTransports.has(key)) {
+      mailTransports.set(key, nodemailer.createTransport({
+        host: target.host,
+        port: Number(target.port || 587),
+        secure: target.secure === true || String(target.port) === '465',
+        auth: target.user ? { user: target.user, pass: target.pass } : undefined
+      }));
+    }
+    await mailTransports.get(key).sendMail({ from: target.from, to: target.to, ...mail });
+    return true;
+  }
+});
+
+// --- Generic JSON webhook (HMAC-SHA256 signed) ---
+
+/**
+ * Sign a webhook body: hex HMAC-SHA256 of `${timestamp}.${body}`
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix seconds, sent as X-ModelWatcher-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Value for X-ModelWatcher-Signature
+ */
+export function signWebhookBody(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+registerTransport('webhook', {
+  required: ['url'],
+  render: notification => JSON.stringify({ type: 'modelwatcher.notification', notification }),
+  send: async (body, target) => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = { 'X-ModelWatcher-Timestamp': timestamp };
+    if (target.secret) headers['X-ModelWatcher-Signature'] = signWebhookBody(target.secret, timestamp, body);
+    await postJson(target.url, body, headers);
+    return true;
+  }
+});
+
+// --- Routing ---
+
+let routingConfig = null;
+
+/**
+ * Load notifications-config.json once (targets and per-watcher routes)
+ * @returns {Object} - { targets, routes }
+ */
+function getRoutingConfig() {
+  if (!routingConfig) {
+    try {
+      routingConfig = loadConfig('notifications');
+    } catch (err) {
+      console.error('Failed to load notification routing, only Discord webhooks will be used:', err.message);
+      routingConfig = { targets: {}, routes: {} };
+    }
+  }
+  return routingConfig;
+}
+
+/**
+ * Resolve the extra targets routed to a watcher
+ * @param {string} source - Watcher name
+ * @param {Object} config - { targets, routes } (defaults to notifications-config.json)
+ * @returns {Array<Object>} - Targets with their `name`
+ */
+export function getRoutedTargets(source, config = getRoutingConfig()) {
+  const routes = config.routes || {};
+  const names = routes[source] ?? routes['*'] ?? [];
+  return names
+    .filter(name => {
+      if (config.targets?.[name]) return true;
+      console.error(`Unknown notification target "${name}" routed for ${source}`);
+      return false;
+    })
+    .map(name => ({ name, ...config.targets[name] }));
+}
+
+/**
+ * Deliver a notification to one target
+ * @param {Object} notification - Notification
+ * @param {Object} target - { type, name, ...transport settings }
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function sendToTarget(notification, target) {
+  const label = target.name || target.type;
+  const transport = transports.get(target.type);
+  if (!transport) {
+    console.error(`Unknown notification transport "${target.type}" for ${label}`);
+    return false;
+  }
+
+  const missing = (transport.required || []).filter(key => !target[key]);
+  if (missing.length > 0) {
+    console.log(`Notification target ${label} not configured (missing ${missing.join(', ')}), skipping`);
+    return false;
+  }
+
+  try {
+    if (isDryRun()) {
+      recordPayload({ source: notification.source, target: label, type: target.type, payload: transport.render(notification, target) });
+      return true;
+    }
+    const ok = await transport.send(transport.render(notification, target), target);
+    incMetric('notifications', { transport: target.type, result: ok ? 'sent' : 'failed' });
+    return ok;
+  } catch (err) {
+    const details = err.response?.data ? JSON.stringify(err.response.data) : err.message;
+    console.error(`Failed to send notification to ${label}:`, err.response?.status || '', details);
+    incMetric('notifications', { transport: target.type, result: 'failed' });
+    return false;
+  }
+}
+
+// Destination key -> webhook URL for Discord webhooks not found in the environment
+const runWebhooks = new Map();
+
+/**
+ * Identify a watcher's Discord webhook for digests without storing its URL
+ * @param {string} url - Discord webhook URL
+ * @returns {string} - env:NAME, or url:HASH when no env variable holds the URL
+ */
+function webhookDestination(url) {
+  const placeholder = placeholderEnvName(url);
+  if (placeholder) return `env:${placeholder}`;
+  const envName = Object.keys(process.env).find(name => process.env[name] === url);
+  if (envName) return `env:${envName}`;
+  const destination = `url:${targetKey(url)}`;
+  runWebhooks.set(destination, url);
+  return destination;
+}
+
+/**
+ * Resolve a digest destination into a target this run can send to
+ * @param {string} destination - env:NAME, target:NAME or url:HASH
+ * @param {Object} config - { targets }
+ * @returns {Object|null} - Target, or null if its webhook is unknown here
+ */
+function resolveDestination(destination, config) {
+  const separator = destination.indexOf(':');
+  const kind = destination.slice(0, separator);
+  const name = destination.slice(separator + 1);
+  if (kind === 'env') return process.env[name] ? { name, type: 'discord', url: process.env[name] } : null;
+  if (kind === 'target') return config.targets?.[name] ? { name, ...config.targets[name] } : null;
+  return runWebhooks.has(destination) ? { name: 'Discord webhook', type: 'discord', url: runWebhooks.get(destination) } : null;
+}
+
+/**
+ * Send every buffered digest that is due and whose destination is known to this run
+ * @param {Object} options - { force, dryRun, now, file, config }
+ * @returns {Promise<Array>} - [{ destination, count, delivered }]
+ */
+export async function flushDigests(options = {}) {
+  const config = options.config || getRoutingConfig();
+  const file = options.file || getDigestFile();
+  const results = [];
+
+  for (const digest of dueDigests(config, { ...options, file })) {
+    const target = resolveDestination(digest.destination, config);
+    if (!target) {
+      console.log(`Digest for ${digest.destination} is due, but its webhook is not available in this run`);
+      continue;
+    }
+
+    const notification = buildDigest(digest.entries);
+    if (options.dryRun) {
+      console.log(`[dry run] Digest for ${digest.destination} (${digest.entries.length} notification(s)):\n${toPlainText(notification)}\n`);
+      results.push({ destination: digest.destination, count: digest.entries.length, delivered: false });
+      continue;
+    }
+
+    const delivered = await sendToTarget(notification, target);
+    // Undelivered Discord messages are kept in the outbox, so the buffer can be cleared
+    if (delivered || target.type === 'discord') markDigestSent(digest.entries, file);
+    console.log(`Digest for ${digest.destination}: ${digest.entries.length} notification(s) ${delivered ? 'sent' : 'not delivered'}`);
+    results.push({ destination: digest.destination, count: digest.entries.length, delivered });
+  }
+  return results;
+}
+
+/**
+ * Send a watcher's notification to its Discord webhook and every routed target
+ * @param {string} source - Watcher name, e.g. 'bedrock'
+ * @param {Object} message - Notification fields (src/notification.js)
+ * @param {Object} options - { webhookUrl, group, kind, events }
+ *   webhookUrl: the watcher's own Discord webhook
+ *   group: provider/endpoint the message is about (groups digest lines, matched by rules)
+ *   kind: 'summary' for roll-up messages, which digests replace rather than buffer; 'alert' for
+ *     problems with the watcher itself. Neither goes into the feeds (src/feeds.js)
+ *   events: the change events the message reports, matched by rules (src/rules.js)
+ * @returns {Promise<boolean>} - True if every delivery succeeded (or was buffered for a digest)
+ */
+export async function notify(source, message, options = {}) {
+  if (isBaselineRun()) {
+    console.log(`[baseline] Not notifying for ${source}`);
+    return true;
+  }
+
+  // Error bodies and config values end up in messages; nothing secret leaves the process
+  const notification = createNotification({ ...redactObject(message), source });
+
+  const config = getRoutingConfig();
+  const { suppressedBy, matched } = evaluateRules(config.rules, {
+    source,
+    group: options.group || null,
+    events: options.events,
+    text: toPlainText(notification)
+  });
+  if (suppressedBy) {
+    console.log(`Notification from ${source} suppressed by rule "${suppressedBy}"`);
+    return true;
+  }
+
+  if (!options.kind) recordFeedEntry(notification, { events: options.events });
+
+  const targets = getRoutedTargets(source, config).map(target => ({ ...target, destination: `target:${target.name}` }));
+  if (options.webhookUrl) {
+    targets.unshift({ name: `${source} Discord webhook`, type: 'discord', url: options.webhookUrl, destination: webhookDestination(options.webhookUrl) });
+  }
+  const defaultTargets = [...targets];
+
+  for (const rule of matched) {
+    const ruleTargets = [];
+    for (const name of rule.targets || []) {
+      let target = targets.find(t => t.name === name);
+      if (!target && config.targets?.[name]) {
+        target = { name, ...config.targets[name], destination: `target:${name}` };
+        targets.push(target);
+      }
+      if (target) ruleTargets.push(target);
+      else console.error(`Unknown notification target "${name}" in rule "${rule.name || '(unnamed)'}"`);
+    }
+    if (rule.mentions) {
+      for (const target of rule.targets?.length ? ruleTargets : defaultTargets) {
+        target.mentions = mergeMentions(target.mentions, rule.mentions);
+      }
+    }
+  }
+
+  if (targets.length === 0) {
+    console.log(`No notification targets configured for ${source}, skipping`);
+    return false;
+  }
+
+  const results = [];
+  let buffered = false;
+  for (const target of targets) {
+    // Mentions from rules are meant to ping now, so they skip the digest
+    const digest = target.mentions ? null : getDigestSettings(source, target.destination, config);
+    if (digest) {
+      if (options.kind !== 'summary' && isDryRun()) {
+        recordPayload({ source, target: target.name, type: target.type, digest: digest.key, payload: digestItem(notification, options.group || null) });
+      } else if (options.kind !== 'summary') {
+        bufferItem(target.destination, digest.key, digestItem(notification, options.group || null));
+        buffered = true;
+      }
+      results.push(true);
+      continue;
+    }
+    results.push(await sendToTarget(notification, target));
+  }
+
+  if (buffered) await flushDigests({ config });
+  return results.every(Boolean);
+}
@@ -0,0 +1,397 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig } from './config.js';
+import { isDryRun, getWebhookUrl } from './dry-run.js';
+import { StateStore } from './state-store.js';
+import { notify } from './transports.js';
+import { installRedaction } from './redact.js';
+import { writeRunMetrics } from './metrics.js';
+import { flushOutboxOnce } from './discord-sender.js';
+import { WATCHERS, getWatcherInterval } from './watchers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Run records and the watchdog that alerts when a watcher is stale or silently broken.
+ *
+ * Every watcher records its runs in logs/runs/<watcher>.jsonl, one line per run:
+ *   { "watcher", "startedAt", "finishedAt", "durationMs", "ok", "exitCode", "items", "errors", "errorClass" }
+ * startRun(name) at the entry point writes the record, and the run's metrics (src/metrics.js),
+ * when the process exits, so process.exit() in main() and the fatal handlers are covered; ok is
+ * exit code 0. During the run the watcher reports what it fetched with countRunItems(n) (feed
+ * items, filings, pages, models; null when it never got that far) and every error it recovered
+ * from with reportRunError(err). A feed that comes back empty or a scraper whose selectors
+ * stopped matching then shows up as items: 0.
+ *
+ * `node src/watchdog.js check` (watchdog.yml, or the daemon) alerts the ops webhook of
+ * watchdog-config.json when a watcher (src/watchers.js)
+ *   - stale:  has not succeeded for `staleIntervals` intervals
+ *   - empty:  saw no items in its last `emptyRuns` successful runs, after runs that did
+ *   - errors: failed or reported errors in at least `errorRate` of the runs due in the last
+ *             `errorWindow` intervals
+ * Intervals are those the watcher is scheduled at (its daemon-config.json entry or its own
+ * scan.intervalMinutes); watchdog-config.json only overrides them and the thresholds per watcher.
+ * Each problem is alerted once when it starts and once when it clears (logs/watchdog-state.json).
+ *
+ * The workflows merge each run's record with `node src/watchdog.js merge <file> <watcher>`. So
+ * that quiet watchers don't commit every run, a healthy run is only kept when the last kept run
+ * is `heartbeatMinutes` old or had a problem; failed and empty runs are always kept. The stale
+ * check allows for the heartbeat, and the error rate counts against the runs that were due.
+ */
+export const RUNS_DIR = join(__dirname, '..', 'logs', 'runs');
+
+export const WATCHDOG_STATE_FILE = join(__dirname, '..', 'logs', 'watchdog-state.json');
+
+const DEFAULT_SETTINGS = {
+  webhook: { webhookEnv: 'OPS_WEBHOOK' },
+  staleIntervals: 3,
+  emptyRuns: 2,
+  errorWindow: 6,
+  errorRate: 0.5,
+  heartbeatMinutes: 180,
+  retainRuns: 200,
+  watchers: {}
+};
+
+// Error classes, checked in order against an error's name, code and message
+const ERROR_CLASSES = [
+  ['timeout', /timeout|timed out|aborted|ETIMEDOUT/i],
+  ['rate_limited', /\b429\b|rate.?limit/i],
+  ['http_5xx', /HTTP 5\d\d/i],
+  ['http_4xx', /HTTP 4\d\d/i],
+  ['network', /ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|EPIPE|UND_ERR|socket|fetch failed|network/i],
+  ['browser', /browser|page\.|target closed|playwright|camoufox|cloudflare/i],
+  ['parse', /SyntaxError|JSON|parse|unexpected token/i],
+  ['config', /config|not set|not configured|missing/i]
+];
+
+let settings = null;
+let current = null;
+
+/**
+ * Load watchdog-config.json once
+ * @returns {Object} - Settings with defaults filled in
+ */
+export function getWatchdogSettings() {
+  if (!settings) {
+    try {
+      settings = { ...DEFAULT_SETTINGS, ...loadConfig('watchdog') };
+    } catch (err) {
+      console.error('Failed to load watchdog settings, using defaults:', err.message);
+      settings = { ...DEFAULT_SETTINGS };
+    }
+  }
+  return settings;
+}
+
+/**
+ * Classify an error for the run record
+ * @param {Error|Object|string} error - Error, scanner-style { error, code } result or message
+ * @returns {string} - One of ERROR_CLASSES, or 'other'
+ */
+export function errorClass(error) {
+  const status = error?.status ?? error?.response?.status;
+  const text = [
+    typeof error === 'string' ? error : error?.message || error?.error,
+    error?.name,
+    error?.code,
+    error?.cause?.message,
+    error?.cause?.code,
+    status ? `HTTP ${status}` : null
+  ].filter(Boolean).join(' ');
+  return ERROR_CLASSES.find(([, pattern]) => pattern.test(text))?.[0] || 'other';
+}
+
+/**
+ * Get a watcher's run file
+ * @param {string} name - Watcher name
+ * @param {string} dir - Runs directory
+ * @returns {string} - File path
+ */
+export function getRunsFile(name, dir = RUNS_DIR) {
+  return join(dir, `${name.replace(/[^a-zA-Z0-9_-]/g, '_')}.jsonl`);
+}
+
+/**
+ * Read a watcher's runs
+ * @param {string} file - Run file
+ * @returns {Array<Object>} - Runs, oldest first, one per start time
+ */
+export function readRuns(file) {
+  if (!existsSync(file)) return [];
+  const runs = new Map();
+  for (const line of readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const run = JSON.parse(line);
+      runs.set(run.startedAt, run);
+    } catch {
+      // Skip a line cut short by an interrupted write
+    }
+  }
+  return [...runs.values()].sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
+
+function writeRuns(file, runs, retain) {
+  const kept = runs.slice(-retain);
+  mkdirSync(dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  writeFileSync(tmp, kept.map(run => JSON.stringify(run)).join('\n') + (kept.length ? '\n' : ''));
+  renameSync(tmp, file);
+}
+
+/**
+ * Append a run record (skipped in a dry run)
+ * @param {Object} run - Run record (see module doc)
+ * @param {string} dir - Runs directory
+ */
+export function recordRun(run, dir = RUNS_DIR) {
+  if (isDryRun()) return;
+  try {
+    const file = getRunsFile(run.watcher, dir);
+    writeRuns(file, [...readRuns(file), run], getWatchdogSettings().retainRuns);
+  } catch (err) {
+    console.error(`Failed to record the ${run.watcher} run:`, err.message);
+  }
+}
+
+/**
+ * Start recording this process's run; the record is written when the process exits.
+ * Also starts flushing the Discord outbox, so queued messages go out even when this run
+ * has nothing new to send
+ * @param {string} name - Watcher name
+ */
+export function startRun(name) {
+  if (current) return;
+  const started = Date.now();
+  current = { watcher: name, items: null, errors: 0, errorClass: null };
+  flushOutboxOnce();
+  process.once('exit', code => {
+    const finished = Date.now();
+    const run = {
+      watcher: name,
+      startedAt: new Date(started).toISOString(),
+      finishedAt: new Date(finished).toISOString(),
+      durationMs: finished - started,
+      ok: code === 0,
+      exitCode: code,
+      items: current.items,
+      errors: current.errors,
+      errorClass: current.errorClass
+    };
+    recordRun(run);
+    writeRunMetrics(run);
+  });
+}
+
+/**
+ * Add to the number of items this run fetched
+ * @param {number} count - Items
+ */
+export function countRunItems(count) {
+  if (current) current.items = (current.items || 0) + count;
+}
+
+/**
+ * Record an error this run recovered from, or the one that ended it
+ * @param {Error|Object|string} error - Error
+ */
+export function reportRunError(error) {
+  if (!current) return;
+  current.errors++;
+  current.errorClass = errorClass(error);
+}
+
+function hasProblem(run) {
+  return !run.ok || run.errors > 0 || run.items === 0;
+}
+
+/**
+ * Merge another copy of a watcher's runs (e.g. this run's, after resetting to the latest
+ * commit); a healthy run is only kept when a heartbeat is due or the last kept run had a problem
+ * @param {string} otherFile - Runs to merge in
+ * @param {string} name - Watcher name
+ * @param {string} dir - Runs directory
+ * @returns {boolean} - True if the run file was written
+ */
+export function mergeRuns(otherFile, name, dir = RUNS_DIR) {
+  const config = getWatchdogSettings();
+  const file = getRunsFile(name, dir);
+  const runs = readRuns(file);
+  const known = new Set(runs.map(run => run.startedAt));
+  const added = readRuns(otherFile).filter(run => !known.has(run.startedAt));
+  if (added.length === 0) return false;
+
+  const last = runs[runs.length - 1];
+  const heartbeatDue = !last || Date.parse(added[added.length - 1].finishedAt) - Date.parse(last.finishedAt) >= config.heartbeatMinutes * 60000;
+  if (!heartbeatDue && !hasProblem(last) && !added.some(hasProblem)) {
+    console.log(`${name}: healthy run, next heartbeat due ${new Date(Date.parse(last.finishedAt) + config.heartbeatMinutes * 60000).toISOString()}`);
+    return false;
+  }
+  writeRuns(file, [...runs, ...added].sort((a, b) => a.startedAt.localeCompare(b.startedAt)), config.retainRuns);
+  return true;
+}
+
+/**
+ * Check one watcher's runs
+ * @param {Array<Object>} runs - Runs, oldest first
+ * @param {Object} options - Watchdog settings merged with the watcher's entry (intervalMinutes)
+ * @param {number} now - Current time (ms)
+ * @returns {Array<Object>} - [{ problem: 'stale' | 'empty' | 'errors', message }]
+ */
+export function checkRuns(runs, options, now = Date.now()) {
+  const problems = [];
+  // Nothing recorded yet: the watcher may not have run since run records were added
+  if (runs.length === 0) return problems;
+  const intervalMs = options.intervalMinutes * 60000;
+
+  const lastSuccess = [...runs].reverse().find(run => run.ok);
+  const staleAfterMs = Math.max(options.staleIntervals * intervalMs, options.heartbeatMinutes * 60000 + intervalMs);
+  const since = lastSuccess ? Date.parse(lastSuccess.finishedAt) : Date.parse(runs[0].startedAt);
+  if (now - since > staleAfterMs) {
+    problems.push({
+      problem: 'stale',
+      message: lastSuccess
+        ? `no successful run since ${lastSuccess.finishedAt} (runs every ${options.intervalMinutes} min)`
+        : `no successful run in ${runs.length} recorded run(s)`
+    });
+  }
+
+  const counted = runs.filter(run => run.ok && run.items !== null && run.items !== undefined);
+  const recent = counted.slice(-options.emptyRuns);
+  if (recent.length === options.emptyRuns && recent.every(run => run.items === 0)) {
+    const lastItems = counted.slice(0, -options.emptyRuns).reverse().find(run => run.items > 0);
+    if (lastItems) {
+      problems.push({
+        problem: 'empty',
+        message: `no items in the last ${options.emptyRuns} successful run(s), ${lastItems.items} on ${lastItems.finishedAt}`
+      });
+    }
+  }
+
+  // Healthy runs may not all be kept (see mergeRuns), so failures are counted against the runs due
+  const windowStart = now - options.errorWindow * intervalMs;
+  const failing = runs.filter(run => Date.parse(run.startedAt) >= windowStart && (!run.ok || run.errors > 0));
+  if (failing.length / options.errorWindow >= options.errorRate) {
+    const classes = [...new Set(failing.map(run => run.errorClass || (run.ok ? 'other' : `exit ${run.exitCode}`)))];
+    problems.push({
+      problem: 'errors',
+      message: `${failing.length} of the last ${options.errorWindow} runs failed or reported errors (${classes.join(', ')})`
+    });
+  }
+  return problems;
+}
+
+/**
+ * Load daemon-config.json, which holds the schedules of watchers without their own interval
+ * @returns {Object}
+ */
+function loadDaemonConfig() {
+  try {
+    return loadConfig('daemon');
+  } catch (err) {
+    console.error('Failed to load daemon-config.json, using the watchers\' own intervals only:', err.message);
+    return {};
+  }
+}
+
+/**
+ * Check every watcher, unless watchdog-config.json disables it
+ * @param {Object} options - { dir, now }
+ * @returns {Array<Object>} - [{ watcher, problem, message }]
+ */
+export function checkWatchers({ dir = RUNS_DIR, now = Date.now() } = {}) {
+  const config = getWatchdogSettings();
+  const daemonConfig = loadDaemonConfig();
+  return WATCHERS
+    .filter(watcher => config.watchers[watcher.name]?.enabled !== false)
+    .flatMap(watcher => {
+      const entry = config.watchers[watcher.name] || {};
+      const intervalMinutes = entry.intervalMinutes || getWatcherInterval(watcher, daemonConfig, new Date(now));
+      if (!intervalMinutes) {
+        console.error(`${watcher.name}: no schedule to check runs against, set watchers.${watcher.name}.intervalMinutes in watchdog-config.json`);
+        return [];
+      }
+      return checkRuns(readRuns(getRunsFile(watcher.name, dir)), { ...config, ...entry, intervalMinutes }, now)
+        .map(problem => ({ watcher: watcher.name, ...problem }));
+    });
+}
+
+/**
+ * Build the alert for problems that started and ones that cleared
+ * @param {Array<Object>} started - [{ watcher, problem, message }]
+ * @param {Array<Object>} cleared - [{ watcher, problem, since }]
+ * @returns {Object} - Notification (src/notification.js)
+ */
+function createWatchdogAlert(started, cleared) {
+  const sections = [];
+  if (started.length > 0) {
+    sections.push({ title: 'Problems', text: started.map(p => `- **${p.watcher}** (${p.problem}): ${p.message}`).join('\n') });
+  }
+  if (cleared.length > 0) {
+    sections.push({ title: 'Recovered', text: cleared.map(p => `- **${p.watcher}** (${p.problem}) since ${p.since}`).join('\n') });
+  }
+  return {
+    title: started.length > 0 ? '🐶 Watchdog: watcher problems' : '🐶 Watchdog: watchers recovered',
+    description: 'Run records are in `logs/runs/<watcher>.jsonl`.',
+    severity: started.length > 0 ? 'error' : 'success',
+    sections,
+    footer: 'Model Watcher Watchdog'
+  };
+}
+
+/**
+ * Check every watcher and alert the ops webhook about problems that started or cleared
+ * @param {Object} options - { dir, now }
+ * @returns {Promise<Object>} - { problems, started, cleared }
+ */
+export async function runWatchdog(options = {}) {
+  const config = getWatchdogSettings();
+  const store = new StateStore(WATCHDOG_STATE_FILE);
+  const state = store.load({ problems: {} });
+  const problems = checkWatchers(options);
+  const now = new Date(options.now || Date.now()).toISOString();
+
+  const keys = new Set(problems.map(p => `${p.watcher}:${p.problem}`));
+  const started = problems.filter(p => !state.problems[`${p.watcher}:${p.problem}`]);
+  const cleared = Object.entries(state.problems)
+    .filter(([key]) => !keys.has(key))
+    .map(([key, entry]) => ({ watcher: key.slice(0, key.lastIndexOf(':')), problem: key.slice(key.lastIndexOf(':') + 1), since: entry.since }));
+
+  for (const p of problems) console.log(`✗ ${p.watcher} (${p.problem}): ${p.message}`);
+  for (const p of cleared) console.log(`✓ ${p.watcher} (${p.problem}) recovered`);
+  if (problems.length === 0) console.log('All watched watchers are healthy');
+
+  if (started.length > 0 || cleared.length > 0) {
+    const webhookEnv = config.webhook?.webhookEnv;
+    const webhookUrl = getWebhookUrl(webhookEnv);
+    if (webhookEnv && !webhookUrl) console.log(`${webhookEnv} not set, only routed targets will be notified`);
+    await notify('watchdog', createWatchdogAlert(started, cleared), { webhookUrl, kind: 'alert' });
+  }
+
+  store.save({
+    problems: Object.fromEntries(problems.map(p => {
+      const key = `${p.watcher}:${p.problem}`;
+      return [key, { since: state.problems[key]?.since || now, message: p.message }];
+    }))
+  });
+  return { problems, started, cleared };
+}
+
+const isCli = process.argv[1] && /watchdog\.js$/.test(process.argv[1]);
+if (isCli) {
+  const [command = 'check', other, name] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  if (command === 'merge' && other && name) {
+    if (existsSync(other)) mergeRuns(resolve(other), name);
+  } else if (command === 'check') {
+    installRedaction();
+    runWatchdog().catch(err => {
+      console.error('Fatal error:', err.message);
+      process.exit(1);
+    });
+  } else {
+    console.error('Usage: node src/watchdog.js check | merge <file> <watcher>');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,300 @@
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig } from './config.js';
+import { StateStore } from './state-store.js';
+import { queryEvents } from './events.js';
+import { readRuns, getRunsFile } from './watchdog.js';
+import { nextCronTime } from './scheduler.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(__dirname, '..');
+
+/**
+ * The watchers the `modelwatcher` CLI (src/cli.js) and the HTTP API (src/api.js) know about.
+ *
+ * Names match the event sources in logs/events/ and the `source` passed to notify(). Each
+ * entry describes how to run the watcher and where its state lives:
+ *   - script:   entry point in src/, run as a child process so its main() (or, for plugins on
+ *               src/runtime.js, runCli()) is reused as is
+ *   - config:   config name for loadConfig()
+ *   - states:   (config) => state file paths, relative to the repo root
+ *   - count:    (state) => number of items the watcher is tracking
+ *   - webhooks: (config) => env variable names of its Discord webhooks
+ *   - models:   (state) => [{ id, name, provider, data }] for watchers that track models;
+ *               ids match the entities in the change history
+ *
+ * Last runs come from the run records every watcher writes to logs/runs/<watcher>.jsonl
+ * (src/watchdog.js), whether it was started by the CLI, the daemon or a workflow.
+ */
+
+const size = value => Array.isArray(value) ? value.length : Object.keys(value || {}).length;
+const sum = (values, count) => Object.values(values || {}).reduce((total, value) => total + count(value), 0);
+const stateFile = fallback => config => [config.state?.file || fallback];
+const webhook = config => [config.webhook?.webhookEnv].filter(Boolean);
+
+export const WATCHERS = [
+  {
+    name: 'scanner',
+    script: 'index.js',
+    config: 'config',
+    states: () => ['logs/state.json'],
+    count: state => sum(state.endpoints, endpoint => size(endpoint.models)),
+    webhooks: config => Object.values(config.discord?.webhooks || {}).map(hook => hook.webhookEnv).filter(Boolean),
+    models: state => Object.entries(state.endpoints || {}).flatMap(([endpoint, entry]) =>
+      (entry.models || []).map(m => ({ id: `${endpoint}:${m.id}`, name: m.name || m.id, provider: endpoint, data: m })))
+  },
+  {
+    name: 'lmarena',
+    script: 'lmarena-watch.js',
+    config: 'lmarena',
+    states: stateFile('logs/lmarena-state.json'),
+    count: state => size(state.models),
+    webhooks: webhook,
+    models: state => (state.models || []).map(m => ({
+      id: m.id || m.publicName || m.name,
+      name: m.displayName || m.publicName || m.name,
+      provider: m.organization || m.provider || null,
+      data: m
+    }))
+  },
+  {
+    name: 'bedrock',
+    script: 'bedrock-watch.js',
+    config: 'bedrock',
+    states: stateFile('logs/bedrock-state.json'),
+    count: state => size(state.models),
+    webhooks: webhook,
+    models: state => (state.models || []).map(m => ({ id: `${m.provider}::${m.name}`, name: m.name, provider: m.provider, data: m }))
+  },
+  {
+    name: 'sku',
+    script: 'sku-watch.js',
+    config: 'sku',
+    states: stateFile('logs/sku-state.json'),
+    count: state => size(state.models),
+    webhooks: webhook,
+    // Google Cloud SKUs
+    models: state => Object.entries(state.models || {}).map(([id, m]) => ({ id, name: m.name || id, provider: 'Google', data: m }))
+  },
+  {
+    name: 'designarena',
+    script: 'designarena-watch.js',
+    config: 'designarena',
+    states: stateFile('logs/designarena-state.json'),
+    count: state => size(state.models),
+    webhooks: webhook,
+    models: state => (state.models || []).map(m => ({ id: `model:${m.id}`, name: m.displayName || m.id, provider: m.provider || null, data: m }))
+  },
+  {
+    name: 'deepmind',
+    script: 'deepmind-watch.js',
+    config: 'deepmind',
+    states: stateFile('logs/deepmind-state.json'),
+    count: state => size(state.cards),
+    webhooks: webhook
+  },
+  {
+    name: 'github-file',
+    script: 'github-file-watch.js',
+    config: 'github-file',
+    states: stateFile('logs/github-file-state.json'),
+    count: state => size(state.raw?.models),
+    webhooks: webhook,
+    models: state => Object.entries(state.raw?.models || {}).map(([id, m]) => ({
+      id,
+      name: m.model || id,
+      provider: m.modelProvider?.replace(/^MODEL_PROVIDER_/, '') || null,
+      data: m
+    }))
+  },
+  {
+    name: 'gemini',
+    script: 'gemini-watch.js',
+    config: 'gemini',
+    states: config => config.scans?.length ? config.scans.map(scan => scan.stateFile) : [config.state?.file].filter(Boolean),
+    count: state => size(state.mappings),
+    webhooks: webhook
+  },
+  {
+    name: 'app-version',
+    script: 'app-version-watch.js',
+    config: 'app-version',
+    states: stateFile('logs/app-version-state.json'),
+    count: state => size(state),
+    webhooks: config => Object.values(config.webhooks || {}).map(hook => hook.webhookEnv).filter(Boolean)
+  },
+  {
+    name: 'uspto',
+    script: 'uspto-watch.js',
+    config: 'uspto',
+    states: stateFile('logs/uspto-state.json'),
+    count: state => sum(state.companies, company => size(company.seenSerials)),
+    webhooks: webhook
+  },
+  {
+    name: 'regex',
+    script: 'regex-watch.js',
+    config: 'regex',
+    states: stateFile('logs/regex-state.json'),
+    count: state => size(state),
+    webhooks: webhook
+  },
+  {
+    name: 'rss',
+    script: 'rss-watch.js',
+    config: 'rss',
+    states: stateFile('logs/rss-state.json'),
+    count: state => sum(state.users, user => size(user.seenIds)),
+    webhooks: webhook
+  },
+  {
+    name: 'posts',
+    script: 'posts.js',
+    config: 'posts',
+    states: stateFile('logs/posts-state.json'),
+    count: state => sum(state.users, user => size(user.seenIds)),
+    webhooks: webhook
+  }
+];
+
+/**
+ * Look up a watcher by name
+ * @param {string} name - Watcher name, e.g. 'bedrock'
+ * @returns {Object|null}
+ */
+export function getWatcher(name) {
+  return WATCHERS.find(watcher => watcher.name === name) || null;
+}
+
+/**
+ * Load a watcher's config, or null when it is missing or invalid
+ * @param {Object} watcher - Watcher
+ * @returns {Object|null}
+ */
+export function loadWatcherConfig(watcher) {
+  try {
+    return loadConfig(watcher.config);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * How often a watcher is scheduled: its entry in daemon-config.json (which mirrors the
+ * workflow crons), else scan.intervalMinutes from its own config
+ * @param {Object} watcher - Watcher
+ * @param {Object} daemonConfig - daemon-config.json
+ * @returns {Object|null} - { cron } or { intervalMinutes }, null when it has no schedule
+ */
+export function getWatcherSchedule(watcher, daemonConfig) {
+  const entry = daemonConfig?.watchers?.[watcher.name] || {};
+  if (entry.cron) return { cron: entry.cron };
+  if (entry.intervalMinutes) return { intervalMinutes: entry.intervalMinutes };
+  const intervalMinutes = loadWatcherConfig(watcher)?.scan?.intervalMinutes;
+  return intervalMinutes ? { intervalMinutes } : null;
+}
+
+/**
+ * Minutes between a watcher's scheduled runs; a cron schedule counts the gap between its
+ * next two runs
+ * @param {Object} watcher - Watcher
+ * @param {Object} daemonConfig - daemon-config.json
+ * @param {Date} now - Current time
+ * @returns {number|null} - null when it has no schedule
+ */
+export function getWatcherInterval(watcher, daemonConfig, now = new Date()) {
+  const schedule = getWatcherSchedule(watcher, daemonConfig);
+  if (!schedule) return null;
+  if (schedule.intervalMinutes) return schedule.intervalMinutes;
+  const next = nextCronTime(schedule.cron, now);
+  return (nextCronTime(schedule.cron, next) - next) / 60000;
+}
+
+/**
+ * State file paths of a watcher, relative to the repo root
+ * @param {Object} watcher - Watcher
+ * @returns {Array<string>}
+ */
+export function getStateFiles(watcher) {
+  // Without a usable config the watcher's default paths still apply
+  return watcher.states(loadWatcherConfig(watcher) || {});
+}
+
+/**
+ * StateStore for a document path relative to the repo root
+ * @param {string} file - e.g. 'logs/bedrock-state.json'
+ * @returns {StateStore}
+ */
+export function stateStoreFor(file) {
+  return new StateStore(join(ROOT_DIR, file));
+}
+
+/**
+ * Load a watcher's state documents
+ * @param {Object} watcher - Watcher
+ * @returns {Array<Object>} - [{ file, state, error }], state null when none is saved
+ */
+export function loadWatcherStates(watcher) {
+  return getStateFiles(watcher).map(file => {
+    try {
+      return { file, state: stateStoreFor(file).load(null), error: null };
+    } catch (err) {
+      return { file, state: null, error: err.message };
+    }
+  });
+}
+
+/**
+ * Last run and last success of every watcher, from its run records in logs/runs/
+ * @returns {Object} - { watchers: { [name]: { lastRun, lastSuccess, lastExitCode, lastDurationMs } } }
+ */
+export function loadRuns() {
+  const watchers = {};
+  for (const watcher of WATCHERS) {
+    const runs = readRuns(getRunsFile(watcher.name));
+    const last = runs[runs.length - 1];
+    if (!last) continue;
+    watchers[watcher.name] = {
+      lastRun: last.finishedAt,
+      lastSuccess: [...runs].reverse().find(run => run.ok)?.finishedAt || null,
+      lastExitCode: last.exitCode,
+      lastDurationMs: last.durationMs
+    };
+  }
+  return { watchers };
+}
+
+/**
+ * Collect last run, last success, item count and last change for a watcher
+ * @param {Object} watcher - Watcher
+ * @param {Object} runs - From loadRuns()
+ * @returns {Object}
+ */
+export function getWatcherStatus(watcher, runs = loadRuns()) {
+  const run = runs.watchers?.[watcher.name] || {};
+  const documents = loadWatcherStates(watcher);
+  const saved = documents.filter(document => document.state);
+  const events = queryEvents({ sources: [watcher.name], limit: 1 });
+
+  return {
+    watcher: watcher.name,
+    lastRun: run.lastRun || null,
+    lastSuccess: run.lastSuccess || null,
+    lastExitCode: run.lastExitCode ?? null,
+    items: saved.length ? saved.reduce((total, document) => total + watcher.count(document.state), 0) : null,
+    lastChange: events[0]?.timestamp || null,
+    stateFiles: documents.map(document => document.file),
+    errors: documents.filter(document => document.error).map(document => document.error)
+  };
+}
+
+/**
+ * Models tracked by every watcher that has a `models` view
+ * @returns {Array<Object>} - [{ source, id, name, provider, data }]
+ */
+export function listModels() {
+  return WATCHERS.filter(watcher => watcher.models).flatMap(watcher =>
+    loadWatcherStates(watcher)
+      .filter(document => document.state)
+      .flatMap(document => watcher.models(document.state).map(model => ({ source: watcher.name, ...model }))));
+}
@@ -1,6 +1,6 @@
-import axios from 'axios';
-
-const LOGO_URL = 'https://raw.githubusercontent.com/CloudWaddie/ModelWatcher/master/logo.jpg';
+import { deliverDiscordPayload } from './discord-sender.js';
+import { buildModelEvents } from './scanner.js';
+import { getWebhookUrl } from './dry-run.js';
 
 const MAX_EMBEDS_PER_MESSAGE = 10;
 const MAX_MODELS_PER_EMBED = 50;
@@ -152,363 +152,254 @@ export async function sendDiscordWebhook(webhookUrl, payload) {
 
     // Chunk embeds into multiple messages
     const embedChunks = chunkPayload(processedEmbeds);
+    let delivered = true;
+
+    // Content-only messages (e.g. RSS posts) go out as they are
+    if (embedChunks.length === 0) return deliverDiscordPayload(webhookUrl, payload);
 
-    for (const chunk of embedChunks) {
+    for (const [index, chunk] of embedChunks.entries()) {
       const chunkPayload = {
         username: payload.username,
         avatar_url: payload.avatar_url,
         embeds: chunk
       };
-      await axios.post(webhookUrl, chunkPayload, {
-        headers: { 'Content-Type': 'application/json' }
-      });
+      // Message content (e.g. rule mentions) goes out with the first chunk only
+      if (index === 0 && payload.content) chunkPayload.content = payload.content;
+      if (payload.allowed_mentions) chunkPayload.allowed_mentions = payload.allowed_mentions;
+      if (!await deliverDiscordPayload(webhookUrl, chunkPayload)) delivered = false;
     }
 
-    return true;
+    return delivered;
   } catch (err) {
-    const details = err.response?.data ? JSON.stringify(err.response.data) : err.message;
-    console.error('Failed to send Discord webhook:', err.response?.status, details);
+    console.error('Failed to send Discord webhook:', err.message);
     return false;
   }
 }
 
+const REPO_URL = 'https://github.com/CloudWaddie/ModelWatcher';
+const STATE_LINK = { label: 'logs/state.json', url: `${REPO_URL}/blob/master/logs/state.json` };
+const SCANNER_FOOTER = 'Model Watcher • AI Model Scanner';
+
 /**
- * Get Discord relative timestamp string
- * @returns {string} - Discord timestamp format
+ * Link to the commit with a scan's state changes, or to the state file's history
+ * @param {string} commitSha - Optional commit SHA
+ * @returns {Object} - { label, url }
  */
-function getRelativeTimestamp() {
-  const unixSeconds = Math.floor(Date.now() / 1000);
-  return `<t:${unixSeconds}:R>`;
+function diffLink(commitSha) {
+  return { label: 'GitHub Diff', url: commitSha ? `${REPO_URL}/commit/${commitSha}` : `${REPO_URL}/commits/master/logs/state.json` };
 }
 
 /**
- * Create a nicely formatted Discord embed for new models
+ * Split model ids into numbered code-block sections, e.g. "New Models (11-20)"
+ * @param {string} label - Section title
+ * @param {Array<string>} lines - One line per model
+ * @param {number} perSection - Lines per section
+ * @returns {Array<Object>} - Sections
+ */
+function listSections(label, lines, perSection) {
+  const sections = [];
+  for (let i = 0; i < lines.length; i += perSection) {
+    sections.push({
+      title: lines.length > perSection ? `${label} (${i + 1}-${Math.min(i + perSection, lines.length)})` : label,
+      text: '```\n' + lines.slice(i, i + perSection).join('\n') + '\n```'
+    });
+  }
+  return sections;
+}
+
+/**
+ * Create the notification for new models
  * @param {string} endpointName - Name of the endpoint
  * @param {Array} models - Array of new models
- * @returns {Object} - Discord embed object
+ * @returns {Object} - Notification (src/notification.js)
  */
-export function createNewModelsEmbed(endpointName, models) {
-  const maxPerField = 10;
+export function createNewModelsNotification(endpointName, models) {
   const maxTotal = 20;
-  const fields = [];
-  
+  const notification = { sender: 'Model Watcher', title: '🆕 New Models Detected', severity: 'success', footer: SCANNER_FOOTER };
+
   // If too many models, just show count
   if (models.length > maxTotal) {
-    return {
-      username: 'Model Watcher',
-      avatar_url: LOGO_URL,
-      embeds: [{
-        title: '🆕 New Models Detected',
-        description: `**${endpointName}** added **${models.length}** new models ${getRelativeTimestamp()}!\n\nFull list: [logs/state.json](https://github.com/CloudWaddie/ModelWatcher/blob/master/logs/state.json)`,
-        color: 0x10B981,
-        timestamp: new Date().toISOString(),
-        footer: {
-          text: 'Model Watcher • AI Model Scanner',
-          icon_url: LOGO_URL
-        }
-      }]
-    };
-  }
-  
-  for (let i = 0; i < models.length; i += maxPerField) {
-    const chunk = models.slice(i, i + maxPerField);
-    const modelList = chunk.map(m => m.id).join('\n');
-    const label = models.length > maxPerField 
-      ? `New Models (${i + 1}-${Math.min(i + maxPerField, models.length)})`
-      : 'New Models';
-    
-    fields.push({
-      name: label,
-      value: '```\n' + modelList + '\n```'
-    });
+    return { ...notification, description: `**${endpointName}** added **${models.length}** new models!`, links: [STATE_LINK] };
   }
 
   return {
-    username: 'Model Watcher',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '🆕 New Models Detected',
-      description: `**${endpointName}** just added ${models.length} new model${models.length > 1 ? 's' : ''} ${getRelativeTimestamp()}!`,
-      color: 0x10B981,
-      fields,
-      timestamp: new Date().toISOString(),
-      footer: {
-        text: 'Model Watcher • AI Model Scanner',
-        icon_url: LOGO_URL
-      }
-    }]
+    ...notification,
+    description: `**${endpointName}** just added ${models.length} new model${models.length > 1 ? 's' : ''}!`,
+    sections: listSections('New Models', models.map(m => m.id), 10)
   };
 }
 
 /**
- * Create Discord embed for removed models
+ * Create the notification for removed models
  * @param {string} endpointName - Name of the endpoint
  * @param {Array} models - Array of removed models
- * @returns {Object} - Discord embed object
+ * @returns {Object} - Notification (src/notification.js)
  */
-export function createRemovedModelsEmbed(endpointName, models) {
-  const maxPerField = 10;
+export function createRemovedModelsNotification(endpointName, models) {
   const maxTotal = 20;
-  const fields = [];
-  
+  const notification = { sender: 'Model Watcher', title: '🗑️ Models Removed', severity: 'error', footer: SCANNER_FOOTER };
+
   if (models.length > maxTotal) {
-    return {
-      username: 'Model Watcher',
-      avatar_url: LOGO_URL,
-      embeds: [{
-        title: '🗑️ Models Removed',
-        description: `**${endpointName}** removed **${models.length}** models ${getRelativeTimestamp()}.\n\nFull list: [logs/state.json](https://github.com/CloudWaddie/ModelWatcher/blob/master/logs/state.json)`,
-        color: 0xEF4444,
-        timestamp: new Date().toISOString(),
-        footer: {
-          text: 'Model Watcher • AI Model Scanner',
-          icon_url: LOGO_URL
-        }
-      }]
-    };
-  }
-  
-  for (let i = 0; i < models.length; i += maxPerField) {
-    const chunk = models.slice(i, i + maxPerField);
-    const modelList = chunk.map(m => m.id).join('\n');
-    const label = models.length > maxPerField 
-      ? `Removed Models (${i + 1}-${Math.min(i + maxPerField, models.length)})`
-      : 'Removed Models';
-    
-    fields.push({
-      name: label,
-      value: '```\n' + modelList + '\n```'
-    });
+    return { ...notification, description: `**${endpointName}** removed **${models.length}** models.`, links: [STATE_LINK] };
   }
 
   return {
-    username: 'Model Watcher',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '🗑️ Models Removed',
-      description: `**${endpointName}** removed ${models.length} model${models.length > 1 ? 's' : ''} ${getRelativeTimestamp()}.`,
-      color: 0xEF4444,
-      fields,
-      timestamp: new Date().toISOString(),
-      footer: {
-        text: 'Model Watcher • AI Model Scanner',
-        icon_url: LOGO_URL
-      }
-    }]
+    ...notification,
+    description: `**${endpointName}** removed ${models.length} model${models.length > 1 ? 's' : ''}.`,
+    sections: listSections('Removed Models', models.map(m => m.id), 10)
   };
 }
 
 /**
- * Format a value for display in diff
- * Escapes backticks to prevent breaking Discord code blocks
- */
-function formatValue(val) {
-  if (val === null || val === undefined) return '(none)';
-  if (Array.isArray(val)) return val.join(', ');
-  if (typeof val === 'object') return JSON.stringify(val);
-  return String(val);
-}
-
-/**
- * Escape backticks in a string for use in Discord code blocks
- * @param {string} str - String to escape
- * @returns {string} - Escaped string
- */
-function escapeBackticks(str) {
-  return str.replace(/`/g, '`\u200b');
-}
-
-/**
- * Format a single change as a git diff style string
- * @param {string} key - Property name that changed
- * @param {Object} change - Object with old and new values
- * @returns {string} - Formatted diff string
- */
-function formatDiffLine(key, change) {
-  const oldVal = escapeBackticks(formatValue(change.old));
-  const newVal = escapeBackticks(formatValue(change.new));
-  return `-${key}: ${oldVal}\n+${key}: ${newVal}`;
-}
-
-/**
- * Create Discord embed for updated models
+ * Create the notification for updated models, one -/+ diff per model
  * @param {string} endpointName - Name of the endpoint
  * @param {Array} updates - Array of updated models with changes
  * @param {string} commitSha - Optional commit SHA for direct link
- * @returns {Object} - Discord embed object
+ * @returns {Object} - Notification (src/notification.js)
  */
-export function createUpdatedModelsEmbed(endpointName, updates, commitSha = null) {
-  const maxPerField = 10;
+export function createUpdatedModelsNotification(endpointName, updates, commitSha = null) {
+  const maxPerSection = 10;
   const maxTotal = 20;
-  const fields = [];
-  
-  const baseUrl = 'https://github.com/CloudWaddie/ModelWatcher';
-  const diffUrl = commitSha 
-    ? `${baseUrl}/commit/${commitSha}`
-    : `${baseUrl}/commits/master/logs/state.json`;
-  
+  const notification = {
+    sender: 'Model Watcher',
+    title: '🔄 Models Updated',
+    severity: 'warning',
+    links: [diffLink(commitSha)],
+    footer: SCANNER_FOOTER
+  };
+
   if (updates.length > maxTotal) {
-    return {
-      username: 'Model Watcher',
-      avatar_url: LOGO_URL,
-      embeds: [{
-        title: '🔄 Models Updated',
-        description: `**${endpointName}** has **${updates.length}** model updates ${getRelativeTimestamp()}.\n\nView changes: [GitHub Diff](${diffUrl})`,
-        color: 0xF59E0B,
-        timestamp: new Date().toISOString(),
-        footer: {
-          text: 'Model Watcher • AI Model Scanner',
-          icon_url: LOGO_URL
-        }
-      }]
-    };
+    return { ...notification, description: `**${endpointName}** has **${updates.length}** model updates.` };
   }
-  
-  for (let i = 0; i < updates.length; i += maxPerField) {
-    const chunk = updates.slice(i, i + maxPerField);
-    const changeList = chunk.map(u => {
-      const changeLines = Object.entries(u.changes).map(([key, change]) => {
-        return formatDiffLine(key, change);
-      }).join('\n');
-      return `**${u.model.id}**\n\`\`\`\n${changeLines}\n\`\`\``;
-    }).join('\n');
-    
-    // Truncate if too long (Discord max field value is 1024)
-    let truncatedList = changeList;
-    if (changeList.length > 1000) {
-      truncatedList = changeList.substring(0, 997) + '...';
-    }
-    
-    const label = updates.length > maxPerField 
-      ? `Updated Models (${i + 1}-${Math.min(i + maxPerField, updates.length)})`
-      : 'Updated Models';
-    
-    fields.push({
-      name: label,
-      value: truncatedList
+
+  const sections = [];
+  for (let i = 0; i < updates.length; i += maxPerSection) {
+    const chunk = updates.slice(i, i + maxPerSection);
+    sections.push({
+      title: updates.length > maxPerSection
+        ? `Updated Models (${i + 1}-${Math.min(i + maxPerSection, updates.length)})`
+        : 'Updated Models',
+      diff: chunk.flatMap(u => Object.entries(u.changes).map(([field, change]) => ({ label: u.model.id, field, old: change.old, new: change.new })))
     });
   }
 
   return {
-    username: 'Model Watcher',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '🔄 Models Updated',
-      description: `**${endpointName}** has ${updates.length} model update${updates.length > 1 ? 's' : ''} ${getRelativeTimestamp()}.\n\nView changes: [GitHub Diff](${diffUrl})`,
-      color: 0xF59E0B,
-      fields,
-      timestamp: new Date().toISOString(),
-      footer: {
-        text: 'Model Watcher • AI Model Scanner',
-        icon_url: LOGO_URL
-      }
-    }]
+    ...notification,
+    description: `**${endpointName}** has ${updates.length} model update${updates.length > 1 ? 's' : ''}.`,
+    sections
   };
 }
 
 /**
- * Create Discord embed for endpoint errors
+ * Create the notification for an endpoint error
  * @param {string} endpointName - Name of the endpoint
  * @param {string} error - Error message
- * @returns {Object} - Discord embed object
+ * @returns {Object} - Notification (src/notification.js)
  */
-export function createErrorEmbed(endpointName, error) {
+export function createErrorNotification(endpointName, error) {
   return {
-    username: 'Model Watcher',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '⚠️ Endpoint Error',
-      description: `Failed to fetch models from **${endpointName}** ${getRelativeTimestamp()}`,
-      color: 0xF97316,
-      fields: [
-        {
-          name: 'Error Details',
-          value: `\`\`\`\n${error.substring(0, 500)}\n\`\`\``
-        }
-      ],
-      timestamp: new Date().toISOString(),
-      footer: {
-        text: 'Model Watcher • AI Model Scanner',
-        icon_url: LOGO_URL
+    sender: 'Model Watcher',
+    title: '⚠️ Endpoint Error',
+    description: `Failed to fetch models from **${endpointName}**`,
+    severity: 'warning',
+    sections: [{ title: 'Error Details', text: `\`\`\`\n${error.substring(0, 500)}\n\`\`\`` }],
+    footer: SCANNER_FOOTER
+  };
+}
+
+/**
+ * Create the alert for a change held back by the mass-change guard
+ * @param {string} source - Watcher (and endpoint) the change was held for
+ * @param {Object} stats - { previousCount, currentCount, removedCount, ratio }
+ * @param {Object} options - { confirmRuns, overrideEnv }
+ * @returns {Object} - Notification (src/notification.js)
+ */
+export function createMassChangeAlert(source, stats, { confirmRuns, overrideEnv }) {
+  return {
+    sender: 'Model Watcher',
+    title: '🛑 Parser Suspected Broken',
+    description: `**${source}** would remove **${stats.removedCount}** of **${stats.previousCount}** known items (${Math.round(stats.ratio * 100)}%). The change was held back and the previous state kept.`,
+    severity: 'critical',
+    sections: [
+      {
+        fields: [
+          { name: 'Previous', value: String(stats.previousCount), inline: true },
+          { name: 'Current', value: String(stats.currentCount), inline: true },
+          { name: 'Removed', value: String(stats.removedCount), inline: true }
+        ]
+      },
+      {
+        title: 'To Accept',
+        text: `Accepted automatically if ${confirmRuns - 1} more run(s) see the same result, or set \`${overrideEnv}\` to \`all\` or a list containing \`${source}\`.`
       }
-    }]
+    ],
+    footer: 'Model Watcher • Mass-change guard'
   };
 }
 
 /**
- * Create a summary embed for scan results with changes
+ * Create the summary notification for scan results with changes
  * @param {Object} summary - Scan summary
  * @param {Array} results - Endpoint results
  * @param {string} commitSha - Optional commit SHA for direct link
- * @returns {Object} - Discord embed object
+ * @returns {Object} - Notification (src/notification.js)
  */
-export function createSummaryEmbed(summary, results, commitSha = null) {
+export function createSummaryNotification(summary, results, commitSha = null) {
   const successCount = results.filter(r => r.success).length;
   const failCount = results.filter(r => !r.success).length;
-  
-  const endpointFields = [];
-  let currentField = { name: 'Endpoints', value: '' };
-  
+
+  const endpointSections = [];
+  let current = { title: 'Endpoints', text: '' };
+
   for (const result of results) {
     const emoji = result.success ? '🟢' : '🔴';
     const count = result.success ? `${result.models.length} models` : 'Failed';
     const line = `${emoji} **${result.endpoint}**: ${count}`;
-    
-    if (currentField.value.length + line.length > 1000) {
-      endpointFields.push(currentField);
-      currentField = { name: 'Endpoints (cont.)', value: '' };
+
+    if (current.text.length + line.length > 1000) {
+      endpointSections.push(current);
+      current = { title: 'Endpoints (cont.)', text: '' };
     }
-    
-    currentField.value += line + '\n';
+
+    current.text += line + '\n';
   }
-  
-  endpointFields.push(currentField);
 
-  let color = 0x3B82F6;
+  endpointSections.push(current);
+
+  let severity = 'info';
   if (summary.addedCount > 0 && summary.removedCount === 0) {
-    color = 0x10B981;
+    severity = 'success';
   } else if (summary.removedCount > 0) {
-    color = 0xEF4444;
+    severity = 'error';
   }
 
   const changeEmoji = summary.addedCount > 0 ? '📈' : summary.removedCount > 0 ? '📉' : '➡️';
-  const baseUrl = 'https://github.com/CloudWaddie/ModelWatcher';
-  const diffUrl = commitSha 
-    ? `${baseUrl}/commit/${commitSha}`
-    : `${baseUrl}/commits/master/logs/state.json`;
 
   return {
-    username: 'Model Watcher',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '🔍 Model Scan Complete',
-      description: `${changeEmoji} Scanned **${results.length}** endpoints | ${successCount} success, ${failCount} failed ${getRelativeTimestamp()}\n\nView changes: [GitHub Diff](${diffUrl})`,
-      color,
-      fields: [
-        {
-          name: 'Changes This Scan',
-          value: `➕ **${summary.addedCount}** added | ➖ **${summary.removedCount}** removed | 🔄 **${summary.updatedCount}** updated`,
-          inline: false
-        },
-        ...endpointFields
-      ],
-      timestamp: new Date().toISOString(),
-      footer: {
-        text: 'Model Watcher • Hourly Scan',
-        icon_url: LOGO_URL
-      }
-    }]
+    sender: 'Model Watcher',
+    title: '🔍 Model Scan Complete',
+    description: `${changeEmoji} Scanned **${results.length}** endpoints | ${successCount} success, ${failCount} failed`,
+    severity,
+    sections: [
+      {
+        title: 'Changes This Scan',
+        text: `➕ **${summary.addedCount}** added | ➖ **${summary.removedCount}** removed | 🔄 **${summary.updatedCount}** updated`
+      },
+      ...endpointSections
+    ],
+    links: [diffLink(commitSha)],
+    footer: 'Model Watcher • Hourly Scan'
   };
 }
 
 /**
- * Create a compact summary embed (for when there are no changes)
+ * Create a compact summary notification (for when there are no changes)
  * @param {Array} results - Endpoint results
- * @returns {Object} - Discord embed object
+ * @returns {Object} - Notification (src/notification.js)
  */
-export function createCompactSummaryEmbed(results) {
+export function createCompactSummaryNotification(results) {
   const successCount = results.filter(r => r.success).length;
-  
+
   const endpointStatus = results.map(r => {
     const emoji = r.success ? '✅' : '❌';
     const count = r.success ? r.models.length : 0;
@@ -516,37 +407,26 @@ export function createCompactSummaryEmbed(results) {
   }).join('\n');
 
   return {
-    username: 'Model Watcher',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: '✅ No Model Changes',
-      description: `Scanned **${results.length}** endpoints - no changes detected ${getRelativeTimestamp()}`,
-      color: 0x6B7280,
-      fields: [
-        {
-          name: `Status (${successCount}/${results.length} online)`,
-          value: endpointStatus.substring(0, 1024)
-        }
-      ],
-      timestamp: new Date().toISOString(),
-      footer: {
-        text: 'Model Watcher • Hourly Scan',
-        icon_url: LOGO_URL
-      }
-    }]
+    sender: 'Model Watcher',
+    title: '✅ No Model Changes',
+    description: `Scanned **${results.length}** endpoints - no changes detected`,
+    color: 0x6B7280,
+    sections: [{ title: `Status (${successCount}/${results.length} online)`, text: endpointStatus.substring(0, 1024) }],
+    footer: 'Model Watcher • Hourly Scan'
   };
 }
 
 /**
- * Process scan results and send appropriate Discord notifications
+ * Process scan results and send the notifications each webhook group asks for
  * @param {Object} config - Discord configuration
  * @param {Array} results - Scan results from all endpoints
  * @param {Object} allChanges - Changes detected across all endpoints
  * @param {Array} endpoints - Endpoint configurations (to get group mapping)
  * @param {string} commitSha - Optional commit SHA for direct link
+ * @param {Function} send - (webhookUrl, notification, { group, kind, events }) sender, e.g. notify()
  * @returns {Promise<void>}
  */
-export async function processNotifications(config, results, allChanges, endpoints, commitSha = null) {
+export async function processNotifications(config, results, allChanges, endpoints, commitSha, send) {
   if (!config.enabled) {
     console.log('Discord notifications disabled');
     return;
@@ -584,7 +464,7 @@ export async function processNotifications(config, results, allChanges, endpoint
 
   // Process each group
   for (const [groupName, groupConfig] of Object.entries(webhooks)) {
-    const webhookUrl = process.env[groupConfig.webhookEnv];
+    const webhookUrl = getWebhookUrl(groupConfig.webhookEnv);
     const notifyOn = groupConfig.notifyOn || [];
     
     if (!webhookUrl) {
@@ -620,17 +500,12 @@ export async function processNotifications(config, results, allChanges, endpoint
       updatedCount: totalUpdated
     };
 
-    // Helper to add URL to embed
-    const withUrl = (payload) => {
-      if (embedUrl && payload.embeds?.[0]) {
-        payload.embeds[0].url = embedUrl;
-      }
-      return payload;
-    };
+    // Helper to link notifications to the configured URL
+    const withUrl = (notification) => embedUrl ? { ...notification, url: embedUrl } : notification;
 
     // Send summary only if there are changes
     if (hasChanges && notifyOn.includes('summary_with_changes')) {
-      await sendDiscordWebhook(webhookUrl, withUrl(createSummaryEmbed(summary, groupResultsList, commitSha)));
+      await send(webhookUrl, withUrl(createSummaryNotification(summary, groupResultsList, commitSha)), { kind: 'summary', events: [] });
     }
 
     // Send endpoint errors (skip if API key not configured)
@@ -640,7 +515,7 @@ export async function processNotifications(config, results, allChanges, endpoint
           continue;
         }
         if (!result.success && result.error) {
-          await sendDiscordWebhook(webhookUrl, withUrl(createErrorEmbed(result.endpoint, result.error)));
+          await send(webhookUrl, withUrl(createErrorNotification(result.endpoint, result.error)), { group: result.endpoint, kind: 'alert' });
         }
       }
     }
@@ -649,7 +524,10 @@ export async function processNotifications(config, results, allChanges, endpoint
     if (notifyOn.includes('new_model')) {
       for (const [endpoint, changes] of Object.entries(groupChangesList)) {
         if (changes.added && changes.added.length > 0) {
-          await sendDiscordWebhook(webhookUrl, withUrl(createNewModelsEmbed(endpoint, changes.added)));
+          await send(webhookUrl, withUrl(createNewModelsNotification(endpoint, changes.added)), {
+            group: endpoint,
+            events: buildModelEvents(endpoint, { added: changes.added, removed: [], updated: [] })
+          });
         }
       }
     }
@@ -658,7 +536,10 @@ export async function processNotifications(config, results, allChanges, endpoint
     if (notifyOn.includes('removed_model')) {
       for (const [endpoint, changes] of Object.entries(groupChangesList)) {
         if (changes.removed && changes.removed.length > 0) {
-          await sendDiscordWebhook(webhookUrl, withUrl(createRemovedModelsEmbed(endpoint, changes.removed)));
+          await send(webhookUrl, withUrl(createRemovedModelsNotification(endpoint, changes.removed)), {
+            group: endpoint,
+            events: buildModelEvents(endpoint, { added: [], removed: changes.removed, updated: [] })
+          });
         }
       }
     }
@@ -667,7 +548,10 @@ export async function processNotifications(config, results, allChanges, endpoint
     if (notifyOn.includes('model_updated')) {
       for (const [endpoint, changes] of Object.entries(groupChangesList)) {
         if (changes.updated && changes.updated.length > 0) {
-          await sendDiscordWebhook(webhookUrl, withUrl(createUpdatedModelsEmbed(endpoint, changes.updated, commitSha)));
+          await send(webhookUrl, withUrl(createUpdatedModelsNotification(endpoint, changes.updated, commitSha)), {
+            group: endpoint,
+            events: buildModelEvents(endpoint, { added: [], removed: [], updated: changes.updated })
+          });
         }
       }
     }
@@ -696,22 +580,26 @@ export async function sendRawDiffWebhook(webhookUrl, payload) {
     }
 
     const embedChunks = chunkPayload(processedEmbeds);
+    let delivered = true;
+
+    // Content-only messages (e.g. RSS posts) go out as they are
+    if (embedChunks.length === 0) return deliverDiscordPayload(webhookUrl, payload);
 
-    for (const chunk of embedChunks) {
+    for (const [index, chunk] of embedChunks.entries()) {
       const chunkPayload = {
         username: payload.username,
         avatar_url: payload.avatar_url,
         embeds: chunk
       };
-      await axios.post(webhookUrl, chunkPayload, {
-        headers: { 'Content-Type': 'application/json' }
-      });
+      // Message content (e.g. rule mentions) goes out with the first chunk only
+      if (index === 0 && payload.content) chunkPayload.content = payload.content;
+      if (payload.allowed_mentions) chunkPayload.allowed_mentions = payload.allowed_mentions;
+      if (!await deliverDiscordPayload(webhookUrl, chunkPayload)) delivered = false;
     }
 
-    return true;
+    return delivered;
   } catch (err) {
-    const details = err.response?.data ? JSON.stringify(err.response.data) : err.message;
-    console.error('Failed to send Discord webhook:', err.response?.status, details);
+    console.error('Failed to send Discord webhook:', err.message);
     return false;
   }
 }
@@ -764,11 +652,11 @@ function htmlToMarkdown(html) {
 }
 
 /**
- * Create a nice Discord embed for a new app version
+ * Create the notification for a new app version
  * @param {Object} appInfo - App version info
- * @returns {Object} - Discord embed payload
+ * @returns {Object} - Notification (src/notification.js)
  */
-export function createAppVersionEmbed(appInfo) {
+export function createAppVersionNotification(appInfo) {
   const platformEmoji = appInfo.platform === 'android' ? '🤖' : '🍎';
   const color = appInfo.platform === 'android' ? 0x3DDC84 : 0x5FC9F8;
 
@@ -779,53 +667,29 @@ export function createAppVersionEmbed(appInfo) {
   const releaseNotes = htmlToMarkdown(rawReleaseNotes);
 
   return {
-    username: 'App Version Watcher',
-    avatar_url: LOGO_URL,
-    embeds: [{
-      title: `${platformEmoji} ${appInfo.title} — v${appInfo.version}`,
-      url: appInfo.url,
-      description: description.length > 300 ? description.substring(0, 297) + '...' : description,
-      color,
-      thumbnail: {
-        url: appInfo.icon
+    sender: 'App Version Watcher',
+    title: `${platformEmoji} ${appInfo.title} — v${appInfo.version}`,
+    url: appInfo.url,
+    description: description.length > 300 ? description.substring(0, 297) + '...' : description,
+    color,
+    thumbnail: appInfo.icon,
+    sections: [
+      {
+        title: '📝 Release Notes',
+        text: releaseNotes.substring(0, 1024) || '(none)'
       },
-      fields: [
-        {
-          name: '📝 Release Notes',
-          value: releaseNotes.substring(0, 1024) || '(none)'
-        },
-        {
-          name: '🏢 Developer',
-          value: appInfo.developer || 'Unknown',
-          inline: true
-        },
-        {
-          name: '📦 App ID',
-          value: `\`${appInfo.appId}\``,
-          inline: true
-        },
-        {
-          name: '🏬 Store',
-          value: appInfo.platform === 'android' ? 'Google Play' : 'App Store',
-          inline: true
-        }
-      ],
-      timestamp: new Date().toISOString(),
-      footer: {
-        text: `App Version Watcher • ${appInfo.platform.toUpperCase()}`,
-        icon_url: LOGO_URL
+      {
+        fields: [
+          { name: '🏢 Developer', value: appInfo.developer || 'Unknown', inline: true },
+          { name: '📦 App ID', value: `\`${appInfo.appId}\``, inline: true },
+          { name: '🏬 Store', value: appInfo.platform === 'android' ? 'Google Play' : 'App Store', inline: true }
+        ]
       }
-    }]
+    ],
+    footer: `App Version Watcher • ${appInfo.platform.toUpperCase()}`
   };
 }
 
-/**
- * Create Discord embed(s) for a raw strings diff with red/green highlighting
- * Uses Discord ```diff code blocks so - lines are red and + lines are green
- * @param {string} appId - App package ID
- * @param {string} diffText - Raw diff text
- * @returns {Object} - Discord embed payload
- */
 // Organization color map for LM Arena
 const ORG_COLORS = {
   openai: 0x10a37f,
@@ -895,11 +759,11 @@ function modelLine(m) {
   return `**${m.displayName || m.publicName || m.name}** \`${rank}\` | ${org} ${caps} ${selectable}`;
 }
 
-export function createLMArenaEmbed(diff, totalModels, allModels = []) {
-  const embeds = [];
+export function createLMArenaNotification(diff, totalModels, allModels = []) {
+  const sections = [];
   const { groupDiff } = diff || {};
 
-  // Collect display names that are variant changes so we can exclude them from new model embeds
+  // Collect display names that are variant changes so we can exclude them from new model sections
   const variantChangeNames = new Set();
   if (groupDiff) {
     for (const v of groupDiff.variantChanges) {
@@ -910,7 +774,7 @@ export function createLMArenaEmbed(diff, totalModels, allModels = []) {
   const addedStealth = diff.added.filter(m => !m.organization && !variantChangeNames.has(m.displayName || m.publicName));
   const addedKnown = diff.added.filter(m => m.organization && !variantChangeNames.has(m.displayName || m.publicName));
 
-  // Detail embeds for new stealth models (no organization — potential future reveals)
+  // Sections for new stealth models (no organization — potential future reveals)
   if (addedStealth.length > 0) {
     const lines = addedStealth.map(m => {
       const caps = capabilityEmoji(m.capabilities);
@@ -931,16 +795,15 @@ export function createLMArenaEmbed(diff, totalModels, allModels = []) {
     }
     if (chunk.length) chunks.push(chunk.join('\n'));
     for (let i = 0; i < chunks.length; i++) {
-      embeds.push({
+      sections.push({
         color: 0x6b7280,
         title: i === 0 ? `🥷 New Stealth Models` : `🥷 New Stealth Models (cont.)`,
-        description: chunks[i],
-        timestamp: new Date().toISOString(),
+        text: chunks[i]
       });
     }
   }
 
-  // Detail embeds for new known models (group by org)
+  // Sections for new known models (group by org)
   if (addedKnown.length > 0) {
     const byOrg = {};
     for (const m of addedKnown) {
@@ -968,17 +831,16 @@ export function createLMArenaEmbed(diff, totalModels, allModels = []) {
       if (chunk.length) chunks.push(chunk.join('\n'));
 
       for (let i = 0; i < chunks.length; i++) {
-        embeds.push({
+        sections.push({
           color: getOrgColor(org),
           title: i === 0 ? `🆕 New — ${org}` : `🆕 New — ${org} (cont.)`,
-          description: chunks[i],
-          timestamp: new Date().toISOString(),
+          text: chunks[i]
         });
       }
     }
   }
 
-  // Detail embed for removed models (all orgs combined)
+  // Section for removed models (all orgs combined)
   if (diff.removed.length > 0) {
     const lines = diff.removed.map(m => {
       const org = m.organization || 'unknown';
@@ -1000,16 +862,15 @@ export function createLMArenaEmbed(diff, totalModels, allModels = []) {
     if (chunk.length) chunks.push(chunk.join('\n'));
 
     for (let i = 0; i < chunks.length; i++) {
-      embeds.push({
+      sections.push({
         color: 0xef4444,
         title: i === 0 ? `🗑️ Removed Models` : `🗑️ Removed Models (cont.)`,
-        description: chunks[i],
-        timestamp: new Date().toISOString(),
+        text: chunks[i]
       });
     }
   }
 
-  // Detail embeds for updated models
+  // Sections for updated models
   if (diff.changed.length > 0) {
     const byOrg = {};
     for (const c of diff.changed) {
@@ -1040,17 +901,16 @@ export function createLMArenaEmbed(diff, totalModels, allModels = []) {
       if (chunk.length) chunks.push(chunk.join('\n'));
 
       for (let i = 0; i < chunks.length; i++) {
-        embeds.push({
+        sections.push({
           color: 0xf59e0b,
           title: i === 0 ? `🔄 Updated — ${org}` : `🔄 Updated — ${org} (cont.)`,
-          description: chunks[i],
-          timestamp: new Date().toISOString(),
+          text: chunks[i]
         });
       }
     }
   }
 
-  // Revealed models (gained organization) — combined into one embed
+  // Revealed models (gained organization) — combined into one section
   if (diff.revealed && diff.revealed.length > 0) {
     const lines = diff.revealed.map(r => {
       const codename = r.oldName || r.oldDisplayName;
@@ -1076,16 +936,15 @@ export function createLMArenaEmbed(diff, totalModels, allModels = []) {
     if (chunk.length) chunks.push(chunk.join('\n'));
 
     for (let i = 0; i < chunks.length; i++) {
-      embeds.push({
+      sections.push({
         color: 0xf59e0b,
         title: i === 0 ? `🕵️ Revealed Models` : `🕵️ Revealed Models (cont.)`,
-        description: chunks[i],
-        timestamp: new Date().toISOString(),
+        text: chunks[i]
       });
     }
   }
 
-  // Detail embeds for variant count changes
+  // Sections for variant count changes
   if (groupDiff && groupDiff.variantChanges.length > 0) {
     for (const v of groupDiff.variantChanges) {
       const isStealth = diff.added.some(m => (m.displayName || m.publicName) === v.displayName && !m.organization);
@@ -1098,44 +957,41 @@ export function createLMArenaEmbed(diff, totalModels, allModels = []) {
           desc += `${cap.emoji} ${cap.label}: \`${bar}\` ${cap.count}/${cap.total}\n`;
         }
       }
-      embeds.push({
+      sections.push({
         color: isStealth ? 0x6b7280 : 0x8b5cf6,
         title: `🔀 ${label}: ${v.displayName}: ${v.oldCount} → ${v.newCount}`,
-        description: desc || null,
-        timestamp: new Date().toISOString(),
+        text: desc
       });
     }
   }
 
-  // Capability convergence — combined into one embed
+  // Capability convergence — combined into one section
   if (groupDiff && groupDiff.convergence.length > 0) {
     const lines = groupDiff.convergence.map(c =>
       `**${c.displayName}**: ${c.allNowHave.map(formatCapPath).join(', ')} across all ${c.variantCount} variants`
     );
-    embeds.push({
+    sections.push({
       color: 0x10b981,
       title: `🎯 Capability Convergence`,
-      description: lines.join('\n').substring(0, 4000),
-      timestamp: new Date().toISOString(),
+      text: lines.join('\n').substring(0, 4000)
     });
   }
 
-  // Possible reveals — combined into one embed
+  // Possible reveals — combined into one section
   if (diff.possibleReveals && diff.possibleReveals.length > 0) {
     const lines = diff.possibleReveals.map(pr => {
       const rem = pr.removed;
       const add = pr.added;
       return `\`${rem.displayName || rem.publicName}\` → **${add.displayName || add.publicName}**${add.organization ? ` (${add.organization})` : ''} — ${pr.match}`;
     });
-    embeds.push({
+    sections.push({
       color: 0xf97316,
       title: `🔎 Possible Reveals`,
-      description: lines.join('\n').substring(0, 4000) + '\n*(⚠️ not confirmed — same capabilities, different identity)*',
-      timestamp: new Date().toISOString(),
+      text: lines.join('\n').substring(0, 4000) + '\n_(⚠️ not confirmed — same capabilities, different identity)_'
     });
   }
 
-  // Rank leaderboard embeds per modality
+  // Rank leaderboard sections per modality
   if (diff.rankChanges && Object.keys(diff.rankChanges).length > 0) {
     const oldModelMap = new Map();
     if (allModels.length > 0) {
@@ -1228,26 +1084,32 @@ export function createLMArenaEmbed(diff, totalModels, allModels = []) {
       if (endIdx < ranked.length) lines.push('…');
 
       const label = modalityLabels[modality] || modality;
-      embeds.push({
+      sections.push({
         color: 0x6366f1,
         title: `🏆 ${label} Leaderboard`,
-        description: lines.join('\n').substring(0, 4000),
-        footer: { text: 'Auto generated from ranking data in JSON. This will not match arena.ai\'s visible leaderboard page.' },
-        timestamp: new Date().toISOString(),
+        text: lines.join('\n').substring(0, 4000) + '\n_Auto generated from ranking data in JSON. This will not match arena.ai\'s visible leaderboard page._'
       });
     }
   }
 
   return {
-    username: 'LM Arena Watcher',
-    avatar_url: LOGO_URL,
-    embeds,
+    sender: 'LM Arena Watcher',
+    title: '🏟️ LM Arena — Model Changes',
+    description: `Tracking **${totalModels}** models`,
+    sections,
   };
 }
 
-export function createStringsDiffEmbed(appId, diffText) {
-  const MAX_FIELD_VALUE = 950; // Under Discord's 1024 field value limit, accounting for ```diff\n and \n```
-  const MAX_EMBEDS_PER_MESSAGE = 5; // Limit total embeds to stay under 6000 total chars
+/**
+ * Create the notification for a raw strings diff with red/green highlighting
+ * Uses ```diff code blocks so - lines are red and + lines are green
+ * @param {string} appId - App package ID
+ * @param {string} diffText - Raw diff text
+ * @returns {Object} - Notification (src/notification.js)
+ */
+export function createStringsDiffNotification(appId, diffText) {
+  const MAX_SECTION_TEXT = 950; // Under Discord's 1024 field value limit, accounting for ```diff\n and \n```
+  const MAX_SECTIONS = 5; // Limit total sections to stay under 6000 total chars
 
   // Escape triple backticks to prevent breaking code blocks
   const safeDiff = diffText.replace(/```/g, '`\u200b`\u200b`');
@@ -1259,7 +1121,7 @@ export function createStringsDiffEmbed(appId, diffText) {
 
   for (const line of lines) {
     // +1 accounts for the newline character
-    if (currentLength + line.length + 1 > MAX_FIELD_VALUE && currentChunk.length > 0) {
+    if (currentLength + line.length + 1 > MAX_SECTION_TEXT && currentChunk.length > 0) {
       chunks.push(currentChunk.join('\n'));
       currentChunk = [line];
       currentLength = line.length;
@@ -1274,48 +1136,23 @@ export function createStringsDiffEmbed(appId, diffText) {
   }
 
   // If we have too many chunks, truncate and add a note
-  const wasTruncated = chunks.length > MAX_EMBEDS_PER_MESSAGE;
-  const displayChunks = chunks.slice(0, MAX_EMBEDS_PER_MESSAGE);
+  const wasTruncated = chunks.length > MAX_SECTIONS;
+  const displayChunks = chunks.slice(0, MAX_SECTIONS);
   const totalChunks = chunks.length;
 
-  const embeds = [];
-
-  for (let i = 0; i < displayChunks.length; i++) {
-    const isFirst = i === 0;
-    const isLast = i === displayChunks.length - 1;
-
-    let value = '```diff\n' + displayChunks[i] + '\n```';
-    if (isLast && wasTruncated) {
-      value += `\n*(diff truncated: ${totalChunks - MAX_EMBEDS_PER_MESSAGE} more chunks)*`;
-    }
-
-    const embed = {
-      color: 0x3B82F6,
-      fields: [{
-        name: totalChunks > 1 ? `Diff (${i + 1}/${totalChunks})` : 'Diff',
-        value
-      }],
-      timestamp: new Date().toISOString()
-    };
-
-    if (isFirst) {
-      embed.title = `\ud83d\udcf1 ${appId} — Strings Changed`;
-      embed.description = 'Android app strings diff detected';
-    }
-
-    if (isLast) {
-      embed.footer = {
-        text: 'Android Strings Watcher',
-        icon_url: LOGO_URL
-      };
+  const sections = displayChunks.map((chunk, i) => {
+    let text = '```diff\n' + chunk + '\n```';
+    if (i === displayChunks.length - 1 && wasTruncated) {
+      text += `\n_(diff truncated: ${totalChunks - MAX_SECTIONS} more chunks)_`;
     }
-
-    embeds.push(embed);
-  }
+    return { title: totalChunks > 1 ? `Diff (${i + 1}/${totalChunks})` : 'Diff', text };
+  });
 
   return {
-    username: 'Android Strings Watcher',
-    avatar_url: LOGO_URL,
-    embeds
+    sender: 'Android Strings Watcher',
+    title: `\ud83d\udcf1 ${appId} — Strings Changed`,
+    description: 'Android app strings diff detected',
+    sections,
+    footer: 'Android Strings Watcher'
   };
 }
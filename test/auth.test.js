@@ -0,0 +1,108 @@
+import { getAuthConfig, getMissingCredentials, applyAuth, registerAuthAdapter } from '../src/auth.js';
+
+const ENV = {
+  TEST_API_KEY: 'secret-key',
+  TEST_USER: 'alice',
+  TEST_PASSWORD: 'p@ss',
+  TEST_CLIENT_ID: 'client',
+  TEST_CLIENT_SECRET: 'client-secret',
+  TEST_AWS_KEY_ID: 'AKIDEXAMPLE',
+  TEST_AWS_SECRET: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY'
+};
+
+const newRequest = url => ({ method: 'GET', url: new URL(url), headers: {} });
+
+describe('auth adapters', () => {
+  const savedFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    Object.assign(process.env, ENV);
+  });
+
+  afterEach(() => {
+    for (const name of Object.keys(ENV)) delete process.env[name];
+    globalThis.fetch = savedFetch;
+  });
+
+  test('endpoints without an auth block get a bearer token from apiKeyEnv', () => {
+    expect(getAuthConfig({ apiKeyEnv: 'TEST_API_KEY' })).toEqual({ type: 'bearer', keyEnv: 'TEST_API_KEY' });
+    expect(getAuthConfig({ apiKeyEnv: 'TEST_API_KEY', auth: { type: 'header', name: 'X-Api-Key' } }))
+      .toEqual({ type: 'header', name: 'X-Api-Key', keyEnv: 'TEST_API_KEY' });
+    // Multi-key schemes never borrow apiKeyEnv
+    expect(getAuthConfig({ apiKeyEnv: 'TEST_API_KEY', auth: { type: 'basic', usernameEnv: 'TEST_USER' } }))
+      .toEqual({ type: 'basic', usernameEnv: 'TEST_USER' });
+  });
+
+  test('lists the env variables that are not set', () => {
+    expect(getMissingCredentials({ apiKeyEnv: 'TEST_API_KEY' })).toEqual([]);
+    expect(getMissingCredentials({ apiKeyEnv: 'TEST_UNSET_KEY' })).toEqual(['TEST_UNSET_KEY']);
+    expect(getMissingCredentials({ auth: { type: 'basic', usernameEnv: 'TEST_USER', passwordEnv: 'TEST_UNSET_PASSWORD' } }))
+      .toEqual(['TEST_UNSET_PASSWORD']);
+    expect(getMissingCredentials({ auth: { type: 'none' } })).toEqual([]);
+  });
+
+  test('bearer, header and query keys', async () => {
+    const bearer = await applyAuth({ apiKeyEnv: 'TEST_API_KEY' }, newRequest('https://api.example.com/v1/models'));
+    expect(bearer.headers.Authorization).toBe('Bearer secret-key');
+
+    const header = await applyAuth({ auth: { type: 'header', name: 'xi-api-key', prefix: 'Key ', keyEnv: 'TEST_API_KEY' } }, newRequest('https://api.example.com/v1/models'));
+    expect(header.headers).toEqual({ 'xi-api-key': 'Key secret-key' });
+
+    const query = await applyAuth({ auth: { type: 'query', keyEnv: 'TEST_API_KEY' } }, newRequest('https://api.example.com/v1/models?pageSize=50'));
+    expect(query.url.searchParams.get('key')).toBe('secret-key');
+    expect(query.url.searchParams.get('pageSize')).toBe('50');
+    expect(query.headers).toEqual({});
+  });
+
+  test('header auth needs a header name', async () => {
+    await expect(applyAuth({ auth: { type: 'header', keyEnv: 'TEST_API_KEY' } }, newRequest('https://api.example.com/')))
+      .rejects.toThrow('Header auth requires "name"');
+  });
+
+  test('basic auth', async () => {
+    const request = await applyAuth({ auth: { type: 'basic', usernameEnv: 'TEST_USER', passwordEnv: 'TEST_PASSWORD' } }, newRequest('https://api.example.com/'));
+    expect(request.headers.Authorization).toBe(`Basic ${Buffer.from('alice:p@ss').toString('base64')}`);
+  });
+
+  test('oauth2 fetches a client-credentials token once and caches it', async () => {
+    const calls = [];
+    globalThis.fetch = async (url, init) => {
+      calls.push({ url: String(url), init });
+      return new Response(JSON.stringify({ access_token: 'token-1', expires_in: 3600 }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    };
+    const endpoint = {
+      auth: { type: 'oauth2', tokenUrl: 'https://auth.example.com/token', clientIdEnv: 'TEST_CLIENT_ID', clientSecretEnv: 'TEST_CLIENT_SECRET', scope: 'models.read' }
+    };
+
+    const first = await applyAuth(endpoint, newRequest('https://api.example.com/models'));
+    const second = await applyAuth(endpoint, newRequest('https://api.example.com/models'));
+    expect(first.headers.Authorization).toBe('Bearer token-1');
+    expect(second.headers.Authorization).toBe('Bearer token-1');
+    expect(calls).toHaveLength(1);
+    expect(calls[0].url).toBe('https://auth.example.com/token');
+    expect(calls[0].init.method).toBe('POST');
+    expect(String(calls[0].init.body)).toBe('grant_type=client_credentials&scope=models.read');
+  });
+
+  test('aws-sigv4 signs the request headers', async () => {
+    const endpoint = {
+      auth: { type: 'aws-sigv4', accessKeyIdEnv: 'TEST_AWS_KEY_ID', secretAccessKeyEnv: 'TEST_AWS_SECRET', region: 'us-east-1', service: 'bedrock' }
+    };
+    const request = await applyAuth(endpoint, newRequest('https://bedrock.us-east-1.amazonaws.com/foundation-models?byOutputModality=TEXT'));
+
+    expect(request.headers['x-amz-date']).toMatch(/^\d{8}T\d{6}Z$/);
+    expect(request.headers['x-amz-content-sha256']).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(request.headers.Authorization).toMatch(
+      /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/us-east-1\/bedrock\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+    );
+    expect(request.headers.host).toBeUndefined();
+  });
+
+  test('unknown types and adapters without apply() are rejected', async () => {
+    await expect(applyAuth({ auth: { type: 'kerberos' } }, newRequest('https://api.example.com/')))
+      .rejects.toThrow('Unknown auth type "kerberos"');
+    expect(() => registerAuthAdapter('broken', {})).toThrow('must implement apply()');
+  });
+});
@@ -0,0 +1,41 @@
+import { replayWatcher, payloadText } from './replay.js';
+
+// fetch through the shared HTTP client (src/http.js), on the plugin runtime
+describe('bedrock watcher replay', () => {
+  let run;
+  beforeAll(() => {
+    run = replayWatcher('bedrock-watch.js', { state: ['bedrock-state.json'] });
+  });
+
+  test('exits cleanly', () => {
+    expect(run.status).toBe(0);
+    expect(run.output).toContain('Parsed 7 models from 4 providers');
+  });
+
+  test('saves the models from the replayed page', () => {
+    const { models } = run.state['logs/bedrock-state.json'];
+    expect(models).toHaveLength(7);
+    expect(models).toContainEqual({ name: 'Nova Pro', runtime: true, mantle: true, provider: 'Amazon' });
+    expect(models.map(model => model.name)).not.toContain('Jamba 1.5 Mini');
+  });
+
+  test('records an event per change', () => {
+    expect(run.events.map(event => [event.source, event.type, event.entity])).toEqual([
+      ['bedrock', 'added', 'DeepSeek::DeepSeek-V3.1'],
+      ['bedrock', 'removed', 'AI21 Labs::Jamba 1.5 Mini'],
+      ['bedrock', 'updated', 'Amazon::Nova Pro']
+    ]);
+    expect(run.events[2].changes).toEqual({ mantle: { old: false, new: true } });
+  });
+
+  test('sends one notification listing every change', () => {
+    expect(run.payloads).toHaveLength(1);
+    expect(run.payloads[0]).toMatchObject({ source: 'bedrock', type: 'discord' });
+    const text = payloadText(run.payloads[0].payload);
+    expect(text).toContain('New Models (1)');
+    expect(text).toContain('DeepSeek-V3.1');
+    expect(text).toContain('Removed Models (1)');
+    expect(text).toContain('Jamba 1.5 Mini');
+    expect(text).toContain('Nova Pro — mantle: ❌ → ✅');
+  });
+});
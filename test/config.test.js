@@ -0,0 +1,106 @@
+import { mkdtempSync, writeFileSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig, interpolateEnv, validateConfig, getConfigFiles } from '../src/config.js';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['webhook'],
+  properties: {
+    webhook: {
+      type: 'object',
+      required: ['webhookEnv'],
+      properties: { webhookEnv: { type: 'string' } },
+      additionalProperties: false
+    },
+    mode: { type: 'string', enum: ['fast', 'slow'], default: 'fast' },
+    timeout: { type: 'integer', default: 30000 }
+  }
+};
+
+describe('config', () => {
+  afterEach(() => {
+    delete process.env.TEST_CONFIG_URL;
+  });
+
+  test('file names per config name', () => {
+    expect(getConfigFiles('config')).toEqual({ configFile: 'config.json', schemaFile: 'config.schema.json' });
+    expect(getConfigFiles('bedrock')).toEqual({ configFile: 'bedrock-config.json', schemaFile: 'bedrock-config.schema.json' });
+  });
+
+  test('interpolates env references, fallbacks and escapes', () => {
+    process.env.TEST_CONFIG_URL = 'https://example.com';
+    const errors = [];
+    const value = interpolateEnv({
+      $schema: './${NOT_TOUCHED}.json',
+      url: '${TEST_CONFIG_URL}/feed',
+      proxy: '${TEST_CONFIG_PROXY:-}',
+      literal: '$${TEST_CONFIG_URL}',
+      list: ['${TEST_CONFIG_MISSING}', 3]
+    }, '', errors);
+
+    expect(value).toEqual({
+      $schema: './${NOT_TOUCHED}.json',
+      url: 'https://example.com/feed',
+      proxy: '',
+      literal: '${TEST_CONFIG_URL}',
+      list: ['${TEST_CONFIG_MISSING}', 3]
+    });
+    expect(errors).toEqual(['/list/0: env variable TEST_CONFIG_MISSING is not set (use ${TEST_CONFIG_MISSING:-default} for a fallback)']);
+  });
+
+  test('fills in schema defaults and reports path-level errors', () => {
+    const valid = { webhook: { webhookEnv: 'WEBHOOK' } };
+    expect(validateConfig(valid, SCHEMA)).toEqual([]);
+    expect(valid).toEqual({ webhook: { webhookEnv: 'WEBHOOK' }, mode: 'fast', timeout: 30000 });
+
+    expect(validateConfig({ webhook: { webhookEnv: 'WEBHOOK', url: 'x' }, mode: 'medium', timeout: 1.5 }, SCHEMA)).toEqual([
+      '/webhook: unknown property "url"',
+      '/mode: must be one of "fast", "slow"',
+      '/timeout: must be integer'
+    ]);
+    expect(validateConfig({}, SCHEMA)).toEqual(['/: missing required property "webhook"']);
+  });
+
+  describe('loadConfig', () => {
+    let dir;
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'modelwatcher-config-'));
+      writeFileSync(join(dir, 'example-config.schema.json'), JSON.stringify(SCHEMA));
+    });
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('loads, interpolates and validates a config', () => {
+      process.env.TEST_CONFIG_URL = 'WEBHOOK_EXAMPLE';
+      writeFileSync(join(dir, 'example-config.json'), JSON.stringify({ webhook: { webhookEnv: '${TEST_CONFIG_URL}' }, mode: 'slow' }));
+      expect(loadConfig('example', { rootDir: dir })).toEqual({ webhook: { webhookEnv: 'WEBHOOK_EXAMPLE' }, mode: 'slow', timeout: 30000 });
+    });
+
+    test('throws on missing files, invalid JSON and invalid configs', () => {
+      expect(() => loadConfig('example', { rootDir: dir })).toThrow('Config file not found');
+
+      writeFileSync(join(dir, 'example-config.json'), '{ "webhook": ');
+      expect(() => loadConfig('example', { rootDir: dir })).toThrow('example-config.json: invalid JSON');
+
+      writeFileSync(join(dir, 'example-config.json'), JSON.stringify({ webhook: { webhookEnv: '${TEST_CONFIG_MISSING}' }, mode: 'medium' }));
+      expect(() => loadConfig('example', { rootDir: dir })).toThrow(
+        'Invalid example-config.json:\n  - /webhook/webhookEnv: env variable TEST_CONFIG_MISSING is not set (use ${TEST_CONFIG_MISSING:-default} for a fallback)\n  - /mode: must be one of "fast", "slow"'
+      );
+    });
+  });
+
+  test('every shipped config matches its schema', () => {
+    const names = readdirSync(ROOT_DIR)
+      .filter(file => /^(.+-)?config\.json$/.test(file))
+      .map(file => file === 'config.json' ? 'config' : file.replace(/-config\.json$/, ''));
+    expect(names).toContain('config');
+    for (const name of names) {
+      expect(() => loadConfig(name)).not.toThrow();
+    }
+  });
+});
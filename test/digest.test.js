@@ -0,0 +1,116 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getDigestSettings, lastBoundary, isDue, digestItem, bufferItem, bufferedDigests, dueDigests, buildDigest, markDigestSent } from '../src/digest.js';
+import { createNotification } from '../src/notification.js';
+
+// 2024-01-03 is a Wednesday
+const NOW = new Date('2024-01-03T12:00:00Z');
+
+const config = {
+  digest: {
+    watchers: { lmarena: { schedule: 'daily', at: '09:00' } },
+    webhooks: { WEBHOOK_SMALL: { schedule: 'weekly', day: 'monday' }, 'ops-slack': { schedule: 'count', count: 2 } }
+  }
+};
+
+const entry = (queuedAt, item = {}) => ({ queuedAt, payload: { item: { source: 'lmarena', title: 'Update', summary: '', severity: 'info', ...item } } });
+
+describe('digest schedules', () => {
+  test('a destination setting wins over the watcher setting', () => {
+    expect(getDigestSettings('lmarena', 'env:WEBHOOK_SMALL', config)).toEqual({ key: 'webhooks.WEBHOOK_SMALL', settings: config.digest.webhooks.WEBHOOK_SMALL });
+    expect(getDigestSettings('lmarena', 'env:WEBHOOK_OTHER', config)).toEqual({ key: 'watchers.lmarena', settings: config.digest.watchers.lmarena });
+    expect(getDigestSettings('bedrock', 'target:ops-slack', config).key).toBe('webhooks.ops-slack');
+    expect(getDigestSettings('bedrock', 'env:WEBHOOK_OTHER', config)).toBeNull();
+    expect(getDigestSettings('bedrock', 'env:WEBHOOK_OTHER', {})).toBeNull();
+  });
+
+  test('finds the last scheduled send time in UTC', () => {
+    expect(lastBoundary({ schedule: 'daily', at: '09:00' }, NOW).toISOString()).toBe('2024-01-03T09:00:00.000Z');
+    expect(lastBoundary({ schedule: 'daily', at: '13:30' }, NOW).toISOString()).toBe('2024-01-02T13:30:00.000Z');
+    expect(lastBoundary({ schedule: 'weekly' }, NOW).toISOString()).toBe('2024-01-01T09:00:00.000Z');
+    expect(lastBoundary({ schedule: 'weekly', day: 'Friday' }, NOW).toISOString()).toBe('2023-12-29T09:00:00.000Z');
+    expect(lastBoundary({ schedule: 'count', count: 5 }, NOW)).toBeNull();
+  });
+
+  test('is due once the oldest entry predates the boundary or the count is reached', () => {
+    const daily = { schedule: 'daily', at: '09:00' };
+    expect(isDue([], daily, NOW)).toBe(false);
+    expect(isDue([entry('2024-01-03T08:00:00Z')], daily, NOW)).toBe(true);
+    expect(isDue([entry('2024-01-03T10:00:00Z')], daily, NOW)).toBe(false);
+    expect(isDue([entry('2024-01-03T10:00:00Z'), entry('2024-01-03T11:00:00Z')], { ...daily, count: 2 }, NOW)).toBe(true);
+    expect(isDue([entry('2024-01-01T00:00:00Z')], { schedule: 'count', count: 2 }, NOW)).toBe(false);
+  });
+});
+
+describe('digest buffer', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'modelwatcher-digest-'));
+    file = join(dir, 'digest.jsonl');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reduces a notification to one line', () => {
+    const item = digestItem(createNotification({
+      source: 'lmarena',
+      title: 'Leaderboard update <t:1704268800:R>',
+      description: `\n${'a'.repeat(100)}\nsecond line`,
+      severity: 'warning',
+      links: [{ label: 'Arena', url: 'https://example.com/arena' }]
+    }), 'text');
+
+    expect(item).toMatchObject({ source: 'lmarena', group: 'text', title: 'Leaderboard update 2024-01-03 08:00 UTC', url: 'https://example.com/arena', severity: 'warning' });
+    expect(item.summary).toHaveLength(80);
+    expect(item.summary.endsWith('…')).toBe(true);
+  });
+
+  test('groups buffered items by destination and digest until they are sent', () => {
+    const item = digestItem(createNotification({ source: 'lmarena', title: 'Update' }));
+    bufferItem('env:WEBHOOK_SMALL', 'webhooks.WEBHOOK_SMALL', item, file);
+    bufferItem('target:ops-slack', 'webhooks.ops-slack', item, file);
+    bufferItem('target:ops-slack', 'webhooks.ops-slack', item, file);
+
+    const digests = bufferedDigests(file);
+    expect(digests.map(d => [d.destination, d.digestKey, d.entries.length])).toEqual([
+      ['env:WEBHOOK_SMALL', 'webhooks.WEBHOOK_SMALL', 1],
+      ['target:ops-slack', 'webhooks.ops-slack', 2]
+    ]);
+
+    // Just queued: the weekly digest waits, the count digest is full
+    expect(dueDigests(config, { file }).map(d => d.destination)).toEqual(['target:ops-slack']);
+    expect(dueDigests(config, { file, force: true })).toHaveLength(2);
+    // Digests no longer in the config are sent rather than kept
+    expect(dueDigests({}, { file })).toHaveLength(2);
+
+    markDigestSent(digests[1].entries, file);
+    expect(bufferedDigests(file).map(d => d.destination)).toEqual(['env:WEBHOOK_SMALL']);
+  });
+
+  test('builds one summary grouped by source and provider', () => {
+    const entries = [
+      entry('2024-01-02T10:00:00Z', { group: 'text', title: 'Model A', summary: 'moved up', url: 'https://example.com/a' }),
+      entry('2024-01-02T11:00:00Z', { group: 'vision', title: 'Model B' }),
+      entry('2024-01-03T08:30:00Z', { source: 'bedrock', title: 'Bedrock changes', severity: 'error' })
+    ];
+    const digest = buildDigest(entries);
+
+    expect(digest).toMatchObject({ source: 'digest', title: '📬 Digest — 3 notifications', severity: 'warning' });
+    expect(digest.description).toBe('From 2024-01-02 10:00 UTC to 2024-01-03 08:30 UTC');
+    expect(digest.sections.map(s => s.title)).toEqual(['lmarena (2)', 'bedrock (1)']);
+    expect(digest.sections[0].text).toBe('**text**\n• [Model A](https://example.com/a) — moved up\n**vision**\n• Model B');
+  });
+
+  test('caps the lines per source', () => {
+    const entries = Array.from({ length: 12 }, (_, i) => entry(`2024-01-02T10:${String(i).padStart(2, '0')}:00Z`, { title: `Model ${i}` }));
+    const [section] = buildDigest(entries).sections;
+    expect(section.title).toBe('lmarena (12)');
+    expect(section.text.split('\n')).toHaveLength(11);
+    expect(section.text.endsWith('…and 2 more')).toBe(true);
+  });
+});
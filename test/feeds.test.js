@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, readFileSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { feedEntry, readFeedEntries, renderAtom, renderJsonFeed, recordFeedEntry, mergeFeedEntries, getFeedEntriesFile } from '../src/feeds.js';
+import { createNotification } from '../src/notification.js';
+
+const CONFIG = { title: 'Model Watcher', homepage: 'https://github.com/CloudWaddie/ModelWatcher', baseUrl: 'https://example.com/feeds', maxEntries: 50 };
+
+const notification = fields => createNotification({
+  source: 'bedrock',
+  title: 'Bedrock changes',
+  description: 'Added `model-a`',
+  timestamp: '2024-01-03T12:00:00.000Z',
+  ...fields
+});
+
+describe('feed entries', () => {
+  test('ids are stable for the same notification', () => {
+    const entry = feedEntry(notification({ links: [{ label: 'Console', url: 'https://example.com/console' }] }), { events: [{ entity: 'model-a' }, { entity: 'model-a' }] });
+    expect(entry).toMatchObject({ source: 'bedrock', title: 'Bedrock changes', url: 'https://example.com/console', severity: 'info', entities: ['model-a'] });
+    expect(entry.id).toMatch(/^[0-9a-f]{16}$/);
+    expect(entry.text).not.toContain('Bedrock changes');
+    expect(feedEntry(notification()).id).toBe(feedEntry(notification()).id);
+    expect(feedEntry(notification({ timestamp: '2024-01-03T13:00:00.000Z' })).id).not.toBe(feedEntry(notification()).id);
+  });
+
+  test('an untitled notification takes its first line as the title', () => {
+    expect(feedEntry(notification({ title: '', description: 'First line\nSecond line' })).title).toBe('First line');
+  });
+});
+
+describe('feed rendering', () => {
+  const entries = [
+    feedEntry(notification({ title: 'A <newer> & better', timestamp: '2024-01-04T00:00:00.000Z', url: 'https://example.com/a' })),
+    feedEntry(notification())
+  ];
+
+  test('Atom', () => {
+    const atom = renderAtom('bedrock', entries, CONFIG);
+    expect(atom).toContain('<id>tag:github.com,2025:CloudWaddie/ModelWatcher/feeds/bedrock</id>');
+    expect(atom).toContain('<title>Model Watcher: bedrock</title>');
+    expect(atom).toContain('<updated>2024-01-04T00:00:00.000Z</updated>');
+    expect(atom).toContain('<link rel="self" type="application/atom+xml" href="https://example.com/feeds/bedrock.atom"/>');
+    expect(atom).toContain('<title>A &lt;newer&gt; &amp; better</title>');
+    expect(atom).toContain('<link rel="alternate" href="https://example.com/a"/>');
+    expect(atom.match(/<entry>/g)).toHaveLength(2);
+  });
+
+  test('JSON Feed', () => {
+    const feed = JSON.parse(renderJsonFeed('all', entries, { ...CONFIG, baseUrl: null }));
+    expect(feed).toMatchObject({ version: 'https://jsonfeed.org/version/1.1', title: 'Model Watcher', description: 'Changes detected by every watcher' });
+    expect(feed.feed_url).toBeUndefined();
+    expect(feed.items[0]).toMatchObject({ url: 'https://example.com/a', tags: ['bedrock', 'info'], date_published: '2024-01-04T00:00:00.000Z' });
+    expect(feed.items[0].id).toBe(`tag:github.com,2025:CloudWaddie/ModelWatcher/feeds/bedrock/${entries[0].id}`);
+  });
+
+  test('an empty feed is dated at the epoch, so rebuilding it changes nothing', () => {
+    expect(renderAtom('sku', [], CONFIG)).toContain('<updated>1970-01-01T00:00:00.000Z</updated>');
+  });
+});
+
+describe('feed files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'modelwatcher-feeds-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.MODELWATCHER_DRY_RUN;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records entries once and rebuilds the watcher and combined feeds', () => {
+    recordFeedEntry(notification(), { dir });
+    recordFeedEntry(notification(), { dir });
+    recordFeedEntry(notification({ source: 'lmarena', title: 'Leaderboard', timestamp: '2024-01-04T00:00:00.000Z' }), { dir });
+
+    expect(readFeedEntries({ dir }).map(entry => entry.source)).toEqual(['lmarena', 'bedrock']);
+    expect(readFeedEntries({ sources: ['bedrock'], dir })).toHaveLength(1);
+    for (const file of ['bedrock.atom', 'bedrock.json', 'lmarena.atom', 'all.json']) {
+      expect(existsSync(join(dir, file))).toBe(true);
+    }
+    expect(JSON.parse(readFileSync(join(dir, 'all.json'), 'utf-8')).items).toHaveLength(2);
+  });
+
+  test('a dry run writes nothing', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.MODELWATCHER_DRY_RUN = '1';
+    expect(recordFeedEntry(notification(), { dir }).source).toBe('bedrock');
+    expect(readFeedEntries({ dir })).toEqual([]);
+  });
+
+  test('merges another copy of the entries, skipping lines cut short', () => {
+    recordFeedEntry(notification(), { dir });
+    const other = join(dir, 'other.jsonl');
+    const newer = feedEntry(notification({ timestamp: '2024-01-05T00:00:00.000Z' }));
+    writeFileSync(other, `${JSON.stringify(newer)}\n{"id":"cut`);
+
+    mergeFeedEntries(other, 'bedrock', dir);
+    const entries = readFeedEntries({ sources: ['bedrock'], dir });
+    expect(entries.map(entry => entry.timestamp)).toEqual(['2024-01-05T00:00:00.000Z', '2024-01-03T12:00:00.000Z']);
+    expect(getFeedEntriesFile('scanner:OpenAI', dir)).toBe(join(dir, 'scanner_OpenAI.jsonl'));
+  });
+});
@@ -0,0 +1,76 @@
+import { jest } from '@jest/globals';
+import { checkMassChange, isMassChangeOverridden, sendMassChangeAlert, ACCEPT_ENV } from '../src/guard.js';
+
+const keys = count => Array.from({ length: count }, (_, i) => `model-${i}`);
+
+describe('mass-change guard', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    delete process.env[ACCEPT_ENV];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env[ACCEPT_ENV];
+  });
+
+  test('lets ordinary changes through', () => {
+    const check = checkMassChange({ source: 'bedrock', previousKeys: keys(10), currentKeys: [...keys(6), 'new-model'] });
+    expect(check).toMatchObject({ held: false, accepted: null, pending: null });
+    expect(check.stats).toEqual({ previousCount: 10, currentCount: 7, removedCount: 4, ratio: 0.4 });
+  });
+
+  test('holds a change removing more than maxRemovedRatio of the items', () => {
+    const check = checkMassChange({ source: 'bedrock', previousKeys: keys(10), currentKeys: keys(2) });
+    expect(check.held).toBe(true);
+    expect(check.alert).toBe(true);
+    expect(check.pending).toMatchObject({ runs: 1, previousCount: 10, currentCount: 2, removedCount: 8 });
+    expect(check.pending.fingerprint).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('small lists and disabled guards are never held', () => {
+    expect(checkMassChange({ source: 'sku', previousKeys: keys(4), currentKeys: [] }).held).toBe(false);
+    expect(checkMassChange({ source: 'sku', previousKeys: keys(10), currentKeys: [], options: { enabled: false } }).held).toBe(false);
+    expect(checkMassChange({ source: 'sku', previousKeys: keys(10), currentKeys: keys(2), options: { maxRemovedRatio: 0.9 } }).held).toBe(false);
+  });
+
+  test('accepts the change once confirmRuns runs see the same items', () => {
+    const first = checkMassChange({ source: 'lmarena', previousKeys: keys(10), currentKeys: keys(1), options: { confirmRuns: 3 } });
+    const second = checkMassChange({ source: 'lmarena', previousKeys: keys(10), currentKeys: keys(1), pending: first.pending, options: { confirmRuns: 3 } });
+    expect(second).toMatchObject({ held: true, alert: false });
+    expect(second.pending.runs).toBe(2);
+    expect(second.pending.firstHeldAt).toBe(first.pending.firstHeldAt);
+
+    const third = checkMassChange({ source: 'lmarena', previousKeys: keys(10), currentKeys: keys(1), pending: second.pending, options: { confirmRuns: 3 } });
+    expect(third).toMatchObject({ held: false, accepted: 'confirmed', pending: null });
+  });
+
+  test('a different result starts over and alerts again', () => {
+    const first = checkMassChange({ source: 'lmarena', previousKeys: keys(10), currentKeys: keys(1) });
+    const other = checkMassChange({ source: 'lmarena', previousKeys: keys(10), currentKeys: keys(2), pending: first.pending });
+    expect(other).toMatchObject({ held: true, alert: true });
+    expect(other.pending.runs).toBe(1);
+  });
+
+  test('the override env variable accepts listed sources', () => {
+    process.env[ACCEPT_ENV] = 'bedrock, scanner:OpenAI';
+    expect(isMassChangeOverridden('bedrock')).toBe(true);
+    expect(isMassChangeOverridden('scanner:openai')).toBe(true);
+    expect(isMassChangeOverridden('lmarena')).toBe(false);
+
+    const check = checkMassChange({ source: 'bedrock', previousKeys: keys(10), currentKeys: [] });
+    expect(check).toMatchObject({ held: false, accepted: 'override' });
+
+    process.env[ACCEPT_ENV] = 'all';
+    expect(isMassChangeOverridden('lmarena')).toBe(true);
+  });
+
+  test('sends no alert for a change that is not held or already alerted', async () => {
+    const passed = checkMassChange({ source: 'bedrock', previousKeys: keys(10), currentKeys: keys(10) });
+    expect(await sendMassChangeAlert('https://discord.com/api/webhooks/1/test', 'bedrock', passed)).toBe(false);
+
+    const first = checkMassChange({ source: 'bedrock', previousKeys: keys(10), currentKeys: [], options: { confirmRuns: 3 } });
+    const repeat = checkMassChange({ source: 'bedrock', previousKeys: keys(10), currentKeys: [], pending: first.pending, options: { confirmRuns: 3 } });
+    expect(await sendMassChangeAlert('https://discord.com/api/webhooks/1/test', 'bedrock', repeat)).toBe(false);
+  });
+});
@@ -0,0 +1,34 @@
+import { replayWatcher, payloadText } from './replay.js';
+
+// The Python scraper's output, recorded with cassetteCall() (src/cassette.js)
+describe('lmarena watcher replay', () => {
+  let run;
+  beforeAll(() => {
+    run = replayWatcher('lmarena-watch.js', { state: ['lmarena-state.json'] });
+  });
+
+  test('exits cleanly', () => {
+    expect(run.status).toBe(0);
+    expect(run.output).toContain('Scraped 5 models');
+  });
+
+  test('saves the scraped models', () => {
+    const { models } = run.state['logs/lmarena-state.json'];
+    expect(models.map(model => model.publicName)).toEqual(['gpt-5.5', 'claude-opus-4-6-thinking', 'gemini-3-pro', 'qwen3-max', 'deepseek-v4']);
+  });
+
+  test('records an event per change', () => {
+    expect(run.events.map(event => [event.source, event.type, event.data?.publicName ?? event.entity])).toEqual([
+      ['lmarena', 'added', 'deepseek-v4'],
+      ['lmarena', 'removed', 'grok-4.1'],
+      ['lmarena', 'updated', '019a0000-0000-7000-8000-000000000003']
+    ]);
+    expect(run.events[2].changes).toMatchObject({ userSelectable: { old: false, new: true } });
+  });
+
+  test('notifies about the new model', () => {
+    expect(run.payloads).toHaveLength(1);
+    expect(run.payloads[0]).toMatchObject({ source: 'lmarena', type: 'discord' });
+    expect(payloadText(run.payloads[0].payload)).toContain('deepseek-v4');
+  });
+});
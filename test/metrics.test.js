@@ -0,0 +1,87 @@
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setMetric, incMetric, renderMetrics, writeRunMetrics, readMetrics } from '../src/metrics.js';
+
+// Samples belong to the process, so every test in this file adds to the same set
+
+describe('metrics', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'modelwatcher-metrics-'));
+  });
+
+  afterEach(() => {
+    delete process.env.MODELWATCHER_DRY_RUN;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('renders gauges with escaped labels, one HELP/TYPE block per metric', () => {
+    incMetric('changes', { type: 'added' });
+    incMetric('changes', { type: 'added' }, 2);
+    setMetric('endpoint_up', { endpoint: 'Open"AI\\x' }, 1);
+    setMetric('endpoint_latency_seconds', { endpoint: 'OpenAI' }, NaN);
+
+    expect(renderMetrics({ watcher: 'scanner' })).toBe([
+      '# HELP modelwatcher_changes Changes detected by type',
+      '# TYPE modelwatcher_changes gauge',
+      'modelwatcher_changes{watcher="scanner",type="added"} 3',
+      '# HELP modelwatcher_endpoint_latency_seconds Time to fetch the endpoint\'s model list, every page and retry included',
+      '# TYPE modelwatcher_endpoint_latency_seconds gauge',
+      'modelwatcher_endpoint_latency_seconds{watcher="scanner",endpoint="OpenAI"} 0',
+      '# HELP modelwatcher_endpoint_up 1 if the endpoint returned its model list',
+      '# TYPE modelwatcher_endpoint_up gauge',
+      'modelwatcher_endpoint_up{watcher="scanner",endpoint="Open\\"AI\\\\x"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  test('labels are matched regardless of their order', () => {
+    incMetric('notifications', { transport: 'slack', result: 'sent' });
+    incMetric('notifications', { result: 'sent', transport: 'slack' });
+    expect(renderMetrics()).toContain('modelwatcher_notifications{transport="slack",result="sent"} 2');
+  });
+
+  test('only known metrics can be set', () => {
+    expect(() => setMetric('made_up', {}, 1)).toThrow('Unknown metric "made_up"');
+  });
+
+  test('writes the run\'s numbers to the watcher\'s .prom file', () => {
+    const file = writeRunMetrics({ watcher: 'scanner:OpenAI', finishedAt: '2024-01-03T12:00:00.000Z', durationMs: 1500, ok: true, errors: 0, items: 42 }, dir);
+    expect(file).toBe(join(dir, 'scanner_OpenAI.prom'));
+
+    const text = readFileSync(file, 'utf-8');
+    expect(text).toContain('modelwatcher_run_duration_seconds{watcher="scanner:OpenAI"} 1.5');
+    expect(text).toContain('modelwatcher_run_success{watcher="scanner:OpenAI"} 1');
+    expect(text).toContain('modelwatcher_run_timestamp_seconds{watcher="scanner:OpenAI"} 1704283200');
+    expect(text).toContain('modelwatcher_run_items{watcher="scanner:OpenAI"} 42');
+  });
+
+  test('a dry run writes nothing', () => {
+    process.env.MODELWATCHER_DRY_RUN = '1';
+    expect(writeRunMetrics({ watcher: 'bedrock', finishedAt: '2024-01-03T12:00:00.000Z', durationMs: 1, ok: true, errors: 0, items: 1 }, dir)).toBeNull();
+    expect(readMetrics(dir)).toBe('');
+  });
+
+  test('merges every watcher\'s file under one header per metric', () => {
+    const family = (watcher, value) => [
+      '# HELP modelwatcher_run_success 1 if the last run exited with code 0',
+      '# TYPE modelwatcher_run_success gauge',
+      `modelwatcher_run_success{watcher="${watcher}"} ${value}`,
+      ''
+    ].join('\n');
+    writeFileSync(join(dir, 'bedrock.prom'), family('bedrock', 1));
+    writeFileSync(join(dir, 'lmarena.prom'), family('lmarena', 0));
+    writeFileSync(join(dir, 'notes.txt'), 'ignored');
+
+    expect(readMetrics(dir)).toBe([
+      '# HELP modelwatcher_run_success 1 if the last run exited with code 0',
+      '# TYPE modelwatcher_run_success gauge',
+      'modelwatcher_run_success{watcher="bedrock"} 1',
+      'modelwatcher_run_success{watcher="lmarena"} 0',
+      ''
+    ].join('\n'));
+    expect(readMetrics(join(dir, 'missing'))).toBe('');
+  });
+});
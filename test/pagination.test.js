@@ -0,0 +1,159 @@
+import { getPaginationStrategy, getPageItems, mergePages, registerPaginationStrategy } from '../src/pagination.js';
+import { fetchModels } from '../src/scanner.js';
+
+const page = (data, headers = {}) => ({ status: 200, data, headers });
+
+describe('pagination strategies', () => {
+  test('no pagination config is a single page', () => {
+    const strategy = getPaginationStrategy(null);
+    const url = new URL('https://api.example.com/v1/models');
+    expect(strategy.apply(url, null, {})).toBeUndefined();
+    expect(url.search).toBe('');
+    expect(strategy.next(page({ data: [{ id: 'a' }] }), null, [{ id: 'a' }], {})).toBeNull();
+  });
+
+  test('cursor reads the next cursor from the body or the last item', () => {
+    const strategy = getPaginationStrategy({ type: 'cursor' });
+    const options = { type: 'cursor', cursorParam: 'after_id', cursorPath: 'last_id', hasMorePath: 'has_more', limit: 2 };
+
+    const url = new URL('https://api.example.com/v1/models');
+    strategy.apply(url, 'model-b', options);
+    expect(url.searchParams.get('limit')).toBe('2');
+    expect(url.searchParams.get('after_id')).toBe('model-b');
+
+    expect(strategy.next(page({ has_more: true, last_id: 'model-b' }), null, [], options)).toBe('model-b');
+    expect(strategy.next(page({ has_more: false, last_id: 'model-d' }), 'model-b', [], options)).toBeNull();
+
+    const items = [{ id: 'a' }, { id: 'b' }];
+    expect(strategy.next(page({}), null, items, { type: 'cursor' })).toBe('b');
+    expect(strategy.next(page({}), null, items, { type: 'cursor', cursorField: 'name' })).toBeNull();
+  });
+
+  test('pageToken follows nextPageToken until it is empty', () => {
+    const strategy = getPaginationStrategy({ type: 'pageToken' });
+    const options = { type: 'pageToken', limit: 50 };
+
+    const url = new URL('https://api.example.com/v1beta/models');
+    strategy.apply(url, 'token-2', options);
+    expect(url.searchParams.get('pageSize')).toBe('50');
+    expect(url.searchParams.get('pageToken')).toBe('token-2');
+
+    expect(strategy.next(page({ nextPageToken: 'token-3' }), 'token-2', [], options)).toBe('token-3');
+    expect(strategy.next(page({ nextPageToken: '' }), 'token-3', [], options)).toBeNull();
+    expect(strategy.next(page({ meta: { next: 'x' } }), null, [], { ...options, tokenPath: 'meta.next' })).toBe('x');
+  });
+
+  test('offset stops on a short page or at the total', () => {
+    const strategy = getPaginationStrategy({ type: 'offset' });
+    const options = { type: 'offset', limit: 2, totalPath: 'total' };
+    const two = [{ id: 'a' }, { id: 'b' }];
+
+    const url = new URL('https://api.example.com/models');
+    strategy.apply(url, null, options);
+    expect(url.searchParams.get('offset')).toBe('0');
+    expect(url.searchParams.get('limit')).toBe('2');
+
+    expect(strategy.next(page({ total: 5 }), 0, two, options)).toBe(2);
+    expect(strategy.next(page({ total: 4 }), 2, two, options)).toBeNull();
+    expect(strategy.next(page({}), 4, [{ id: 'e' }], options)).toBeNull();
+    expect(strategy.next(page({}), 4, [], { type: 'offset' })).toBeNull();
+  });
+
+  test('link follows rel="next", resolving relative targets against the request URL', () => {
+    const strategy = getPaginationStrategy({ type: 'link' });
+    const current = new URL('https://api.example.com/v1/models?page=1');
+
+    const absolute = '<https://api.example.com/v1/models?page=2>; rel="next", <https://api.example.com/v1/models?page=5>; rel="last"';
+    expect(strategy.next(page({}, { link: absolute }), null, [], {})).toBe('https://api.example.com/v1/models?page=2');
+
+    const relative = '</v1/models?page=3>; rel="prev next"';
+    const cursor = strategy.next(page({}, { link: relative }), null, [], {});
+    expect(cursor).toBe('/v1/models?page=3');
+    expect(strategy.apply(current, cursor, {}).href).toBe('https://api.example.com/v1/models?page=3');
+
+    expect(strategy.next(page({}, { link: '<https://api.example.com/v1/models?page=1>; rel="first"' }), null, [], {})).toBeNull();
+    expect(strategy.next(page({}), null, [], {})).toBeNull();
+  });
+
+  test('unknown types and incomplete strategies are rejected', () => {
+    expect(() => getPaginationStrategy({ type: 'scroll' })).toThrow('Unknown pagination type "scroll"');
+    expect(() => registerPaginationStrategy('broken', { apply: () => {} })).toThrow('must implement apply() and next()');
+  });
+});
+
+describe('page items', () => {
+  test('reads items from itemsPath or the usual list keys', () => {
+    expect(getPageItems([{ id: 'a' }], null)).toEqual([{ id: 'a' }]);
+    expect(getPageItems({ data: [{ id: 'b' }] }, null)).toEqual([{ id: 'b' }]);
+    expect(getPageItems({ models: [{ name: 'c' }] }, null)).toEqual([{ name: 'c' }]);
+    expect(getPageItems({ result: { items: [{ id: 'd' }] } }, { itemsPath: 'result.items' })).toEqual([{ id: 'd' }]);
+    expect(getPageItems({ result: {} }, { itemsPath: 'result.items' })).toEqual([]);
+  });
+
+  test('merges pages into the shape of the first one', () => {
+    expect(mergePages([[{ id: 'a' }], [{ id: 'b' }]], null)).toEqual([{ id: 'a' }, { id: 'b' }]);
+    expect(mergePages([{ object: 'list', data: [{ id: 'a' }], has_more: true }, { data: [{ id: 'b' }], has_more: false }], null))
+      .toEqual({ object: 'list', data: [{ id: 'a' }, { id: 'b' }], has_more: true });
+    expect(mergePages([{ result: { items: [{ id: 'a' }] } }, { result: { items: [{ id: 'b' }] } }], { itemsPath: 'result.items' }))
+      .toEqual({ result: { items: [{ id: 'a' }, { id: 'b' }] } });
+  });
+});
+
+describe('fetchModels with pagination', () => {
+  const savedFetch = globalThis.fetch;
+  let requests;
+
+  const serve = pages => {
+    requests = [];
+    globalThis.fetch = async url => {
+      requests.push(String(url));
+      const { body, headers = {} } = pages[requests.length - 1];
+      return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json', ...headers } });
+    };
+  };
+
+  beforeEach(() => {
+    process.env.TEST_PAGINATION_KEY = 'key';
+  });
+
+  afterEach(() => {
+    delete process.env.TEST_PAGINATION_KEY;
+    globalThis.fetch = savedFetch;
+  });
+
+  test('follows relative Link headers across pages', async () => {
+    serve([
+      { body: [{ id: 'b' }], headers: { Link: '</v1/models?page=2>; rel="next"' } },
+      { body: [{ id: 'a' }] }
+    ]);
+    const result = await fetchModels({
+      name: 'Linked',
+      baseUrl: 'https://api.example.com/v1',
+      modelsEndpoint: '/models',
+      apiKeyEnv: 'TEST_PAGINATION_KEY',
+      pagination: { type: 'link' }
+    });
+
+    expect(requests).toEqual(['https://api.example.com/v1/models', 'https://api.example.com/v1/models?page=2']);
+    expect(result.success).toBe(true);
+    expect(result.models.map(model => model.id)).toEqual(['a', 'b']);
+  });
+
+  test('fails instead of returning a partial list at maxPages', async () => {
+    serve([
+      { body: { data: [{ id: 'a' }], has_more: true, last_id: 'a' } },
+      { body: { data: [{ id: 'b' }], has_more: true, last_id: 'b' } }
+    ]);
+    const result = await fetchModels({
+      name: 'Endless',
+      baseUrl: 'https://api.example.com/v1',
+      modelsEndpoint: '/models',
+      apiKeyEnv: 'TEST_PAGINATION_KEY',
+      pagination: { type: 'cursor', cursorPath: 'last_id', hasMorePath: 'has_more', maxPages: 2 }
+    });
+
+    expect(requests).toHaveLength(2);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Pagination stopped after 2 pages');
+  });
+});
@@ -0,0 +1,49 @@
+import { loadConfig } from '../src/config.js';
+import { createBrowserPool } from '../src/browser.js';
+import { replayWatcher } from './replay.js';
+
+const GEMINI_PATTERN = 'gemini-[0-9]+(?:[a-z0-9.-]+)*';
+
+/**
+ * Check that the regex watcher's browser engine is installed and starts
+ * @returns {Promise<boolean>}
+ */
+async function canLaunchBrowser() {
+  const pool = createBrowserPool('regex-test', { ...loadConfig('regex').browser, launchRetries: 1 });
+  try {
+    await pool.launch();
+    return true;
+  } catch {
+    return false;
+  } finally {
+    await pool.close();
+  }
+}
+
+// Pages served to a real browser by routeBrowser() (src/cassette.js); needs the browser installed
+const describeWithBrowser = await canLaunchBrowser() ? describe : describe.skip;
+
+describeWithBrowser('regex watcher replay', () => {
+  let run;
+  beforeAll(() => {
+    run = replayWatcher('regex-watch.js', { state: ['regex-state.json'], timeout: 120000 });
+  }, 130000);
+
+  test('exits cleanly after checking every page', () => {
+    expect(run.status).toBe(0);
+    expect(run.output).not.toContain('Failed to process');
+  });
+
+  test('saves the matches of every page', () => {
+    const state = run.state['logs/regex-state.json'];
+    expect(Object.keys(state)).toEqual(expect.arrayContaining(['https://gemini.google.com/', 'https://chatgpt.com/', 'https://claude.ai/new', 'https://grok.com']));
+    expect(state['https://gemini.google.com/'].patterns[GEMINI_PATTERN].matchedStrings).toContain('gemini-3.5-pro');
+  });
+
+  test('records and sends the new Gemini match', () => {
+    const event = run.events.find(e => e.entity === `Google Gemini - Gemini Models:${GEMINI_PATTERN}`);
+    expect(event).toMatchObject({ source: 'regex', type: 'updated' });
+    expect(event.data.matchedStrings).toContain('gemini-3.5-pro');
+    expect(run.payloads.some(record => record.source === 'regex' && JSON.stringify(record.payload).includes('gemini-3.5-pro'))).toBe(true);
+  });
+});
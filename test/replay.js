@@ -0,0 +1,75 @@
+import { spawnSync } from 'child_process';
+import { mkdtempSync, copyFileSync, existsSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(__dirname, '..');
+const FIXTURES_DIR = join(ROOT_DIR, 'fixtures');
+
+/**
+ * Helpers for running a watcher end to end against its cassette.
+ *
+ * replayWatcher('bedrock-watch.js', { state: ['bedrock-state.json'] }) copies the listed
+ * files from fixtures/state/ into a temporary MODELWATCHER_STATE_DIR as the previous state,
+ * runs `node src/bedrock-watch.js` with MODELWATCHER_HTTP=replay and the cassette
+ * fixtures/cassettes/bedrock-watch.json, and returns what the dry run captured: the payloads
+ * it would have sent, the state documents it would have saved and the events it would have
+ * recorded (src/dry-run.js). Webhook and MODELWATCHER_* variables of the calling shell are
+ * not passed on, so a run never depends on local secrets or settings.
+ */
+
+/**
+ * Run a watcher script against its cassette
+ * @param {string} script - Script in src/
+ * @param {Object} options - { state } fixture state files, { timeout } (ms, default 60000)
+ * @returns {Object} - { status, output, payloads, state, events }
+ */
+export function replayWatcher(script, { state = [], timeout = 60000 } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'modelwatcher-replay-'));
+  try {
+    for (const file of state) copyFileSync(join(FIXTURES_DIR, 'state', file), join(dir, file));
+
+    const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !/WEBHOOK|^MODELWATCHER_/.test(name)));
+    const result = spawnSync(process.execPath, [join(ROOT_DIR, 'src', script)], {
+      cwd: ROOT_DIR,
+      encoding: 'utf-8',
+      timeout,
+      env: {
+        ...env,
+        MODELWATCHER_HTTP: 'replay',
+        MODELWATCHER_CASSETTE: join(FIXTURES_DIR, 'cassettes', script.replace(/\.js$/, '.json')),
+        MODELWATCHER_STATE_DIR: dir,
+        MODELWATCHER_DRY_RUN_OUT: join(dir, 'payloads.json')
+      }
+    });
+
+    const readJson = (file, fallback) => existsSync(join(dir, file)) ? JSON.parse(readFileSync(join(dir, file), 'utf-8')) : fallback;
+    const writes = readJson('payloads.writes.json', { state: {}, events: [] });
+    return {
+      status: result.status,
+      output: `${result.stdout}${result.stderr}`,
+      payloads: readJson('payloads.json', []),
+      state: writes.state,
+      events: writes.events
+    };
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Every string in a payload, joined, for matching against
+ * @param {Object} payload - Payload
+ * @returns {string}
+ */
+export function payloadText(payload) {
+  const texts = [];
+  const visit = value => {
+    if (typeof value === 'string') texts.push(value);
+    else if (value && typeof value === 'object') Object.values(value).forEach(visit);
+  };
+  visit(payload);
+  return texts.join('\n');
+}
@@ -0,0 +1,75 @@
+import { jest } from '@jest/globals';
+import { matchesEvent, matchesNotification, evaluateRules, mergeMentions } from '../src/rules.js';
+
+const added = (entity, data = {}) => ({ entity, type: 'added', changes: {}, data });
+const updated = (entity, changes, data = {}) => ({ entity, type: 'updated', changes, data });
+
+describe('notification rules', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('every given condition must hold for an event', () => {
+    const rule = { match: { sources: ['scanner'], providers: ['OpenAI'], model: 'gpt-5', types: ['updated'], fields: ['pricing'] } };
+    const context = { source: 'scanner', group: 'OpenAI' };
+
+    expect(matchesEvent(rule, updated('gpt-5-mini', { pricing: {} }), context)).toBe(true);
+    expect(matchesEvent(rule, updated('gpt-5-mini', { context: {} }), context)).toBe(false);
+    expect(matchesEvent(rule, added('gpt-5-mini'), context)).toBe(false);
+    expect(matchesEvent(rule, updated('o3', { pricing: {} }), context)).toBe(false);
+    expect(matchesEvent(rule, updated('gpt-5-mini', { pricing: {} }), { source: 'scanner', group: 'Azure' })).toBe(false);
+    expect(matchesEvent(rule, updated('gpt-5-mini', { pricing: {} }), { source: 'bedrock', group: 'OpenAI' })).toBe(false);
+  });
+
+  test('providers and models are also read from the event data', () => {
+    const rule = { match: { providers: ['Anthropic'], model: 'claude' } };
+    expect(matchesEvent(rule, added('model-1', { provider: 'Anthropic', name: 'Claude Opus' }), { source: 'lmarena' })).toBe(true);
+    expect(matchesEvent({ match: {} }, added('anything'), { source: 'sku' })).toBe(true);
+  });
+
+  test('without events, model rules match the text and type or field rules never match', () => {
+    const context = { source: 'lmarena', group: null, text: 'New leader: gpt-5' };
+    expect(matchesNotification({ match: { model: 'GPT-5' } }, context)).toBe(true);
+    expect(matchesNotification({ match: { model: 'claude' } }, context)).toBe(false);
+    expect(matchesNotification({ match: { types: ['added'] } }, context)).toBe(false);
+    expect(matchesNotification({ match: { model: 'gpt' } }, { ...context, text: null })).toBe(false);
+    expect(matchesNotification({ match: { sources: ['lmarena'] } }, { ...context, text: null })).toBe(true);
+  });
+
+  test('an invalid model pattern never matches', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(matchesEvent({ name: 'broken', match: { model: 'gpt-(' } }, added('gpt-5'), { source: 'scanner' })).toBe(false);
+    expect(console.error).toHaveBeenCalledWith('Invalid model pattern in rule "broken":', expect.any(String));
+  });
+
+  test('suppresses only when every event is suppressed', () => {
+    const rules = [
+      { name: 'no-previews', match: { model: 'preview' }, suppress: true },
+      { name: 'frontier', match: { model: 'gpt-5' }, targets: ['frontier'] }
+    ];
+    const context = { source: 'scanner', group: 'OpenAI' };
+
+    expect(evaluateRules(rules, { ...context, events: [added('o3-preview')] })).toEqual({ suppressedBy: 'no-previews', matched: [] });
+    // The suppressed event no longer counts towards routing
+    expect(evaluateRules(rules, { ...context, events: [added('gpt-5-preview'), added('o4')] })).toEqual({ suppressedBy: null, matched: [] });
+    expect(evaluateRules(rules, { ...context, events: [added('gpt-5-preview'), added('gpt-5')] })).toEqual({ suppressedBy: null, matched: [rules[1]] });
+  });
+
+  test('notifications without events are matched as a whole', () => {
+    const rules = [
+      { match: { sources: ['gemini'] }, suppress: true },
+      { name: 'frontier', match: { model: 'gpt-5' }, mentions: { roles: ['1'] } }
+    ];
+
+    expect(evaluateRules(rules, { source: 'gemini', text: 'Report' })).toEqual({ suppressedBy: '(unnamed)', matched: [] });
+    expect(evaluateRules(rules, { source: 'lmarena', text: 'gpt-5 leads' }).matched).toEqual([rules[1]]);
+    // An explicitly empty events list matches only source and provider rules
+    expect(evaluateRules(rules, { source: 'lmarena', text: 'gpt-5 leads', events: [] }).matched).toEqual([]);
+    expect(evaluateRules(undefined, { source: 'lmarena', text: '' })).toEqual({ suppressedBy: null, matched: [] });
+  });
+
+  test('merges mentions without duplicates', () => {
+    expect(mergeMentions({ roles: ['1'] }, { roles: ['1', '2'], users: ['3'] })).toEqual({ roles: ['1', '2'], users: ['3'] });
+    expect(mergeMentions()).toEqual({ roles: [], users: [] });
+  });
+});
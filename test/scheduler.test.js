@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import { parseCron, nextCronTime, backoffDelay, Scheduler } from '../src/scheduler.js';
+
+const MINUTE = 60 * 1000;
+
+const next = (expression, after) => nextCronTime(expression, new Date(after)).toISOString();
+
+describe('cron', () => {
+  test('parses lists, ranges and steps', () => {
+    const cron = parseCron('0,30 9-17/4 */10 1-3 1-5');
+    expect([...cron.minute]).toEqual([0, 30]);
+    expect([...cron.hour]).toEqual([9, 13, 17]);
+    expect([...cron.dayOfMonth]).toEqual([1, 11, 21, 31]);
+    expect([...cron.month]).toEqual([1, 2, 3]);
+    expect([...cron.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect(cron).toMatchObject({ anyDayOfMonth: false, anyDayOfWeek: false });
+  });
+
+  test('a start with a step runs to the end of the range, and 7 is Sunday', () => {
+    expect([...parseCron('5/20 * * * *').minute]).toEqual([5, 25, 45]);
+    expect([...parseCron('0 0 * * 7').dayOfWeek]).toEqual([0]);
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('Invalid cron expression "* * * *" (expected 5 fields)');
+    expect(() => parseCron('60 * * * *')).toThrow('Cron minute "60" is out of range 0-59');
+    expect(() => parseCron('* 5-1 * * *')).toThrow('Cron hour "5-1" is out of range 0-23');
+    expect(() => parseCron('*/0 * * * *')).toThrow('out of range');
+    expect(() => parseCron('* * * JAN *')).toThrow('Invalid cron month "JAN"');
+  });
+
+  test('finds the next run strictly after the given time', () => {
+    expect(next('0,30 * * * *', '2024-01-03T12:00:00Z')).toBe('2024-01-03T12:30:00.000Z');
+    expect(next('0,30 * * * *', '2024-01-03T12:29:59Z')).toBe('2024-01-03T12:30:00.000Z');
+    expect(next('15 3 * * *', '2024-01-03T04:00:00Z')).toBe('2024-01-04T03:15:00.000Z');
+    expect(next('0 0 1 * *', '2024-12-15T00:00:00Z')).toBe('2025-01-01T00:00:00.000Z');
+    expect(next('0 12 29 2 *', '2024-03-01T00:00:00Z')).toBe('2028-02-29T12:00:00.000Z');
+  });
+
+  test('restricted day of month and day of week match either', () => {
+    // 2024-01-03 is a Wednesday; the 5th is a Friday, the 10th a Wednesday
+    expect(next('0 9 10 * 5', '2024-01-03T12:00:00Z')).toBe('2024-01-05T09:00:00.000Z');
+    expect(next('0 9 * * 5', '2024-01-05T12:00:00Z')).toBe('2024-01-12T09:00:00.000Z');
+    expect(next('0 9 10 * *', '2024-01-03T12:00:00Z')).toBe('2024-01-10T09:00:00.000Z');
+  });
+
+  test('a schedule that never fires is an error', () => {
+    expect(() => nextCronTime('0 0 31 2 *', new Date('2024-01-01T00:00:00Z'))).toThrow('Cron expression never fires');
+  });
+});
+
+describe('backoff', () => {
+  test('doubles after each failure up to the maximum', () => {
+    expect(backoffDelay(0)).toBe(0);
+    expect(backoffDelay(1)).toBe(5 * MINUTE);
+    expect(backoffDelay(3)).toBe(20 * MINUTE);
+    expect(backoffDelay(10)).toBe(360 * MINUTE);
+    expect(backoffDelay(2, { baseMinutes: 1, maxMinutes: 60 })).toBe(2 * MINUTE);
+  });
+});
+
+describe('Scheduler', () => {
+  const log = () => {};
+  let scheduler;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-03T12:00:00Z') });
+  });
+
+  afterEach(async () => {
+    await scheduler?.stop();
+    scheduler = null;
+    jest.useRealTimers();
+  });
+
+  test('resumes interval jobs from their last run', async () => {
+    const runs = [];
+    scheduler = new Scheduler({ log });
+    scheduler.add('bedrock', { intervalMinutes: 60 }, async () => runs.push(Date.now()) > 0, { lastRun: '2024-01-03T11:30:00Z' });
+    scheduler.start();
+    expect(scheduler.describe()).toEqual([{ name: 'bedrock', nextRun: '2024-01-03T12:30:00.000Z', running: false, failures: 0 }]);
+
+    await jest.advanceTimersByTimeAsync(30 * MINUTE);
+    expect(runs.map(time => new Date(time).toISOString())).toEqual(['2024-01-03T12:30:00.000Z']);
+    expect(scheduler.describe()[0].nextRun).toBe('2024-01-03T13:30:00.000Z');
+  });
+
+  test('backs off after failures and resets after a success', async () => {
+    const results = [false, false, true];
+    scheduler = new Scheduler({ log, backoff: { baseMinutes: 10 } });
+    scheduler.add('lmarena', { cron: '* * * * *' }, async () => {
+      const ok = results.shift();
+      if (!ok) throw new Error('HTTP 503');
+      return ok;
+    });
+    scheduler.start();
+
+    await jest.advanceTimersByTimeAsync(MINUTE);
+    expect(scheduler.describe()[0]).toMatchObject({ failures: 1, nextRun: '2024-01-03T12:11:00.000Z' });
+    await jest.advanceTimersByTimeAsync(10 * MINUTE);
+    expect(scheduler.describe()[0]).toMatchObject({ failures: 2, nextRun: '2024-01-03T12:31:00.000Z' });
+    await jest.advanceTimersByTimeAsync(20 * MINUTE);
+    expect(scheduler.describe()[0]).toMatchObject({ failures: 0, nextRun: '2024-01-03T12:32:00.000Z' });
+  });
+
+  test('runs at most maxConcurrent jobs at a time', async () => {
+    const finish = [];
+    const started = [];
+    scheduler = new Scheduler({ log, maxConcurrent: 1 });
+    for (const name of ['a', 'b']) {
+      scheduler.add(name, { intervalMinutes: 60 }, () => new Promise(done => {
+        started.push(name);
+        finish.push(() => done(true));
+      }));
+    }
+    scheduler.start();
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(started).toEqual(['a']);
+    expect(scheduler.describe().map(job => job.running)).toEqual([true, false]);
+
+    finish.shift()();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(started).toEqual(['a', 'b']);
+    finish.shift()();
+  });
+
+  test('jobs need a cron expression or a positive interval', () => {
+    expect(() => new Scheduler({ log }).add('broken', { intervalMinutes: 0 }, async () => true))
+      .toThrow('Job "broken" needs a cron expression or a positive intervalMinutes');
+  });
+});
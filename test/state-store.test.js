@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { StateStore, resolveStatePath, registerStateBackend } from '../src/state-store.js';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+const STATE_FILE = join(ROOT_DIR, 'logs', 'test-state.json');
+
+describe('state store (json backend)', () => {
+  let dir;
+  const store = (options = {}) => new StateStore(STATE_FILE, { backend: 'json', dir, ...options });
+  const read = (name = 'test-state.json') => JSON.parse(readFileSync(join(dir, name), 'utf-8'));
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'modelwatcher-state-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.MODELWATCHER_DRY_RUN;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keys are repo-relative and logs/ maps into the state directory', () => {
+    expect(store().key).toBe('logs/test-state.json');
+    expect(resolveStatePath('logs/events', dir)).toBe(join(dir, 'events'));
+    expect(resolveStatePath('config.json', dir)).toBe(join(ROOT_DIR, 'config.json'));
+    expect(resolveStatePath('logs/events', '')).toBe(join(ROOT_DIR, 'logs', 'events'));
+  });
+
+  test('returns the defaults until something is saved', () => {
+    expect(store().load({ models: [] })).toEqual({ models: [] });
+  });
+
+  test('saves with a schemaVersion and loads without it', () => {
+    store({ version: 2 }).save({ models: ['a'] });
+    expect(read()).toEqual({ schemaVersion: 2, models: ['a'] });
+    expect(store({ version: 2 }).load()).toEqual({ models: ['a'] });
+  });
+
+  test('migrates older documents, treating unversioned ones as version 1', () => {
+    writeFileSync(join(dir, 'test-state.json'), JSON.stringify({ models: ['a'] }));
+    const migrations = {
+      2: state => ({ items: state.models }),
+      3: state => ({ ...state, count: state.items.length })
+    };
+    expect(store({ version: 3, migrations }).load()).toEqual({ items: ['a'], count: 1 });
+  });
+
+  test('refuses documents from a newer version', () => {
+    store({ version: 3 }).save({ models: [] });
+    expect(() => store({ version: 2 }).load()).toThrow('is corrupt and no readable backup exists');
+  });
+
+  test('keeps rolling backups of the previous copies', () => {
+    for (const n of [1, 2, 3, 4]) store({ backups: 2 }).save({ n });
+    expect(read()).toMatchObject({ n: 4 });
+    expect(read('test-state.json.bak.1')).toMatchObject({ n: 3 });
+    expect(read('test-state.json.bak.2')).toMatchObject({ n: 2 });
+    expect(existsSync(join(dir, 'test-state.json.bak.3'))).toBe(false);
+  });
+
+  test('restores a corrupt document from the newest readable backup', () => {
+    store().save({ n: 1 });
+    store().save({ n: 2 });
+    writeFileSync(join(dir, 'test-state.json'), '{ "n": ');
+
+    expect(store().load()).toEqual({ n: 1 });
+    // The good copy is written back
+    expect(read()).toEqual({ schemaVersion: 1, n: 1 });
+  });
+
+  test('never rotates a corrupt copy into the backups', () => {
+    store().save({ n: 1 });
+    store().save({ n: 2 });
+    writeFileSync(join(dir, 'test-state.json'), 'not json');
+    store().save({ n: 3 });
+    expect(read('test-state.json.bak.1')).toEqual({ schemaVersion: 1, n: 1 });
+    expect(existsSync(join(dir, 'test-state.json.bak.2'))).toBe(false);
+  });
+
+  test('throws instead of starting over when nothing is readable', () => {
+    writeFileSync(join(dir, 'test-state.json'), '[]');
+    expect(() => store().load()).toThrow('State logs/test-state.json is corrupt');
+  });
+
+  test('a dry run neither saves nor removes', () => {
+    store().save({ n: 1 });
+    process.env.MODELWATCHER_DRY_RUN = '1';
+    store().save({ n: 2 });
+    store().remove();
+    expect(read()).toEqual({ schemaVersion: 1, n: 1 });
+
+    delete process.env.MODELWATCHER_DRY_RUN;
+    store().remove();
+    expect(store().load(null)).toBeNull();
+  });
+
+  test('unknown backends and invalid factories are rejected', () => {
+    expect(() => new StateStore(STATE_FILE, { backend: 'redis' })).toThrow('Unknown state backend "redis"');
+    expect(() => registerStateBackend('broken', {})).toThrow('must be a factory function');
+  });
+});
@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import { renderDiscord, withMentions, renderSlack, signWebhookBody, getRoutedTargets, sendToTarget, registerTransport } from '../src/transports.js';
+import { createNotification, SEVERITY_COLORS } from '../src/notification.js';
+
+const COMPONENTS_V2_FLAG = 32768;
+
+const notification = fields => createNotification({ source: 'test', sender: 'Test Watcher', timestamp: '2026-01-01T00:00:00.000Z', ...fields });
+
+describe('Discord rendering', () => {
+  test('the fields layout puts short sections into fields of one embed', () => {
+    const payload = renderDiscord(notification({
+      title: 'Model Changes',
+      description: 'Two models changed',
+      severity: 'success',
+      sections: [{ title: 'Added', text: '`model-a`' }, { fields: [{ name: 'Context', value: '128k', inline: true }] }],
+      links: [{ label: 'Docs', url: 'https://example.com/docs' }]
+    }));
+
+    expect(payload.username).toBe('Test Watcher');
+    expect(payload.embeds).toHaveLength(1);
+    const [embed] = payload.embeds;
+    expect(embed).toMatchObject({ title: 'Model Changes', color: SEVERITY_COLORS.success });
+    expect(embed.description).toBe('Two models changed\n\n[Docs](https://example.com/docs)');
+    expect(embed.fields).toEqual([
+      { name: 'Added', value: '`model-a`' },
+      { name: 'Context', value: '128k', inline: true }
+    ]);
+    expect(embed.footer.text).toBe('Test Watcher');
+  });
+
+  test('sections with a link of their own become separate cards', () => {
+    const payload = renderDiscord(notification({
+      title: 'Filings',
+      sections: [{ title: 'Filing 1', text: 'First', url: 'https://example.com/1' }, { title: 'Filing 2', text: 'Second', url: 'https://example.com/2' }],
+      footer: 'Source: example'
+    }));
+
+    expect(payload.embeds.map(embed => embed.title)).toEqual(['Filings', 'Filing 1', 'Filing 2']);
+    expect(payload.embeds[1]).toMatchObject({ url: 'https://example.com/1', description: 'First' });
+    expect(payload.embeds[2].footer.text).toBe('Source: example');
+    expect(payload.embeds[0].footer).toBeUndefined();
+  });
+
+  test('the document layout is one components v2 container', () => {
+    const payload = renderDiscord(notification({
+      title: 'Report',
+      layout: 'document',
+      sections: [{ title: 'Part one', text: 'Alpha' }, { title: 'Part two', text: 'Beta' }],
+      footer: 'Part 1/1'
+    }));
+
+    expect(payload.flags & COMPONENTS_V2_FLAG).toBeTruthy();
+    const [container] = payload.components;
+    expect(container.type).toBe(17);
+    expect(container.components.filter(c => c.type === 10).map(c => c.content)).toEqual([
+      '# Report',
+      '## Part one\nAlpha',
+      '## Part two\nBeta',
+      '-# Part 1/1'
+    ]);
+    expect(container.components.filter(c => c.type === 14)).toHaveLength(3);
+  });
+
+  test('the document layout summarizes sections past the text budget', () => {
+    const sections = Array.from({ length: 5 }, (_, i) => ({ title: `Section ${i}`, text: 'x'.repeat(1500) }));
+    const contents = renderDiscord(notification({ layout: 'document', sections })).components[0].components.map(c => c.content);
+    expect(contents).toContain('…and 3 more sections');
+  });
+
+  test('the text layout is plain message content', () => {
+    const payload = renderDiscord(notification({ layout: 'text', description: 'New post: https://example.com/post' }));
+    expect(payload.content).toBe('New post: https://example.com/post');
+    expect(payload.embeds).toBeUndefined();
+  });
+
+  test('mentions ping only the listed roles and users', () => {
+    const plain = withMentions({ content: 'Hello' });
+    expect(plain.allowed_mentions).toEqual({ parse: [], roles: [], users: [] });
+    expect(plain.content).toBe('Hello');
+
+    const pinged = withMentions({ content: 'Hello' }, { roles: ['1'], users: ['2'] });
+    expect(pinged.content).toBe('<@&1> <@2>\nHello');
+    expect(pinged.allowed_mentions).toEqual({ parse: [], roles: ['1'], users: ['2'] });
+
+    const document = withMentions(renderDiscord(notification({ layout: 'document', title: 'Report' })), { roles: ['1'] });
+    expect(document.content).toBeUndefined();
+    expect(document.components[0]).toEqual({ type: 10, content: '<@&1>' });
+  });
+});
+
+describe('other renderers', () => {
+  test('Slack gets Block Kit with mrkdwn', () => {
+    const payload = renderSlack(notification({
+      title: 'Model Changes',
+      description: '**New** [model](https://example.com/m) <b>',
+      sections: [{ title: 'Changed', diff: [{ label: 'model-a', field: 'context', old: 8000, new: 128000 }] }],
+      links: [{ label: 'Docs', url: 'https://example.com/docs' }]
+    }));
+
+    expect(payload.text).toBe('Model Changes');
+    expect(payload.blocks[0]).toEqual({ type: 'header', text: { type: 'plain_text', text: 'Model Changes', emoji: true } });
+    expect(payload.blocks[1].text.text).toBe('*New* <https://example.com/m|model> &lt;b&gt;');
+    expect(payload.blocks[2].text.text).toBe('*Changed*');
+    expect(payload.blocks[3].text.text).toMatch(/^```\n[\s\S]*128000[\s\S]*\n```$/);
+    expect(payload.blocks.at(-1)).toEqual({ type: 'context', elements: [{ type: 'mrkdwn', text: '<https://example.com/docs|Docs>' }] });
+  });
+
+  test('webhook bodies are signed over timestamp and body', () => {
+    const body = JSON.stringify({ type: 'modelwatcher.notification' });
+    const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+    expect(signWebhookBody('secret', '1700000000', body)).toBe(`sha256=${expected}`);
+  });
+});
+
+describe('routing and delivery', () => {
+  const config = {
+    targets: { slack: { type: 'slack', url: 'https://hooks.slack.com/x' }, ntfy: { type: 'ntfy', topic: 'models' } },
+    routes: { '*': ['slack'], gemini: [], lmarena: ['ntfy', 'missing'] }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a watcher route replaces the default route', () => {
+    expect(getRoutedTargets('bedrock', config)).toEqual([{ name: 'slack', type: 'slack', url: 'https://hooks.slack.com/x' }]);
+    expect(getRoutedTargets('gemini', config)).toEqual([]);
+    expect(getRoutedTargets('lmarena', config)).toEqual([{ name: 'ntfy', type: 'ntfy', topic: 'models' }]);
+    expect(console.error).toHaveBeenCalledWith('Unknown notification target "missing" routed for lmarena');
+  });
+
+  test('delivers through the registered transport', async () => {
+    const sent = [];
+    registerTransport('test-memory', {
+      required: ['inbox'],
+      render: (n, target) => `${target.inbox}: ${n.title}`,
+      send: async rendered => {
+        sent.push(rendered);
+        return true;
+      }
+    });
+
+    expect(await sendToTarget(notification({ title: 'Hello' }), { type: 'test-memory', inbox: 'a' })).toBe(true);
+    expect(sent).toEqual(['a: Hello']);
+  });
+
+  test('unknown, unconfigured and failing targets return false', async () => {
+    registerTransport('test-failing', {
+      required: [],
+      render: n => n,
+      send: async () => {
+        throw new Error('connection refused');
+      }
+    });
+
+    expect(await sendToTarget(notification(), { type: 'pager' })).toBe(false);
+    expect(await sendToTarget(notification(), { name: 'ops', type: 'slack' })).toBe(false);
+    expect(console.log).toHaveBeenCalledWith('Notification target ops not configured (missing url), skipping');
+    expect(await sendToTarget(notification(), { name: 'flaky', type: 'test-failing' })).toBe(false);
+    expect(console.error).toHaveBeenCalledWith('Failed to send notification to flaky:', '', 'connection refused');
+  });
+});
@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { errorClass, checkRuns, recordRun, readRuns, mergeRuns, getRunsFile, checkWatchers } from '../src/watchdog.js';
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2024-01-03T12:00:00Z');
+
+const OPTIONS = { intervalMinutes: 60, staleIntervals: 3, emptyRuns: 2, errorWindow: 6, errorRate: 0.5, heartbeatMinutes: 180 };
+
+// A run that started `minutesAgo` before NOW and took a minute
+const run = (minutesAgo, fields = {}) => ({
+  watcher: 'bedrock',
+  startedAt: new Date(NOW - minutesAgo * MINUTE).toISOString(),
+  finishedAt: new Date(NOW - (minutesAgo - 1) * MINUTE).toISOString(),
+  ok: true,
+  exitCode: 0,
+  items: 10,
+  errors: 0,
+  errorClass: null,
+  ...fields
+});
+
+describe('error classes', () => {
+  test('classifies errors by message, code and status', () => {
+    expect(errorClass(new Error('timeout of 30000ms exceeded'))).toBe('timeout');
+    expect(errorClass({ message: 'Request failed', response: { status: 429 } })).toBe('rate_limited');
+    expect(errorClass({ error: 'HTTP 503: Service Unavailable' })).toBe('http_5xx');
+    expect(errorClass({ status: 404 })).toBe('http_4xx');
+    expect(errorClass(Object.assign(new Error('getaddrinfo failed'), { code: 'ENOTFOUND' }))).toBe('network');
+    expect(errorClass(new TypeError('fetch failed', { cause: { code: 'ECONNRESET' } }))).toBe('network');
+    expect(errorClass(new SyntaxError('Unexpected end of input'))).toBe('parse');
+    expect(errorClass('OPENAI_API_KEY is not set')).toBe('config');
+    expect(errorClass(new Error('something odd'))).toBe('other');
+  });
+});
+
+describe('checkRuns', () => {
+  test('healthy and unrecorded watchers have no problems', () => {
+    expect(checkRuns([], OPTIONS, NOW)).toEqual([]);
+    expect(checkRuns([run(120), run(60), run(1)], OPTIONS, NOW)).toEqual([]);
+  });
+
+  test('stale once no run succeeded for staleIntervals, allowing for the heartbeat', () => {
+    // 3 intervals is less than the 180 minute heartbeat plus an interval
+    expect(checkRuns([run(230)], OPTIONS, NOW)).toEqual([]);
+    expect(checkRuns([run(250)], OPTIONS, NOW)).toEqual([
+      { problem: 'stale', message: 'no successful run since 2024-01-03T07:51:00.000Z (runs every 60 min)' }
+    ]);
+    expect(checkRuns([run(500, { ok: false, exitCode: 1 })], OPTIONS, NOW)[0].message).toBe('no successful run in 1 recorded run(s)');
+  });
+
+  test('empty after emptyRuns successful runs without items, following runs with items', () => {
+    expect(checkRuns([run(180), run(120, { items: 0 }), run(60, { items: 0 })], OPTIONS, NOW)).toEqual([
+      { problem: 'empty', message: 'no items in the last 2 successful run(s), 10 on 2024-01-03T09:01:00.000Z' }
+    ]);
+    // Never had items, or not enough empty runs yet
+    expect(checkRuns([run(120, { items: 0 }), run(60, { items: 0 })], OPTIONS, NOW)).toEqual([]);
+    expect(checkRuns([run(180), run(120), run(60, { items: 0 })], OPTIONS, NOW)).toEqual([]);
+    // Runs that never counted items are left out
+    expect(checkRuns([run(180), run(120, { items: 0 }), run(60, { items: null })], OPTIONS, NOW)).toEqual([]);
+  });
+
+  test('errors once errorRate of the runs due in the window failed', () => {
+    const runs = [
+      // Before the window
+      run(600, { ok: false, exitCode: 1 }),
+      run(180, { errors: 2, errorClass: 'http_5xx' }),
+      run(120, { ok: false, exitCode: 1, errorClass: 'timeout' }),
+      run(60)
+    ];
+    expect(checkRuns(runs, OPTIONS, NOW)).toEqual([]);
+
+    runs.push(run(1, { ok: false, exitCode: 2 }));
+    expect(checkRuns(runs, OPTIONS, NOW)).toEqual([
+      { problem: 'errors', message: '3 of the last 6 runs failed or reported errors (http_5xx, timeout, exit 2)' }
+    ]);
+  });
+});
+
+describe('run records', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'modelwatcher-runs-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records runs, one per start time', () => {
+    recordRun(run(60), dir);
+    recordRun(run(1), dir);
+    recordRun(run(1), dir);
+    expect(readRuns(getRunsFile('bedrock', dir)).map(r => r.startedAt)).toEqual([run(60).startedAt, run(1).startedAt]);
+    expect(getRunsFile('scanner:OpenAI', dir)).toBe(join(dir, 'scanner_OpenAI.jsonl'));
+  });
+
+  test('merges a healthy run only when a heartbeat is due', () => {
+    const other = join(dir, 'other.jsonl');
+    recordRun(run(120), dir);
+
+    writeFileSync(other, JSON.stringify(run(60)) + '\n');
+    expect(mergeRuns(other, 'bedrock', dir)).toBe(false);
+
+    writeFileSync(other, JSON.stringify(run(60, { items: 0 })) + '\n');
+    expect(mergeRuns(other, 'bedrock', dir)).toBe(true);
+
+    writeFileSync(other, JSON.stringify(run(1)) + '\n');
+    // The last kept run had a problem, so the recovery is kept too
+    expect(mergeRuns(other, 'bedrock', dir)).toBe(true);
+    expect(mergeRuns(other, 'bedrock', dir)).toBe(false);
+    expect(readRuns(getRunsFile('bedrock', dir))).toHaveLength(3);
+  });
+
+  test('checks every watcher against its own schedule', () => {
+    writeFileSync(getRunsFile('posts', dir), JSON.stringify({ ...run(600), watcher: 'posts' }) + '\n');
+    recordRun(run(60), dir);
+
+    const problems = checkWatchers({ dir, now: NOW });
+    expect(problems).toEqual([
+      { watcher: 'posts', problem: 'stale', message: 'no successful run since 2024-01-03T02:01:00.000Z (runs every 10 min)' }
+    ]);
+  });
+});